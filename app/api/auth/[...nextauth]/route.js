@@ -1,28 +1,47 @@
 /* eslint-disable no-unused-vars */
 import NextAuth from 'next-auth';
+import { after } from 'next/server';
 import CredentialsProvider from 'next-auth/providers/credentials';
 import bcrypt from 'bcryptjs';
 import { getClient } from '@backend/dbConnect';
 
 // Imports pour la sécurité et le monitoring
-import { loginSchema } from '@utils/schemas/authSchema';
-import {
-  sanitizeLoginInputsStrict,
-  detectSuspiciousLoginActivity,
-} from '@utils/sanitizers/sanitizeLoginInputs';
+import { loginSchema, twoFactorCodeSchema } from '@utils/schemas/authSchema';
+import { sanitizeLoginInputsStrict } from '@utils/sanitizers/sanitizeLoginInputs';
 import { captureAuthError, captureMessage } from '@monitoring/sentry';
 import logger from '@utils/logger';
 import { memoizeWithTTL } from '@utils/performance';
 import { applyRateLimit, captureRateLimitError } from '@backend/rateLimiter';
+import { normalizeRole } from '@utils/permissions';
+import { TWO_FACTOR_ERRORS } from '@utils/twoFactor';
+import { withTransaction } from '@backend/transaction';
+import { isTwoFactorRequired, verifySecondFactor } from '@backend/twoFactor';
+import {
+  SESSION_MAX_AGE_SECONDS,
+  createUserSession,
+  revokeUserSession,
+  verifyUserSession,
+} from '@backend/sessions';
+import { anonymizeIp } from '@utils/helpers';
+import { invalidateDashboardCache } from '@utils/cache';
+import { LOGIN_ERRORS } from '@utils/loginSecurity';
+import {
+  isSuspiciousLoginSource,
+  recordLoginEvent,
+  registerFailedLogin,
+  resetFailedLogins,
+  sendLockoutNotification,
+} from '@backend/loginSecurity';
 
 // Memoize de la recherche d'utilisateur pour optimiser les performances
+// Le hash du mot de passe n'est pas mis en cache : il est relu avec l'état du compte
 const findUserByEmail = memoizeWithTTL(
   async (email) => {
     let client;
     try {
       client = await getClient();
       const query =
-        'SELECT user_id, user_name, user_email, user_phone, user_birthdate, user_image, user_password FROM admin.users WHERE user_email = $1';
+        'SELECT user_id, user_name, user_email, user_phone, user_birthdate, user_image, user_role FROM admin.users WHERE user_email = $1';
       const result = await client.query(query, [email]);
 
       logger.info('User search executed', {
@@ -44,6 +63,127 @@ const findUserByEmail = memoizeWithTTL(
   300000, // Cache pendant 5 minutes
 );
 
+// Intervalle de revérification du statut du compte pendant une session JWT
+const ACCOUNT_STATE_REFRESH_MS = 60 * 1000; // 1 minute
+
+/**
+ * Lit l'état courant d'un compte (non mémoïsé : une désactivation ou une
+ * réinitialisation de mot de passe doit être prise en compte immédiatement)
+ * @param {number|string} userId - Identifiant de l'utilisateur
+ * @param {Object} options - { withPassword: inclure user_password (connexion uniquement) }
+ * @returns {Promise<Object|null>} - { user_is_active, user_must_reset_password, user_role, user_totp_enabled, user_is_locked[, user_password] } ou null
+ */
+const getUserAccountState = async (userId, options = {}) => {
+  const { withPassword = false } = options;
+  let client;
+  try {
+    client = await getClient();
+    const result = await client.query(
+      `SELECT user_is_active, user_must_reset_password, user_role, user_totp_enabled,
+              COALESCE(user_locked_until > NOW(), FALSE) AS user_is_locked
+              ${withPassword ? ', user_password' : ''}
+       FROM admin.users WHERE user_id = $1`,
+      [userId],
+    );
+    return result.rows[0] || null;
+  } finally {
+    if (client) await client.cleanup();
+  }
+};
+
+/**
+ * Journalise une tentative de connexion dans admin.login_events.
+ * Un échec d'écriture n'empêche jamais l'authentification.
+ * @param {Object} event - { userId, success, reason, ip, userAgent }
+ */
+const logLoginEvent = async (event) => {
+  try {
+    await withTransaction((tx) => recordLoginEvent(tx, event), {
+      name: 'record_login_event',
+    });
+  } catch (error) {
+    logger.warn('Login event recording failed', {
+      userId: event.userId,
+      reason: event.reason,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Comptabilise un échec sur un compte existant (verrouillage progressif) et
+ * prévient son titulaire si le compte vient d'être verrouillé
+ * @param {Object} user - { user_id, user_name, user_email }
+ * @param {Object} event - { reason, ip, userAgent }
+ * @returns {Promise<Object|null>} - Résultat de registerFailedLogin, ou null en cas d'erreur
+ */
+const handleLoginFailure = async (user, { reason, ip, userAgent }) => {
+  let failure;
+  try {
+    failure = await withTransaction(
+      async (tx) => {
+        const result = await registerFailedLogin(tx, user.user_id);
+        await recordLoginEvent(tx, {
+          userId: user.user_id,
+          success: false,
+          reason,
+          ip,
+          userAgent,
+        });
+        return result;
+      },
+      { name: 'register_login_failure' },
+    );
+  } catch (error) {
+    logger.warn('Login failure recording failed', {
+      userId: user.user_id,
+      reason,
+      error: error.message,
+    });
+    return null;
+  }
+
+  if (failure.locked) {
+    // La liste des utilisateurs affiche l'état de verrouillage
+    invalidateDashboardCache('user');
+
+    logger.warn('Account locked after repeated login failures', {
+      userId: user.user_id,
+      failedCount: failure.failedCount,
+      lockoutMinutes: failure.lockoutMinutes,
+      ip,
+    });
+
+    captureMessage('Account locked after repeated login failures', {
+      level: 'warning',
+      tags: {
+        account_locked: true,
+        reason,
+      },
+      extra: {
+        userId: user.user_id,
+        failedCount: failure.failedCount,
+        lockoutMinutes: failure.lockoutMinutes,
+        lockedUntil: failure.lockedUntil,
+      },
+    });
+
+    // Envoi après la réponse : la durée de la requête ne révèle pas le verrouillage
+    after(async () => {
+      try {
+        await sendLockoutNotification(user, failure);
+      } catch (mailError) {
+        logger.error('Account lockout notification failed', {
+          userId: user.user_id,
+          error_message: mailError.message,
+        });
+      }
+    });
+  }
+
+  return failure;
+};
+
 const authOptions = {
   providers: [
     CredentialsProvider({
@@ -51,6 +191,8 @@ const authOptions = {
       credentials: {
         email: { label: 'Email', type: 'email' },
         password: { label: 'Password', type: 'password' },
+        totp: { label: 'Authentication code', type: 'text' },
+        remember: { label: 'Remember me', type: 'checkbox' },
       },
       async authorize(credentials, req) {
         const startTime = Date.now();
@@ -59,6 +201,9 @@ const authOptions = {
           req?.headers?.['x-real-ip'] ||
           req?.connection?.remoteAddress ||
           'unknown';
+        // Forme stockée en base (sessions et journal des connexions)
+        const storedIp = anonymizeIp(String(clientIP).split(',')[0].trim());
+        const userAgent = req?.headers?.['user-agent'];
 
         logger.info('Login attempt initiated', {
           ip: clientIP,
@@ -188,6 +333,13 @@ const authOptions = {
           });
 
           if (rateLimitCheck.isBlocked) {
+            await logLoginEvent({
+              success: false,
+              reason: 'rate_limited',
+              ip: storedIp,
+              userAgent,
+            });
+
             logger.warn('Authentication rate limit exceeded', {
               ip: clientIP,
               email: sanitizedCredentials.email.substring(0, 3) + '***',
@@ -212,10 +364,20 @@ const authOptions = {
             return null;
           }
 
-          // 5. Détection d'activité suspecte
-          const isSuspicious = detectSuspiciousLoginActivity(
-            sanitizedCredentials.email,
-          );
+          // 5. Détection d'activité suspecte : échecs récents depuis la même adresse
+          let isSuspicious = false;
+          try {
+            isSuspicious = await withTransaction(
+              (tx) => isSuspiciousLoginSource(tx, storedIp),
+              { name: 'check_login_source' },
+            );
+          } catch (suspicionError) {
+            logger.warn('Suspicious login check failed', {
+              ip: clientIP,
+              error: suspicionError.message,
+            });
+          }
+
           if (isSuspicious) {
             logger.warn('Suspicious login activity detected', {
               ip: clientIP,
@@ -269,6 +431,13 @@ const authOptions = {
           if (userRows.length === 0) {
             const duration = Date.now() - startTime;
 
+            await logLoginEvent({
+              success: false,
+              reason: 'unknown_user',
+              ip: storedIp,
+              userAgent,
+            });
+
             logger.warn('Login attempt for non-existent user', {
               ip: clientIP,
               email: sanitizedCredentials.email.substring(0, 3) + '***',
@@ -293,13 +462,40 @@ const authOptions = {
 
           const user = userRows[0];
 
-          // 8. Vérification du mot de passe
+          // 8. État du compte (hash relu à chaque tentative)
+          const accountState = await getUserAccountState(user.user_id, {
+            withPassword: true,
+          });
+
+          // 9. Compte verrouillé : refusé avant toute comparaison du mot de passe,
+          // pour que la réponse soit identique qu'il soit correct ou non
+          if (accountState?.user_is_locked) {
+            await logLoginEvent({
+              userId: user.user_id,
+              success: false,
+              reason: 'account_locked',
+              ip: storedIp,
+              userAgent,
+            });
+
+            logger.warn('Login refused: account locked', {
+              ip: clientIP,
+              userId: user.user_id,
+              duration: Date.now() - startTime,
+            });
+
+            throw new Error(LOGIN_ERRORS.ACCOUNT_LOCKED);
+          }
+
+          // 10. Vérification du mot de passe
           let isPasswordValid;
           try {
-            isPasswordValid = await bcrypt.compare(
-              sanitizedCredentials.password,
-              user.user_password,
-            );
+            isPasswordValid =
+              !!accountState &&
+              (await bcrypt.compare(
+                sanitizedCredentials.password,
+                accountState.user_password,
+              ));
           } catch (bcryptError) {
             logger.error('Password verification error', {
               ip: clientIP,
@@ -319,10 +515,16 @@ const authOptions = {
             return null;
           }
 
-          // 9. Résultat de l'authentification
+          // 11. Résultat de l'authentification
           const duration = Date.now() - startTime;
 
           if (!isPasswordValid) {
+            await handleLoginFailure(user, {
+              reason: 'invalid_password',
+              ip: storedIp,
+              userAgent,
+            });
+
             logger.warn('Login attempt with invalid password', {
               ip: clientIP,
               email: sanitizedCredentials.email.substring(0, 3) + '***',
@@ -347,11 +549,147 @@ const authOptions = {
             return null;
           }
 
-          // 10. Authentification réussie
+          // 12. Vérification du statut du compte
+          if (
+            !accountState ||
+            !accountState.user_is_active ||
+            accountState.user_must_reset_password
+          ) {
+            const reason = !accountState?.user_is_active
+              ? 'account_deactivated'
+              : 'password_reset_required';
+
+            await logLoginEvent({
+              userId: user.user_id,
+              success: false,
+              reason,
+              ip: storedIp,
+              userAgent,
+            });
+
+            logger.warn('Login refused by account status', {
+              ip: clientIP,
+              userId: user.user_id,
+              reason,
+              duration,
+            });
+
+            captureMessage('Login refused by account status', {
+              level: 'warning',
+              tags: {
+                account_status_refused: true,
+                reason,
+                ip: clientIP.substring(0, 8) + '***',
+              },
+              extra: {
+                userId: user.user_id,
+                email: sanitizedCredentials.email.substring(0, 3) + '***',
+              },
+            });
+
+            return null;
+          }
+
+          // 13. Second facteur : code TOTP ou code de secours
+          // Les erreurs levées ici sont transmises au client (result.error)
+          let usedRecoveryCode = false;
+          if (accountState.user_totp_enabled) {
+            if (!credentials.totp) {
+              logger.info('Second factor requested', {
+                ip: clientIP,
+                userId: user.user_id,
+              });
+              throw new Error(TWO_FACTOR_ERRORS.REQUIRED);
+            }
+
+            const isCodeWellFormed = await twoFactorCodeSchema.isValid({
+              code: credentials.totp,
+            });
+            const secondFactor = isCodeWellFormed
+              ? await withTransaction(
+                  (tx) =>
+                    verifySecondFactor(tx, user.user_id, credentials.totp),
+                  { name: 'verify_second_factor' },
+                )
+              : { valid: false, method: null };
+
+            if (!secondFactor.valid) {
+              const failure = await handleLoginFailure(user, {
+                reason: 'invalid_second_factor',
+                ip: storedIp,
+                userAgent,
+              });
+
+              logger.warn('Login attempt with invalid second factor', {
+                ip: clientIP,
+                userId: user.user_id,
+                method: secondFactor.method,
+              });
+
+              captureAuthError(new Error('Invalid second factor'), {
+                method: 'second_factor_authentication',
+                provider: 'credentials',
+                tags: {
+                  invalid_second_factor: true,
+                  ip: clientIP.substring(0, 8) + '***',
+                },
+                extra: {
+                  userId: user.user_id,
+                  secondFactorMethod: secondFactor.method,
+                },
+              });
+
+              throw new Error(
+                failure?.locked
+                  ? LOGIN_ERRORS.ACCOUNT_LOCKED
+                  : TWO_FACTOR_ERRORS.INVALID,
+              );
+            }
+
+            if (secondFactor.method === 'recovery') {
+              usedRecoveryCode = true;
+              captureMessage('Login with a recovery code', {
+                level: 'warning',
+                tags: {
+                  recovery_code_used: true,
+                  ip: clientIP.substring(0, 8) + '***',
+                },
+                extra: { userId: user.user_id },
+              });
+            }
+          }
+
+          // 14. Enregistrement de la session (révocable depuis « Mes sessions »)
+          // et remise à zéro des compteurs d'échecs
+          const remember = credentials.remember === 'true';
+          const session = await withTransaction(
+            async (tx) => {
+              await resetFailedLogins(tx, user.user_id);
+              await recordLoginEvent(tx, {
+                userId: user.user_id,
+                success: true,
+                reason: usedRecoveryCode ? 'recovery_code' : null,
+                ip: storedIp,
+                userAgent,
+              });
+              return createUserSession(tx, {
+                userId: user.user_id,
+                ip: storedIp,
+                userAgent,
+                remember,
+              });
+            },
+            { name: 'create_user_session' },
+          );
+
+          // 15. Authentification réussie
           logger.info('Successful login', {
             ip: clientIP,
             userId: user.user_id,
+            role: normalizeRole(accountState.user_role),
             email: sanitizedCredentials.email.substring(0, 3) + '***',
+            sessionId: session.session_id,
+            remember,
             duration,
           });
 
@@ -373,8 +711,25 @@ const authOptions = {
             id: user.user_id,
             name: user.user_name,
             email: user.user_email,
+            role: normalizeRole(accountState.user_role),
+            // Rôle soumis à la double authentification sans l'avoir activée
+            twoFactorSetupRequired:
+              isTwoFactorRequired(normalizeRole(accountState.user_role)) &&
+              !accountState.user_totp_enabled,
+            sessionId: session.session_id,
+            sessionExpiresAt: new Date(session.expires_at).toISOString(),
           };
         } catch (error) {
+          // Double authentification ou verrouillage : le message est destiné à la page de connexion
+          if (
+            [
+              ...Object.values(TWO_FACTOR_ERRORS),
+              ...Object.values(LOGIN_ERRORS),
+            ].includes(error.message)
+          ) {
+            throw error;
+          }
+
           const duration = Date.now() - startTime;
 
           logger.error('Unexpected error during authentication', {
@@ -402,14 +757,77 @@ const authOptions = {
     }),
   ],
   callbacks: {
-    jwt: async ({ token, user }) => {
+    jwt: async ({ token, user, trigger }) => {
       try {
         // Initial sign in
         if (user) {
           token.id = user.id;
           token.name = user.name;
           token.email = user.email;
+          token.role = normalizeRole(user.role);
+          token.isActive = true;
+          token.twoFactorSetupRequired = !!user.twoFactorSetupRequired;
+          token.accountCheckedAt = Date.now();
+          token.sid = user.sessionId;
+          token.sessionExpiresAt = user.sessionExpiresAt;
+          return token;
+        }
+
+        // Session révoquée ou expirée dans le registre : le JWT ne redevient jamais valide
+        if (token.sessionRevoked) {
+          return token;
+        }
+
+        // Vérification partagée avec le middleware (mémorisée brièvement)
+        try {
+          const sessionState = await verifyUserSession(token.sid, token.id);
+          if (!sessionState.active) {
+            logger.info('JWT refers to an inactive session', {
+              userId: token.id,
+              sessionId: token.sid,
+              reason: sessionState.reason,
+            });
+            token.sessionRevoked = true;
+            return token;
+          }
+          delete token.sessionUnverified;
+        } catch (sessionError) {
+          // En cas d'erreur DB, la session est refusée pour cette requête seulement :
+          // elle sera revérifiée à la suivante
+          logger.error('Session registry check failed', {
+            userId: token.id,
+            sessionId: token.sid,
+            error: sessionError.message,
+          });
+          token.sessionUnverified = true;
+          return token;
+        }
+
+        // Revérifier périodiquement le compte : désactivation, changement de rôle et
+        // double authentification (immédiatement après un update() de la session)
+        if (
+          token.id &&
+          (trigger === 'update' ||
+            Date.now() - (token.accountCheckedAt || 0) >
+              ACCOUNT_STATE_REFRESH_MS)
+        ) {
+          try {
+            const accountState = await getUserAccountState(token.id);
+            token.isActive = !!accountState?.user_is_active;
+            token.role = normalizeRole(accountState?.user_role);
+            token.twoFactorSetupRequired =
+              isTwoFactorRequired(token.role) &&
+              !accountState?.user_totp_enabled;
+            token.accountCheckedAt = Date.now();
+          } catch (stateError) {
+            // En cas d'erreur DB, conserver l'état connu jusqu'à la prochaine vérification
+            logger.warn('Account state refresh failed', {
+              userId: token.id,
+              error: stateError.message,
+            });
+          }
         }
+
         return token;
       } catch (error) {
         logger.error('JWT callback error', {
@@ -433,10 +851,25 @@ const authOptions = {
     },
     session: async ({ session, token }) => {
       try {
+        // Compte désactivé, session révoquée ou non confirmée par le registre :
+        // session sans utilisateur, refusée par les routes protégées
+        if (
+          token?.isActive === false ||
+          token?.sessionRevoked ||
+          token?.sessionUnverified
+        ) {
+          return { expires: session.expires };
+        }
+
         if (token) {
           session.user.id = token.id;
           session.user.name = token.name;
           session.user.email = token.email;
+          session.user.role = normalizeRole(token.role);
+          session.user.twoFactorSetupRequired = !!token.twoFactorSetupRequired;
+          session.user.sessionId = token.sid;
+          // Expiration réelle : celle du registre, pas celle du cookie
+          if (token.sessionExpiresAt) session.expires = token.sessionExpiresAt;
         }
         return session;
       } catch (error) {
@@ -466,7 +899,9 @@ const authOptions = {
   },
   session: {
     strategy: 'jwt',
-    maxAge: 30 * 24 * 60 * 60, // 30 days
+    // Plafond du cookie : la durée réelle (courte, ou longue avec « Se souvenir
+    // de moi ») est portée par admin.user_sessions
+    maxAge: SESSION_MAX_AGE_SECONDS,
   },
   secret: process.env.NEXTAUTH_SECRET,
   events: {
@@ -482,6 +917,26 @@ const authOptions = {
         userId: message.token?.id,
         email: message.token?.email?.substring(0, 3) + '***',
       });
+
+      if (!message.token?.sid) return;
+
+      try {
+        await withTransaction(
+          (tx) =>
+            revokeUserSession(tx, {
+              sessionId: message.token.sid,
+              userId: message.token.id,
+              reason: 'sign_out',
+            }),
+          { name: 'revoke_session_on_sign_out' },
+        );
+      } catch (error) {
+        logger.warn('Session revocation on sign out failed', {
+          userId: message.token.id,
+          sessionId: message.token.sid,
+          error: error.message,
+        });
+      }
     },
     async createUser(message) {
       logger.info('NextAuth createUser event', {
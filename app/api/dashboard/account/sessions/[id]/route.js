@@ -0,0 +1,49 @@
+// app/api/dashboard/account/sessions/[id]/route.js
+// Révoque une session du compte connecté (jamais celle d'un autre compte)
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { revokeUserSession } from '@backend/sessions';
+import { PERMISSIONS } from '@/utils/permissions';
+import { sessionIdSchema } from '@/utils/schemas/authSchema';
+
+export const dynamic = 'force-dynamic';
+
+export const DELETE = defineDashboardRoute({
+  entity: 'session',
+  component: 'account',
+  operation: 'delete',
+  endpoint: '/api/dashboard/account/sessions/[id]',
+  methods: 'DELETE',
+  permission: PERMISSIONS.ACCOUNT_MANAGE,
+  params: { schema: sessionIdSchema, message: 'Invalid session ID format' },
+  rateLimit: {
+    max: 20, // 20 révocations par 5 minutes
+    message:
+      'Trop de révocations de sessions. Veuillez réessayer dans quelques minutes.',
+    prefix: 'revoke_session',
+  },
+  failureMessage: 'Failed to revoke session',
+
+  handler: async ({ client, id, session, actorId, fail }) => {
+    // La session courante se ferme par la déconnexion
+    if (String(id) === String(session.user.sessionId)) {
+      return fail(400, {
+        error: 'Use sign out to end the current session',
+        action: 'current_session_revoke_refused',
+      });
+    }
+
+    const revoked = await revokeUserSession(client, {
+      sessionId: id,
+      userId: actorId,
+      reason: 'user',
+    });
+
+    if (!revoked) {
+      return fail(404, { error: 'Session not found' });
+    }
+
+    return {
+      body: { message: 'Session revoked' },
+    };
+  },
+});
@@ -0,0 +1,40 @@
+// app/api/dashboard/account/sessions/route.js
+// Révoque toutes les sessions du compte connecté sauf la session courante
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { revokeUserSessions } from '@backend/sessions';
+import { PERMISSIONS } from '@/utils/permissions';
+
+export const dynamic = 'force-dynamic';
+
+export const DELETE = defineDashboardRoute({
+  entity: 'session',
+  component: 'account',
+  operation: 'delete',
+  endpoint: '/api/dashboard/account/sessions',
+  methods: 'DELETE',
+  permission: PERMISSIONS.ACCOUNT_MANAGE,
+  rateLimit: {
+    max: 10, // 10 révocations groupées par 5 minutes
+    message:
+      'Trop de révocations de sessions. Veuillez réessayer dans quelques minutes.',
+    prefix: 'revoke_other_sessions',
+  },
+  failureMessage: 'Failed to revoke sessions',
+
+  handler: async ({ client, session, actorId }) => {
+    const revoked = await revokeUserSessions(client, actorId, {
+      reason: 'user',
+      exceptSessionId: session.user.sessionId,
+    });
+
+    return {
+      body: {
+        message:
+          revoked > 0
+            ? `${revoked} session(s) revoked`
+            : 'No other active session',
+        revoked,
+      },
+    };
+  },
+});
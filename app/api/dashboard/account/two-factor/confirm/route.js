@@ -0,0 +1,100 @@
+// app/api/dashboard/account/two-factor/confirm/route.js
+// Confirme l'activation de la double authentification par un premier code TOTP
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import {
+  fetchTwoFactorState,
+  replaceRecoveryCodes,
+  verifyTotp,
+} from '@backend/twoFactor';
+import { PERMISSIONS } from '@/utils/permissions';
+import { normalizeSecondFactorCode } from '@/utils/twoFactor';
+import { twoFactorSetupSchema } from '@/utils/schemas/authSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = defineDashboardRoute({
+  entity: 'user',
+  component: 'account',
+  operation: 'update',
+  endpoint: '/api/dashboard/account/two-factor/confirm',
+  methods: 'POST',
+  permission: PERMISSIONS.ACCOUNT_MANAGE,
+  rateLimit: {
+    max: 5, // 5 codes par 5 minutes
+    message: 'Trop de codes saisis. Veuillez réessayer dans quelques minutes.',
+    prefix: 'two_factor_confirm',
+  },
+  failureMessage: 'Failed to enable two-factor authentication',
+  sanitize: (body) => ({ code: normalizeSecondFactorCode(body.code) }),
+  schema: twoFactorSetupSchema,
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, data, actorId, audit, requestId, fail }) => {
+    const outcome = await withTransaction(
+      async (tx) => {
+        const state = await fetchTwoFactorState(tx, actorId, {
+          forUpdate: true,
+        });
+
+        if (state?.enabled) return { status: 'already_enabled' };
+        if (!state?.pending) return { status: 'no_setup' };
+
+        const step = verifyTotp(state.secret, data.code);
+        if (step === null) return { status: 'invalid_code' };
+
+        await tx.query(
+          `UPDATE admin.users
+           SET user_totp_enabled = TRUE,
+               user_totp_enabled_at = NOW(),
+               user_totp_last_step = $1,
+               user_updated = NOW()
+           WHERE user_id = $2`,
+          [step, actorId],
+        );
+
+        const recoveryCodes = await replaceRecoveryCodes(tx, actorId);
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: actorId,
+          before: { user_totp_enabled: false },
+          after: { user_totp_enabled: true },
+        });
+
+        return { status: 'enabled', recoveryCodes };
+      },
+      { client, name: 'confirm_two_factor_setup', requestId },
+    );
+
+    if (outcome.status === 'already_enabled') {
+      return fail(409, {
+        error: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (outcome.status === 'no_setup') {
+      return fail(409, { error: 'No two-factor setup in progress' });
+    }
+
+    if (outcome.status === 'invalid_code') {
+      return fail(400, {
+        error: 'Invalid authentication code',
+        errors: { code: 'Invalid authentication code' },
+        action: 'two_factor_invalid_code',
+      });
+    }
+
+    return {
+      body: {
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes: outcome.recoveryCodes },
+      },
+    };
+  },
+});
@@ -0,0 +1,80 @@
+// app/api/dashboard/account/two-factor/recovery-codes/route.js
+// Régénère les codes de secours (les anciens deviennent inutilisables)
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import {
+  fetchTwoFactorState,
+  replaceRecoveryCodes,
+  verifySecondFactor,
+} from '@backend/twoFactor';
+import { PERMISSIONS } from '@/utils/permissions';
+import { normalizeSecondFactorCode } from '@/utils/twoFactor';
+import { twoFactorCodeSchema } from '@/utils/schemas/authSchema';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = defineDashboardRoute({
+  entity: 'user',
+  component: 'account',
+  operation: 'update',
+  endpoint: '/api/dashboard/account/two-factor/recovery-codes',
+  methods: 'POST',
+  permission: PERMISSIONS.ACCOUNT_MANAGE,
+  rateLimit: {
+    max: 5, // 5 régénérations par 5 minutes
+    message: 'Trop de codes saisis. Veuillez réessayer dans quelques minutes.',
+    prefix: 'two_factor_recovery_codes',
+  },
+  failureMessage: 'Failed to regenerate recovery codes',
+  sanitize: (body) => ({ code: normalizeSecondFactorCode(body.code) }),
+  schema: twoFactorCodeSchema,
+
+  handler: async ({ client, data, actorId, audit, requestId, fail }) => {
+    const outcome = await withTransaction(
+      async (tx) => {
+        const state = await fetchTwoFactorState(tx, actorId, {
+          forUpdate: true,
+        });
+
+        if (!state?.enabled) return { status: 'not_enabled' };
+
+        const check = await verifySecondFactor(tx, actorId, data.code);
+        if (!check.valid) return { status: 'invalid_code' };
+
+        const recoveryCodes = await replaceRecoveryCodes(tx, actorId);
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: actorId,
+          before: { recovery_codes_left: state.recoveryCodesLeft },
+          after: { recovery_codes_left: recoveryCodes.length },
+        });
+
+        return { status: 'regenerated', recoveryCodes };
+      },
+      { client, name: 'regenerate_recovery_codes', requestId },
+    );
+
+    if (outcome.status === 'not_enabled') {
+      return fail(409, { error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (outcome.status === 'invalid_code') {
+      return fail(400, {
+        error: 'Invalid authentication code',
+        errors: { code: 'Invalid authentication code' },
+        action: 'two_factor_invalid_code',
+      });
+    }
+
+    return {
+      body: {
+        message: 'Recovery codes regenerated',
+        data: { recoveryCodes: outcome.recoveryCodes },
+      },
+    };
+  },
+});
@@ -0,0 +1,153 @@
+// app/api/dashboard/account/two-factor/route.js
+// Double authentification du compte connecté : début de l'activation (POST) et désactivation (DELETE)
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import {
+  buildOtpauthUrl,
+  buildTotpQrCode,
+  disableTwoFactor,
+  encryptTotpSecret,
+  fetchTwoFactorState,
+  generateTotpSecret,
+  verifySecondFactor,
+} from '@backend/twoFactor';
+import { PERMISSIONS } from '@/utils/permissions';
+import { normalizeSecondFactorCode } from '@/utils/twoFactor';
+import { twoFactorCodeSchema } from '@/utils/schemas/authSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = defineDashboardRoute({
+  entity: 'user',
+  component: 'account',
+  operation: 'update',
+  endpoint: '/api/dashboard/account/two-factor',
+  methods: 'POST, DELETE',
+  permission: PERMISSIONS.ACCOUNT_MANAGE,
+  rateLimit: {
+    max: 10, // 10 débuts d'activation par 5 minutes
+    message:
+      "Trop de tentatives d'activation. Veuillez réessayer dans quelques minutes.",
+    prefix: 'two_factor_setup',
+  },
+  failureMessage: 'Failed to start two-factor setup',
+
+  handler: async ({ client, actorId, requestId, fail }) => {
+    // Un nouveau secret remplace celui d'une activation non confirmée
+    const setup = await withTransaction(
+      async (tx) => {
+        const state = await fetchTwoFactorState(tx, actorId, {
+          forUpdate: true,
+        });
+
+        if (!state || state.enabled) return { state };
+
+        const secret = generateTotpSecret();
+        await tx.query(
+          'UPDATE admin.users SET user_totp_secret = $1 WHERE user_id = $2',
+          [encryptTotpSecret(secret), actorId],
+        );
+
+        return { state, secret };
+      },
+      { client, name: 'start_two_factor_setup', requestId },
+    );
+
+    if (!setup.state) {
+      return fail(404, { error: 'User not found', action: 'user_not_found' });
+    }
+
+    if (setup.state.enabled) {
+      return fail(409, {
+        error: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const otpauthUrl = buildOtpauthUrl(setup.secret, setup.state.email);
+
+    return {
+      body: {
+        data: {
+          secret: setup.secret,
+          otpauthUrl,
+          qrCode: await buildTotpQrCode(otpauthUrl),
+        },
+      },
+    };
+  },
+});
+
+export const DELETE = defineDashboardRoute({
+  entity: 'user',
+  component: 'account',
+  operation: 'update',
+  endpoint: '/api/dashboard/account/two-factor',
+  methods: 'POST, DELETE',
+  permission: PERMISSIONS.ACCOUNT_MANAGE,
+  rateLimit: {
+    max: 5, // 5 tentatives de désactivation par 5 minutes
+    message:
+      'Trop de tentatives de désactivation. Veuillez réessayer dans quelques minutes.',
+    prefix: 'two_factor_disable',
+  },
+  failureMessage: 'Failed to disable two-factor authentication',
+  sanitize: (body) => ({ code: normalizeSecondFactorCode(body.code) }),
+  schema: twoFactorCodeSchema,
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, data, actorId, audit, requestId, fail }) => {
+    const outcome = await withTransaction(
+      async (tx) => {
+        const state = await fetchTwoFactorState(tx, actorId, {
+          forUpdate: true,
+        });
+
+        if (!state?.enabled) return 'not_enabled';
+        if (state.required) return 'required';
+
+        const check = await verifySecondFactor(tx, actorId, data.code);
+        if (!check.valid) return 'invalid_code';
+
+        await disableTwoFactor(tx, actorId);
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: actorId,
+          before: { user_totp_enabled: true },
+          after: { user_totp_enabled: false },
+        });
+
+        return 'disabled';
+      },
+      { client, name: 'disable_two_factor', requestId },
+    );
+
+    if (outcome === 'not_enabled') {
+      return fail(409, { error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (outcome === 'required') {
+      return fail(403, {
+        error: 'Two-factor authentication is required for your role',
+        action: 'two_factor_disable_refused',
+      });
+    }
+
+    if (outcome === 'invalid_code') {
+      return fail(400, {
+        error: 'Invalid authentication code',
+        errors: { code: 'Invalid authentication code' },
+        action: 'two_factor_invalid_code',
+      });
+    }
+
+    return {
+      body: { message: 'Two-factor authentication disabled' },
+    };
+  },
+});
@@ -1,32 +1,13 @@
-import { v2 as cloudinary } from 'cloudinary';
-import { NextResponse } from 'next/server';
-
-export async function POST(req) {
-  console.log('POST REQUEST OF ADDING IMAGE APPLICATIONS');
-  try {
-    const body = await req.json();
-    const { paramsToSign } = body;
-
-    cloudinary.config({
-      cloud_name: process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.NEXT_PUBLIC_CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET,
-    });
-
-    paramsToSign.folder = 'applications';
-
-    const signature = cloudinary.utils.api_sign_request(
-      paramsToSign,
-      process.env.CLOUDINARY_API_SECRET,
-    );
-
-    return NextResponse.json({ signature }, { status: 200 });
-  } catch (error) {
-    console.error('Error generating Cloudinary signature:', error);
-
-    return NextResponse.json(
-      { error: 'Failed to generate signature' },
-      { status: 500 },
-    );
-  }
-}
+// app/api/dashboard/applications/add/sign-image/route.js
+import { defineSignImageRoute } from '@backend/cloudinarySignature';
+import { PERMISSIONS } from '@/utils/permissions';
+
+export const dynamic = 'force-dynamic';
+
+// Formulaires d'ajout et d'édition : les rôles qui créent peuvent aussi modifier
+export const POST = defineSignImageRoute({
+  entity: 'application',
+  component: 'applications',
+  endpoint: '/api/dashboard/applications/add/sign-image',
+  permission: PERMISSIONS.APPLICATIONS_UPDATE,
+});
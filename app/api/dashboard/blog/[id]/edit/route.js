@@ -1,749 +1,260 @@
-/* eslint-disable no-unused-vars */
-import { NextResponse } from 'next/server';
-import cloudinary from '@backend/cloudinary';
-import { getClient } from '@backend/dbConnect';
+// app/api/dashboard/blog/[id]/edit/route.js
 import {
-  captureException,
-  captureMessage,
-  captureDatabaseError,
-} from '@/monitoring/sentry';
+  defineDashboardRoute,
+  pickDefined,
+  toFieldErrors,
+} from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
 import {
-  categorizeError,
-  generateRequestId,
-  extractRealIp,
-  anonymizeIp,
-} from '@/utils/helpers';
-import logger from '@/utils/logger';
-import isAuthenticatedUser from '@backend/authMiddleware';
-import { applyRateLimit } from '@backend/rateLimiter';
-import { sanitizeUpdateArticleInputs } from '@/utils/sanitizers/sanitizeArticleInputs';
+  resolvePublication,
+  publicationColumns,
+} from '@backend/articlePublishing';
+import { recordArticleRevision } from '@backend/articleRevisions';
 import {
+  isSlugAvailable,
+  isSlugConflictError,
+  recordSlugRedirect,
+  SLUG_TAKEN_MESSAGE,
+} from '@backend/articleSlugs';
+import { PERMISSIONS } from '@/utils/permissions';
+import {
+  sanitizeUpdateArticleInputs,
+  sanitizeArticleSeoInputs,
+} from '@/utils/sanitizers/sanitizeArticleInputs';
+import {
+  addArticleSchema,
   updateArticleSchema,
   articleIdSchema,
 } from '@/utils/schemas/articleSchema';
-import { dashboardCache, getDashboardCacheKey } from '@/utils/cache';
+import { dashboardCache, invalidateDashboardLists } from '@/utils/cache';
 
 export const dynamic = 'force-dynamic';
 
-// Créer le middleware de rate limiting spécifique pour la modification d'articles
-const editArticleRateLimit = applyRateLimit('CONTENT_API', {
-  windowMs: 2 * 60 * 1000, // 2 minutes
-  max: 15, // 15 modifications par 2 minutes
-  message:
-    "Trop de tentatives de modification d'articles. Veuillez réessayer dans quelques minutes.",
-  skipSuccessfulRequests: false,
-  skipFailedRequests: false,
-  prefix: 'edit_article',
-
-  keyGenerator: (req) => {
-    const ip = extractRealIp(req);
-    const url = req.url || req.nextUrl?.pathname || '';
-    const articleIdMatch = url.match(/blog\/([^/]+)\/edit/);
-    const articleId = articleIdMatch ? articleIdMatch[1] : 'unknown';
-    return `edit_article:ip:${ip}:article:${articleId}`;
-  },
-});
-
-// Fonction d'invalidation du cache
-const invalidateArticlesCache = (requestId, articleId) => {
-  try {
-    const listCacheKey = getDashboardCacheKey('articles_list', {
-      endpoint: 'dashboard_articles',
-      version: '1.0',
-    });
-
-    const listCacheInvalidated =
-      dashboardCache.blogArticles.delete(listCacheKey);
-
-    captureMessage('Articles cache invalidated after modification', {
-      level: 'info',
-      tags: {
-        component: 'articles',
-        action: 'cache_invalidation',
-        entity: 'blog_article',
-        operation: 'update',
-      },
-      extra: {
-        requestId,
-        articleId,
-        listCacheKey,
-        listInvalidated: listCacheInvalidated,
-      },
-    });
-
-    return {
-      listInvalidated: listCacheInvalidated,
-    };
-  } catch (cacheError) {
-    logger.warn('Failed to invalidate articles cache', {
-      requestId,
-      articleId,
-      error: cacheError.message,
-    });
-
-    captureException(cacheError, {
-      level: 'warning',
-      tags: {
-        component: 'articles',
-        action: 'cache_invalidation_failed',
-        error_category: 'cache',
-        entity: 'blog_article',
-        operation: 'update',
-      },
-      extra: {
-        requestId,
-        articleId,
-      },
-    });
-
-    return { listInvalidated: false };
-  }
+// Colonnes modifiables : clé du body -> colonne SQL.
+// Le statut, is_active et les dates de publication sont dérivés par resolvePublication,
+// le slug est traité à part (redirection de l'ancien slug)
+const UPDATABLE_COLUMNS = {
+  title: 'article_title',
+  text: 'article_text',
+  imageUrl: 'article_image',
+  metaTitle: 'meta_title',
+  metaDescription: 'meta_description',
+  keywords: 'meta_keywords',
+  ogImage: 'og_image',
 };
 
-// Fonction pour générer les headers de sécurité
-const getSecurityHeaders = (requestId, responseTime, articleId) => {
-  return {
-    'Access-Control-Allow-Origin':
-      process.env.NEXT_PUBLIC_SITE_URL || 'same-origin',
-    'Access-Control-Allow-Methods': 'PUT, OPTIONS',
-    'Access-Control-Allow-Headers':
-      'Content-Type, Authorization, X-Requested-With',
-    'Cache-Control':
-      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
-    Pragma: 'no-cache',
-    Expires: '0',
-    'X-Content-Type-Options': 'nosniff',
-    'X-Frame-Options': 'DENY',
-    'X-XSS-Protection': '1; mode=block',
-    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains; preload',
-    'Referrer-Policy': 'strict-origin-when-cross-origin',
-    'Cross-Origin-Resource-Policy': 'same-site',
-    'Cross-Origin-Opener-Policy': 'same-origin',
-    'Cross-Origin-Embedder-Policy': 'credentialless',
-    'Content-Security-Policy':
-      "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; img-src 'self' https: data:; connect-src 'self'",
-    'X-API-Version': '1.0',
-    'X-Transaction-Type': 'mutation',
-    'X-Entity-Type': 'blog-article',
-    'X-Operation-Type': 'update',
+// Champs de référencement qu'une chaîne vide efface
+const NULLABLE_FIELDS = ['metaTitle', 'metaDescription', 'ogImage'];
+
+// Champs du body qui modifient la publication
+const PUBLICATION_FIELDS = ['status', 'publishAt', 'isActive'];
+
+export const PUT = defineDashboardRoute({
+  entity: 'article',
+  component: 'blog',
+  operation: 'update',
+  endpoint: '/api/dashboard/blog/[id]/edit',
+  methods: 'PUT',
+  permission: PERMISSIONS.ARTICLES_UPDATE,
+  params: { schema: articleIdSchema, message: 'Invalid article ID format' },
+  rateLimit: {
+    windowMs: 2 * 60 * 1000, // 2 minutes
+    max: 15, // 15 modifications par 2 minutes
+    message:
+      "Trop de tentatives de modification d'articles. Veuillez réessayer dans quelques minutes.",
+    prefix: 'edit_article',
+  },
+  headers: {
     'X-Cache-Invalidation': 'articles',
-    'X-Sanitization-Applied': 'true',
-    'X-Yup-Validation-Applied': 'true',
-    'X-Rate-Limiting-Applied': 'true',
-    'X-RateLimit-Window': '120',
-    'X-RateLimit-Limit': '15',
-    'X-Permitted-Cross-Domain-Policies': 'none',
     'X-Robots-Tag': 'noindex, nofollow',
-    Vary: 'Authorization, Content-Type',
-    'X-Request-ID': requestId,
-    'X-Response-Time': `${responseTime}ms`,
-    'X-Content-Category': 'blog-content',
-    'X-Database-Operations': '3',
-    'X-Resource-ID': articleId,
-  };
-};
-
-export async function PUT(request, { params }) {
-  let client;
-  const startTime = Date.now();
-  const requestId = generateRequestId();
-  const { id } = params;
-
-  logger.info('Edit Article API called', {
-    requestId,
-    articleId: id,
-  });
-
-  captureMessage('Edit article process started', {
-    level: 'info',
-    tags: {
-      component: 'articles',
-      action: 'process_start',
-      api_endpoint: '/api/dashboard/blog/[id]/edit',
-      entity: 'blog_article',
-      operation: 'update',
-    },
-    extra: {
-      requestId,
-      articleId: id,
-      timestamp: new Date().toISOString(),
-      method: 'PUT',
-    },
-  });
-
-  try {
-    // ===== ÉTAPE 1: VALIDATION DE L'ID DE L'ARTICLE =====
-    try {
-      await articleIdSchema.validate({ id }, { abortEarly: false });
-    } catch (idValidationError) {
-      const errorCategory = categorizeError(idValidationError);
-
-      logger.error('Article ID Validation Error', {
-        category: errorCategory,
-        articleId: id,
-        validation_errors: idValidationError.inner?.map(
-          (err) => err.message,
-        ) || [idValidationError.message],
-        requestId,
-      });
-
-      captureMessage('Article ID validation failed', {
-        level: 'warning',
-        tags: {
-          component: 'articles',
-          action: 'id_validation_failed',
-          error_category: 'validation',
-          entity: 'blog_article',
-          operation: 'update',
-        },
-        extra: {
-          requestId,
-          articleId: id,
-          validationErrors: idValidationError.inner?.map(
-            (err) => err.message,
-          ) || [idValidationError.message],
-        },
-      });
+  },
+  failureMessage: 'Failed to update article',
+
+  // Mise à jour partielle : seuls les champs fournis sont nettoyés.
+  // oldImageId n'est plus lu : l'image remplacée reste référencée par les révisions
+  sanitize: (body) =>
+    pickDefined({
+      ...sanitizeUpdateArticleInputs(
+        pickDefined({
+          title: body.title,
+          text: body.text,
+          imageUrl: body.imageUrl,
+          isActive: body.isActive,
+          status: body.status,
+          publishAt: body.publishAt,
+        }),
+      ),
+      ...sanitizeArticleSeoInputs(body),
+    }),
+  schema: updateArticleSchema,
+
+  // Listes, ainsi que l'article et ses révisions mis en cache pour la page d'édition
+  invalidateCache: ({ id }) => {
+    invalidateDashboardLists('blog');
+    dashboardCache.singleBlogArticle.invalidatePattern(id);
+  },
 
-      const responseTime = Date.now() - startTime;
-      const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
+  handler: async ({ client, id, data, audit, requestId, fail }) => {
+    const updates = Object.entries(UPDATABLE_COLUMNS).filter(
+      ([field]) => data[field] !== undefined,
+    );
 
-      return NextResponse.json(
-        {
-          success: false,
-          error: 'Invalid article ID format',
-          details: idValidationError.inner?.map((err) => err.message) || [
-            idValidationError.message,
-          ],
-          requestId,
-        },
-        {
-          status: 400,
-          headers: securityHeaders,
-        },
-      );
+    if (
+      updates.length === 0 &&
+      !data.slug &&
+      !PUBLICATION_FIELDS.some((field) => data[field] !== undefined)
+    ) {
+      return fail(400, { error: 'No fields to update' });
     }
 
-    // ===== ÉTAPE 2: APPLIQUER LE RATE LIMITING =====
-    const rateLimitResponse = await editArticleRateLimit(request);
-
-    if (rateLimitResponse) {
-      logger.warn('Edit article API rate limit exceeded', {
-        requestId,
-        articleId: id,
-        ip: anonymizeIp(extractRealIp(request)),
+    const slugConflict = () =>
+      fail(409, {
+        error: 'Slug already in use',
+        errors: { slug: SLUG_TAKEN_MESSAGE },
+        action: 'slug_conflict',
       });
 
-      captureMessage('Edit article API rate limit exceeded', {
-        level: 'warning',
-        tags: {
-          component: 'articles',
-          action: 'rate_limit_exceeded',
-          error_category: 'rate_limiting',
-          entity: 'blog_article',
-          operation: 'update',
-        },
-        extra: {
-          requestId,
-          articleId: id,
-          ip: anonymizeIp(extractRealIp(request)),
-          userAgent:
-            request.headers.get('user-agent')?.substring(0, 100) || 'unknown',
-        },
-      });
-
-      const responseTime = Date.now() - startTime;
-      const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-      return new NextResponse(rateLimitResponse.body, {
-        status: 429,
-        headers: {
-          ...Object.fromEntries(rateLimitResponse.headers.entries()),
-          ...securityHeaders,
-        },
-      });
-    }
-
-    // ===== ÉTAPE 3: VÉRIFICATION AUTHENTIFICATION =====
-    await isAuthenticatedUser(request, NextResponse);
-
-    // ===== ÉTAPE 4: CONNEXION BASE DE DONNÉES =====
+    let result;
     try {
-      client = await getClient();
-    } catch (dbConnectionError) {
-      const errorCategory = categorizeError(dbConnectionError);
-
-      logger.error('Database Connection Error during article edit', {
-        category: errorCategory,
-        message: dbConnectionError.message,
-        requestId,
-        articleId: id,
-      });
-
-      captureDatabaseError(dbConnectionError, {
-        tags: {
-          component: 'articles',
-          action: 'db_connection_failed',
-          operation: 'connection',
-          entity: 'blog_article',
-        },
-        extra: {
-          requestId,
-          articleId: id,
-          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
-          ip: anonymizeIp(extractRealIp(request)),
-          rateLimitingApplied: true,
-        },
-      });
-
-      const responseTime = Date.now() - startTime;
-      const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-      return NextResponse.json(
-        {
-          success: false,
-          error: 'Database connection failed',
-          requestId,
-        },
-        {
-          status: 503,
-          headers: securityHeaders,
+      result = await withTransaction(
+        async (tx) => {
+          // Verrouiller la ligne : l'état avant sert au journal d'audit
+          const currentResult = await tx.query(
+            `SELECT * FROM admin.articles
+           WHERE article_id = $1 AND deleted_at IS NULL
+           FOR UPDATE`,
+            [id],
+          );
+
+          if (currentResult.rows.length === 0) return currentResult;
+
+          const current = currentResult.rows[0];
+
+          // Les règles du statut visé s'appliquent à l'article complet après modification
+          const { status, publishAt } = resolvePublication(current, data);
+          try {
+            await addArticleSchema.validate(
+              {
+                status,
+                title: data.title ?? current.article_title,
+                text: data.text ?? current.article_text ?? '',
+                imageUrl: data.imageUrl ?? current.article_image,
+                publishAt,
+              },
+              {
+                abortEarly: false,
+                context: { storedPublishAt: current.publish_at },
+              },
+            );
+          } catch (validationError) {
+            return {
+              rows: [],
+              validationErrors: toFieldErrors(validationError),
+            };
+          }
+
+          // Nouveau slug : libre, ou ancienne adresse de l'article lui-même
+          const slugChanged =
+            Boolean(data.slug) && data.slug !== current.article_slug;
+          if (slugChanged && !(await isSlugAvailable(tx, data.slug, id))) {
+            return { rows: [], slugConflict: true };
+          }
+
+          const columns = [
+            ...updates.map(([field, column]) => [
+              column,
+              NULLABLE_FIELDS.includes(field) && !data[field]
+                ? null
+                : data[field],
+            ]),
+            ...(slugChanged ? [['article_slug', data.slug]] : []),
+            ...Object.entries(publicationColumns(current, status, publishAt)),
+          ];
+
+          // article_updated est toujours mis à jour
+          const setClauses = [
+            ...columns.map(([column], index) => `${column} = $${index + 1}`),
+            'article_updated = NOW()',
+          ];
+          const updateValues = [...columns.map(([, value]) => value), id];
+
+          const updateResult = await tx.query(
+            `UPDATE admin.articles
+           SET ${setClauses.join(', ')}
+           WHERE article_id = $${updateValues.length}
+           RETURNING
+             article_id,
+             article_title,
+             article_text,
+             article_image,
+             is_active,
+             article_status,
+             publish_at,
+             published_at,
+             article_slug,
+             meta_title,
+             meta_description,
+             meta_keywords,
+             og_image,
+             TO_CHAR(article_created, 'DD/MM/YYYY') as created,
+             TO_CHAR(article_updated, 'DD/MM/YYYY') as updated`,
+            updateValues,
+          );
+
+          // Le RETURNING formate les dates : relire la ligne brute pour le diff
+          const afterResult = await tx.query(
+            `SELECT * FROM admin.articles WHERE article_id = $1`,
+            [id],
+          );
+
+          await recordAudit(tx, {
+            ...audit,
+            action: 'update',
+            entity: 'article',
+            entityId: id,
+            before: current,
+            after: afterResult.rows[0],
+          });
+
+          await recordArticleRevision(tx, afterResult.rows[0], audit.actorId);
+
+          if (slugChanged) {
+            await recordSlugRedirect(tx, current, data.slug);
+          }
+
+          return updateResult;
         },
+        { client, name: 'update_article', requestId },
       );
+    } catch (error) {
+      if (isSlugConflictError(error)) return slugConflict();
+      throw error;
     }
 
-    // ===== ÉTAPE 5: PARSING ET VALIDATION DU BODY =====
-    let body;
-    try {
-      body = await request.json();
-    } catch (parseError) {
-      const errorCategory = categorizeError(parseError);
-
-      logger.error('JSON Parse Error during article edit', {
-        category: errorCategory,
-        message: parseError.message,
-        requestId,
-        articleId: id,
-      });
-
-      captureException(parseError, {
-        level: 'error',
-        tags: {
-          component: 'articles',
-          action: 'json_parse_error',
-          error_category: categorizeError(parseError),
-          operation: 'update',
-        },
-        extra: {
-          requestId,
-          articleId: id,
-          contentType: request.headers.get('content-type'),
-          userAgent: request.headers.get('user-agent')?.substring(0, 100),
-        },
-      });
-
-      if (client) await client.cleanup();
-
-      const responseTime = Date.now() - startTime;
-      const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-      return NextResponse.json(
-        {
-          success: false,
-          error: 'Invalid JSON in request body',
-          requestId,
-        },
-        {
-          status: 400,
-          headers: securityHeaders,
-        },
-      );
+    if (result.slugConflict) {
+      return slugConflict();
     }
 
-    const { title, text, imageUrl, isActive, oldImageId } = body;
-
-    // ===== ÉTAPE 6: SANITIZATION DES INPUTS =====
-    const dataToSanitize = {
-      title,
-      text,
-      imageUrl,
-      isActive,
-    };
-
-    const filteredDataToSanitize = Object.fromEntries(
-      Object.entries(dataToSanitize).filter(
-        ([_, value]) => value !== undefined,
-      ),
-    );
-
-    const sanitizedInputs = sanitizeUpdateArticleInputs(filteredDataToSanitize);
-
-    const {
-      title: sanitizedTitle,
-      text: sanitizedText,
-      imageUrl: sanitizedImageUrl,
-      isActive: sanitizedIsActive,
-    } = sanitizedInputs;
-
-    const finalData = {
-      title: sanitizedTitle,
-      text: sanitizedText,
-      imageUrl: sanitizedImageUrl,
-      isActive: sanitizedIsActive,
-      oldImageId, // Non sanitizé car utilisé pour la logique interne
-    };
-
-    // ===== ÉTAPE 7: VALIDATION AVEC YUP =====
-    try {
-      const dataToValidate = Object.fromEntries(
-        Object.entries({
-          title: sanitizedTitle,
-          text: sanitizedText,
-          imageUrl: sanitizedImageUrl,
-          isActive: sanitizedIsActive,
-        }).filter(([_, value]) => value !== undefined),
-      );
-
-      await updateArticleSchema.validate(dataToValidate, {
-        abortEarly: false,
-      });
-    } catch (validationError) {
-      const errorCategory = categorizeError(validationError);
-
-      logger.error('Article Validation Error with Yup', {
-        category: errorCategory,
-        failed_fields: validationError.inner?.map((err) => err.path) || [],
-        total_errors: validationError.inner?.length || 0,
-        requestId,
-        articleId: id,
+    if (result.validationErrors) {
+      return fail(400, {
+        error: 'Validation failed',
+        errors: result.validationErrors,
       });
-
-      captureMessage('Article validation failed with Yup schema', {
-        level: 'warning',
-        tags: {
-          component: 'articles',
-          action: 'yup_validation_failed',
-          error_category: 'validation',
-          entity: 'blog_article',
-          operation: 'update',
-        },
-        extra: {
-          requestId,
-          articleId: id,
-          failedFields: validationError.inner?.map((err) => err.path) || [],
-          totalErrors: validationError.inner?.length || 0,
-          validationErrors:
-            validationError.inner?.map((err) => ({
-              field: err.path,
-              message: err.message,
-            })) || [],
-        },
-      });
-
-      if (client) await client.cleanup();
-
-      const errors = {};
-      validationError.inner.forEach((error) => {
-        errors[error.path] = error.message;
-      });
-
-      const responseTime = Date.now() - startTime;
-      const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-      return NextResponse.json(
-        {
-          success: false,
-          message: 'Validation failed',
-          errors,
-          requestId,
-        },
-        {
-          status: 422,
-          headers: securityHeaders,
-        },
-      );
-    }
-
-    // ===== ÉTAPE 8: GESTION DE L'IMAGE CLOUDINARY =====
-    if (oldImageId && sanitizedImageUrl && oldImageId !== sanitizedImageUrl) {
-      try {
-        await cloudinary.uploader.destroy(oldImageId);
-      } catch (cloudError) {
-        logger.error('Error deleting old image from Cloudinary', {
-          requestId,
-          articleId: id,
-          oldImageId,
-          error: cloudError.message,
-        });
-
-        captureException(cloudError, {
-          level: 'warning',
-          tags: {
-            component: 'articles',
-            action: 'cloudinary_delete_failed',
-            error_category: 'media_upload',
-            entity: 'blog_article',
-            operation: 'update',
-          },
-          extra: {
-            requestId,
-            articleId: id,
-            oldImageId,
-          },
-        });
-      }
     }
 
-    // ===== ÉTAPE 9: MISE À JOUR EN BASE DE DONNÉES =====
-    let result;
-    try {
-      const updateFields = [];
-      const updateValues = [];
-      let paramCounter = 1;
-
-      if (sanitizedTitle !== undefined) {
-        updateFields.push(`article_title = $${paramCounter}`);
-        updateValues.push(sanitizedTitle);
-        paramCounter++;
-      }
-
-      if (sanitizedText !== undefined) {
-        updateFields.push(`article_text = $${paramCounter}`);
-        updateValues.push(sanitizedText);
-        paramCounter++;
-      }
-
-      if (sanitizedImageUrl !== undefined) {
-        updateFields.push(`article_image = $${paramCounter}`);
-        updateValues.push(sanitizedImageUrl);
-        paramCounter++;
-      }
-
-      if (sanitizedIsActive !== undefined) {
-        updateFields.push(`is_active = $${paramCounter}`);
-        updateValues.push(sanitizedIsActive);
-        paramCounter++;
-      }
-
-      updateFields.push(`article_updated = NOW()`);
-      updateValues.push(id);
-
-      const queryText = `
-        UPDATE admin.articles 
-        SET ${updateFields.join(', ')}
-        WHERE article_id = $${paramCounter}
-        RETURNING 
-          article_id,
-          article_title,
-          article_text,
-          article_image,
-          is_active,
-          TO_CHAR(article_created, 'DD/MM/YYYY') as created,
-          TO_CHAR(article_updated, 'DD/MM/YYYY') as updated
-      `;
-
-      result = await client.query(queryText, updateValues);
-
-      if (result.rows.length === 0) {
-        logger.warn('Article not found for update', {
-          requestId,
-          articleId: id,
-        });
-
-        captureMessage('Article not found for update', {
-          level: 'warning',
-          tags: {
-            component: 'articles',
-            action: 'article_not_found',
-            error_category: 'not_found',
-            entity: 'blog_article',
-            operation: 'update',
-          },
-          extra: {
-            requestId,
-            articleId: id,
-            ip: anonymizeIp(extractRealIp(request)),
-          },
-        });
-
-        if (client) await client.cleanup();
-
-        const responseTime = Date.now() - startTime;
-        const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-        return NextResponse.json(
-          {
-            success: false,
-            message: 'Article not found',
-            requestId,
-          },
-          {
-            status: 404,
-            headers: securityHeaders,
-          },
-        );
-      }
-    } catch (updateError) {
-      const errorCategory = categorizeError(updateError);
-
-      logger.error('Article Update Error', {
-        category: errorCategory,
-        message: updateError.message,
-        requestId,
-        articleId: id,
-      });
-
-      captureDatabaseError(updateError, {
-        tags: {
-          component: 'articles',
-          action: 'update_failed',
-          operation: 'UPDATE',
-          entity: 'blog_article',
-        },
-        extra: {
-          requestId,
-          articleId: id,
-          table: 'admin.articles',
-          queryType: 'article_update',
-          postgresCode: updateError.code,
-          postgresDetail: updateError.detail ? '[Filtered]' : undefined,
-          ip: anonymizeIp(extractRealIp(request)),
-          rateLimitingApplied: true,
-        },
+    if (result.rows.length === 0) {
+      return fail(404, {
+        error: 'Article not found',
+        action: 'article_not_found',
       });
-
-      if (client) await client.cleanup();
-
-      const responseTime = Date.now() - startTime;
-      const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-      return NextResponse.json(
-        {
-          success: false,
-          error: 'Failed to update article',
-          message: updateError.message,
-          requestId,
-        },
-        {
-          status: 500,
-          headers: securityHeaders,
-        },
-      );
     }
 
-    // ===== ÉTAPE 10: INVALIDATION DU CACHE APRÈS SUCCÈS =====
-    const updatedArticle = result.rows[0];
-    const cacheInvalidation = invalidateArticlesCache(requestId, id);
-
-    // ===== ÉTAPE 11: SUCCÈS - LOG ET NETTOYAGE =====
-    const responseTime = Date.now() - startTime;
-
-    logger.info('Article update successful', {
-      articleId: id,
-      articleTitle: updatedArticle.article_title,
-      response_time_ms: responseTime,
-      success: true,
-      requestId,
-    });
-
-    captureMessage('Article update completed successfully', {
-      level: 'info',
-      tags: {
-        component: 'articles',
-        action: 'update_success',
-        success: 'true',
-        entity: 'blog_article',
-        operation: 'update',
-      },
-      extra: {
-        requestId,
-        articleId: id,
-        articleTitle: updatedArticle.article_title,
-        responseTimeMs: responseTime,
-        databaseOperations: 3,
-        cacheInvalidated:
-          cacheInvalidation.listInvalidated ||
-          cacheInvalidation.singleInvalidated,
-        ip: anonymizeIp(extractRealIp(request)),
-        rateLimitingApplied: true,
-        sanitizationApplied: true,
-        yupValidationApplied: true,
-      },
-    });
-
-    if (client) await client.cleanup();
-
-    const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-    return NextResponse.json(
-      {
-        success: true,
+    return {
+      body: {
         message: 'Article updated successfully',
-        data: updatedArticle,
-        meta: {
-          requestId,
-          timestamp: new Date().toISOString(),
-          fieldsUpdated: Object.keys(finalData).filter(
-            (key) => finalData[key] !== undefined && key !== 'oldImageId',
-          ).length,
-        },
-      },
-      {
-        status: 200,
-        headers: securityHeaders,
-      },
-    );
-  } catch (error) {
-    // ===== GESTION GLOBALE DES ERREURS =====
-    const errorCategory = categorizeError(error);
-    const responseTime = Date.now() - startTime;
-
-    logger.error('Global Edit Article Error', {
-      category: errorCategory,
-      response_time_ms: responseTime,
-      error_message: error.message,
-      requestId,
-      articleId: id,
-    });
-
-    captureException(error, {
-      level: 'error',
-      tags: {
-        component: 'articles',
-        action: 'global_error_handler',
-        error_category: errorCategory,
-        critical: 'true',
-        entity: 'blog_article',
-        operation: 'update',
-      },
-      extra: {
-        requestId,
-        articleId: id,
-        responseTimeMs: responseTime,
-        reachedGlobalHandler: true,
-        errorName: error.name,
-        stackAvailable: !!error.stack,
-        process: 'article_update',
-        ip: anonymizeIp(extractRealIp(request)),
-        rateLimitingApplied: true,
+        data: result.rows[0],
       },
-    });
-
-    if (client) await client.cleanup();
-
-    const securityHeaders = getSecurityHeaders(requestId, responseTime, id);
-
-    return NextResponse.json(
-      {
-        success: false,
-        error: 'Internal server error',
-        message: 'Failed to update article',
-        requestId,
-      },
-      {
-        status: 500,
-        headers: securityHeaders,
-      },
-    );
-  }
-}
+    };
+  },
+});
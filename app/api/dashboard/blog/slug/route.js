@@ -0,0 +1,65 @@
+// app/api/dashboard/blog/slug/route.js
+import * as yup from 'yup';
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { generateUniqueSlug, isSlugAvailable } from '@backend/articleSlugs';
+import { PERMISSIONS } from '@/utils/permissions';
+import { slugify } from '@/utils/articleSeo';
+import { isValidUUID } from '@/utils/schemas/articleSchema';
+
+export const dynamic = 'force-dynamic';
+
+const slugCheckSchema = yup.object().shape({
+  slug: yup.string().required('Slug or title is required'),
+  articleId: yup
+    .string()
+    .nullable()
+    .test('valid-uuid', 'Invalid article ID format', (value) =>
+      value ? isValidUUID(value) : true,
+    ),
+});
+
+// Vérification du slug saisie dans les formulaires d'ajout et d'édition :
+// disponibilité et, s'il est pris, première variante libre
+export const POST = defineDashboardRoute({
+  entity: 'article',
+  component: 'blog',
+  operation: 'check_slug',
+  endpoint: '/api/dashboard/blog/slug',
+  methods: 'POST',
+  permission: PERMISSIONS.ARTICLES_UPDATE,
+  rateLimit: {
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // vérifications déclenchées pendant la saisie
+    message:
+      'Trop de vérifications de slug. Veuillez réessayer dans quelques instants.',
+    prefix: 'check_article_slug',
+  },
+  failureMessage: 'Failed to check slug',
+
+  // Sans slug saisi, celui qui serait généré à partir du titre est vérifié
+  sanitize: (body) => ({
+    slug: slugify(
+      typeof body.slug === 'string' && body.slug.trim()
+        ? body.slug
+        : body.title,
+    ),
+    articleId: typeof body.articleId === 'string' ? body.articleId : null,
+  }),
+  schema: slugCheckSchema,
+
+  handler: async ({ client, data }) => {
+    const available = await isSlugAvailable(client, data.slug, data.articleId);
+
+    return {
+      body: {
+        data: {
+          slug: data.slug,
+          available,
+          suggestion: available
+            ? data.slug
+            : await generateUniqueSlug(client, data.slug, data.articleId),
+        },
+      },
+    };
+  },
+});
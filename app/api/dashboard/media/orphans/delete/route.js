@@ -0,0 +1,47 @@
+// app/api/dashboard/media/orphans/delete/route.js
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { deleteOrphanedAssets } from '@backend/mediaReconciliation';
+import { PERMISSIONS } from '@/utils/permissions';
+import { orphanDeletionSchema } from '@/utils/schemas/mediaSchema';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = defineDashboardRoute({
+  entity: 'media',
+  component: 'media',
+  operation: 'delete',
+  endpoint: '/api/dashboard/media/orphans/delete',
+  methods: 'POST',
+  permission: PERMISSIONS.MEDIA_MANAGE,
+  rateLimit: {
+    max: 10, // 10 lots par 5 minutes
+    message:
+      "Trop de tentatives de suppression d'images. Veuillez réessayer dans quelques minutes.",
+    prefix: 'delete_orphaned_media',
+  },
+  failureMessage: 'Failed to delete orphaned images',
+
+  sanitize: (body) => ({
+    publicIds: Array.isArray(body.publicIds)
+      ? body.publicIds.map((publicId) => String(publicId).trim())
+      : body.publicIds,
+    dryRun: body.dryRun === true,
+  }),
+  schema: orphanDeletionSchema,
+
+  handler: async ({ client, data, audit }) => {
+    const result = await deleteOrphanedAssets(client, data.publicIds, {
+      dryRun: data.dryRun,
+      audit,
+    });
+
+    return {
+      body: {
+        message: result.dryRun
+          ? `${result.deleted.length} image(s) would be deleted`
+          : `${result.deleted.length} image(s) deleted`,
+        ...result,
+      },
+    };
+  },
+});
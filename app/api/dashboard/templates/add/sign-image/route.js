@@ -1,27 +1,13 @@
-import cloudinary from '@backend/cloudinary';
-import { NextResponse } from 'next/server';
-
-export async function POST(request) {
-  try {
-    // Get the params that Cloudinary needs to generate a signature
-    const body = await request.json();
-    const { paramsToSign } = body;
-
-    // Add the folder parameter to paramsToSign
-    paramsToSign.folder = 'templates';
-
-    const signature = cloudinary.utils.api_sign_request(
-      paramsToSign,
-      process.env.CLOUDINARY_API_SECRET,
-    );
-
-    return NextResponse.json({ signature }, { status: 200 });
-  } catch (error) {
-    console.error('Error generating Cloudinary signature:', error);
-
-    return NextResponse.json(
-      { error: 'Failed to generate signature' },
-      { status: 500 },
-    );
-  }
-}
+// app/api/dashboard/templates/add/sign-image/route.js
+import { defineSignImageRoute } from '@backend/cloudinarySignature';
+import { PERMISSIONS } from '@/utils/permissions';
+
+export const dynamic = 'force-dynamic';
+
+// Formulaires d'ajout et d'édition : les rôles qui créent peuvent aussi modifier
+export const POST = defineSignImageRoute({
+  entity: 'template',
+  component: 'templates',
+  endpoint: '/api/dashboard/templates/add/sign-image',
+  permission: PERMISSIONS.TEMPLATES_UPDATE,
+});
@@ -0,0 +1,69 @@
+// app/api/dashboard/trash/[entity]/[id]/purge/route.js
+import { defineTrashRoute } from '@backend/trashRoute';
+import { withTransaction } from '@backend/transaction';
+import { destroyImages } from '@backend/cloudinary';
+import { purgeFromTrash, getTrashEntity, getTrashImages } from '@backend/trash';
+
+export const dynamic = 'force-dynamic';
+
+export const DELETE = defineTrashRoute({
+  operation: 'purge',
+  endpoint: '/api/dashboard/trash/[entity]/[id]/purge',
+  methods: 'DELETE',
+  rateLimit: {
+    max: 10, // 10 purges par 5 minutes
+    message:
+      'Trop de tentatives de suppression définitive. Veuillez réessayer dans quelques minutes.',
+    prefix: 'purge_trash',
+  },
+  headers: { 'X-Irreversible-Operation': 'true' },
+  failureMessage: 'Failed to purge item from trash',
+
+  handler: async ({ client, id, params, audit, requestId, fail }) => {
+    const { entity } = params;
+    const { nameColumn, component } = getTrashEntity(entity);
+
+    const { row, blockedReason, references } = await withTransaction(
+      (tx) => purgeFromTrash(tx, entity, id, audit),
+      { client, name: `purge_${entity}`, requestId },
+    );
+
+    if (blockedReason === 'not_found') {
+      return fail(404, {
+        error: 'Item not found in trash',
+        message: 'This item does not exist or is not in the trash',
+        action: 'trash_item_not_found',
+      });
+    }
+
+    if (blockedReason === 'in_use') {
+      return fail(409, {
+        error: 'Item is still referenced',
+        message: `This item is referenced by ${references} other record(s) and cannot be permanently deleted.`,
+        action: 'trash_purge_blocked_in_use',
+        extra: { name: row[nameColumn], references },
+        references,
+      });
+    }
+
+    // Après le COMMIT uniquement : les images ne disparaissent jamais avant la ligne
+    const images = await destroyImages(getTrashImages(entity, row), {
+      requestId,
+      component,
+      entity,
+      operation: 'purge',
+      resourceId: id,
+    });
+
+    return {
+      body: {
+        message: 'Item permanently deleted',
+        item: { entity, id, name: row[nameColumn] },
+        images: {
+          deleted: images.deleted.length,
+          failed: images.failed.length,
+        },
+      },
+    };
+  },
+});
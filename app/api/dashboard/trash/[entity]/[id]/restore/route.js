@@ -0,0 +1,51 @@
+// app/api/dashboard/trash/[entity]/[id]/restore/route.js
+import { defineTrashRoute } from '@backend/trashRoute';
+import { withTransaction } from '@backend/transaction';
+import { restoreFromTrash, getTrashEntity } from '@backend/trash';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const PATCH = defineTrashRoute({
+  operation: 'restore',
+  endpoint: '/api/dashboard/trash/[entity]/[id]/restore',
+  methods: 'PATCH',
+  rateLimit: {
+    max: 20, // 20 restaurations par 5 minutes
+    message:
+      'Trop de tentatives de restauration. Veuillez réessayer dans quelques minutes.',
+    prefix: 'restore_trash',
+  },
+  failureMessage: 'Failed to restore item from trash',
+
+  // L'élément réapparaît dans les listes du dashboard
+  invalidateCache: ({ params }) => invalidateDashboardCache(params.entity),
+
+  handler: async ({ client, id, params, audit, requestId, fail }) => {
+    const { entity } = params;
+
+    const restored = await withTransaction(
+      (tx) => restoreFromTrash(tx, entity, id, audit),
+      { client, name: `restore_${entity}`, requestId },
+    );
+
+    if (!restored) {
+      return fail(404, {
+        error: 'Item not found in trash',
+        message: 'This item does not exist or is not in the trash',
+        action: 'trash_item_not_found',
+      });
+    }
+
+    return {
+      body: {
+        message: 'Item restored successfully',
+        item: {
+          entity,
+          id,
+          name: restored[getTrashEntity(entity).nameColumn],
+        },
+      },
+    };
+  },
+});
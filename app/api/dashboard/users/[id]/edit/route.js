@@ -0,0 +1,126 @@
+// app/api/dashboard/users/[id]/edit/route.js
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { PERMISSIONS, ROLES } from '@/utils/permissions';
+import { SAFE_USER_COLUMNS, isLastActiveOwner } from '@backend/users';
+import { sanitizeRegistrationInputsStrict } from '@/utils/sanitizers/sanitizeRegistrationInputs';
+import { userIdSchema, userUpdateSchema } from '@/utils/schemas/userSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const PUT = defineDashboardRoute({
+  entity: 'user',
+  operation: 'update',
+  endpoint: '/api/dashboard/users/[id]/edit',
+  methods: 'PUT',
+  permission: PERMISSIONS.USERS_MANAGE,
+  params: { schema: userIdSchema, message: 'Invalid user ID format' },
+  rateLimit: {
+    max: 20, // 20 modifications par 5 minutes
+    message:
+      "Trop de tentatives de modification d'utilisateurs. Veuillez réessayer dans quelques minutes.",
+    prefix: 'edit_user',
+  },
+  headers: { 'X-Cache-Invalidation': 'users' },
+  failureMessage: 'Failed to update user',
+
+  // Mêmes règles de nettoyage que le formulaire d'inscription
+  sanitize: (body) => {
+    const sanitized = sanitizeRegistrationInputsStrict({
+      username: body.username,
+      phone: body.phone,
+      dateOfBirth: body.dateOfBirth,
+    });
+
+    return {
+      username: sanitized.username,
+      phone: sanitized.phone || null,
+      dateOfBirth: sanitized.dateOfBirth || null,
+      role: typeof body.role === 'string' ? body.role.trim() : body.role,
+    };
+  },
+  schema: userUpdateSchema,
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, id, data, actorId, audit, requestId, fail }) => {
+    // Règles métier vérifiées sur la ligne verrouillée : le rôle ne peut pas
+    // changer entre la vérification et l'UPDATE
+    const { user, blockedReason } = await withTransaction(
+      async (tx) => {
+        const previousResult = await tx.query(
+          `SELECT ${SAFE_USER_COLUMNS} FROM admin.users WHERE user_id = $1 FOR UPDATE`,
+          [id],
+        );
+
+        if (previousResult.rows.length === 0) {
+          return { blockedReason: 'not_found' };
+        }
+
+        const previous = previousResult.rows[0];
+
+        if (previous.user_role !== data.role) {
+          // Un administrateur ne peut pas modifier son propre rôle
+          if (id === String(actorId)) {
+            return { blockedReason: 'own_role' };
+          }
+
+          // Toujours conserver au moins un propriétaire actif
+          if (data.role !== ROLES.OWNER && (await isLastActiveOwner(tx, id))) {
+            return { blockedReason: 'last_owner' };
+          }
+        }
+
+        const updateResult = await tx.query(
+          `UPDATE admin.users
+           SET user_name = $1,
+               user_phone = $2,
+               user_birthdate = $3,
+               user_role = $4,
+               user_updated = NOW()
+           WHERE user_id = $5
+           RETURNING ${SAFE_USER_COLUMNS}`,
+          [data.username, data.phone, data.dateOfBirth, data.role, id],
+        );
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: id,
+          before: previous,
+          after: updateResult.rows[0],
+        });
+
+        return { user: updateResult.rows[0] };
+      },
+      { client, name: 'update_user', requestId },
+    );
+
+    if (blockedReason === 'not_found') {
+      return fail(404, { error: 'User not found', action: 'user_not_found' });
+    }
+
+    if (blockedReason === 'own_role') {
+      return fail(400, {
+        error: 'You cannot change your own role',
+        errors: { role: 'You cannot change your own role' },
+        action: 'own_role_change_blocked',
+      });
+    }
+
+    if (blockedReason === 'last_owner') {
+      return fail(409, {
+        error: 'The last active owner cannot be demoted',
+        errors: { role: 'The last active owner cannot be demoted' },
+        action: 'last_owner_demotion_blocked',
+      });
+    }
+
+    return {
+      body: { message: 'User updated successfully', user },
+    };
+  },
+});
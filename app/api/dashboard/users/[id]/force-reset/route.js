@@ -0,0 +1,76 @@
+// app/api/dashboard/users/[id]/force-reset/route.js
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { PERMISSIONS } from '@/utils/permissions';
+import { SAFE_USER_COLUMNS } from '@backend/users';
+import { revokeUserSessions } from '@backend/sessions';
+import { userIdSchema } from '@/utils/schemas/userSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = defineDashboardRoute({
+  entity: 'user',
+  operation: 'update',
+  endpoint: '/api/dashboard/users/[id]/force-reset',
+  methods: 'POST',
+  permission: PERMISSIONS.USERS_MANAGE,
+  params: { schema: userIdSchema, message: 'Invalid user ID format' },
+  rateLimit: {
+    max: 10, // 10 réinitialisations forcées par 5 minutes
+    message:
+      'Trop de réinitialisations de mots de passe. Veuillez réessayer dans quelques minutes.',
+    prefix: 'force_password_reset',
+  },
+  headers: { 'X-Cache-Invalidation': 'users' },
+  failureMessage: 'Failed to force password reset',
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, id, audit, requestId, fail }) => {
+    // Mise à jour et entrée du journal d'audit dans la même transaction
+    const user = await withTransaction(
+      async (tx) => {
+        const previousResult = await tx.query(
+          `SELECT ${SAFE_USER_COLUMNS} FROM admin.users WHERE user_id = $1 FOR UPDATE`,
+          [id],
+        );
+
+        if (previousResult.rows.length === 0) return null;
+
+        const updateResult = await tx.query(
+          `UPDATE admin.users
+           SET user_must_reset_password = TRUE,
+               user_updated = NOW()
+           WHERE user_id = $1
+           RETURNING ${SAFE_USER_COLUMNS}`,
+          [id],
+        );
+
+        // Le compte est déconnecté partout jusqu'à son nouveau mot de passe
+        await revokeUserSessions(tx, id, { reason: 'password_reset_forced' });
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: id,
+          before: previousResult.rows[0],
+          after: updateResult.rows[0],
+        });
+
+        return updateResult.rows[0];
+      },
+      { client, name: 'force_user_password_reset', requestId },
+    );
+
+    if (!user) {
+      return fail(404, { error: 'User not found', action: 'user_not_found' });
+    }
+
+    return {
+      body: { message: 'User will have to reset their password', user },
+    };
+  },
+});
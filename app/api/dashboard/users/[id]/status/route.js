@@ -0,0 +1,104 @@
+// app/api/dashboard/users/[id]/status/route.js
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { PERMISSIONS } from '@/utils/permissions';
+import { SAFE_USER_COLUMNS, isLastActiveOwner } from '@backend/users';
+import { userIdSchema, userStatusSchema } from '@/utils/schemas/userSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const PATCH = defineDashboardRoute({
+  entity: 'user',
+  operation: 'update',
+  endpoint: '/api/dashboard/users/[id]/status',
+  methods: 'PATCH',
+  permission: PERMISSIONS.USERS_MANAGE,
+  params: { schema: userIdSchema, message: 'Invalid user ID format' },
+  rateLimit: {
+    max: 20, // 20 changements de statut par 5 minutes
+    message:
+      'Trop de changements de statut de comptes. Veuillez réessayer dans quelques minutes.',
+    prefix: 'user_status',
+  },
+  headers: { 'X-Cache-Invalidation': 'users' },
+  failureMessage: 'Failed to update user status',
+
+  sanitize: (body) => ({ active: body.active }),
+  schema: userStatusSchema,
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, id, data, actorId, audit, requestId, fail }) => {
+    const { active } = data;
+
+    // Un administrateur ne peut pas désactiver son propre compte
+    if (!active && id === String(actorId)) {
+      return fail(400, {
+        error: 'You cannot deactivate your own account',
+        action: 'own_account_deactivation_blocked',
+      });
+    }
+
+    const { user, blockedReason } = await withTransaction(
+      async (tx) => {
+        const previousResult = await tx.query(
+          `SELECT ${SAFE_USER_COLUMNS} FROM admin.users WHERE user_id = $1 FOR UPDATE`,
+          [id],
+        );
+
+        if (previousResult.rows.length === 0) {
+          return { blockedReason: 'not_found' };
+        }
+
+        // Toujours conserver au moins un propriétaire actif
+        if (!active && (await isLastActiveOwner(tx, id))) {
+          return { blockedReason: 'last_owner' };
+        }
+
+        const updateResult = await tx.query(
+          `UPDATE admin.users
+           SET user_is_active = $1,
+               user_deactivated_at = CASE WHEN $1 THEN NULL ELSE NOW() END,
+               user_updated = NOW()
+           WHERE user_id = $2
+           RETURNING ${SAFE_USER_COLUMNS}`,
+          [active, id],
+        );
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: id,
+          before: previousResult.rows[0],
+          after: updateResult.rows[0],
+        });
+
+        return { user: updateResult.rows[0] };
+      },
+      { client, name: 'update_user_status', requestId },
+    );
+
+    if (blockedReason === 'not_found') {
+      return fail(404, { error: 'User not found', action: 'user_not_found' });
+    }
+
+    if (blockedReason === 'last_owner') {
+      return fail(409, {
+        error: 'The last active owner cannot be deactivated',
+        action: 'last_owner_deactivation_blocked',
+      });
+    }
+
+    return {
+      body: {
+        message: active
+          ? 'User reactivated successfully'
+          : 'User deactivated successfully',
+        user,
+      },
+    };
+  },
+});
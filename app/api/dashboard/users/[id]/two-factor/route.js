@@ -0,0 +1,91 @@
+// app/api/dashboard/users/[id]/two-factor/route.js
+// Réinitialisation de la double authentification d'un utilisateur (appareil perdu)
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { disableTwoFactor } from '@backend/twoFactor';
+import { PERMISSIONS } from '@/utils/permissions';
+import { SAFE_USER_COLUMNS } from '@backend/users';
+import { userIdSchema } from '@/utils/schemas/userSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const DELETE = defineDashboardRoute({
+  entity: 'user',
+  operation: 'update',
+  endpoint: '/api/dashboard/users/[id]/two-factor',
+  methods: 'DELETE',
+  permission: PERMISSIONS.USERS_MANAGE,
+  params: { schema: userIdSchema, message: 'Invalid user ID format' },
+  rateLimit: {
+    max: 10, // 10 réinitialisations par 5 minutes
+    message:
+      'Trop de réinitialisations de double authentification. Veuillez réessayer dans quelques minutes.',
+    prefix: 'user_two_factor_reset',
+  },
+  headers: { 'X-Cache-Invalidation': 'users' },
+  failureMessage: 'Failed to reset two-factor authentication',
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, id, actorId, audit, requestId, fail }) => {
+    // Son propre second facteur se désactive depuis la page Sécurité, avec un code
+    if (id === String(actorId)) {
+      return fail(400, {
+        error: 'Use your security settings to manage your own 2FA',
+        action: 'own_two_factor_reset_blocked',
+      });
+    }
+
+    const { user, blockedReason } = await withTransaction(
+      async (tx) => {
+        const previousResult = await tx.query(
+          `SELECT ${SAFE_USER_COLUMNS} FROM admin.users WHERE user_id = $1 FOR UPDATE`,
+          [id],
+        );
+
+        if (previousResult.rows.length === 0) {
+          return { blockedReason: 'not_found' };
+        }
+
+        if (!previousResult.rows[0].user_totp_enabled) {
+          return { blockedReason: 'not_enabled' };
+        }
+
+        await disableTwoFactor(tx, id);
+
+        const updateResult = await tx.query(
+          `SELECT ${SAFE_USER_COLUMNS} FROM admin.users WHERE user_id = $1`,
+          [id],
+        );
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: id,
+          before: previousResult.rows[0],
+          after: updateResult.rows[0],
+        });
+
+        return { user: updateResult.rows[0] };
+      },
+      { client, name: 'reset_user_two_factor', requestId },
+    );
+
+    if (blockedReason === 'not_found') {
+      return fail(404, { error: 'User not found', action: 'user_not_found' });
+    }
+
+    if (blockedReason === 'not_enabled') {
+      return fail(409, {
+        error: 'Two-factor authentication is not enabled for this user',
+      });
+    }
+
+    return {
+      body: { message: 'Two-factor authentication has been reset', user },
+    };
+  },
+});
@@ -0,0 +1,61 @@
+// app/api/dashboard/users/[id]/unlock/route.js
+// Lève le verrouillage d'un compte après trop d'échecs de connexion
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { unlockAccount } from '@backend/loginSecurity';
+import { PERMISSIONS } from '@/utils/permissions';
+import { userIdSchema } from '@/utils/schemas/userSchema';
+import { invalidateDashboardCache } from '@/utils/cache';
+
+export const dynamic = 'force-dynamic';
+
+export const POST = defineDashboardRoute({
+  entity: 'user',
+  operation: 'update',
+  endpoint: '/api/dashboard/users/[id]/unlock',
+  methods: 'POST',
+  permission: PERMISSIONS.USERS_MANAGE,
+  params: { schema: userIdSchema, message: 'Invalid user ID format' },
+  rateLimit: {
+    max: 20, // 20 déverrouillages par 5 minutes
+    message:
+      'Trop de déverrouillages de comptes. Veuillez réessayer dans quelques minutes.',
+    prefix: 'unlock_user',
+  },
+  headers: { 'X-Cache-Invalidation': 'users' },
+  failureMessage: 'Failed to unlock account',
+
+  invalidateCache: () => invalidateDashboardCache('user'),
+
+  handler: async ({ client, id, audit, requestId, fail }) => {
+    // Mise à jour et entrée du journal d'audit dans la même transaction
+    const outcome = await withTransaction(
+      async (tx) => {
+        const result = await unlockAccount(tx, id);
+
+        if (!result) return 'not_found';
+
+        await recordAudit(tx, {
+          ...audit,
+          action: 'update',
+          entity: 'user',
+          entityId: id,
+          before: result.before,
+          after: result.after,
+        });
+
+        return 'unlocked';
+      },
+      { client, name: 'unlock_user_account', requestId },
+    );
+
+    if (outcome === 'not_found') {
+      return fail(404, { error: 'User not found', action: 'user_not_found' });
+    }
+
+    return {
+      body: { message: 'Account unlocked' },
+    };
+  },
+});
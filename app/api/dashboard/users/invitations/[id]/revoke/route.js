@@ -0,0 +1,351 @@
+// app/api/dashboard/users/invitations/[id]/revoke/route.js
+import { NextResponse } from 'next/server';
+import { getClient } from '@backend/dbConnect';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+} from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@/utils/logger';
+import { checkPermission } from '@backend/authMiddleware';
+import { PERMISSIONS } from '@/utils/permissions';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { invitationIdSchema } from '@/utils/schemas/authSchema';
+import { getAuditContext, recordAudit } from '@backend/auditLog';
+import { SAFE_INVITATION_COLUMNS } from '@backend/invitations';
+
+// Créer le middleware de rate limiting spécifique pour la révocation d'invitations
+const revokeInvitationRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20, // 20 révocations par 5 minutes
+  message:
+    "Trop de tentatives de révocation d'invitations. Veuillez réessayer dans quelques minutes.",
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  prefix: 'revoke_invitation',
+
+  keyGenerator: (req) => {
+    const ip = extractRealIp(req);
+    return `revoke_invitation:ip:${ip}`;
+  },
+});
+
+// Fonction pour créer les headers de réponse
+const createResponseHeaders = (requestId, responseTime, invitationId) => {
+  return {
+    'Access-Control-Allow-Origin':
+      process.env.NEXT_PUBLIC_SITE_URL || 'same-origin',
+    'Access-Control-Allow-Methods': 'PATCH, OPTIONS',
+    'Access-Control-Allow-Headers':
+      'Content-Type, Authorization, X-Requested-With',
+    'Cache-Control':
+      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'Content-Security-Policy': "default-src 'none'; connect-src 'self'",
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+    'X-API-Version': '1.0',
+    'X-Transaction-Type': 'mutation',
+    'X-Entity-Type': 'user-invitation',
+    'X-Resource-ID': invitationId,
+    'X-RateLimit-Window': '300',
+    'X-RateLimit-Limit': '20',
+  };
+};
+
+export const dynamic = 'force-dynamic';
+
+export async function PATCH(request, { params }) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+  const { id } = params;
+
+  logger.info('Revoke User Invitation API called', {
+    requestId,
+    invitationId: id,
+  });
+
+  captureMessage('Revoke user invitation process started', {
+    level: 'info',
+    tags: {
+      component: 'user_invitations',
+      action: 'process_start',
+      api_endpoint: '/api/dashboard/users/invitations/[id]/revoke',
+      entity: 'user_invitation',
+      operation: 'revoke',
+    },
+    extra: {
+      requestId,
+      invitationId: id,
+      timestamp: new Date().toISOString(),
+      method: 'PATCH',
+    },
+  });
+
+  try {
+    // ===== ÉTAPE 1: VALIDATION DE L'ID DE L'INVITATION =====
+    try {
+      await invitationIdSchema.validate({ id }, { abortEarly: false });
+    } catch (idValidationError) {
+      logger.error('Invitation ID Validation Error', {
+        category: categorizeError(idValidationError),
+        invitationId: id,
+        requestId,
+      });
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid invitation ID format',
+          requestId,
+        },
+        {
+          status: 400,
+          headers: createResponseHeaders(requestId, responseTime, id),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 2: APPLIQUER LE RATE LIMITING =====
+    const rateLimitResponse = await revokeInvitationRateLimit(request);
+
+    if (rateLimitResponse) {
+      logger.warn('Revoke invitation API rate limit exceeded', {
+        requestId,
+        invitationId: id,
+        ip: anonymizeIp(extractRealIp(request)),
+      });
+
+      captureMessage('Revoke invitation API rate limit exceeded', {
+        level: 'warning',
+        tags: {
+          component: 'user_invitations',
+          action: 'rate_limit_exceeded',
+          error_category: 'rate_limiting',
+          entity: 'user_invitation',
+          operation: 'revoke',
+        },
+        extra: {
+          requestId,
+          invitationId: id,
+          ip: anonymizeIp(extractRealIp(request)),
+        },
+      });
+
+      const responseTime = Date.now() - startTime;
+      const rateLimitBody = await rateLimitResponse.json();
+
+      return NextResponse.json(rateLimitBody, {
+        status: 429,
+        headers: createResponseHeaders(requestId, responseTime, id),
+      });
+    }
+
+    // ===== ÉTAPE 3: VÉRIFICATION AUTHENTIFICATION ET PERMISSIONS =====
+    const authCheck = await checkPermission(PERMISSIONS.USERS_MANAGE, {
+      requestId,
+      endpoint: '/api/dashboard/users/invitations/[id]/revoke',
+      invitationId: id,
+    });
+
+    if (!authCheck.authorized) {
+      const responseTime = Date.now() - startTime;
+
+      return NextResponse.json(
+        {
+          success: false,
+          error: authCheck.error,
+          requestId,
+        },
+        {
+          status: authCheck.status,
+          headers: createResponseHeaders(requestId, responseTime, id),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 4: CONNEXION BASE DE DONNÉES =====
+    client = await getClient();
+
+    // ===== ÉTAPE 5: RÉVOCATION DE L'INVITATION =====
+    // Seules les invitations encore en attente peuvent être révoquées
+    let result;
+    try {
+      await client.query('BEGIN');
+
+      result = await client.query(
+        `UPDATE admin.user_invitations
+         SET revoked_at = NOW()
+         WHERE invitation_id = $1
+           AND used_at IS NULL
+           AND revoked_at IS NULL
+         RETURNING ${SAFE_INVITATION_COLUMNS}`,
+        [id],
+      );
+
+      // La clause WHERE garantit que l'invitation était en attente avant la mise à jour
+      if (result.rows.length > 0) {
+        await recordAudit(client, {
+          ...getAuditContext(request, authCheck.session, requestId),
+          action: 'update',
+          entity: 'invitation',
+          entityId: id,
+          before: { ...result.rows[0], revoked_at: null },
+          after: result.rows[0],
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (updateError) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      logger.error('Invitation Revocation Error', {
+        category: categorizeError(updateError),
+        message: updateError.message,
+        invitationId: id,
+        requestId,
+      });
+
+      captureDatabaseError(updateError, {
+        tags: {
+          component: 'user_invitations',
+          action: 'revocation_failed',
+          operation: 'UPDATE',
+          entity: 'user_invitation',
+        },
+        extra: {
+          requestId,
+          invitationId: id,
+          table: 'admin.user_invitations',
+          postgresCode: updateError.code,
+        },
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        { success: false, error: 'Failed to revoke invitation', requestId },
+        {
+          status: 500,
+          headers: createResponseHeaders(requestId, responseTime, id),
+        },
+      );
+    }
+
+    if (result.rows.length === 0) {
+      logger.warn('Invitation not found or no longer pending', {
+        requestId,
+        invitationId: id,
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invitation not found or already used/revoked',
+          requestId,
+        },
+        {
+          status: 404,
+          headers: createResponseHeaders(requestId, responseTime, id),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 6: SUCCÈS - LOG ET NETTOYAGE =====
+    const responseTime = Date.now() - startTime;
+
+    logger.info('User invitation revoked', {
+      invitationId: id,
+      revokedBy: authCheck.session.user.id,
+      response_time_ms: responseTime,
+      requestId,
+    });
+
+    captureMessage('User invitation revoked successfully', {
+      level: 'info',
+      tags: {
+        component: 'user_invitations',
+        action: 'revocation_success',
+        success: 'true',
+        entity: 'user_invitation',
+        operation: 'revoke',
+      },
+      extra: {
+        requestId,
+        invitationId: id,
+        responseTimeMs: responseTime,
+        ip: anonymizeIp(extractRealIp(request)),
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Invitation revoked successfully',
+        invitation: result.rows[0],
+        requestId,
+      },
+      {
+        status: 200,
+        headers: createResponseHeaders(requestId, responseTime, id),
+      },
+    );
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Global Revoke User Invitation Error', {
+      category: errorCategory,
+      response_time_ms: responseTime,
+      error_message: error.message,
+      invitationId: id,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'user_invitations',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        critical: 'true',
+        entity: 'user_invitation',
+        operation: 'revoke',
+      },
+      extra: {
+        requestId,
+        invitationId: id,
+        responseTimeMs: responseTime,
+        process: 'user_invitation_revocation',
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      { success: false, error: 'Internal server error', requestId },
+      {
+        status: 500,
+        headers: createResponseHeaders(requestId, responseTime, id),
+      },
+    );
+  }
+}
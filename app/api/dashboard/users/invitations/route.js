@@ -0,0 +1,545 @@
+// app/api/dashboard/users/invitations/route.js
+import { NextResponse } from 'next/server';
+import { getClient } from '@backend/dbConnect';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+} from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@/utils/logger';
+import { checkPermission } from '@backend/authMiddleware';
+import { PERMISSIONS } from '@/utils/permissions';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { invitationSchema } from '@/utils/schemas/authSchema';
+import { getAuditContext, recordAudit } from '@backend/auditLog';
+import {
+  SAFE_INVITATION_COLUMNS,
+  INVITATION_TTL_HOURS,
+  buildInvitationUrl,
+  generateInvitationToken,
+  getInvitationStatus,
+  hashInvitationToken,
+} from '@backend/invitations';
+
+// Créer le middleware de rate limiting spécifique pour les invitations
+const invitationsRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20, // 20 requêtes par 5 minutes
+  message:
+    'Trop de requêtes sur les invitations. Veuillez réessayer dans quelques minutes.',
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  prefix: 'user_invitations',
+
+  keyGenerator: (req) => {
+    const ip = extractRealIp(req);
+    return `user_invitations:ip:${ip}`;
+  },
+});
+
+// Fonction pour créer les headers de réponse
+const createResponseHeaders = (requestId, responseTime) => {
+  return {
+    'Access-Control-Allow-Origin':
+      process.env.NEXT_PUBLIC_SITE_URL || 'same-origin',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers':
+      'Content-Type, Authorization, X-Requested-With',
+    'Cache-Control':
+      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'Content-Security-Policy': "default-src 'none'; connect-src 'self'",
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+    'X-API-Version': '1.0',
+    'X-Entity-Type': 'user-invitation',
+    'X-Data-Sensitivity': 'high',
+    'X-RateLimit-Window': '300',
+    'X-RateLimit-Limit': '20',
+  };
+};
+
+/**
+ * Applique le rate limiting et la vérification des permissions communs aux handlers
+ * @returns {Promise<Object>} - { response } si la requête doit être rejetée, sinon { session }
+ */
+async function guardRequest(request, permission, requestId, startTime) {
+  // ===== ÉTAPE 1: APPLIQUER LE RATE LIMITING =====
+  const rateLimitResponse = await invitationsRateLimit(request);
+
+  if (rateLimitResponse) {
+    logger.warn('User invitations API rate limit exceeded', {
+      requestId,
+      ip: anonymizeIp(extractRealIp(request)),
+    });
+
+    captureMessage('User invitations API rate limit exceeded', {
+      level: 'warning',
+      tags: {
+        component: 'user_invitations',
+        action: 'rate_limit_exceeded',
+        error_category: 'rate_limiting',
+        entity: 'user_invitation',
+      },
+      extra: {
+        requestId,
+        ip: anonymizeIp(extractRealIp(request)),
+        userAgent:
+          request.headers.get('user-agent')?.substring(0, 100) || 'unknown',
+      },
+    });
+
+    const responseTime = Date.now() - startTime;
+    const rateLimitBody = await rateLimitResponse.json();
+
+    return {
+      response: NextResponse.json(rateLimitBody, {
+        status: 429,
+        headers: createResponseHeaders(requestId, responseTime),
+      }),
+    };
+  }
+
+  // ===== ÉTAPE 2: VÉRIFICATION AUTHENTIFICATION ET PERMISSIONS =====
+  const authCheck = await checkPermission(permission, {
+    requestId,
+    endpoint: '/api/dashboard/users/invitations',
+  });
+
+  if (!authCheck.authorized) {
+    const responseTime = Date.now() - startTime;
+
+    return {
+      response: NextResponse.json(
+        { success: false, error: authCheck.error, requestId },
+        {
+          status: authCheck.status,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      ),
+    };
+  }
+
+  return { session: authCheck.session };
+}
+
+/**
+ * Liste les invitations (sans les hashs de token)
+ */
+export async function GET(request) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('List User Invitations API called', { requestId });
+
+  try {
+    const guard = await guardRequest(
+      request,
+      PERMISSIONS.USERS_VIEW,
+      requestId,
+      startTime,
+    );
+    if (guard.response) return guard.response;
+
+    // ===== ÉTAPE 3: CONNEXION BASE DE DONNÉES =====
+    client = await getClient();
+
+    // ===== ÉTAPE 4: RÉCUPÉRATION DES INVITATIONS =====
+    let result;
+    try {
+      result = await client.query(`
+        SELECT
+          i.invitation_id,
+          i.invitation_email,
+          i.invitation_role,
+          i.expires_at,
+          i.used_at,
+          i.revoked_at,
+          i.created_at,
+          u.user_name AS invited_by_name
+        FROM admin.user_invitations i
+        LEFT JOIN admin.users u ON u.user_id = i.invited_by
+        ORDER BY i.created_at DESC
+        LIMIT 200
+      `);
+    } catch (queryError) {
+      logger.error('User Invitations Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'user_invitations',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'user_invitation',
+        },
+        extra: {
+          requestId,
+          table: 'admin.user_invitations',
+          postgresCode: queryError.code,
+        },
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        { success: false, error: 'Failed to fetch invitations', requestId },
+        {
+          status: 500,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    const invitations = result.rows.map((invitation) => ({
+      ...invitation,
+      status: getInvitationStatus(invitation),
+    }));
+
+    if (client) await client.cleanup();
+
+    const responseTime = Date.now() - startTime;
+
+    logger.info('User invitations fetch successful', {
+      invitationCount: invitations.length,
+      response_time_ms: responseTime,
+      requestId,
+    });
+
+    return NextResponse.json(
+      { success: true, invitations, requestId },
+      { status: 200, headers: createResponseHeaders(requestId, responseTime) },
+    );
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Global List User Invitations Error', {
+      category: errorCategory,
+      response_time_ms: responseTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'user_invitations',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'user_invitation',
+        operation: 'read',
+      },
+      extra: {
+        requestId,
+        responseTimeMs: responseTime,
+        process: 'user_invitations_list',
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      { success: false, error: 'Internal server error', requestId },
+      { status: 500, headers: createResponseHeaders(requestId, responseTime) },
+    );
+  }
+}
+
+/**
+ * Crée une invitation liée à un email et un rôle.
+ * Le token brut n'est renvoyé qu'une seule fois dans le lien d'inscription.
+ */
+export async function POST(request) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Create User Invitation API called', { requestId });
+
+  captureMessage('User invitation creation process started', {
+    level: 'info',
+    tags: {
+      component: 'user_invitations',
+      action: 'process_start',
+      api_endpoint: '/api/dashboard/users/invitations',
+      entity: 'user_invitation',
+      operation: 'create',
+    },
+    extra: {
+      requestId,
+      timestamp: new Date().toISOString(),
+      method: 'POST',
+    },
+  });
+
+  try {
+    const guard = await guardRequest(
+      request,
+      PERMISSIONS.USERS_MANAGE,
+      requestId,
+      startTime,
+    );
+    if (guard.response) return guard.response;
+
+    const { session } = guard;
+
+    // ===== ÉTAPE 3: PARSING ET VALIDATION DU BODY =====
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      logger.error('JSON Parse Error during invitation creation', {
+        category: categorizeError(parseError),
+        message: parseError.message,
+        requestId,
+      });
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        { error: 'Invalid JSON in request body' },
+        {
+          status: 400,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    let validated;
+    try {
+      validated = await invitationSchema.validate(
+        { email: body.email, role: body.role },
+        { abortEarly: false },
+      );
+    } catch (validationError) {
+      logger.warn('Invitation validation failed', {
+        failed_fields: validationError.inner?.map((err) => err.path) || [],
+        requestId,
+      });
+
+      const errors = {};
+      validationError.inner.forEach((error) => {
+        errors[error.path] = error.message;
+      });
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        { errors },
+        {
+          status: 400,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 4: CONNEXION BASE DE DONNÉES =====
+    client = await getClient();
+
+    // ===== ÉTAPE 5: VÉRIFICATION COMPTE EXISTANT =====
+    const existingUser = await client.query(
+      'SELECT user_id FROM admin.users WHERE user_email = $1',
+      [validated.email],
+    );
+
+    if (existingUser.rows.length > 0) {
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        { error: 'A user with this email already exists' },
+        {
+          status: 409,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 6: CRÉATION DE L'INVITATION =====
+    const token = generateInvitationToken();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      const audit = getAuditContext(request, session, requestId);
+
+      // Une nouvelle invitation remplace toute invitation en attente pour cet email
+      const replaced = await client.query(
+        `UPDATE admin.user_invitations
+         SET revoked_at = NOW()
+         WHERE LOWER(invitation_email) = $1
+           AND used_at IS NULL
+           AND revoked_at IS NULL
+         RETURNING ${SAFE_INVITATION_COLUMNS}`,
+        [validated.email],
+      );
+
+      for (const revoked of replaced.rows) {
+        await recordAudit(client, {
+          ...audit,
+          action: 'update',
+          entity: 'invitation',
+          entityId: revoked.invitation_id,
+          before: { ...revoked, revoked_at: null },
+          after: revoked,
+        });
+      }
+
+      result = await client.query(
+        `INSERT INTO admin.user_invitations (
+           invitation_email,
+           invitation_role,
+           invitation_token_hash,
+           invited_by,
+           expires_at
+         ) VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+         RETURNING ${SAFE_INVITATION_COLUMNS}`,
+        [
+          validated.email,
+          validated.role,
+          hashInvitationToken(token),
+          session.user.id,
+          INVITATION_TTL_HOURS,
+        ],
+      );
+
+      await recordAudit(client, {
+        ...audit,
+        action: 'create',
+        entity: 'invitation',
+        entityId: result.rows[0].invitation_id,
+        after: result.rows[0],
+      });
+
+      await client.query('COMMIT');
+    } catch (insertError) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      logger.error('Invitation Insertion Error', {
+        category: categorizeError(insertError),
+        message: insertError.message,
+        requestId,
+      });
+
+      captureDatabaseError(insertError, {
+        tags: {
+          component: 'user_invitations',
+          action: 'insertion_failed',
+          operation: 'INSERT',
+          entity: 'user_invitation',
+        },
+        extra: {
+          requestId,
+          table: 'admin.user_invitations',
+          postgresCode: insertError.code,
+          postgresDetail: insertError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      return NextResponse.json(
+        { error: 'Failed to create invitation' },
+        {
+          status: 500,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 7: SUCCÈS - LOG ET NETTOYAGE =====
+    const invitation = result.rows[0];
+    const responseTime = Date.now() - startTime;
+
+    logger.info('User invitation created', {
+      invitationId: invitation.invitation_id,
+      role: invitation.invitation_role,
+      invitedBy: session.user.id,
+      response_time_ms: responseTime,
+      requestId,
+    });
+
+    captureMessage('User invitation created successfully', {
+      level: 'info',
+      tags: {
+        component: 'user_invitations',
+        action: 'creation_success',
+        success: 'true',
+        entity: 'user_invitation',
+        operation: 'create',
+      },
+      extra: {
+        requestId,
+        invitationId: invitation.invitation_id,
+        role: invitation.invitation_role,
+        responseTimeMs: responseTime,
+        ip: anonymizeIp(extractRealIp(request)),
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      {
+        success: true,
+        message: 'Invitation created successfully',
+        invitation: { ...invitation, status: 'pending' },
+        invitationUrl: buildInvitationUrl(token),
+        requestId,
+      },
+      { status: 201, headers: createResponseHeaders(requestId, responseTime) },
+    );
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Global Create User Invitation Error', {
+      category: errorCategory,
+      response_time_ms: responseTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'user_invitations',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        critical: 'true',
+        entity: 'user_invitation',
+        operation: 'create',
+      },
+      extra: {
+        requestId,
+        responseTimeMs: responseTime,
+        process: 'user_invitation_creation',
+        ip: anonymizeIp(extractRealIp(request)),
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      { success: false, error: 'Internal server error', requestId },
+      { status: 500, headers: createResponseHeaders(requestId, responseTime) },
+    );
+  }
+}
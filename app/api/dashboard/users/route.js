@@ -1,46 +1,365 @@
+// app/api/dashboard/users/route.js
 import { NextResponse } from 'next/server';
 import { getClient } from '@backend/dbConnect';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+} from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@/utils/logger';
+import { checkPermission } from '@backend/authMiddleware';
+import { PERMISSIONS } from '@/utils/permissions';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { fetchUsersPage, parseUserListParams } from '@backend/users';
+import {
+  dashboardCache,
+  getDashboardCacheKey,
+  cacheEvents,
+} from '@/utils/cache';
 
-export async function GET() {
+// Créer le middleware de rate limiting spécifique pour la liste des utilisateurs
+const listUsersRateLimit = applyRateLimit('CONTENT_API', {
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 60, // 60 requêtes par 5 minutes
+  message:
+    'Trop de requêtes sur la liste des utilisateurs. Veuillez réessayer dans quelques minutes.',
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  prefix: 'list_users',
+
+  keyGenerator: (req) => {
+    const ip = extractRealIp(req);
+    return `list_users:ip:${ip}`;
+  },
+});
+
+// Fonction pour créer les headers de réponse
+const createResponseHeaders = (requestId, responseTime, cacheHit = false) => {
+  return {
+    'Access-Control-Allow-Origin':
+      process.env.NEXT_PUBLIC_SITE_URL || 'same-origin',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers':
+      'Content-Type, Authorization, X-Requested-With',
+    // Données personnelles : jamais de cache partagé
+    'Cache-Control': 'private, no-store, max-age=0',
+    Pragma: 'no-cache',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'Content-Security-Policy': "default-src 'none'; connect-src 'self'",
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+    'X-API-Version': '1.0',
+    'X-Entity-Type': 'user',
+    'X-Data-Sensitivity': 'high',
+    'X-Cache-Status': cacheHit ? 'HIT' : 'MISS',
+    'X-RateLimit-Window': '300',
+    'X-RateLimit-Limit': '60',
+  };
+};
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
   let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('List Users API called', {
+    requestId,
+  });
+
+  captureMessage('List users process started', {
+    level: 'info',
+    tags: {
+      component: 'users',
+      action: 'process_start',
+      api_endpoint: '/api/dashboard/users',
+      entity: 'user',
+      operation: 'read',
+    },
+    extra: {
+      requestId,
+      timestamp: new Date().toISOString(),
+      method: 'GET',
+    },
+  });
+
   try {
-    client = await getClient();
+    // ===== ÉTAPE 1: APPLIQUER LE RATE LIMITING =====
+    const rateLimitResponse = await listUsersRateLimit(request);
 
-    const query = `SELECT * FROM users`;
+    if (rateLimitResponse) {
+      logger.warn('List users API rate limit exceeded', {
+        requestId,
+        ip: anonymizeIp(extractRealIp(request)),
+      });
 
-    // const query = `SELECT * FROM articles`;
+      captureMessage('List users API rate limit exceeded', {
+        level: 'warning',
+        tags: {
+          component: 'users',
+          action: 'rate_limit_exceeded',
+          error_category: 'rate_limiting',
+          entity: 'user',
+          operation: 'read',
+        },
+        extra: {
+          requestId,
+          ip: anonymizeIp(extractRealIp(request)),
+          userAgent:
+            request.headers.get('user-agent')?.substring(0, 100) || 'unknown',
+        },
+      });
 
-    console.log('We prepared the query');
+      const responseTime = Date.now() - startTime;
+      const rateLimitBody = await rateLimitResponse.json();
 
-    const { rows } = await client.query(query);
+      return NextResponse.json(rateLimitBody, {
+        status: 429,
+        headers: createResponseHeaders(requestId, responseTime),
+      });
+    }
 
-    console.log('result in the await client.query: : ');
-    console.log(rows);
+    // ===== ÉTAPE 2: VÉRIFICATION AUTHENTIFICATION ET PERMISSIONS =====
+    const authCheck = await checkPermission(PERMISSIONS.USERS_VIEW, {
+      requestId,
+      endpoint: '/api/dashboard/users',
+    });
 
-    if (rows) await client.cleanup();
+    if (!authCheck.authorized) {
+      const responseTime = Date.now() - startTime;
 
-    return NextResponse.json(
-      {
-        success: true,
-        users: rows || [], // Ensuring a default empty array if no articles are found
-      },
-      {
-        status: 200,
-        headers: {
-          'Cache-Control': 's-maxage=60, stale-while-revalidate=120', // Improves performance
+      return NextResponse.json(
+        {
+          success: false,
+          error: authCheck.error,
+          requestId,
+        },
+        {
+          status: authCheck.status,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 3: LECTURE DES PARAMÈTRES DE PAGINATION ET RECHERCHE =====
+    const { searchParams } = request.nextUrl;
+    const listParams = parseUserListParams({
+      page: searchParams.get('page'),
+      limit: searchParams.get('limit'),
+      search: searchParams.get('search'),
+    });
+
+    // ===== ÉTAPE 4: VÉRIFICATION DU CACHE =====
+    const cacheKey = getDashboardCacheKey('users_api_list', {
+      page: listParams.page,
+      limit: listParams.limit,
+      search: listParams.search,
+    });
+
+    const cachedUsers = dashboardCache.dashboardUsers.get(cacheKey);
+
+    if (cachedUsers) {
+      const responseTime = Date.now() - startTime;
+
+      logger.info('Users served from cache', {
+        userCount: cachedUsers.users.length,
+        response_time_ms: responseTime,
+        requestId,
+      });
+
+      cacheEvents.emit('dashboard_hit', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardUsers,
+        entityType: 'user',
+        requestId,
+      });
+
+      return NextResponse.json(
+        { success: true, ...cachedUsers, requestId },
+        {
+          status: 200,
+          headers: createResponseHeaders(requestId, responseTime, true),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 5: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      const errorCategory = categorizeError(dbConnectionError);
+
+      logger.error('Database Connection Error during users fetch', {
+        category: errorCategory,
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'users',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'user',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+          ip: anonymizeIp(extractRealIp(request)),
         },
+      });
+
+      const responseTime = Date.now() - startTime;
+
+      return NextResponse.json(
+        { success: false, error: 'Database connection failed', requestId },
+        {
+          status: 503,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 6: EXÉCUTION DE LA REQUÊTE =====
+    let data;
+    try {
+      data = await fetchUsersPage(client, listParams);
+    } catch (queryError) {
+      const errorCategory = categorizeError(queryError);
+
+      logger.error('Users Query Error', {
+        category: errorCategory,
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'users',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'user',
+        },
+        extra: {
+          requestId,
+          table: 'admin.users',
+          queryType: 'users_list',
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+
+      return NextResponse.json(
+        { success: false, error: 'Failed to fetch users', requestId },
+        {
+          status: 500,
+          headers: createResponseHeaders(requestId, responseTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 7: MISE EN CACHE DES DONNÉES =====
+    const cacheSuccess = dashboardCache.dashboardUsers.set(cacheKey, data);
+
+    if (cacheSuccess) {
+      cacheEvents.emit('dashboard_set', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardUsers,
+        entityType: 'user',
+        requestId,
+        size: data.users.length,
+      });
+    }
+
+    // ===== ÉTAPE 8: SUCCÈS - LOG ET NETTOYAGE =====
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Users fetch successful', {
+      userCount: data.users.length,
+      total: data.pagination.total,
+      page: data.pagination.page,
+      response_time_ms: responseTime,
+      requestId,
+    });
+
+    captureMessage('Users fetch completed successfully', {
+      level: 'info',
+      tags: {
+        component: 'users',
+        action: 'fetch_success',
+        success: 'true',
+        entity: 'user',
+        operation: 'read',
+      },
+      extra: {
+        requestId,
+        userCount: data.users.length,
+        total: data.pagination.total,
+        hasSearch: !!listParams.search,
+        responseTimeMs: responseTime,
+        cacheSet: cacheSuccess,
       },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      { success: true, ...data, requestId },
+      { status: 200, headers: createResponseHeaders(requestId, responseTime) },
     );
   } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Global List Users Error', {
+      category: errorCategory,
+      response_time_ms: responseTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'users',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        critical: 'true',
+        entity: 'user',
+        operation: 'read',
+      },
+      extra: {
+        requestId,
+        responseTimeMs: responseTime,
+        reachedGlobalHandler: true,
+        errorName: error.name,
+        process: 'users_list',
+      },
+    });
+
     if (client) await client.cleanup();
-    console.error('Database Error:', error);
 
     return NextResponse.json(
       {
         success: false,
+        error: 'Internal server error',
         message: 'Unable to fetch users at the moment. Please try again later.',
+        requestId,
       },
-      { status: 500 },
+      { status: 500, headers: createResponseHeaders(requestId, responseTime) },
     );
   }
 }
@@ -0,0 +1,395 @@
+// app/api/password-reset/confirm/route.js
+// Vérification d'un lien de réinitialisation et enregistrement du nouveau mot de passe
+import { NextResponse } from 'next/server';
+import bcrypt from 'bcryptjs';
+import { getClient } from '@backend/dbConnect';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import {
+  consumePasswordReset,
+  findUsablePasswordReset,
+} from '@backend/passwordResets';
+import { revokeUserSessions } from '@backend/sessions';
+import {
+  passwordResetSchema,
+  passwordResetTokenSchema,
+} from '@utils/schemas/authSchema';
+import { sanitizeLoginInputsStrict } from '@utils/sanitizers/sanitizeLoginInputs';
+import { invalidateDashboardCache } from '@/utils/cache';
+import { captureException, captureMessage } from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@utils/logger';
+
+// Rate limiting strict : empêche l'énumération de tokens
+const passwordResetRateLimit = applyRateLimit('AUTH_ENDPOINTS', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 vérifications ou tentatives par 15 minutes
+  message:
+    'Trop de tentatives de réinitialisation. Veuillez réessayer dans quelques minutes.',
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  prefix: 'password_reset',
+
+  keyGenerator: (req) => {
+    const ip = extractRealIp(req);
+    return `password_reset:ip:${ip}`;
+  },
+});
+
+const INVALID_LINK_MESSAGE = 'Invalid or expired password reset link';
+
+const getResponseHeaders = (requestId, responseTime) => {
+  return {
+    'Cache-Control':
+      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'X-Robots-Tag': 'noindex, nofollow',
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+  };
+};
+
+/**
+ * Applique le rate limiting ; retourne la réponse 429 si la limite est dépassée
+ */
+const checkRateLimit = async (req, requestId, startTime) => {
+  const rateLimitResponse = await passwordResetRateLimit(req);
+  if (!rateLimitResponse) return null;
+
+  captureMessage('Password reset rate limit exceeded', {
+    level: 'warning',
+    tags: {
+      component: 'password_reset',
+      action: 'rate_limited',
+      error_category: 'rate_limiting',
+    },
+    extra: {
+      requestId,
+      ip: anonymizeIp(extractRealIp(req)),
+    },
+  });
+
+  const rateLimitBody = await rateLimitResponse.json();
+
+  return NextResponse.json(rateLimitBody, {
+    status: 429,
+    headers: getResponseHeaders(requestId, Date.now() - startTime),
+  });
+};
+
+/**
+ * Erreur globale commune aux deux méthodes
+ */
+const handleGlobalError = (error, { requestId, startTime, action }) => {
+  const errorCategory = categorizeError(error);
+  const responseTime = Date.now() - startTime;
+
+  logger.error('Global Password Reset Error', {
+    category: errorCategory,
+    error_message: error.message,
+    action,
+    requestId,
+  });
+
+  captureException(error, {
+    level: 'error',
+    tags: {
+      component: 'password_reset',
+      action,
+      error_category: errorCategory,
+    },
+    extra: {
+      requestId,
+      responseTimeMs: responseTime,
+    },
+  });
+
+  return NextResponse.json(
+    { error: 'Internal server error' },
+    { status: 500, headers: getResponseHeaders(requestId, responseTime) },
+  );
+};
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(req) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  try {
+    // ===== ÉTAPE 1: APPLIQUER LE RATE LIMITING =====
+    const rateLimited = await checkRateLimit(req, requestId, startTime);
+    if (rateLimited) return rateLimited;
+
+    // ===== ÉTAPE 2: VALIDATION DU FORMAT DU TOKEN =====
+    const token = req.nextUrl.searchParams.get('token');
+
+    try {
+      await passwordResetTokenSchema.validate(token);
+    } catch {
+      return NextResponse.json(
+        { valid: false, error: INVALID_LINK_MESSAGE },
+        {
+          status: 400,
+          headers: getResponseHeaders(requestId, Date.now() - startTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 3: RECHERCHE DE LA DEMANDE =====
+    client = await getClient();
+    const { valid, reason } = await findUsablePasswordReset(client, token);
+    await client.cleanup();
+    client = null;
+
+    const responseTime = Date.now() - startTime;
+
+    if (!valid) {
+      logger.warn('Unusable password reset token presented', {
+        reason,
+        requestId,
+        ip: anonymizeIp(extractRealIp(req)),
+      });
+
+      // Message générique : ne pas révéler si le token a existé
+      return NextResponse.json(
+        { valid: false, error: INVALID_LINK_MESSAGE },
+        { status: 404, headers: getResponseHeaders(requestId, responseTime) },
+      );
+    }
+
+    return NextResponse.json(
+      { valid: true },
+      { status: 200, headers: getResponseHeaders(requestId, responseTime) },
+    );
+  } catch (error) {
+    if (client) await client.cleanup();
+    return handleGlobalError(error, {
+      requestId,
+      startTime,
+      action: 'reset_lookup_failed',
+    });
+  }
+}
+
+export async function POST(req) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+  const ip = anonymizeIp(extractRealIp(req));
+
+  try {
+    // ===== ÉTAPE 1: APPLIQUER LE RATE LIMITING =====
+    const rateLimited = await checkRateLimit(req, requestId, startTime);
+    if (rateLimited) return rateLimited;
+
+    // ===== ÉTAPE 2: PARSING DU BODY ET FORMAT DU TOKEN =====
+    let body;
+    try {
+      body = await req.json();
+      await passwordResetTokenSchema.validate(body?.token);
+    } catch {
+      return NextResponse.json(
+        { error: INVALID_LINK_MESSAGE },
+        {
+          status: 400,
+          headers: getResponseHeaders(requestId, Date.now() - startTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 3: SANITIZATION ET VALIDATION DU MOT DE PASSE =====
+    // Même nettoyage que la connexion : le mot de passe enregistré doit être celui comparé au login
+    const { password } = sanitizeLoginInputsStrict({
+      password: body.password,
+    });
+    const { password: confirmPassword } = sanitizeLoginInputsStrict({
+      password: body.confirmPassword,
+    });
+
+    try {
+      await passwordResetSchema.validate(
+        { password, confirmPassword },
+        { abortEarly: false },
+      );
+    } catch (validationError) {
+      const errors = {};
+      validationError.inner.forEach((error) => {
+        errors[error.path] = error.message;
+      });
+
+      return NextResponse.json(
+        { errors },
+        {
+          status: 400,
+          headers: getResponseHeaders(requestId, Date.now() - startTime),
+        },
+      );
+    }
+
+    // ===== ÉTAPE 4: HACHAGE DU MOT DE PASSE =====
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    if (!hashedPassword) {
+      throw new Error('Password hashing returned empty result');
+    }
+
+    // ===== ÉTAPE 5: CONSOMMATION DU TOKEN ET MISE À JOUR DU COMPTE =====
+    // La demande est verrouillée (FOR UPDATE) puis marquée utilisée dans la
+    // même transaction que le changement de mot de passe : un lien ne sert qu'une fois
+    client = await getClient();
+    const result = await withTransaction(
+      async (tx) => {
+        const check = await findUsablePasswordReset(tx, body.token, {
+          forUpdate: true,
+        });
+
+        if (!check.valid) {
+          return { status: 'invalid', reason: check.reason };
+        }
+
+        const { reset } = check;
+        const userResult = await tx.query(
+          `SELECT user_password, user_must_reset_password
+           FROM admin.users
+           WHERE user_id = $1
+           FOR UPDATE`,
+          [reset.user_id],
+        );
+        const user = userResult.rows[0];
+
+        if (await bcrypt.compare(password, user.user_password)) {
+          return { status: 'same_password' };
+        }
+
+        await tx.query(
+          `UPDATE admin.users
+           SET user_password = $1,
+               user_must_reset_password = FALSE,
+               -- Un lien reçu par email prouve la possession du compte : fin du verrouillage
+               user_failed_login_count = 0,
+               user_locked_until = NULL,
+               user_lockout_count = 0,
+               user_updated = NOW()
+           WHERE user_id = $2`,
+          [hashedPassword, reset.user_id],
+        );
+
+        await consumePasswordReset(tx, reset);
+
+        // Toute session ouverte avec l'ancien mot de passe est fermée
+        const revokedSessions = await revokeUserSessions(tx, reset.user_id, {
+          reason: 'password_reset',
+        });
+
+        // Le hash n'apparaît jamais dans le journal
+        await recordAudit(tx, {
+          action: 'update',
+          entity: 'user',
+          entityId: reset.user_id,
+          before: {
+            password: 'unchanged',
+            user_must_reset_password: user.user_must_reset_password,
+          },
+          after: {
+            password: 'reset_by_email',
+            user_must_reset_password: false,
+          },
+          actorId: reset.user_id,
+          requestId,
+          ip,
+        });
+
+        return { status: 'reset', reset, revokedSessions };
+      },
+      { client, name: 'perform_password_reset', requestId },
+    );
+    await client.cleanup();
+    client = null;
+
+    const responseTime = Date.now() - startTime;
+
+    if (result.status === 'invalid') {
+      logger.warn('Password reset attempt with unusable token', {
+        reason: result.reason,
+        requestId,
+        ip,
+      });
+
+      captureMessage('Password reset attempt with unusable token', {
+        level: 'warning',
+        tags: {
+          component: 'password_reset',
+          action: 'invalid_token',
+          error_category: 'authentication',
+        },
+        extra: { requestId, reason: result.reason, ip },
+      });
+
+      return NextResponse.json(
+        { error: INVALID_LINK_MESSAGE },
+        { status: 404, headers: getResponseHeaders(requestId, responseTime) },
+      );
+    }
+
+    if (result.status === 'same_password') {
+      return NextResponse.json(
+        {
+          errors: {
+            password: 'New password must differ from your current password',
+          },
+        },
+        { status: 400, headers: getResponseHeaders(requestId, responseTime) },
+      );
+    }
+
+    invalidateDashboardCache('user');
+
+    logger.info('Password reset completed', {
+      requestId,
+      userId: result.reset.user_id,
+      resetId: result.reset.reset_id,
+      revokedSessions: result.revokedSessions,
+      response_time_ms: responseTime,
+    });
+
+    captureMessage('Password reset completed', {
+      level: 'info',
+      tags: {
+        component: 'password_reset',
+        action: 'reset_success',
+        success: 'true',
+      },
+      extra: {
+        requestId,
+        userId: result.reset.user_id,
+        responseTimeMs: responseTime,
+      },
+    });
+
+    return NextResponse.json(
+      { message: 'Password updated successfully' },
+      { status: 200, headers: getResponseHeaders(requestId, responseTime) },
+    );
+  } catch (error) {
+    if (client) await client.cleanup();
+    return handleGlobalError(error, {
+      requestId,
+      startTime,
+      action: 'reset_failed',
+    });
+  }
+}
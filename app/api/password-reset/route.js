@@ -0,0 +1,225 @@
+// app/api/password-reset/route.js
+// Demande de réinitialisation de mot de passe : envoie un lien à usage unique par email
+import { NextResponse, after } from 'next/server';
+import { getClient } from '@backend/dbConnect';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { withTransaction } from '@backend/transaction';
+import {
+  buildPasswordResetEmail,
+  buildPasswordResetUrl,
+  createPasswordReset,
+} from '@backend/passwordResets';
+import { sendMail } from '@backend/mail';
+import { passwordResetRequestSchema } from '@utils/schemas/authSchema';
+import { sanitizeLoginInputsStrict } from '@utils/sanitizers/sanitizeLoginInputs';
+import { captureException, captureMessage } from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@utils/logger';
+
+// Rate limiting strict : limite l'envoi d'emails et l'énumération de comptes
+const passwordResetRequestRateLimit = applyRateLimit('AUTH_ENDPOINTS', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 demandes par 15 minutes
+  message:
+    'Trop de demandes de réinitialisation. Veuillez réessayer dans quelques minutes.',
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  prefix: 'password_reset_request',
+
+  keyGenerator: (req) => {
+    const ip = extractRealIp(req);
+    return `password_reset_request:ip:${ip}`;
+  },
+});
+
+// Réponse identique que le compte existe ou non
+const GENERIC_MESSAGE =
+  'If an account exists for this email, a password reset link has been sent.';
+
+const getResponseHeaders = (requestId, responseTime) => {
+  return {
+    'Cache-Control':
+      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'X-Robots-Tag': 'noindex, nofollow',
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+  };
+};
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(req) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+  const ip = anonymizeIp(extractRealIp(req));
+
+  try {
+    // ===== ÉTAPE 1: APPLIQUER LE RATE LIMITING =====
+    const rateLimitResponse = await passwordResetRequestRateLimit(req);
+
+    if (rateLimitResponse) {
+      captureMessage('Password reset request rate limit exceeded', {
+        level: 'warning',
+        tags: {
+          component: 'password_reset',
+          action: 'request_rate_limited',
+          error_category: 'rate_limiting',
+        },
+        extra: { requestId, ip },
+      });
+
+      const responseTime = Date.now() - startTime;
+      const rateLimitBody = await rateLimitResponse.json();
+
+      return NextResponse.json(rateLimitBody, {
+        status: 429,
+        headers: getResponseHeaders(requestId, responseTime),
+      });
+    }
+
+    // ===== ÉTAPE 2: PARSING, SANITIZATION ET VALIDATION =====
+    let email;
+    try {
+      const body = await req.json();
+      ({ email } = sanitizeLoginInputsStrict({ email: body?.email }));
+      ({ email } = await passwordResetRequestSchema.validate({ email }));
+    } catch (validationError) {
+      const responseTime = Date.now() - startTime;
+
+      return NextResponse.json(
+        {
+          errors: {
+            email:
+              validationError.name === 'ValidationError'
+                ? validationError.message
+                : 'Invalid request body',
+          },
+        },
+        { status: 400, headers: getResponseHeaders(requestId, responseTime) },
+      );
+    }
+
+    // ===== ÉTAPE 3: CRÉATION DE LA DEMANDE =====
+    // Seul un compte actif reçoit un lien ; la réponse ne le révèle pas
+    client = await getClient();
+    const request = await withTransaction(
+      async (tx) => {
+        const userResult = await tx.query(
+          `SELECT user_id, user_name, user_email
+           FROM admin.users
+           WHERE user_email = $1 AND user_is_active = TRUE
+           FOR UPDATE`,
+          [email],
+        );
+
+        const user = userResult.rows[0];
+        if (!user) return { user: null, created: null };
+
+        const created = await createPasswordReset(tx, user.user_id, { ip });
+        return { user, created };
+      },
+      { client, name: 'create_password_reset', requestId },
+    );
+    await client.cleanup();
+    client = null;
+
+    if (!request.user) {
+      logger.info('Password reset requested for unknown or inactive account', {
+        requestId,
+        ip,
+      });
+    } else if (!request.created) {
+      logger.info('Password reset request ignored during cooldown', {
+        requestId,
+        userId: request.user.user_id,
+      });
+    } else {
+      const { user, created } = request;
+
+      // Envoi après la réponse : la durée de la requête ne révèle pas l'existence du compte
+      after(async () => {
+        try {
+          const mail = await sendMail({
+            to: user.user_email,
+            ...buildPasswordResetEmail(
+              user,
+              buildPasswordResetUrl(created.token),
+            ),
+          });
+
+          logger.info('Password reset email sent', {
+            requestId,
+            userId: user.user_id,
+            resetId: created.reset.reset_id,
+            transport: mail.transport,
+          });
+        } catch (mailError) {
+          logger.error('Password reset email failed', {
+            requestId,
+            userId: user.user_id,
+            error_message: mailError.message,
+          });
+
+          captureException(mailError, {
+            level: 'error',
+            tags: {
+              component: 'password_reset',
+              action: 'reset_email_failed',
+              error_category: categorizeError(mailError),
+            },
+            extra: { requestId, resetId: created.reset.reset_id },
+          });
+        }
+      });
+    }
+
+    const responseTime = Date.now() - startTime;
+
+    return NextResponse.json(
+      { message: GENERIC_MESSAGE },
+      { status: 200, headers: getResponseHeaders(requestId, responseTime) },
+    );
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Global Password Reset Request Error', {
+      category: errorCategory,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'password_reset',
+        action: 'request_failed',
+        error_category: errorCategory,
+      },
+      extra: {
+        requestId,
+        responseTimeMs: responseTime,
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500, headers: getResponseHeaders(requestId, responseTime) },
+    );
+  }
+}
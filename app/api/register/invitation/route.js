@@ -0,0 +1,162 @@
+// app/api/register/invitation/route.js
+// Vérifie un token d'invitation avant l'affichage du formulaire d'inscription
+import { NextResponse } from 'next/server';
+import { getClient } from '@backend/dbConnect';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { findUsableInvitation } from '@backend/invitations';
+import { invitationTokenSchema } from '@utils/schemas/authSchema';
+import { captureException, captureMessage } from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@utils/logger';
+
+// Rate limiting strict : empêche l'énumération de tokens
+const invitationLookupRateLimit = applyRateLimit('AUTH_ENDPOINTS', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 vérifications par 15 minutes
+  message:
+    "Trop de vérifications d'invitation. Veuillez réessayer dans quelques minutes.",
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  prefix: 'register_invitation',
+
+  keyGenerator: (req) => {
+    const ip = extractRealIp(req);
+    return `register_invitation:ip:${ip}`;
+  },
+});
+
+const getResponseHeaders = (requestId, responseTime) => {
+  return {
+    'Cache-Control':
+      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0',
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'X-Robots-Tag': 'noindex, nofollow',
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${responseTime}ms`,
+  };
+};
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(req) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  try {
+    // ===== ÉTAPE 1: APPLIQUER LE RATE LIMITING =====
+    const rateLimitResponse = await invitationLookupRateLimit(req);
+
+    if (rateLimitResponse) {
+      captureMessage('Invitation lookup rate limit exceeded', {
+        level: 'warning',
+        tags: {
+          component: 'registration',
+          action: 'invitation_lookup_rate_limited',
+          error_category: 'rate_limiting',
+        },
+        extra: {
+          requestId,
+          ip: anonymizeIp(extractRealIp(req)),
+        },
+      });
+
+      const responseTime = Date.now() - startTime;
+      const rateLimitBody = await rateLimitResponse.json();
+
+      return NextResponse.json(rateLimitBody, {
+        status: 429,
+        headers: getResponseHeaders(requestId, responseTime),
+      });
+    }
+
+    // ===== ÉTAPE 2: VALIDATION DU FORMAT DU TOKEN =====
+    const token = req.nextUrl.searchParams.get('token');
+
+    try {
+      await invitationTokenSchema.validate(token);
+    } catch {
+      const responseTime = Date.now() - startTime;
+
+      return NextResponse.json(
+        { valid: false, error: 'Invalid or expired invitation' },
+        { status: 400, headers: getResponseHeaders(requestId, responseTime) },
+      );
+    }
+
+    // ===== ÉTAPE 3: RECHERCHE DE L'INVITATION =====
+    client = await getClient();
+    const { valid, reason, invitation } = await findUsableInvitation(
+      client,
+      token,
+    );
+    await client.cleanup();
+    client = null;
+
+    const responseTime = Date.now() - startTime;
+
+    if (!valid) {
+      logger.warn('Unusable invitation token presented', {
+        reason,
+        requestId,
+        ip: anonymizeIp(extractRealIp(req)),
+      });
+
+      // Message générique : ne pas révéler si le token a existé
+      return NextResponse.json(
+        { valid: false, error: 'Invalid or expired invitation' },
+        { status: 404, headers: getResponseHeaders(requestId, responseTime) },
+      );
+    }
+
+    return NextResponse.json(
+      {
+        valid: true,
+        email: invitation.invitation_email,
+        role: invitation.invitation_role,
+        expiresAt: invitation.expires_at,
+      },
+      { status: 200, headers: getResponseHeaders(requestId, responseTime) },
+    );
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+    const responseTime = Date.now() - startTime;
+
+    logger.error('Global Invitation Lookup Error', {
+      category: errorCategory,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'registration',
+        action: 'invitation_lookup_failed',
+        error_category: errorCategory,
+      },
+      extra: {
+        requestId,
+        responseTimeMs: responseTime,
+      },
+    });
+
+    if (client) await client.cleanup();
+
+    return NextResponse.json(
+      { valid: false, error: 'Internal server error' },
+      { status: 500, headers: getResponseHeaders(requestId, responseTime) },
+    );
+  }
+}
@@ -3,7 +3,10 @@
 import { NextResponse } from 'next/server';
 import bcrypt from 'bcryptjs';
 import { getClient } from '@backend/dbConnect';
-import { registrationSchema } from '@utils/schemas/authSchema';
+import {
+  registrationSchema,
+  invitationTokenSchema,
+} from '@utils/schemas/authSchema';
 import { applyRateLimit } from '@backend/rateLimiter';
 import {
   captureException,
@@ -20,6 +23,13 @@ import {
 } from '@/utils/helpers';
 import logger from '@utils/logger';
 import { sanitizeRegistrationInputsStrict } from '@utils/sanitizers/sanitizeRegistrationInputs';
+import { findUsableInvitation } from '@backend/invitations';
+import { getAuditContext, recordAudit } from '@backend/auditLog';
+import { SAFE_USER_COLUMNS } from '@backend/users';
+
+// Réponse unique à tout problème d'invitation (format, token inconnu, expiré,
+// utilisé, révoqué ou email différent) : elle ne renseigne sur rien
+const INVALID_INVITATION_ERROR = 'Invalid or expired invitation';
 
 // Créer le middleware de rate limiting spécifique pour l'inscription
 const registrationRateLimit = applyRateLimit('AUTH_ENDPOINTS', {
@@ -99,7 +109,7 @@ const getRegistrationSecurityHeaders = (requestId, responseTime) => {
     'X-Operation-Type': 'user-creation',
     'X-Entity-Type': 'user-account',
     'X-Data-Sensitivity': 'high',
-    'X-Authentication-Context': 'public-registration',
+    'X-Authentication-Context': 'invitation-registration',
     'X-Password-Hashing': 'bcrypt',
     'X-PII-Processing': 'true',
     'X-RateLimit-Window': '900',
@@ -109,7 +119,7 @@ const getRegistrationSecurityHeaders = (requestId, responseTime) => {
     'X-Sanitization-Applied': 'true',
     'X-Yup-Validation-Applied': 'true',
     'X-Uniqueness-Check': 'email-required',
-    'X-Database-Operations': '3',
+    'X-Database-Operations': '6',
     'X-Permitted-Cross-Domain-Policies': 'none',
     'X-Robots-Tag': 'noindex, nofollow',
     Vary: 'Content-Type, User-Agent',
@@ -229,8 +239,47 @@ export async function POST(req) {
       confirmPassword,
       dateOfBirth,
       terms,
+      token,
     } = body;
 
+    // ===== ÉTAPE 2.1: VÉRIFICATION DU FORMAT DU TOKEN D'INVITATION =====
+    // L'inscription n'est possible que sur invitation d'un administrateur
+    try {
+      await invitationTokenSchema.validate(token);
+    } catch {
+      logger.warn('Registration attempt without valid invitation token', {
+        requestId,
+        ip: anonymizeIp(extractRealIp(req)),
+      });
+
+      captureMessage('Registration attempt without valid invitation token', {
+        level: 'warning',
+        tags: {
+          component: 'registration',
+          action: 'missing_invitation_token',
+          error_category: 'authentication',
+        },
+        extra: {
+          requestId,
+          ip: anonymizeIp(extractRealIp(req)),
+        },
+      });
+
+      const responseTime = Date.now() - startTime;
+      const securityHeaders = getRegistrationSecurityHeaders(
+        requestId,
+        responseTime,
+      );
+
+      return NextResponse.json(
+        { error: INVALID_INVITATION_ERROR },
+        {
+          status: 403,
+          headers: securityHeaders,
+        },
+      );
+    }
+
     // ===== ÉTAPE 2.5: SANITIZATION DES INPUTS =====
     const sanitizedInputs = sanitizeRegistrationInputsStrict({
       username,
@@ -369,7 +418,108 @@ export async function POST(req) {
       );
     }
 
-    // ===== ÉTAPE 5: VÉRIFICATION EXISTENCE UTILISATEUR =====
+    // ===== ÉTAPE 5: VALIDATION ET VERROUILLAGE DE L'INVITATION =====
+    // Avant toute lecture de admin.users : sans invitation valide pour cet email,
+    // la réponse est la même 403 et ne dit rien des comptes existants.
+    // L'invitation reste verrouillée (FOR UPDATE) jusqu'à la fin de la transaction
+    // qui la marque utilisée : un token ne sert qu'une fois
+    let invitationCheck;
+    try {
+      await client.query('BEGIN');
+
+      invitationCheck = await findUsableInvitation(client, token, {
+        forUpdate: true,
+      });
+    } catch (invitationError) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      const errorCategory = categorizeError(invitationError);
+
+      logger.error('Invitation Check Error during registration', {
+        category: errorCategory,
+        message: invitationError.message,
+        requestId,
+      });
+
+      captureDatabaseError(invitationError, {
+        tags: {
+          component: 'registration',
+          action: 'invitation_check_failed',
+          operation: 'SELECT',
+        },
+        extra: {
+          requestId,
+          table: 'admin.user_invitations',
+        },
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      const securityHeaders = getRegistrationSecurityHeaders(
+        requestId,
+        responseTime,
+      );
+
+      return NextResponse.json(
+        { error: 'Database query failed during invitation check' },
+        {
+          status: 500,
+          headers: securityHeaders,
+        },
+      );
+    }
+
+    const invitationMatchesEmail =
+      invitationCheck.valid &&
+      invitationCheck.invitation.invitation_email.toLowerCase() ===
+        sanitizedEmail.toLowerCase();
+
+    if (!invitationMatchesEmail) {
+      await client.query('ROLLBACK').catch(() => {});
+
+      logger.warn('Registration attempt with unusable invitation', {
+        reason: invitationCheck.valid
+          ? 'email_mismatch'
+          : invitationCheck.reason,
+        user_context: userDataForLogging,
+        requestId,
+      });
+
+      captureMessage('Registration attempt with unusable invitation', {
+        level: 'warning',
+        tags: {
+          component: 'registration',
+          action: 'invalid_invitation',
+          error_category: 'authentication',
+        },
+        extra: {
+          requestId,
+          reason: invitationCheck.valid
+            ? 'email_mismatch'
+            : invitationCheck.reason,
+          ip: anonymizeIp(extractRealIp(req)),
+        },
+      });
+
+      if (client) await client.cleanup();
+
+      const responseTime = Date.now() - startTime;
+      const securityHeaders = getRegistrationSecurityHeaders(
+        requestId,
+        responseTime,
+      );
+
+      return NextResponse.json(
+        { error: INVALID_INVITATION_ERROR },
+        {
+          status: 403,
+          headers: securityHeaders,
+        },
+      );
+    }
+
+    // ===== ÉTAPE 6: VÉRIFICATION EXISTENCE UTILISATEUR =====
     let userExistsResult;
     try {
       const userExistsQuery =
@@ -402,6 +552,7 @@ export async function POST(req) {
         },
       });
 
+      await client.query('ROLLBACK').catch(() => {});
       if (client) await client.cleanup();
 
       const responseTime = Date.now() - startTime;
@@ -439,6 +590,7 @@ export async function POST(req) {
         },
       });
 
+      await client.query('ROLLBACK').catch(() => {});
       if (client) await client.cleanup();
 
       const responseTime = Date.now() - startTime;
@@ -456,7 +608,7 @@ export async function POST(req) {
       );
     }
 
-    // ===== ÉTAPE 6: HACHAGE DU MOT DE PASSE =====
+    // ===== ÉTAPE 7: HACHAGE DU MOT DE PASSE =====
     let hashedPassword;
     try {
       const salt = await bcrypt.genSalt(10);
@@ -493,6 +645,7 @@ export async function POST(req) {
         },
       });
 
+      await client.query('ROLLBACK').catch(() => {});
       if (client) await client.cleanup();
 
       const responseTime = Date.now() - startTime;
@@ -510,13 +663,13 @@ export async function POST(req) {
       );
     }
 
-    // ===== ÉTAPE 7: INSERTION NOUVEL UTILISATEUR =====
+    // ===== ÉTAPE 8: INSERTION NOUVEL UTILISATEUR ET CONSOMMATION DE L'INVITATION =====
     let result;
     try {
       const insertUserQuery = `
-        INSERT INTO admin.users (user_name, user_email, user_password, user_phone, user_birthdate)
-        VALUES ($1, $2, $3, $4, $5)
-        RETURNING user_id, user_name, user_email, user_phone, user_birthdate, user_image, user_added, user_updated
+        INSERT INTO admin.users (user_name, user_email, user_password, user_phone, user_birthdate, user_role)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING ${SAFE_USER_COLUMNS}
       `;
 
       result = await client.query(insertUserQuery, [
@@ -525,8 +678,30 @@ export async function POST(req) {
         hashedPassword,
         sanitizedPhone || null,
         sanitizedDateOfBirth || null,
+        invitationCheck.invitation.invitation_role,
       ]);
+
+      await client.query(
+        `UPDATE admin.user_invitations
+         SET used_at = NOW(), used_by = $1
+         WHERE invitation_id = $2`,
+        [result.rows[0].user_id, invitationCheck.invitation.invitation_id],
+      );
+
+      // Inscription sur invitation : le nouvel utilisateur est l'auteur de la création
+      await recordAudit(client, {
+        ...getAuditContext(req, null, requestId),
+        actorId: result.rows[0].user_id,
+        action: 'create',
+        entity: 'user',
+        entityId: result.rows[0].user_id,
+        after: result.rows[0],
+      });
+
+      await client.query('COMMIT');
     } catch (insertError) {
+      await client.query('ROLLBACK').catch(() => {});
+
       const errorCategory = categorizeError(insertError);
 
       logger.error('User Insertion Error during registration', {
@@ -582,7 +757,7 @@ export async function POST(req) {
       );
     }
 
-    // ===== ÉTAPE 8: SUCCÈS - LOG ET NETTOYAGE =====
+    // ===== ÉTAPE 9: SUCCÈS - LOG ET NETTOYAGE =====
     const newUser = result.rows[0];
     const responseTime = Date.now() - startTime;
 
@@ -604,8 +779,10 @@ export async function POST(req) {
       extra: {
         requestId,
         userId: newUser.user_id,
+        invitationId: invitationCheck.invitation.invitation_id,
+        role: newUser.user_role,
         responseTimeMs: responseTime,
-        databaseOperations: 3,
+        databaseOperations: 6,
         rateLimitingApplied: true,
         userContext: anonymizeUserData(newUser),
       },
@@ -626,6 +803,7 @@ export async function POST(req) {
           id: newUser.user_id,
           username: newUser.user_name,
           email: newUser.user_email,
+          role: newUser.user_role,
           created_at: newUser.user_added,
         },
       },
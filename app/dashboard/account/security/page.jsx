@@ -0,0 +1,173 @@
+// app/dashboard/account/security/page.jsx (Server Component)
+
+import AccountSecurity from '@/ui/pages/account/AccountSecurity';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import { fetchTwoFactorState } from '@backend/twoFactor';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+/**
+ * Récupère l'état de la double authentification du compte connecté.
+ * Pas de mise en cache : l'état change à chaque activation ou désactivation.
+ * @param {number} userId - Compte connecté
+ * @returns {Promise<Object|null>} { enabled, enabledAt, pending, recoveryCodesLeft, required } ou null
+ */
+async function getTwoFactorStatus(userId) {
+  let client;
+  const requestId = generateRequestId();
+
+  try {
+    client = await getClient();
+    const state = await fetchTwoFactorState(client, userId);
+
+    if (!state) return null;
+
+    // Le secret ne quitte jamais le serveur en dehors de l'activation
+    return {
+      enabled: state.enabled,
+      enabledAt: state.enabledAt?.toISOString?.() ?? state.enabledAt ?? null,
+      pending: state.pending,
+      recoveryCodesLeft: state.recoveryCodesLeft,
+      required: state.required,
+    };
+  } catch (error) {
+    const errorCategory = categorizeError(error);
+
+    logger.error('Two-factor status fetch error', {
+      category: errorCategory,
+      error_message: error.message,
+      userId,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'account_security_server_component',
+        action: 'two_factor_status_failed',
+        error_category: errorCategory,
+        entity: 'user',
+        execution_context: 'server_component',
+      },
+      extra: { requestId, userId },
+    });
+
+    return null;
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to account security page');
+
+      captureMessage(
+        'Unauthenticated access attempt to account security page',
+        {
+          level: 'warning',
+          tags: {
+            component: 'account_security_server_component',
+            action: 'auth_check_failed',
+            error_category: 'authentication',
+            execution_context: 'server_component',
+          },
+          extra: {
+            timestamp: new Date().toISOString(),
+            page: 'account_security',
+          },
+        },
+      );
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'account_security_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page Sécurité du compte
+ */
+const AccountSecurityPageComponent = async () => {
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session?.user) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: ÉTAT DE LA DOUBLE AUTHENTIFICATION =====
+    const twoFactor = await getTwoFactorStatus(session.user.id);
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    return <AccountSecurity twoFactor={twoFactor} />;
+  } catch (error) {
+    logger.error('Account security page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'AccountSecurityPage',
+      route: '/dashboard/account/security',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return <AccountSecurity twoFactor={null} />;
+  }
+};
+
+const AccountSecurityPage = withServerComponentMonitoring(
+  AccountSecurityPageComponent,
+  'AccountSecurityPage',
+);
+
+export default AccountSecurityPage;
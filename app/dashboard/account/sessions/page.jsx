@@ -0,0 +1,187 @@
+// app/dashboard/account/sessions/page.jsx (Server Component)
+
+import AccountSessions from '@/ui/pages/account/AccountSessions';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import { listUserSessions } from '@backend/sessions';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+/**
+ * Sérialise une date PostgreSQL pour le passage au Client Component
+ * @param {Date|null} value - Date brute
+ * @returns {string|null} Date ISO ou null
+ */
+function serializeDate(value) {
+  return value?.toISOString?.() ?? value ?? null;
+}
+
+/**
+ * Récupère les sessions actives du compte connecté.
+ * Pas de mise en cache : la liste change à chaque connexion ou révocation.
+ * @param {number} userId - Compte connecté
+ * @param {number} currentSessionId - Session de la requête en cours
+ * @returns {Promise<Array|null>} Sessions sérialisées ou null en cas d'erreur
+ */
+async function getActiveSessions(userId, currentSessionId) {
+  let client;
+  const requestId = generateRequestId();
+
+  try {
+    client = await getClient();
+    const sessions = await listUserSessions(client, userId);
+
+    // Le user-agent brut reste côté serveur : seul son libellé est affiché
+    return sessions.map((session) => ({
+      id: session.session_id,
+      device: session.device,
+      ip: session.ip_address,
+      remember: session.remember,
+      createdAt: serializeDate(session.created_at),
+      lastSeenAt: serializeDate(session.last_seen_at),
+      expiresAt: serializeDate(session.expires_at),
+      current: String(session.session_id) === String(currentSessionId),
+    }));
+  } catch (error) {
+    const errorCategory = categorizeError(error);
+
+    logger.error('Active sessions fetch error', {
+      category: errorCategory,
+      error_message: error.message,
+      userId,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'account_sessions_server_component',
+        action: 'sessions_fetch_failed',
+        error_category: errorCategory,
+        entity: 'session',
+        execution_context: 'server_component',
+      },
+      extra: { requestId, userId },
+    });
+
+    return null;
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to account sessions page');
+
+      captureMessage(
+        'Unauthenticated access attempt to account sessions page',
+        {
+          level: 'warning',
+          tags: {
+            component: 'account_sessions_server_component',
+            action: 'auth_check_failed',
+            error_category: 'authentication',
+            execution_context: 'server_component',
+          },
+          extra: {
+            timestamp: new Date().toISOString(),
+            page: 'account_sessions',
+          },
+        },
+      );
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'account_sessions_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page Mes sessions
+ */
+const AccountSessionsPageComponent = async () => {
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session?.user) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: SESSIONS ACTIVES =====
+    const sessions = await getActiveSessions(
+      session.user.id,
+      session.user.sessionId,
+    );
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    return <AccountSessions sessions={sessions} />;
+  } catch (error) {
+    logger.error('Account sessions page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'AccountSessionsPage',
+      route: '/dashboard/account/sessions',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return <AccountSessions sessions={null} />;
+  }
+};
+
+const AccountSessionsPage = withServerComponentMonitoring(
+  AccountSessionsPageComponent,
+  'AccountSessionsPage',
+);
+
+export default AccountSessionsPage;
@@ -222,7 +222,7 @@ async function getApplicationForEditFromDatabase(applicationId) {
           is_active,
           updated_at
         FROM catalog.applications 
-        WHERE application_id = $1
+        WHERE application_id = $1 AND deleted_at IS NULL
       `;
 
       result = await client.query(applicationQuery, [cleanedApplicationId]);
@@ -185,7 +185,7 @@ async function getApplicationFromDatabase(applicationId) {
           is_active,
           updated_at
         FROM catalog.applications 
-        WHERE application_id = $1
+        WHERE application_id = $1 AND deleted_at IS NULL
       `;
 
       result = await client.query(applicationQuery, [cleanedApplicationId]);
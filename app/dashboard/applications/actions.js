@@ -20,6 +20,12 @@ import {
   invalidateDashboardCache,
 } from '@/utils/cache';
 import { applyRateLimit, RATE_LIMIT_PRESETS } from '@backend/rateLimiter';
+import { PERMISSIONS, hasPermission, normalizeRole } from '@/utils/permissions';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Rate limiting spécifique aux Server Actions
 const serverActionRateLimit = applyRateLimit(RATE_LIMIT_PRESETS.CONTENT_API, {
@@ -128,7 +134,7 @@ function validateAndSanitizeFilters(filters = {}) {
  * @returns {Object} - Objet contenant whereClause et values
  */
 function buildSecureWhereClause(filters) {
-  const conditions = [];
+  const conditions = ['deleted_at IS NULL'];
   const values = [];
   let paramCount = 1;
 
@@ -174,11 +180,12 @@ function buildSecureWhereClause(filters) {
 }
 
 /**
- * Génération de clé de cache intelligente basée sur les filtres
+ * Génération de clé de cache intelligente basée sur les filtres, la pagination et le tri
  * @param {Object} filters - Filtres appliqués
+ * @param {Object} listParams - Pagination et tri normalisés
  * @returns {string} - Clé de cache unique
  */
-function generateFilterCacheKey(filters) {
+function generateFilterCacheKey(filters, listParams) {
   // Trier les filtres pour garantir la cohérence de la clé
   const sortedFilters = {};
   Object.keys(filters)
@@ -193,16 +200,21 @@ function generateFilterCacheKey(filters) {
 
   return getDashboardCacheKey('applications_filtered', {
     filters: JSON.stringify(sortedFilters),
-    version: '2.0', // Incrémenter lors de changements de schéma
+    page: listParams.page,
+    limit: listParams.limit,
+    sort: listParams.sort,
+    order: listParams.order,
+    version: '3.0', // Incrémenter lors de changements de schéma
   });
 }
 
 /**
  * Authentification et autorisation pour Server Actions
  * @param {Object} context - Contexte de la requête (optionnel pour Server Actions)
+ * @param {string|null} permission - Permission requise (voir PERMISSIONS)
  * @returns {Promise<Object>} - Session utilisateur validée
  */
-async function authenticateServerAction() {
+async function authenticateServerAction(context = {}, permission = null) {
   const requestId = generateRequestId();
 
   try {
@@ -241,6 +253,35 @@ async function authenticateServerAction() {
       throw new Error('Invalid user session');
     }
 
+    // Vérification des permissions liées au rôle
+    if (!hasPermission(session.user.role, permission)) {
+      logger.warn('Server Action: Permissions insuffisantes', {
+        requestId,
+        userId: session.user.id,
+        role: normalizeRole(session.user.role),
+        permission,
+      });
+
+      captureMessage('Permission denied for Server Action', {
+        level: 'warning',
+        tags: {
+          component: 'applications_server_action',
+          action: 'permission_denied',
+          error_category: 'authentication',
+          execution_context: 'server_action',
+        },
+        extra: {
+          requestId,
+          userId: session.user.id,
+          role: normalizeRole(session.user.role),
+          permission,
+          context,
+        },
+      });
+
+      throw new Error('Insufficient permissions for this action');
+    }
+
     return { session, requestId };
   } catch (error) {
     logger.error(
@@ -272,9 +313,10 @@ async function authenticateServerAction() {
 /**
  * Server Action pour récupérer les applications filtrées avec sécurité et performance optimales
  * @param {Object} filters - Filtres à appliquer
- * @returns {Promise<Array>} - Liste des applications filtrées
+ * @param {Object} listParams - Pagination et tri { page, limit, sort, order }
+ * @returns {Promise<Object>} - Objet contenant une page d'applications et la pagination
  */
-export async function getFilteredApplications(filters = {}) {
+export async function getFilteredApplications(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
   let requestId;
@@ -288,7 +330,7 @@ export async function getFilteredApplications(filters = {}) {
     };
 
     const { session, requestId: authRequestId } =
-      await authenticateServerAction(context);
+      await authenticateServerAction(context, PERMISSIONS.APPLICATIONS_VIEW);
     requestId = authRequestId;
 
     // ===== ÉTAPE 2: RATE LIMITING =====
@@ -316,9 +358,13 @@ export async function getFilteredApplications(filters = {}) {
 
     // ===== ÉTAPE 3: VALIDATION ET ASSAINISSEMENT DES FILTRES =====
     const validatedFilters = validateAndSanitizeFilters(filters);
+    const validatedListParams = parseListParams('applications', listParams);
 
     // ===== ÉTAPE 4: VÉRIFICATION DU CACHE AVEC CLÉ DYNAMIQUE =====
-    const cacheKey = generateFilterCacheKey(validatedFilters);
+    const cacheKey = generateFilterCacheKey(
+      validatedFilters,
+      validatedListParams,
+    );
 
     const cachedApplications = dashboardCache.applications.get(cacheKey);
 
@@ -326,7 +372,7 @@ export async function getFilteredApplications(filters = {}) {
       const responseTime = Date.now() - startTime;
 
       logger.info('Server Action: Applications servies depuis le cache', {
-        applicationCount: cachedApplications.length,
+        applicationCount: cachedApplications.applications.length,
         response_time_ms: responseTime,
         requestId,
         userId: session.user.id,
@@ -369,8 +415,11 @@ export async function getFilteredApplications(filters = {}) {
     // ===== ÉTAPE 6: CONSTRUCTION SÉCURISÉE DE LA REQUÊTE =====
     const { whereClause, values } = buildSecureWhereClause(validatedFilters);
 
+    const limitParam = values.length + 1;
+    const offsetParam = values.length + 2;
+
     // ===== ÉTAPE 7: EXÉCUTION DE LA REQUÊTE AVEC TIMEOUT =====
-    let result;
+    let result, countResult;
     const queryStartTime = Date.now();
 
     try {
@@ -390,18 +439,35 @@ export async function getFilteredApplications(filters = {}) {
           updated_at
         FROM catalog.applications
         ${whereClause}
-        ORDER BY created_at DESC
-        LIMIT 1000
+        ${buildOrderByClause('applications', validatedListParams)}
+        LIMIT $${limitParam} OFFSET $${offsetParam}
+      `;
+
+      // Requête pour le total de toutes les pages filtrées
+      const countQuery = `
+        SELECT COUNT(*)::int AS total
+        FROM catalog.applications
+        ${whereClause}
       `;
 
       // Exécution avec timeout intégré
-      const queryPromise = client.query(applicationsQuery, values);
+      const queryPromise = Promise.all([
+        client.query(applicationsQuery, [
+          ...values,
+          validatedListParams.limit,
+          validatedListParams.offset,
+        ]),
+        client.query(countQuery, values),
+      ]);
       const timeoutPromise = new Promise(
         (_, reject) =>
           setTimeout(() => reject(new Error('Query timeout')), 10000), // 10 secondes
       );
 
-      result = await Promise.race([queryPromise, timeoutPromise]);
+      [result, countResult] = await Promise.race([
+        queryPromise,
+        timeoutPromise,
+      ]);
 
       const queryTime = Date.now() - queryStartTime;
 
@@ -498,8 +564,16 @@ export async function getFilteredApplications(filters = {}) {
       };
     });
 
+    const response = {
+      applications: sanitizedApplications,
+      pagination: buildPagination(
+        countResult.rows[0]?.total || 0,
+        validatedListParams,
+      ),
+    };
+
     // ===== ÉTAPE 10: MISE EN CACHE INTELLIGENTE =====
-    dashboardCache.applications.set(cacheKey, sanitizedApplications);
+    dashboardCache.applications.set(cacheKey, response);
 
     // ===== ÉTAPE 11: LOGGING DE SUCCÈS ET MÉTRIQUES =====
     const responseTime = Date.now() - startTime;
@@ -534,7 +608,7 @@ export async function getFilteredApplications(filters = {}) {
 
     if (client) await client.cleanup();
 
-    return sanitizedApplications;
+    return response;
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS AVEC CLASSIFICATION =====
     const errorCategory = categorizeError(error);
@@ -589,7 +663,10 @@ export async function getFilteredApplications(filters = {}) {
  */
 export async function invalidateApplicationsCache(applicationId = null) {
   try {
-    const { session, requestId } = await authenticateServerAction();
+    const { session, requestId } = await authenticateServerAction(
+      {},
+      PERMISSIONS.APPLICATIONS_VIEW,
+    );
 
     logger.info('Server Action: Invalidation du cache applications demandée', {
       requestId,
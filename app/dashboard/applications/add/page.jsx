@@ -103,7 +103,7 @@ async function getTemplatesFromDatabase() {
           template_added,
           is_active
         FROM catalog.templates 
-        WHERE is_active = true
+        WHERE is_active = true AND deleted_at IS NULL
         ORDER BY template_name ASC, template_added DESC
       `;
 
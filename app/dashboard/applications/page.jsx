@@ -21,6 +21,11 @@ import { categorizeError, generateRequestId } from '@/utils/helpers';
 
 import logger from '@/utils/logger';
 import { dashboardCache, getDashboardCacheKey } from '@/utils/cache';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Configuration de revalidation pour cette page
 export const revalidate = 0;
@@ -29,22 +34,35 @@ export const dynamic = 'force-dynamic';
 /**
  * Fonction pour récupérer les applications depuis la base de données
  * ✅ MISE À JOUR: Utilise la nouvelle architecture Sentry
+ * @param {Object} listParams - Pagination et tri normalisés par parseListParams
+ * @returns {Promise<Object>} Page d'applications et pagination, ou page vide en cas d'erreur
  */
-async function getApplicationsFromDatabase() {
+async function getApplicationsFromDatabase(listParams) {
   let client;
   const startTime = Date.now();
   const requestId = generateRequestId();
+  const emptyResponse = {
+    applications: [],
+    pagination: buildPagination(0, listParams),
+  };
 
   logger.info('Applications fetch process started (Server Component)', {
     requestId,
     component: 'applications_server_component',
+    page: listParams.page,
+    sort: listParams.sort,
   });
 
   try {
     // ===== ÉTAPE 1: VÉRIFICATION DU CACHE =====
+    // La pagination et le tri font partie de la clé : chaque vue est mise en cache séparément
     const cacheKey = getDashboardCacheKey('applications_list', {
       endpoint: 'server_component_applications',
-      version: '1.0',
+      page: listParams.page,
+      limit: listParams.limit,
+      sort: listParams.sort,
+      order: listParams.order,
+      version: '2.0',
     });
 
     const cachedApplications = dashboardCache.applications.get(cacheKey);
@@ -53,7 +71,7 @@ async function getApplicationsFromDatabase() {
       const responseTime = Date.now() - startTime;
 
       logger.info('Applications served from cache (Server Component)', {
-        applicationCount: cachedApplications.length,
+        applicationCount: cachedApplications.applications.length,
         response_time_ms: responseTime,
         requestId,
       });
@@ -90,11 +108,11 @@ async function getApplicationsFromDatabase() {
         },
       });
 
-      return [];
+      return emptyResponse;
     }
 
     // ===== ÉTAPE 3: EXÉCUTION DE LA REQUÊTE =====
-    let result;
+    let result, countResult;
     try {
       const applicationsQuery = `
         SELECT 
@@ -111,10 +129,18 @@ async function getApplicationsFromDatabase() {
           sales_count,
           updated_at
         FROM catalog.applications
-        ORDER BY created_at DESC
+        WHERE deleted_at IS NULL
+        ${buildOrderByClause('applications', listParams)}
+        LIMIT $1 OFFSET $2
       `;
 
-      result = await client.query(applicationsQuery);
+      result = await client.query(applicationsQuery, [
+        listParams.limit,
+        listParams.offset,
+      ]);
+      countResult = await client.query(
+        'SELECT COUNT(*)::int AS total FROM catalog.applications WHERE deleted_at IS NULL',
+      );
     } catch (queryError) {
       const errorCategory = categorizeError(queryError);
 
@@ -141,7 +167,7 @@ async function getApplicationsFromDatabase() {
       });
 
       if (client) await client.cleanup();
-      return [];
+      return emptyResponse;
     }
 
     // ===== ÉTAPE 4: VALIDATION DES DONNÉES =====
@@ -155,7 +181,7 @@ async function getApplicationsFromDatabase() {
       );
 
       if (client) await client.cleanup();
-      return [];
+      return emptyResponse;
     }
 
     // ===== ÉTAPE 5: TRAITEMENT ET RETOUR DES DONNÉES =====
@@ -174,8 +200,13 @@ async function getApplicationsFromDatabase() {
       updated_at: application.updated_at,
     }));
 
+    const response = {
+      applications: sanitizedApplications,
+      pagination: buildPagination(countResult.rows[0]?.total || 0, listParams),
+    };
+
     // Mise en cache et logging de succès...
-    dashboardCache.applications.set(cacheKey, sanitizedApplications);
+    dashboardCache.applications.set(cacheKey, response);
     const responseTime = Date.now() - startTime;
 
     logger.info('Applications fetch successful (Server Component)', {
@@ -185,7 +216,7 @@ async function getApplicationsFromDatabase() {
     });
 
     if (client) await client.cleanup();
-    return sanitizedApplications;
+    return response;
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS =====
     const errorCategory = categorizeError(error);
@@ -217,7 +248,7 @@ async function getApplicationsFromDatabase() {
     });
 
     if (client) await client.cleanup();
-    return [];
+    return emptyResponse;
   }
 }
 
@@ -274,7 +305,10 @@ async function checkAuthentication() {
  * Server Component principal pour la page des applications
  * ✅ NOUVEAU: Wrappé avec monitoring automatique
  */
-const ApplicationsPageComponent = async () => {
+const ApplicationsPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const listParams = parseListParams('applications', await searchParams);
+
   try {
     // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
     const session = await checkAuthentication();
@@ -284,7 +318,8 @@ const ApplicationsPageComponent = async () => {
     }
 
     // ===== ÉTAPE 2: RÉCUPÉRATION DES APPLICATIONS =====
-    const applications = await getApplicationsFromDatabase();
+    const { applications, pagination } =
+      await getApplicationsFromDatabase(listParams);
 
     // ===== ÉTAPE 3: RENDU DE LA PAGE =====
     logger.info('Applications page rendering (Server Component)', {
@@ -292,7 +327,7 @@ const ApplicationsPageComponent = async () => {
       userId: session.user?.id,
     });
 
-    return <ApplicationsList data={applications} />;
+    return <ApplicationsList data={applications} pagination={pagination} />;
   } catch (error) {
     logger.error('Applications page error (Server Component)', {
       error: error.message,
@@ -310,7 +345,9 @@ const ApplicationsPageComponent = async () => {
     });
 
     // En cas d'erreur critique, afficher une page avec des données vides
-    return <ApplicationsList data={[]} />;
+    return (
+      <ApplicationsList data={[]} pagination={buildPagination(0, listParams)} />
+    );
   }
 };
 
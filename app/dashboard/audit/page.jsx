@@ -0,0 +1,327 @@
+// app/dashboard/audit/page.jsx (Server Component)
+
+import AuditLog from '@/ui/pages/audit/AuditLog';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import {
+  fetchAuditActors,
+  fetchAuditPage,
+  parseAuditListParams,
+  AUDIT_PAGE_SIZE,
+} from '@backend/auditLog';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+const EMPTY_AUDIT_PAGE = {
+  entries: [],
+  actors: [],
+  pagination: { page: 1, limit: AUDIT_PAGE_SIZE, total: 0, totalPages: 1 },
+};
+
+/**
+ * Sérialise une date PostgreSQL pour le passage au Client Component
+ * @param {Date|null} value - Date brute
+ * @returns {string|null} Date ISO ou null
+ */
+function serializeDate(value) {
+  return value?.toISOString?.() ?? value ?? null;
+}
+
+/**
+ * Récupère une page du journal d'audit et la liste des acteurs.
+ * Pas de mise en cache : le journal doit refléter les mutations immédiatement.
+ * @param {Object} listParams - Filtres normalisés par parseAuditListParams
+ * @returns {Promise<Object>} { entries, actors, pagination } ou page vide en cas d'erreur
+ */
+async function getAuditFromDatabase(listParams) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Audit log fetch process started', {
+    requestId,
+    page: listParams.page,
+    entity: listParams.entity || 'all',
+    hasActorFilter: !!listParams.actor,
+    hasDateFilter: !!(listParams.from || listParams.to),
+  });
+
+  captureMessage('Audit log fetch process started from Server Component', {
+    level: 'info',
+    tags: {
+      component: 'audit_server_component',
+      action: 'process_start',
+      entity: 'audit_log',
+      execution_context: 'server_component',
+    },
+    extra: {
+      requestId,
+      page: listParams.page,
+      timestamp: new Date().toISOString(),
+    },
+  });
+
+  try {
+    // ===== ÉTAPE 1: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during audit log fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'audit_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'audit_log',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return EMPTY_AUDIT_PAGE;
+    }
+
+    // ===== ÉTAPE 2: EXÉCUTION DES REQUÊTES =====
+    let data;
+    let actors;
+    try {
+      data = await fetchAuditPage(client, listParams);
+      actors = await fetchAuditActors(client);
+    } catch (queryError) {
+      logger.error('Audit Log Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'audit_server_component',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'audit_log',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          table: 'admin.audit_log',
+          queryType: 'audit_log_list',
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return EMPTY_AUDIT_PAGE;
+    }
+
+    // ===== ÉTAPE 3: FORMATAGE DES DONNÉES =====
+    const formattedData = {
+      entries: data.entries.map((entry) => ({
+        audit_id: String(entry.audit_id),
+        actor_id: entry.actor_id,
+        actor_name: entry.actor_name,
+        action: entry.action,
+        entity: entry.entity,
+        entity_id: entry.entity_id,
+        changes: entry.changes || {},
+        request_id: entry.request_id,
+        ip_address: entry.ip_address,
+        created_at: serializeDate(entry.created_at),
+      })),
+      actors: actors.map((actor) => ({
+        user_id: actor.user_id,
+        user_name: actor.user_name,
+      })),
+      pagination: data.pagination,
+    };
+
+    // ===== ÉTAPE 4: SUCCÈS - LOG ET NETTOYAGE =====
+    logger.info('Audit log fetch successful', {
+      entryCount: formattedData.entries.length,
+      total: formattedData.pagination.total,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return formattedData;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global Audit Log Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'audit_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'audit_log',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        process: 'audit_log_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return EMPTY_AUDIT_PAGE;
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to audit page');
+
+      captureMessage('Unauthenticated access attempt to audit page', {
+        level: 'warning',
+        tags: {
+          component: 'audit_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'audit',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'audit_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page du journal d'audit
+ */
+const AuditPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const listParams = parseAuditListParams(await searchParams);
+  const filters = {
+    actor: listParams.actor ? String(listParams.actor) : '',
+    entity: listParams.entity,
+    from: listParams.from,
+    to: listParams.to,
+  };
+
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: RÉCUPÉRATION DU JOURNAL =====
+    const { entries, actors, pagination } =
+      await getAuditFromDatabase(listParams);
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    logger.info('Audit page rendering', {
+      entryCount: entries.length,
+      userId: session.user?.id,
+    });
+
+    return (
+      <AuditLog
+        entries={entries}
+        actors={actors}
+        pagination={pagination}
+        filters={filters}
+      />
+    );
+  } catch (error) {
+    logger.error('Audit page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'AuditPage',
+      route: '/dashboard/audit',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return (
+      <AuditLog
+        entries={EMPTY_AUDIT_PAGE.entries}
+        actors={EMPTY_AUDIT_PAGE.actors}
+        pagination={EMPTY_AUDIT_PAGE.pagination}
+        filters={filters}
+      />
+    );
+  }
+};
+
+const AuditPage = withServerComponentMonitoring(
+  AuditPageComponent,
+  'AuditPage',
+);
+
+export default AuditPage;
@@ -2,6 +2,8 @@ import EditArticle from '@/ui/pages/blog/EditArticle';
 import { getServerSession } from 'next-auth';
 import { auth } from '@app/api/auth/[...nextauth]/route';
 import { getClient } from '@backend/dbConnect';
+import { fetchArticleRevisions } from '@backend/articleRevisions';
+import { fetchArticleSlugRedirects } from '@backend/articleSlugs';
 import { redirect, notFound } from 'next/navigation';
 import {
   captureException,
@@ -191,10 +193,18 @@ async function getArticleForEditFromDatabase(articleId) {
             article_text, 
             article_image,
             is_active,
+            article_status,
+            publish_at,
+            published_at,
+            article_slug,
+            meta_title,
+            meta_description,
+            meta_keywords,
+            og_image,
             TO_CHAR(article_created, 'DD/MM/YYYY') as created,
             TO_CHAR(article_updated, 'DD/MM/YYYY') as updated
           FROM admin.articles 
-          WHERE article_id = $1
+          WHERE article_id = $1 AND deleted_at IS NULL
         `,
         values: [articleId],
       };
@@ -295,6 +305,30 @@ async function getArticleForEditFromDatabase(articleId) {
       return null; // Article non trouvé
     }
 
+    // Révisions (non bloquant : l'article reste modifiable sans historique)
+    let revisions = [];
+    try {
+      revisions = await fetchArticleRevisions(client, articleId);
+    } catch (revisionsError) {
+      logger.warn('Article revisions fetch failed', {
+        requestId,
+        articleId,
+        error: revisionsError.message,
+      });
+    }
+
+    // Anciens slugs redirigés vers l'article (non bloquant également)
+    let slugRedirects = [];
+    try {
+      slugRedirects = await fetchArticleSlugRedirects(client, articleId);
+    } catch (redirectsError) {
+      logger.warn('Article slug redirects fetch failed', {
+        requestId,
+        articleId,
+        error: redirectsError.message,
+      });
+    }
+
     // ===== ÉTAPE 7: FORMATAGE DES DONNÉES =====
     const rawArticle = result.rows[0];
     const sanitizedArticle = {
@@ -303,8 +337,18 @@ async function getArticleForEditFromDatabase(articleId) {
       article_text: rawArticle.article_text || '',
       article_image: rawArticle.article_image,
       is_active: Boolean(rawArticle.is_active),
+      article_status: rawArticle.article_status,
+      publish_at: rawArticle.publish_at,
+      published_at: rawArticle.published_at,
+      article_slug: rawArticle.article_slug,
+      meta_title: rawArticle.meta_title || '',
+      meta_description: rawArticle.meta_description || '',
+      meta_keywords: rawArticle.meta_keywords || [],
+      og_image: rawArticle.og_image || '',
       created: rawArticle.created,
       updated: rawArticle.updated,
+      revisions,
+      slug_redirects: slugRedirects,
     };
 
     // ===== ÉTAPE 8: MISE EN CACHE DES DONNÉES =====
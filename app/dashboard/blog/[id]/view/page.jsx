@@ -191,10 +191,13 @@ async function getSingleArticleFromDatabase(articleId) {
             article_text, 
             article_image,
             is_active,
+            article_status,
+            publish_at,
+            published_at,
             TO_CHAR(article_created, 'DD/MM/YYYY') as created,
             TO_CHAR(article_updated, 'DD/MM/YYYY') as updated
           FROM admin.articles 
-          WHERE article_id = $1
+          WHERE article_id = $1 AND deleted_at IS NULL
         `,
         values: [articleId],
       };
@@ -302,6 +305,9 @@ async function getSingleArticleFromDatabase(articleId) {
       article_text: rawArticle.article_text || '',
       article_image: rawArticle.article_image,
       is_active: Boolean(rawArticle.is_active),
+      article_status: rawArticle.article_status,
+      publish_at: rawArticle.publish_at,
+      published_at: rawArticle.published_at,
       created: rawArticle.created,
       updated: rawArticle.updated,
     };
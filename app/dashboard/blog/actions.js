@@ -21,6 +21,13 @@ import {
   cacheEvents,
 } from '@/utils/cache';
 import { applyRateLimit, RATE_LIMIT_PRESETS } from '@backend/rateLimiter';
+import { PERMISSIONS, hasPermission, normalizeRole } from '@/utils/permissions';
+import { ARTICLE_STATUSES } from '@/utils/articleStatus';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Rate limiting spécifique aux Server Actions
 const serverActionRateLimit = applyRateLimit(RATE_LIMIT_PRESETS.CONTENT_API, {
@@ -56,7 +63,7 @@ function createMockRequest(session) {
  */
 function validateAndSanitizeFilters(filters = {}) {
   const validatedFilters = {};
-  const allowedFields = ['article_title', 'is_active'];
+  const allowedFields = ['article_title', 'article_status'];
   const maxStringLength = 100;
   const maxArrayLength = 10;
 
@@ -85,9 +92,9 @@ function validateAndSanitizeFilters(filters = {}) {
         }
         break;
 
-      case 'is_active':
+      case 'article_status':
         if (Array.isArray(value)) {
-          const allowedValues = ['true', 'false', 'all'];
+          const allowedValues = [...ARTICLE_STATUSES, 'all'];
           const validValues = value
             .filter((v) => typeof v === 'string' && v.trim())
             .map((v) => v.trim())
@@ -117,7 +124,7 @@ function validateAndSanitizeFilters(filters = {}) {
  * @returns {Object} - Objet contenant whereClause et values
  */
 function buildSecureWhereClause(filters) {
-  const conditions = [];
+  const conditions = ['deleted_at IS NULL'];
   const values = [];
   let paramCount = 1;
 
@@ -128,14 +135,14 @@ function buildSecureWhereClause(filters) {
     paramCount++;
   }
 
-  // Filtre par statut actif (MULTIPLE) avec IN clause sécurisée
-  // Note: Si "all" était sélectionné, is_active ne sera pas dans validatedFilters
-  if (filters.is_active && filters.is_active.length > 0) {
-    const activePlaceholders = filters.is_active
+  // Filtre par statut de publication (MULTIPLE) avec IN clause sécurisée
+  // Note: Si "all" était sélectionné, article_status ne sera pas dans validatedFilters
+  if (filters.article_status && filters.article_status.length > 0) {
+    const statusPlaceholders = filters.article_status
       .map(() => `$${paramCount++}`)
       .join(', ');
-    conditions.push(`is_active IN (${activePlaceholders})`);
-    values.push(...filters.is_active.map((val) => val === 'true'));
+    conditions.push(`article_status IN (${statusPlaceholders})`);
+    values.push(...filters.article_status);
   }
 
   const whereClause =
@@ -145,11 +152,12 @@ function buildSecureWhereClause(filters) {
 }
 
 /**
- * Génération de clé de cache intelligente basée sur les filtres
+ * Génération de clé de cache intelligente basée sur les filtres, la pagination et le tri
  * @param {Object} filters - Filtres appliqués
+ * @param {Object} listParams - Pagination et tri normalisés
  * @returns {string} - Clé de cache unique
  */
-function generateFilterCacheKey(filters) {
+function generateFilterCacheKey(filters, listParams) {
   const sortedFilters = {};
   Object.keys(filters)
     .sort()
@@ -163,16 +171,21 @@ function generateFilterCacheKey(filters) {
 
   return getDashboardCacheKey('articles_filtered', {
     filters: JSON.stringify(sortedFilters),
-    version: '2.0',
+    page: listParams.page,
+    limit: listParams.limit,
+    sort: listParams.sort,
+    order: listParams.order,
+    version: '3.0',
   });
 }
 
 /**
  * Authentification et autorisation pour Server Actions
  * @param {Object} context - Contexte de la requête (optionnel pour Server Actions)
+ * @param {string|null} permission - Permission requise (voir PERMISSIONS)
  * @returns {Promise<Object>} - Session utilisateur validée
  */
-async function authenticateServerAction(context = {}) {
+async function authenticateServerAction(context = {}, permission = null) {
   const requestId = generateRequestId();
 
   try {
@@ -213,6 +226,35 @@ async function authenticateServerAction(context = {}) {
       throw new Error('Invalid user session');
     }
 
+    // Vérification des permissions liées au rôle
+    if (!hasPermission(session.user.role, permission)) {
+      logger.warn('Server Action: Permissions insuffisantes', {
+        requestId,
+        userId: session.user.id,
+        role: normalizeRole(session.user.role),
+        permission,
+      });
+
+      captureMessage('Permission denied for Server Action', {
+        level: 'warning',
+        tags: {
+          component: 'blog_server_action',
+          action: 'permission_denied',
+          error_category: 'authentication',
+          execution_context: 'server_action',
+        },
+        extra: {
+          requestId,
+          userId: session.user.id,
+          role: normalizeRole(session.user.role),
+          permission,
+          context,
+        },
+      });
+
+      throw new Error('Insufficient permissions for this action');
+    }
+
     return { session, requestId };
   } catch (error) {
     logger.error(
@@ -246,9 +288,10 @@ async function authenticateServerAction(context = {}) {
 /**
  * Server Action pour récupérer les articles filtrés avec sécurité et performance optimales
  * @param {Object} filters - Filtres à appliquer
- * @returns {Promise<Array>} - Liste des articles filtrés
+ * @param {Object} listParams - Pagination et tri { page, limit, sort, order }
+ * @returns {Promise<Object>} - Objet contenant une page d'articles, la pagination et les statistiques
  */
-export async function getFilteredArticles(filters = {}) {
+export async function getFilteredArticles(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
   let requestId;
@@ -262,7 +305,7 @@ export async function getFilteredArticles(filters = {}) {
     };
 
     const { session, requestId: authRequestId } =
-      await authenticateServerAction(context);
+      await authenticateServerAction(context, PERMISSIONS.ARTICLES_VIEW);
     requestId = authRequestId;
 
     // ===== ÉTAPE 2: RATE LIMITING =====
@@ -303,9 +346,13 @@ export async function getFilteredArticles(filters = {}) {
 
     // ===== ÉTAPE 3: VALIDATION ET ASSAINISSEMENT DES FILTRES =====
     const validatedFilters = validateAndSanitizeFilters(filters);
+    const validatedListParams = parseListParams('articles', listParams);
 
     // ===== ÉTAPE 4: VÉRIFICATION DU CACHE AVEC CLÉ DYNAMIQUE =====
-    const cacheKey = generateFilterCacheKey(validatedFilters);
+    const cacheKey = generateFilterCacheKey(
+      validatedFilters,
+      validatedListParams,
+    );
 
     const cachedArticles = dashboardCache.blogArticles?.get(cacheKey);
 
@@ -313,7 +360,7 @@ export async function getFilteredArticles(filters = {}) {
       const responseTime = Date.now() - startTime;
 
       logger.info('Server Action: Articles servis depuis le cache', {
-        articleCount: cachedArticles.length,
+        articleCount: cachedArticles.articles.length,
         response_time_ms: responseTime,
         requestId,
         userId: session.user.id,
@@ -333,7 +380,7 @@ export async function getFilteredArticles(filters = {}) {
           extra: {
             requestId,
             userId: session.user.id,
-            articleCount: cachedArticles.length,
+            articleCount: cachedArticles.articles.length,
             responseTimeMs: responseTime,
             filtersApplied: validatedFilters,
           },
@@ -387,8 +434,11 @@ export async function getFilteredArticles(filters = {}) {
     // ===== ÉTAPE 6: CONSTRUCTION SÉCURISÉE DE LA REQUÊTE =====
     const { whereClause, values } = buildSecureWhereClause(validatedFilters);
 
+    const limitParam = values.length + 1;
+    const offsetParam = values.length + 2;
+
     // ===== ÉTAPE 7: EXÉCUTION DE LA REQUÊTE AVEC TIMEOUT =====
-    let result;
+    let result, countResult;
     const queryStartTime = Date.now();
 
     try {
@@ -398,21 +448,45 @@ export async function getFilteredArticles(filters = {}) {
           article_title,
           article_image,
           is_active,
+          article_status,
+          publish_at,
+          published_at,
           TO_CHAR(article_created, 'YYYY-MM-DD') AS created,
           TO_CHAR(article_updated, 'YYYY-MM-DD HH24:MI:SS') AS updated
         FROM admin.articles
         ${whereClause}
-        ORDER BY article_created DESC, article_id DESC
-        LIMIT 1000
+        ${buildOrderByClause('articles', validatedListParams)}
+        LIMIT $${limitParam} OFFSET $${offsetParam}
+      `;
+
+      // Requête pour le total et les statistiques de toutes les pages filtrées
+      const countQuery = `
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE article_status = 'published')::int AS published,
+           COUNT(*) FILTER (WHERE article_status = 'scheduled')::int AS scheduled,
+           COUNT(*) FILTER (WHERE article_status = 'draft')::int AS draft
+        FROM admin.articles
+        ${whereClause}
       `;
 
       // Exécution avec timeout intégré
-      const queryPromise = client.query(articlesQuery, values);
+      const queryPromise = Promise.all([
+        client.query(articlesQuery, [
+          ...values,
+          validatedListParams.limit,
+          validatedListParams.offset,
+        ]),
+        client.query(countQuery, values),
+      ]);
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Query timeout')), 10000),
       );
 
-      result = await Promise.race([queryPromise, timeoutPromise]);
+      [result, countResult] = await Promise.race([
+        queryPromise,
+        timeoutPromise,
+      ]);
 
       const queryTime = Date.now() - queryStartTime;
 
@@ -499,15 +573,27 @@ export async function getFilteredArticles(filters = {}) {
       articleTitle: article.article_title || '[No Title]',
       articleImage: article.article_image,
       isActive: Boolean(article.is_active),
+      status: article.article_status,
+      publishAt: article.publish_at,
+      publishedAt: article.published_at,
       created: article.created,
       updated: article.updated,
     }));
 
+    const total = countResult.rows[0]?.total || 0;
+    const response = {
+      articles: sanitizedArticles,
+      pagination: buildPagination(total, validatedListParams),
+      stats: {
+        total,
+        published: countResult.rows[0]?.published || 0,
+        scheduled: countResult.rows[0]?.scheduled || 0,
+        draft: countResult.rows[0]?.draft || 0,
+      },
+    };
+
     // ===== ÉTAPE 10: MISE EN CACHE INTELLIGENTE =====
-    const cacheSuccess = dashboardCache.blogArticles?.set(
-      cacheKey,
-      sanitizedArticles,
-    );
+    const cacheSuccess = dashboardCache.blogArticles?.set(cacheKey, response);
 
     if (cacheSuccess) {
       // Émettre un événement de cache set
@@ -567,7 +653,7 @@ export async function getFilteredArticles(filters = {}) {
 
     if (client) await client.cleanup();
 
-    return sanitizedArticles;
+    return response;
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS AVEC CLASSIFICATION =====
     const errorCategory = categorizeError(error);
@@ -625,7 +711,10 @@ export async function getFilteredArticles(filters = {}) {
  */
 export async function invalidateArticlesCache(articleId = null) {
   try {
-    const { session, requestId } = await authenticateServerAction();
+    const { session, requestId } = await authenticateServerAction(
+      {},
+      PERMISSIONS.ARTICLES_VIEW,
+    );
 
     logger.info('Server Action: Invalidation du cache articles demandée', {
       requestId,
@@ -2,17 +2,34 @@
 
 import { useState } from 'react';
 import { redirect } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import { CldUploadWidget, CldImage } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/blog/add/add.module.css';
 import TiptapEditor from '@/ui/components/dashboard/editor';
+import ArticleSeo from '@/ui/components/dashboard/ArticleSeo';
 import { addArticleSchema } from '@utils/schemas/articleSchema';
+import { getUploadWidgetOptions } from '@/utils/media';
+import { parseKeywords } from '@/utils/articleSeo';
+
+const EMPTY_SEO = {
+  slug: '',
+  metaTitle: '',
+  metaDescription: '',
+  keywords: '',
+  ogImage: '',
+};
 
 const CreatePostPage = () => {
+  const { data: session } = useSession();
   const [title, setTitle] = useState('');
   const [text, setText] = useState(
     '<p>Start writing your blog post here...</p>',
   );
   const [imageUrl, setImageUrl] = useState('');
+  // Valeur du champ datetime-local (heure locale), convertie en ISO à l'envoi
+  const [publishAt, setPublishAt] = useState('');
+  const [seo, setSeo] = useState(EMPTY_SEO);
+  const [submittedStatus, setSubmittedStatus] = useState(null);
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [isSuccess, setIsSuccess] = useState(false);
@@ -35,33 +52,57 @@ const CreatePostPage = () => {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const handleSeoChange = (field, value) => {
+    setSeo((prev) => ({ ...prev, [field]: value }));
+
+    if (errors[field]) {
+      setErrors((prev) => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const submitArticle = async (status) => {
     setErrors({});
     setIsLoading(true);
+    setSubmittedStatus(status);
+
+    const article = {
+      status,
+      title,
+      text,
+      imageUrl: imageUrl || null,
+      publishAt:
+        status === 'scheduled' && publishAt
+          ? new Date(publishAt).toISOString()
+          : null,
+      ...seo,
+      keywords: parseKeywords(seo.keywords),
+      ogImage: seo.ogImage || null,
+    };
 
     try {
-      // Validate all fields
-      await addArticleSchema.validate(
-        { title, text, imageUrl },
-        { abortEarly: false },
-      );
+      // Validate all fields (les brouillons n'exigent que le titre)
+      await addArticleSchema.validate(article, { abortEarly: false });
 
       const response = await fetch('/api/dashboard/blog/add', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ title, text, imageUrl }),
+        body: JSON.stringify(article),
       });
 
+      const data = await response.json();
+
       // Vérifier si la réponse est ok
       if (!response.ok) {
+        // Erreurs par champ renvoyées par l'API (slug déjà utilisé...)
+        if (data.errors) {
+          setErrors(data.errors);
+          return;
+        }
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
-
       if (data.success) {
         setIsSuccess(true);
         // Redirect after a short delay
@@ -74,7 +115,8 @@ const CreatePostPage = () => {
         // Yup validation errors - show specific field errors
         const validationErrors = {};
         error.inner.forEach((err) => {
-          validationErrors[err.path] = err.message;
+          // keywords[2] -> keywords : l'erreur s'affiche sous le champ
+          validationErrors[err.path.replace(/\[\d+\]$/, '')] = err.message;
         });
         setErrors(validationErrors);
       } else if (error.message?.includes('HTTP error')) {
@@ -89,6 +131,11 @@ const CreatePostPage = () => {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitArticle('published');
+  };
+
   const getTextLength = () => {
     // Remove HTML tags to count actual text length
     const textContent = text.replace(/<[^>]*>/g, '');
@@ -99,7 +146,13 @@ const CreatePostPage = () => {
     return (
       <section className={styles.createPostContainer}>
         <div className={styles.successContainer}>
-          <h2>✅ Article Created Successfully!</h2>
+          <h2>
+            {submittedStatus === 'draft'
+              ? '✅ Draft Saved!'
+              : submittedStatus === 'scheduled'
+                ? '✅ Article Scheduled!'
+                : '✅ Article Published!'}
+          </h2>
           <p>Redirecting to blog dashboard...</p>
         </div>
       </section>
@@ -168,12 +221,7 @@ const CreatePostPage = () => {
               setImageUrl(result?.info.public_id);
               setErrors((prev) => ({ ...prev, imageUrl: '' }));
             }}
-            options={{
-              folder: 'blog_pictures',
-              maxFileSize: 10000000, // 10MB
-              resourceType: 'image',
-              clientAllowedFormats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-            }}
+            options={getUploadWidgetOptions('article', session?.user?.id)}
           >
             {({ open }) => {
               const canUpload = title.length > 10;
@@ -227,14 +275,62 @@ const CreatePostPage = () => {
           )}
         </div>
 
-        {/* Submit Button */}
-        <button
-          type="submit"
-          className={`${styles.addButton} ${isLoading ? styles.loading : ''}`}
-          disabled={isLoading}
-        >
-          {isLoading ? '⏳ Creating...' : '✨ Create'}
-        </button>
+        {/* SEO */}
+        <ArticleSeo
+          values={seo}
+          onChange={handleSeoChange}
+          article={{ title, text, imageUrl }}
+          errors={errors}
+        />
+
+        {/* Publication */}
+        <div className={styles.inputGroup}>
+          <label className={styles.scheduleLabel} htmlFor="publishAt">
+            Publication date (required to schedule)
+          </label>
+          <input
+            id="publishAt"
+            type="datetime-local"
+            name="publishAt"
+            value={publishAt}
+            onChange={(e) => {
+              setPublishAt(e.target.value);
+              if (errors.publishAt) {
+                setErrors((prev) => ({ ...prev, publishAt: '' }));
+              }
+            }}
+            className={errors.publishAt ? styles.inputError : ''}
+          />
+          {errors.publishAt && (
+            <div className={styles.fieldError}>⚠️ {errors.publishAt}</div>
+          )}
+        </div>
+
+        <div className={styles.publishActions}>
+          <button
+            type="button"
+            className={`${styles.secondaryButton} ${isLoading ? styles.loading : ''}`}
+            onClick={() => submitArticle('draft')}
+            disabled={isLoading}
+          >
+            💾 Save Draft
+          </button>
+          <button
+            type="button"
+            className={`${styles.secondaryButton} ${isLoading ? styles.loading : ''}`}
+            onClick={() => submitArticle('scheduled')}
+            disabled={isLoading || !publishAt}
+          >
+            🕒 Schedule
+          </button>
+          <button
+            type="submit"
+            className={`${styles.addButton} ${isLoading ? styles.loading : ''}`}
+            disabled={isLoading}
+          >
+            {isLoading ? '⏳ Saving...' : '✨ Publish'}
+          </button>
+        </div>
 
         {/* Form Status */}
         <div className={styles.formStatus}>
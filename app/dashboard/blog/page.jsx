@@ -17,6 +17,11 @@ import {
   getDashboardCacheKey,
   cacheEvents,
 } from '@/utils/cache';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Configuration de revalidation pour cette page
 export const revalidate = 0; // Désactive le cache statique
@@ -25,15 +30,23 @@ export const dynamic = 'force-dynamic'; // Force le rendu dynamique
 /**
  * Fonction pour récupérer les articles depuis la base de données
  * ✅ MISE À JOUR: Utilise la nouvelle architecture Sentry
- * @returns {Promise<Array>} Liste des articles ou tableau vide en cas d'erreur
+ * @param {Object} listParams - Pagination et tri normalisés par parseListParams
+ * @returns {Promise<Object>} Page d'articles et pagination, ou page vide en cas d'erreur
  */
-async function getArticlesFromDatabase() {
+async function getArticlesFromDatabase(listParams) {
   let client;
   const startTime = Date.now();
   const requestId = generateRequestId();
+  const emptyResponse = {
+    articles: [],
+    pagination: buildPagination(0, listParams),
+    stats: { total: 0, published: 0, scheduled: 0, draft: 0 },
+  };
 
   logger.info('Articles fetch process started', {
     requestId,
+    page: listParams.page,
+    sort: listParams.sort,
   });
 
   // ✅ NOUVEAU: Utilisation des fonctions Sentry adaptées
@@ -55,9 +68,14 @@ async function getArticlesFromDatabase() {
 
   try {
     // ===== ÉTAPE 1: VÉRIFICATION DU CACHE =====
+    // La pagination et le tri font partie de la clé : chaque vue est mise en cache séparément
     const cacheKey = getDashboardCacheKey('articles_list', {
       endpoint: 'server_component_blog',
-      version: '1.0',
+      page: listParams.page,
+      limit: listParams.limit,
+      sort: listParams.sort,
+      order: listParams.order,
+      version: '2.0',
     });
 
     // Vérifier si les données sont en cache
@@ -67,7 +85,7 @@ async function getArticlesFromDatabase() {
       const responseTime = Date.now() - startTime;
 
       logger.info('Articles served from cache', {
-        articleCount: cachedArticles.length,
+        articleCount: cachedArticles.articles.length,
         response_time_ms: responseTime,
         requestId,
       });
@@ -86,7 +104,7 @@ async function getArticlesFromDatabase() {
           },
           extra: {
             requestId,
-            articleCount: cachedArticles.length,
+            articleCount: cachedArticles.articles.length,
             responseTimeMs: responseTime,
             cacheKey,
           },
@@ -133,11 +151,11 @@ async function getArticlesFromDatabase() {
       });
 
       // Retourner un tableau vide plutôt que de faire planter la page
-      return [];
+      return emptyResponse;
     }
 
     // ===== ÉTAPE 3: EXÉCUTION DE LA REQUÊTE =====
-    let result;
+    let result, countResult;
     try {
       const articlesQuery = `
         SELECT
@@ -145,13 +163,31 @@ async function getArticlesFromDatabase() {
           article_title,
           article_image,
           is_active,
+          article_status,
+          publish_at,
+          published_at,
           TO_CHAR(article_created, 'YYYY-MM-DD') AS created,
           TO_CHAR(article_updated, 'YYYY-MM-DD HH24:MI:SS') AS updated
         FROM admin.articles
-        ORDER BY article_created DESC, article_id DESC
+        WHERE deleted_at IS NULL
+        ${buildOrderByClause('articles', listParams)}
+        LIMIT $1 OFFSET $2
       `;
 
-      result = await client.query(articlesQuery);
+      result = await client.query(articlesQuery, [
+        listParams.limit,
+        listParams.offset,
+      ]);
+      // Total et statistiques de statut sur l'ensemble des articles
+      countResult = await client.query(
+        `SELECT
+           COUNT(*)::int AS total,
+           COUNT(*) FILTER (WHERE article_status = 'published')::int AS published,
+           COUNT(*) FILTER (WHERE article_status = 'scheduled')::int AS scheduled,
+           COUNT(*) FILTER (WHERE article_status = 'draft')::int AS draft
+         FROM admin.articles
+         WHERE deleted_at IS NULL`,
+      );
     } catch (queryError) {
       const errorCategory = categorizeError(queryError);
 
@@ -180,7 +216,7 @@ async function getArticlesFromDatabase() {
       });
 
       if (client) await client.cleanup();
-      return []; // Retourner un tableau vide plutôt que de faire planter la page
+      return emptyResponse; // Retourner une page vide plutôt que de faire planter la page
     }
 
     // ===== ÉTAPE 4: VALIDATION DES DONNÉES =====
@@ -212,7 +248,7 @@ async function getArticlesFromDatabase() {
       );
 
       if (client) await client.cleanup();
-      return []; // Retourner un tableau vide plutôt que de faire planter la page
+      return emptyResponse; // Retourner une page vide plutôt que de faire planter la page
     }
 
     // ===== ÉTAPE 5: NETTOYAGE ET FORMATAGE DES DONNÉES =====
@@ -221,16 +257,28 @@ async function getArticlesFromDatabase() {
       articleTitle: article.article_title || '[No Title]',
       articleImage: article.article_image,
       isActive: Boolean(article.is_active),
+      status: article.article_status,
+      publishAt: article.publish_at,
+      publishedAt: article.published_at,
       created: article.created,
       updated: article.updated,
     }));
 
+    const total = countResult.rows[0]?.total || 0;
+    const response = {
+      articles: sanitizedArticles,
+      pagination: buildPagination(total, listParams),
+      stats: {
+        total,
+        published: countResult.rows[0]?.published || 0,
+        scheduled: countResult.rows[0]?.scheduled || 0,
+        draft: countResult.rows[0]?.draft || 0,
+      },
+    };
+
     // ===== ÉTAPE 6: MISE EN CACHE DES DONNÉES =====
     // Mettre les données en cache
-    const cacheSuccess = dashboardCache.blogArticles.set(
-      cacheKey,
-      sanitizedArticles,
-    );
+    const cacheSuccess = dashboardCache.blogArticles.set(cacheKey, response);
 
     if (cacheSuccess) {
       // Émettre un événement de cache set
@@ -283,7 +331,7 @@ async function getArticlesFromDatabase() {
 
     if (client) await client.cleanup();
 
-    return sanitizedArticles;
+    return response;
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS =====
     const errorCategory = categorizeError(error);
@@ -320,9 +368,9 @@ async function getArticlesFromDatabase() {
 
     if (client) await client.cleanup();
 
-    // En cas d'erreur grave, retourner un tableau vide pour éviter de casser la page
+    // En cas d'erreur grave, retourner une page vide pour éviter de casser la page
     // L'utilisateur verra une liste vide mais la page se chargera
-    return [];
+    return emptyResponse;
   }
 }
 
@@ -384,7 +432,10 @@ async function checkAuthentication() {
  * Server Component principal pour la page des articles
  * ✅ NOUVEAU: Wrappé avec monitoring automatique
  */
-const BlogPageComponent = async () => {
+const BlogPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const listParams = parseListParams('articles', await searchParams);
+
   try {
     // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
     const session = await checkAuthentication();
@@ -395,7 +446,8 @@ const BlogPageComponent = async () => {
     }
 
     // ===== ÉTAPE 2: RÉCUPÉRATION DES ARTICLES =====
-    const articles = await getArticlesFromDatabase();
+    const { articles, pagination, stats } =
+      await getArticlesFromDatabase(listParams);
 
     // ===== ÉTAPE 3: RENDU DE LA PAGE =====
     logger.info('Blog page rendering', {
@@ -404,7 +456,9 @@ const BlogPageComponent = async () => {
       userId: session.user?.id,
     });
 
-    return <ListArticles data={articles} />;
+    return (
+      <ListArticles data={articles} pagination={pagination} stats={stats} />
+    );
   } catch (error) {
     // Gestion des erreurs au niveau de la page
     logger.error('Blog page error', {
@@ -428,7 +482,13 @@ const BlogPageComponent = async () => {
 
     // En cas d'erreur critique, afficher une page avec des données vides
     // plutôt que de faire planter complètement l'application
-    return <ListArticles data={[]} />;
+    return (
+      <ListArticles
+        data={[]}
+        pagination={buildPagination(0, listParams)}
+        stats={{ total: 0, active: 0, inactive: 0 }}
+      />
+    );
   }
 };
 
@@ -0,0 +1,195 @@
+// app/dashboard/media/page.jsx (Server Component)
+
+import MediaReconciliation from '@/ui/pages/media/MediaReconciliation';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import {
+  findOrphanedAssets,
+  MEDIA_ORPHAN_MIN_AGE_HOURS,
+} from '@backend/mediaReconciliation';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+const EMPTY_REPORT = {
+  orphans: [],
+  scanned: 0,
+  referenced: 0,
+  recent: 0,
+  error: null,
+};
+
+/**
+ * Analyse les dossiers Cloudinary et retourne les images orphelines.
+ * Pas de mise en cache : le rapport doit refléter les suppressions immédiatement.
+ * @returns {Promise<Object>} { orphans, scanned, referenced, recent, error }
+ */
+async function getOrphanReport() {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Media reconciliation scan started', { requestId });
+
+  try {
+    client = await getClient();
+
+    const report = await findOrphanedAssets(client);
+
+    logger.info('Media reconciliation scan successful', {
+      scanned: report.scanned,
+      orphanCount: report.orphans.length,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    return { ...report, error: null };
+  } catch (error) {
+    const errorCategory = categorizeError(error);
+
+    logger.error('Media reconciliation scan error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'media_server_component',
+        action: 'orphan_scan_failed',
+        error_category: errorCategory,
+        entity: 'media',
+        execution_context: 'server_component',
+      },
+      extra: { requestId },
+    });
+
+    return {
+      ...EMPTY_REPORT,
+      error: 'Analyse impossible. Veuillez réessayer.',
+    };
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to media page');
+
+      captureMessage('Unauthenticated access attempt to media page', {
+        level: 'warning',
+        tags: {
+          component: 'media_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'media',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'media_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page de réconciliation des images
+ */
+const MediaPageComponent = async () => {
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: ANALYSE DES DOSSIERS CLOUDINARY =====
+    const report = await getOrphanReport();
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    return (
+      <MediaReconciliation
+        report={report}
+        minAgeHours={MEDIA_ORPHAN_MIN_AGE_HOURS}
+      />
+    );
+  } catch (error) {
+    logger.error('Media page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'MediaPage',
+      route: '/dashboard/media',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return (
+      <MediaReconciliation
+        report={EMPTY_REPORT}
+        minAgeHours={MEDIA_ORPHAN_MIN_AGE_HOURS}
+      />
+    );
+  }
+};
+
+const MediaPage = withServerComponentMonitoring(
+  MediaPageComponent,
+  'MediaPage',
+);
+
+export default MediaPage;
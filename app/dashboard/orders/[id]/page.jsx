@@ -2,6 +2,7 @@ import EditOrder from '@/ui/pages/orders/EditOrder';
 import { getServerSession } from 'next-auth';
 import { auth } from '@app/api/auth/[...nextauth]/route';
 import { getClient } from '@backend/dbConnect';
+import { fetchOrderStatusHistory } from '@backend/orderStatus';
 import { redirect, notFound } from 'next/navigation';
 import {
   captureException,
@@ -154,7 +155,7 @@ async function getOrderFromDatabase(orderId) {
     const cacheKey = getDashboardCacheKey('single_order', {
       endpoint: 'server_component_order_by_id',
       orderId: cleanedOrderId,
-      version: '1.0',
+      version: '2.1',
     });
 
     // Vérifier si les données sont en cache
@@ -248,6 +249,8 @@ async function getOrderFromDatabase(orderId) {
           o.order_payment_status,
           o.order_cancel_reason,
           o.order_cancelled_at,
+          o.order_refunded_amount,
+          o.order_refunded_at,
           o.order_paid_at,
           o.order_created,
           o.order_updated,
@@ -336,6 +339,18 @@ async function getOrderFromDatabase(orderId) {
       return null; // Commande non trouvée
     }
 
+    // Historique des statuts (non bloquant : la commande reste affichable sans timeline)
+    let statusHistory = [];
+    try {
+      statusHistory = await fetchOrderStatusHistory(client, cleanedOrderId);
+    } catch (historyError) {
+      logger.warn('Order status history fetch failed', {
+        requestId,
+        orderId: cleanedOrderId.substring(0, 8),
+        error: historyError.message,
+      });
+    }
+
     // ===== ÉTAPE 6: FORMATAGE ET SANITISATION DES DONNÉES =====
     const orderData = orderResult.rows[0];
 
@@ -376,10 +391,26 @@ async function getOrderFromDatabase(orderId) {
       order_payment_status: orderData.order_payment_status,
       order_cancel_reason: orderData.order_cancel_reason || null,
       order_cancelled_at: orderData.order_cancelled_at,
+      order_refunded_amount:
+        orderData.order_refunded_amount !== null
+          ? parseFloat(orderData.order_refunded_amount)
+          : null,
+      order_refunded_at: orderData.order_refunded_at,
       order_paid_at: orderData.order_paid_at,
       order_created: orderData.order_created,
       order_updated: orderData.order_updated,
 
+      // Timeline des changements de statut
+      status_history: statusHistory.map((entry) => ({
+        id: entry.history_id,
+        from: entry.from_status,
+        to: entry.to_status,
+        reason: entry.reason,
+        amount: entry.amount !== null ? parseFloat(entry.amount) : null,
+        changed_at: entry.changed_at,
+        changed_by: entry.changed_by_name || null,
+      })),
+
       // Informations client (partiellement anonymisées pour les logs)
       client: clientInfo,
 
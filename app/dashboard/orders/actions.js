@@ -2,6 +2,7 @@
 
 import { getClient } from '@backend/dbConnect';
 import { getServerSession } from 'next-auth';
+import { headers } from 'next/headers';
 import { auth } from '@app/api/auth/[...nextauth]/route';
 import {
   generateRequestId,
@@ -20,6 +21,16 @@ import {
   invalidateDashboardCache,
 } from '@/utils/cache';
 import { applyRateLimit, RATE_LIMIT_PRESETS } from '@backend/rateLimiter';
+import { PERMISSIONS, hasPermission, normalizeRole } from '@/utils/permissions';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
+import { ORDER_REASON_MAX_LENGTH, ORDER_STATUSES } from '@/utils/orderStatus';
+import { applyOrderStatusTransition } from '@backend/orderStatus';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit, getAuditContext } from '@backend/auditLog';
 
 // Rate limiting spécifique aux Server Actions
 const serverActionRateLimit = applyRateLimit(RATE_LIMIT_PRESETS.CONTENT_API, {
@@ -86,7 +97,7 @@ function validateAndSanitizeFilters(filters = {}) {
 
       case 'order_payment_status':
         if (Array.isArray(value)) {
-          const allowedStatuses = ['paid', 'unpaid', 'refunded', 'failed'];
+          const allowedStatuses = ORDER_STATUSES;
           const validValues = value
             .filter((v) => typeof v === 'string' && v.trim())
             .map((v) => v.trim())
@@ -135,11 +146,12 @@ function buildSecureWhereClause(filters) {
 }
 
 /**
- * Génération de clé de cache intelligente basée sur les filtres
+ * Génération de clé de cache intelligente basée sur les filtres, la pagination et le tri
  * @param {Object} filters - Filtres appliqués
+ * @param {Object} listParams - Pagination et tri normalisés
  * @returns {string} - Clé de cache unique
  */
-function generateFilterCacheKey(filters) {
+function generateFilterCacheKey(filters, listParams) {
   const sortedFilters = {};
   Object.keys(filters)
     .sort()
@@ -153,16 +165,21 @@ function generateFilterCacheKey(filters) {
 
   return getDashboardCacheKey('orders_filtered', {
     filters: JSON.stringify(sortedFilters),
-    version: '2.0',
+    page: listParams.page,
+    limit: listParams.limit,
+    sort: listParams.sort,
+    order: listParams.order,
+    version: '3.0',
   });
 }
 
 /**
  * Authentification et autorisation pour Server Actions
  * @param {Object} context - Contexte de la requête (optionnel pour Server Actions)
+ * @param {string|null} permission - Permission requise (voir PERMISSIONS)
  * @returns {Promise<Object>} - Session utilisateur validée
  */
-async function authenticateServerAction(context = {}) {
+async function authenticateServerAction(context = {}, permission = null) {
   const requestId = generateRequestId();
 
   try {
@@ -203,6 +220,35 @@ async function authenticateServerAction(context = {}) {
       throw new Error('Invalid user session');
     }
 
+    // Vérification des permissions liées au rôle
+    if (!hasPermission(session.user.role, permission)) {
+      logger.warn('Server Action: Permissions insuffisantes', {
+        requestId,
+        userId: session.user.id,
+        role: normalizeRole(session.user.role),
+        permission,
+      });
+
+      captureMessage('Permission denied for Server Action', {
+        level: 'warning',
+        tags: {
+          component: 'orders_server_action',
+          action: 'permission_denied',
+          error_category: 'authentication',
+          execution_context: 'server_action',
+        },
+        extra: {
+          requestId,
+          userId: session.user.id,
+          role: normalizeRole(session.user.role),
+          permission,
+          context,
+        },
+      });
+
+      throw new Error('Insufficient permissions for this action');
+    }
+
     return { session, requestId };
   } catch (error) {
     logger.error(
@@ -237,9 +283,16 @@ async function authenticateServerAction(context = {}) {
  * Server Action pour mettre à jour le statut de paiement d'une commande
  * @param {string} orderId - ID de la commande (UUID)
  * @param {string} newStatus - Nouveau statut de paiement
- * @returns {Promise<Object>} - Résultat de la mise à jour
+ * @param {string|null} reason - Motif de la transition (obligatoire pour un remboursement ou une annulation)
+ * @param {number|string|null} refundAmount - Montant remboursé, total si vide (remboursement uniquement)
+ * @returns {Promise<Object>} - Résultat de la mise à jour, { success: false, error } si la transition est refusée
  */
-export async function updateOrderPaymentStatus(orderId, newStatus) {
+export async function updateOrderPaymentStatus(
+  orderId,
+  newStatus,
+  reason = null,
+  refundAmount = null,
+) {
   let client;
   const startTime = Date.now();
   let requestId;
@@ -253,7 +306,7 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
     };
 
     const { session, requestId: authRequestId } =
-      await authenticateServerAction(context);
+      await authenticateServerAction(context, PERMISSIONS.ORDERS_UPDATE);
     requestId = authRequestId;
 
     logger.info('Server Action: Mise à jour statut commande démarrée', {
@@ -298,8 +351,7 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
     }
 
     // Valider le statut
-    const allowedStatuses = ['paid', 'unpaid', 'refunded', 'failed'];
-    if (!allowedStatuses.includes(newStatus)) {
+    if (!ORDER_STATUSES.includes(newStatus)) {
       logger.warn('Server Action: Statut de paiement invalide', {
         requestId,
         userId: session.user.id,
@@ -323,6 +375,15 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
       throw new Error(`Invalid order ID: ${orderId}`);
     }
 
+    // Nettoyer le motif (texte libre affiché dans la timeline)
+    const cleanReason =
+      typeof reason === 'string'
+        ? reason
+            .replace(/[<>]/g, '')
+            .trim()
+            .substring(0, ORDER_REASON_MAX_LENGTH) || null
+        : null;
+
     // ===== ÉTAPE 3: CONNEXION BASE DE DONNÉES =====
     try {
       client = await getClient();
@@ -356,47 +417,57 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
       throw new Error('Database connection failed for update operation');
     }
 
-    // ===== ÉTAPE 4: VÉRIFICATION DE L'EXISTENCE DE LA COMMANDE =====
-    let currentOrder;
+    // ===== ÉTAPE 4: TRANSITION DANS UNE TRANSACTION =====
+    // Statut, horodatages et historique sont écrits ensemble ou pas du tout
+    let transition;
     try {
-      const checkQuery = `
-        SELECT order_id, order_payment_status, order_created, order_price
-        FROM admin.orders 
-        WHERE order_id = $1
-      `;
-
-      const checkResult = await client.query(checkQuery, [orderId]);
-
-      if (checkResult.rows.length === 0) {
-        logger.warn('Server Action: Commande non trouvée', {
-          requestId,
-          userId: session.user.id,
-          orderId,
-        });
-
-        throw new Error(`Order #${orderId} not found`);
-      }
-
-      currentOrder = checkResult.rows[0];
-    } catch (queryError) {
-      const errorCategory = categorizeError(queryError);
+      transition = await withTransaction(
+        async (tx) => {
+          const result = await applyOrderStatusTransition(tx, {
+            orderId,
+            toStatus: newStatus,
+            reason: cleanReason,
+            changedBy: session.user.id,
+            refundAmount,
+          });
+
+          // Transition refusée : rien n'a été écrit
+          if (result.error) return result;
+
+          await recordAudit(tx, {
+            ...getAuditContext(
+              { headers: await headers() },
+              session,
+              requestId,
+            ),
+            action: 'update',
+            entity: 'order',
+            entityId: orderId,
+            before: result.previous,
+            after: result.order,
+          });
 
-      logger.error(
-        'Server Action: Erreur lors de la vérification de la commande',
-        {
-          category: errorCategory,
-          message: queryError.message,
-          requestId,
-          userId: session.user.id,
-          orderId,
+          return result;
         },
+        { client, name: 'update_order_payment_status', requestId },
       );
+    } catch (updateError) {
+      const errorCategory = categorizeError(updateError);
 
-      captureDatabaseError(queryError, {
+      logger.error('Server Action: Erreur lors de la mise à jour du statut', {
+        category: errorCategory,
+        message: updateError.message,
+        requestId,
+        userId: session.user.id,
+        orderId,
+        newStatus,
+      });
+
+      captureDatabaseError(updateError, {
         tags: {
           component: 'orders_server_action',
-          action: 'order_check_failed',
-          operation: 'SELECT',
+          action: 'update_query_failed',
+          operation: 'UPDATE',
           entity: 'order',
           data_type: 'financial',
           execution_context: 'server_action',
@@ -405,121 +476,91 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
           requestId,
           userId: session.user.id,
           orderId,
-          postgresCode: queryError.code,
+          newStatus,
+          postgresCode: updateError.code,
         },
       });
 
       if (client) await client.cleanup();
-      throw new Error('Failed to verify order existence');
+      throw new Error('Failed to update order payment status');
     }
 
-    // ===== ÉTAPE 5: MISE À JOUR DU STATUT =====
-    try {
-      const updateQuery = `
-        UPDATE admin.orders 
-        SET 
-          order_payment_status = $1,
-          order_updated = CURRENT_TIMESTAMP
-        WHERE order_id = $2
-        RETURNING order_id, order_payment_status, order_updated
-      `;
-
-      const updateResult = await client.query(updateQuery, [
-        newStatus,
+    // ===== ÉTAPE 5: TRANSITION REFUSÉE =====
+    // Erreur métier renvoyée telle quelle au client (pas d'exception masquée en production)
+    if (transition.error) {
+      logger.warn('Server Action: Transition de statut refusée', {
+        requestId,
+        userId: session.user.id,
         orderId,
-      ]);
+        oldStatus: transition.fromStatus,
+        newStatus,
+        reason: transition.error,
+      });
 
-      if (updateResult.rows.length === 0) {
-        logger.error('Server Action: Échec de la mise à jour de la commande', {
+      captureMessage('Order status transition rejected (Server Action)', {
+        level: 'warning',
+        tags: {
+          component: 'orders_server_action',
+          action: 'transition_rejected',
+          error_category: 'business_logic',
+          entity: 'order',
+          data_type: 'financial',
+          execution_context: 'server_action',
+        },
+        extra: {
           requestId,
           userId: session.user.id,
           orderId,
+          oldStatus: transition.fromStatus,
           newStatus,
-        });
-
-        throw new Error('Failed to update order status');
-      }
-
-      const updatedOrder = updateResult.rows[0];
-
-      logger.info('Server Action: Statut commande mis à jour avec succès', {
-        requestId,
-        userId: session.user.id,
-        orderId,
-        oldStatus: currentOrder.order_payment_status,
-        newStatus: updatedOrder.order_payment_status,
+          notFound: !!transition.notFound,
+        },
       });
 
-      // ===== ÉTAPE 6: INVALIDATION DU CACHE =====
-      try {
-        invalidateDashboardCache('order', orderId);
-      } catch (cacheError) {
-        // Non-bloquant
-        logger.warn(
-          'Server Action: Échec invalidation cache après mise à jour',
-          {
-            requestId,
-            orderId,
-            error: cacheError.message,
-          },
-        );
-      }
-
-      // ===== ÉTAPE 7: NETTOYAGE ET LOGGING DE SUCCÈS =====
-      const responseTime = Date.now() - startTime;
+      if (client) await client.cleanup();
 
-      captureMessage(
-        'Order payment status updated successfully (Server Action)',
-        {
-          level: 'info',
-          tags: {
-            component: 'orders_server_action',
-            action: 'status_update_success',
-            success: 'true',
-            entity: 'order',
-            data_type: 'financial',
-            execution_context: 'server_action',
-          },
-          extra: {
-            requestId,
-            userId: session.user.id,
-            orderId,
-            oldStatus: currentOrder.order_payment_status,
-            newStatus: updatedOrder.order_payment_status,
-            responseTimeMs: responseTime,
-          },
-        },
-      );
+      return { success: false, error: transition.error };
+    }
 
-      if (client) await client.cleanup();
+    const updatedOrder = transition.order;
 
-      return {
-        success: true,
-        order: {
-          order_id: updatedOrder.order_id,
-          order_payment_status: updatedOrder.order_payment_status,
-          updated_at: updatedOrder.order_updated,
-        },
-        oldStatus: currentOrder.order_payment_status,
-        newStatus: updatedOrder.order_payment_status,
-      };
-    } catch (updateError) {
-      const errorCategory = categorizeError(updateError);
+    logger.info('Server Action: Statut commande mis à jour avec succès', {
+      requestId,
+      userId: session.user.id,
+      orderId,
+      oldStatus: transition.fromStatus,
+      newStatus: updatedOrder.order_payment_status,
+    });
 
-      logger.error('Server Action: Erreur lors de la mise à jour du statut', {
-        category: errorCategory,
-        message: updateError.message,
+    // ===== ÉTAPE 6: INVALIDATION DU CACHE =====
+    try {
+      invalidateDashboardCache('order', orderId);
+      // Les indicateurs de la page d'accueil dépendent des statuts de paiement
+      invalidateDashboardCache('stats');
+      // sales_count a changé : les listes d'applications sont périmées
+      if (transition.salesDelta !== 0) {
+        invalidateDashboardCache('application');
+      }
+    } catch (cacheError) {
+      // Non-bloquant
+      logger.warn('Server Action: Échec invalidation cache après mise à jour', {
         requestId,
-        userId: session.user.id,
         orderId,
-        newStatus,
+        error: cacheError.message,
       });
+    }
 
-      captureDatabaseError(updateError, {
+    // ===== ÉTAPE 7: NETTOYAGE ET LOGGING DE SUCCÈS =====
+    const responseTime = Date.now() - startTime;
+
+    captureMessage(
+      'Order payment status updated successfully (Server Action)',
+      {
+        level: 'info',
         tags: {
           component: 'orders_server_action',
-          action: 'update_query_failed',
-          operation: 'UPDATE',
+          action: 'status_update_success',
+          success: 'true',
           entity: 'order',
           data_type: 'financial',
           execution_context: 'server_action',
@@ -528,15 +569,41 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
           requestId,
           userId: session.user.id,
           orderId,
-          newStatus,
-          oldStatus: currentOrder.order_payment_status,
-          postgresCode: updateError.code,
+          oldStatus: transition.fromStatus,
+          newStatus: updatedOrder.order_payment_status,
+          responseTimeMs: responseTime,
         },
-      });
+      },
+    );
 
-      if (client) await client.cleanup();
-      throw new Error('Failed to update order payment status');
-    }
+    if (client) await client.cleanup();
+
+    return {
+      success: true,
+      order: {
+        order_id: updatedOrder.order_id,
+        order_payment_status: updatedOrder.order_payment_status,
+        order_paid_at: updatedOrder.order_paid_at,
+        order_cancelled_at: updatedOrder.order_cancelled_at,
+        order_cancel_reason: updatedOrder.order_cancel_reason,
+        order_refunded_amount:
+          updatedOrder.order_refunded_amount !== null
+            ? Number(updatedOrder.order_refunded_amount)
+            : null,
+        order_refunded_at: updatedOrder.order_refunded_at,
+        updated_at: updatedOrder.order_updated,
+      },
+      history: {
+        ...transition.history,
+        amount:
+          transition.history.amount !== null
+            ? Number(transition.history.amount)
+            : null,
+        changed_by_name: session.user.name || null,
+      },
+      oldStatus: transition.fromStatus,
+      newStatus: updatedOrder.order_payment_status,
+    };
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS =====
     const errorCategory = categorizeError(error);
@@ -591,12 +658,33 @@ export async function updateOrderPaymentStatus(orderId, newStatus) {
   }
 }
 
+/**
+ * Server Action pour rembourser une commande payée, totalement ou partiellement
+ * @param {string} orderId - ID de la commande (UUID)
+ * @param {Object} params - { reason, amount } ; amount vide = remboursement total
+ * @returns {Promise<Object>} - Résultat de updateOrderPaymentStatus
+ */
+export async function refundOrder(orderId, { reason, amount = null } = {}) {
+  return updateOrderPaymentStatus(orderId, 'refunded', reason, amount);
+}
+
+/**
+ * Server Action pour annuler une commande
+ * @param {string} orderId - ID de la commande (UUID)
+ * @param {Object} params - { reason }
+ * @returns {Promise<Object>} - Résultat de updateOrderPaymentStatus
+ */
+export async function cancelOrder(orderId, { reason } = {}) {
+  return updateOrderPaymentStatus(orderId, 'cancelled', reason);
+}
+
 /**
  * Server Action pour récupérer les commandes filtrées avec sécurité et performance optimales
  * @param {Object} filters - Filtres à appliquer
- * @returns {Promise<Object>} - Objet contenant les commandes et le total
+ * @param {Object} listParams - Pagination et tri { page, limit, sort, order }
+ * @returns {Promise<Object>} - Objet contenant une page de commandes, le total, la pagination et les statistiques
  */
-export async function getFilteredOrders(filters = {}) {
+export async function getFilteredOrders(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
   let requestId;
@@ -610,7 +698,7 @@ export async function getFilteredOrders(filters = {}) {
     };
 
     const { session, requestId: authRequestId } =
-      await authenticateServerAction(context);
+      await authenticateServerAction(context, PERMISSIONS.ORDERS_VIEW);
     requestId = authRequestId;
 
     // ===== ÉTAPE 2: RATE LIMITING =====
@@ -652,9 +740,13 @@ export async function getFilteredOrders(filters = {}) {
 
     // ===== ÉTAPE 3: VALIDATION ET ASSAINISSEMENT DES FILTRES =====
     const validatedFilters = validateAndSanitizeFilters(filters);
+    const validatedListParams = parseListParams('orders', listParams);
 
     // ===== ÉTAPE 4: VÉRIFICATION DU CACHE AVEC CLÉ DYNAMIQUE =====
-    const cacheKey = generateFilterCacheKey(validatedFilters);
+    const cacheKey = generateFilterCacheKey(
+      validatedFilters,
+      validatedListParams,
+    );
 
     const cachedOrders = dashboardCache.orders?.get(cacheKey);
 
@@ -730,8 +822,11 @@ export async function getFilteredOrders(filters = {}) {
     // ===== ÉTAPE 6: CONSTRUCTION SÉCURISÉE DE LA REQUÊTE =====
     const { whereClause, values } = buildSecureWhereClause(validatedFilters);
 
+    const limitParam = values.length + 1;
+    const offsetParam = values.length + 2;
+
     // ===== ÉTAPE 7: EXÉCUTION DE LA REQUÊTE AVEC TIMEOUT =====
-    let ordersResult, countResult;
+    let ordersResult, statsResult;
     const queryStartTime = Date.now();
 
     try {
@@ -754,13 +849,20 @@ export async function getFilteredOrders(filters = {}) {
         FROM admin.orders
         JOIN catalog.applications ON admin.orders.order_application_id = catalog.applications.application_id
         ${whereClause}
-        ORDER BY admin.orders.order_created DESC
-        LIMIT 1000
+        ${buildOrderByClause('orders', validatedListParams)}
+        LIMIT $${limitParam} OFFSET $${offsetParam}
       `;
 
-      // Requête pour le total
-      const countQuery = `
-        SELECT COUNT(*) as total
+      // Requête pour le total et les statistiques de toutes les pages filtrées
+      const statsQuery = `
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE order_payment_status = 'paid')::int AS paid_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'unpaid')::int AS unpaid_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'refunded')::int AS refunded_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'cancelled')::int AS cancelled_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'failed')::int AS failed_orders,
+          COALESCE(SUM(order_price) FILTER (WHERE order_payment_status = 'paid'), 0)::float AS total_revenue
         FROM admin.orders
         JOIN catalog.applications ON admin.orders.order_application_id = catalog.applications.application_id
         ${whereClause}
@@ -768,14 +870,18 @@ export async function getFilteredOrders(filters = {}) {
 
       // Exécution avec timeout intégré
       const queryPromise = Promise.all([
-        client.query(mainQuery, values),
-        client.query(countQuery, values),
+        client.query(mainQuery, [
+          ...values,
+          validatedListParams.limit,
+          validatedListParams.offset,
+        ]),
+        client.query(statsQuery, values),
       ]);
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Query timeout')), 10000),
       );
 
-      [ordersResult, countResult] = await Promise.race([
+      [ordersResult, statsResult] = await Promise.race([
         queryPromise,
         timeoutPromise,
       ]);
@@ -863,14 +969,13 @@ export async function getFilteredOrders(filters = {}) {
 
     // ===== ÉTAPE 9: NETTOYAGE ET FORMATAGE SÉCURISÉ DES DONNÉES =====
     const orders = ordersResult.rows;
-    const total = parseInt(countResult.rows[0].total);
+    const statsRow = statsResult.rows[0] || {};
+    const total = statsRow.total || 0;
 
     // Sanitiser les données sensibles des commandes
     const sanitizedOrders = orders.map((order) => ({
       order_id: order.order_id,
-      order_payment_status: ['paid', 'unpaid', 'refunded', 'failed'].includes(
-        order.order_payment_status,
-      )
+      order_payment_status: ORDER_STATUSES.includes(order.order_payment_status)
         ? order.order_payment_status
         : 'unpaid',
       order_created: order.order_created,
@@ -897,6 +1002,15 @@ export async function getFilteredOrders(filters = {}) {
     const response = {
       orders: sanitizedOrders,
       totalOrders: total,
+      pagination: buildPagination(total, validatedListParams),
+      stats: {
+        totalRevenue: statsRow.total_revenue || 0,
+        paidOrders: statsRow.paid_orders || 0,
+        unpaidOrders: statsRow.unpaid_orders || 0,
+        refundedOrders: statsRow.refunded_orders || 0,
+        cancelledOrders: statsRow.cancelled_orders || 0,
+        failedOrders: statsRow.failed_orders || 0,
+      },
     };
 
     // ===== ÉTAPE 11: MISE EN CACHE INTELLIGENTE =====
@@ -1007,7 +1121,10 @@ export async function getFilteredOrders(filters = {}) {
  */
 export async function invalidateOrdersCache(orderId = null) {
   try {
-    const { session, requestId } = await authenticateServerAction();
+    const { session, requestId } = await authenticateServerAction(
+      {},
+      PERMISSIONS.ORDERS_VIEW,
+    );
 
     logger.info('Server Action: Invalidation du cache commandes demandée', {
       requestId,
@@ -13,23 +13,52 @@ import {
 import { categorizeError, generateRequestId } from '@/utils/helpers';
 import logger from '@/utils/logger';
 import { dashboardCache, getDashboardCacheKey } from '@/utils/cache';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Configuration de revalidation pour cette page
 export const revalidate = 0; // Désactive le cache statique
 export const dynamic = 'force-dynamic'; // Force le rendu dynamique
 
+/**
+ * Réponse vide renvoyée en cas d'erreur pour ne pas faire planter la page
+ * @param {Object} listParams - Paramètres de pagination normalisés
+ * @returns {Object} - Commandes, total, pagination et statistiques vides
+ */
+function emptyOrdersResponse(listParams) {
+  return {
+    orders: [],
+    totalOrders: 0,
+    pagination: buildPagination(0, listParams),
+    stats: {
+      totalRevenue: 0,
+      paidOrders: 0,
+      unpaidOrders: 0,
+      refundedOrders: 0,
+      cancelledOrders: 0,
+      failedOrders: 0,
+    },
+  };
+}
+
 /**
  * Fonction pour récupérer les commandes depuis la base de données
  * ✅ MISE À JOUR: Utilise la nouvelle architecture Sentry
- * @returns {Promise<Object>} Objet contenant les commandes et le total ou données vides en cas d'erreur
+ * @param {Object} listParams - Pagination et tri normalisés par parseListParams
+ * @returns {Promise<Object>} Objet contenant une page de commandes, le total, la pagination et les statistiques ou données vides en cas d'erreur
  */
-async function getOrdersFromDatabase() {
+async function getOrdersFromDatabase(listParams) {
   let client;
   const startTime = Date.now();
   const requestId = generateRequestId();
 
   logger.info('Orders fetch process started', {
     requestId,
+    page: listParams.page,
+    sort: listParams.sort,
   });
 
   // ✅ NOUVEAU: Utilisation des fonctions Sentry adaptées
@@ -51,10 +80,15 @@ async function getOrdersFromDatabase() {
 
   try {
     // ===== ÉTAPE 1: VÉRIFICATION DU CACHE =====
+    // La pagination et le tri font partie de la clé : chaque vue est mise en cache séparément
     const cacheKey = getDashboardCacheKey('orders_list', {
       endpoint: 'server_component_orders',
       status: 'all',
-      version: '1.0',
+      page: listParams.page,
+      limit: listParams.limit,
+      sort: listParams.sort,
+      order: listParams.order,
+      version: '2.0',
     });
 
     // Vérifier si les données sont en cache
@@ -125,11 +159,11 @@ async function getOrdersFromDatabase() {
       });
 
       // Retourner des données vides plutôt que de faire planter la page
-      return { orders: [], totalOrders: 0 };
+      return emptyOrdersResponse(listParams);
     }
 
     // ===== ÉTAPE 3: EXÉCUTION DES REQUÊTES =====
-    let ordersResult, countResult;
+    let ordersResult, statsResult;
     try {
       // Requête principale avec pagination et relations
       const mainQuery = `
@@ -148,20 +182,28 @@ async function getOrdersFromDatabase() {
           
         FROM admin.orders
         JOIN catalog.applications ON admin.orders.order_application_id = catalog.applications.application_id
-        ORDER BY admin.orders.order_created DESC
+        ${buildOrderByClause('orders', listParams)}
+        LIMIT $1 OFFSET $2
       `;
 
-      // Requête pour le total
-      const countQuery = `
-        SELECT COUNT(*) as total
+      // Requête pour le total et les statistiques de toutes les pages
+      const statsQuery = `
+        SELECT
+          COUNT(*)::int AS total,
+          COUNT(*) FILTER (WHERE order_payment_status = 'paid')::int AS paid_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'unpaid')::int AS unpaid_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'refunded')::int AS refunded_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'cancelled')::int AS cancelled_orders,
+          COUNT(*) FILTER (WHERE order_payment_status = 'failed')::int AS failed_orders,
+          COALESCE(SUM(order_price) FILTER (WHERE order_payment_status = 'paid'), 0)::float AS total_revenue
         FROM admin.orders
         JOIN catalog.applications ON admin.orders.order_application_id = catalog.applications.application_id
       `;
 
       // Exécuter les requêtes en parallèle
-      [ordersResult, countResult] = await Promise.all([
-        client.query(mainQuery),
-        client.query(countQuery),
+      [ordersResult, statsResult] = await Promise.all([
+        client.query(mainQuery, [listParams.limit, listParams.offset]),
+        client.query(statsQuery),
       ]);
     } catch (queryError) {
       const errorCategory = categorizeError(queryError);
@@ -192,7 +234,7 @@ async function getOrdersFromDatabase() {
       });
 
       if (client) await client.cleanup();
-      return { orders: [], totalOrders: 0 }; // Retourner des données vides plutôt que de faire planter la page
+      return emptyOrdersResponse(listParams); // Retourner des données vides plutôt que de faire planter la page
     }
 
     // ===== ÉTAPE 4: VALIDATION DES DONNÉES =====
@@ -225,12 +267,13 @@ async function getOrdersFromDatabase() {
       );
 
       if (client) await client.cleanup();
-      return { orders: [], totalOrders: 0 }; // Retourner des données vides plutôt que de faire planter la page
+      return emptyOrdersResponse(listParams); // Retourner des données vides plutôt que de faire planter la page
     }
 
     // ===== ÉTAPE 5: FORMATAGE ET SANITISATION DES DONNÉES =====
     const orders = ordersResult.rows;
-    const total = parseInt(countResult.rows[0].total);
+    const statsRow = statsResult.rows[0] || {};
+    const total = statsRow.total || 0;
 
     // Sanitiser les données sensibles des commandes
     const sanitizedOrders = orders.map((order) => ({
@@ -248,6 +291,15 @@ async function getOrdersFromDatabase() {
     const response = {
       orders: sanitizedOrders,
       totalOrders: total,
+      pagination: buildPagination(total, listParams),
+      stats: {
+        totalRevenue: statsRow.total_revenue || 0,
+        paidOrders: statsRow.paid_orders || 0,
+        unpaidOrders: statsRow.unpaid_orders || 0,
+        refundedOrders: statsRow.refunded_orders || 0,
+        cancelledOrders: statsRow.cancelled_orders || 0,
+        failedOrders: statsRow.failed_orders || 0,
+      },
     };
 
     // ===== ÉTAPE 7: MISE EN CACHE DES DONNÉES =====
@@ -333,7 +385,7 @@ async function getOrdersFromDatabase() {
 
     // En cas d'erreur grave, retourner des données vides pour éviter de casser la page
     // L'utilisateur verra une liste vide mais la page se chargera
-    return { orders: [], totalOrders: 0 };
+    return emptyOrdersResponse(listParams);
   }
 }
 
@@ -395,7 +447,10 @@ async function checkAuthentication() {
  * Server Component principal pour la page des commandes
  * ✅ NOUVEAU: Wrappé avec monitoring automatique
  */
-const OrdersPageComponent = async () => {
+const OrdersPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const listParams = parseListParams('orders', await searchParams);
+
   try {
     // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
     const session = await checkAuthentication();
@@ -406,7 +461,8 @@ const OrdersPageComponent = async () => {
     }
 
     // ===== ÉTAPE 2: RÉCUPÉRATION DES COMMANDES =====
-    const { orders, totalOrders } = await getOrdersFromDatabase();
+    const { orders, totalOrders, pagination, stats } =
+      await getOrdersFromDatabase(listParams);
 
     // ===== ÉTAPE 3: RENDU DE LA PAGE =====
     logger.info('Orders page rendering', {
@@ -415,7 +471,7 @@ const OrdersPageComponent = async () => {
       userId: session.user?.id,
     });
 
-    return <OrdersList data={orders} totalOrders={totalOrders} />;
+    return <OrdersList data={orders} pagination={pagination} stats={stats} />;
   } catch (error) {
     // Gestion des erreurs au niveau de la page
     logger.error('Orders page error', {
@@ -439,7 +495,15 @@ const OrdersPageComponent = async () => {
 
     // En cas d'erreur critique, afficher une page avec des données vides
     // plutôt que de faire planter complètement l'application
-    return <OrdersList data={[]} totalOrders={0} />;
+    const emptyResponse = emptyOrdersResponse(listParams);
+
+    return (
+      <OrdersList
+        data={[]}
+        pagination={emptyResponse.pagination}
+        stats={emptyResponse.stats}
+      />
+    );
   }
 };
 
@@ -1,28 +1,385 @@
-'use client';
+// app/dashboard/page.jsx (Server Component)
 
 import styles from '@/ui/styling/dashboard/dashboard.module.css';
 import Card from '@/ui/components/dashboard/card';
 import Chart from '@/ui/components/dashboard/chart';
-import Rightbar from '@/ui/components/dashboard/rightbar';
+import OrderStatus from '@/ui/components/dashboard/orderStatus';
+import TopApplications from '@/ui/components/dashboard/topApplications';
 import Transactions from '@/ui/components/dashboard/transactions';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import {
+  REVENUE_RANGES,
+  fetchDashboardStats,
+  parseRevenueRange,
+} from '@backend/dashboardStats';
+import { redirect } from 'next/navigation';
+import { MdEuro, MdShoppingCart, MdTrendingUp } from 'react-icons/md';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+import {
+  dashboardCache,
+  getDashboardCacheKey,
+  cacheEvents,
+} from '@/utils/cache';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+// Options du sélecteur de plage transmises au Client Component
+const RANGE_OPTIONS = Object.entries(REVENUE_RANGES).map(([value, range]) => ({
+  value,
+  label: range.label,
+}));
+
+const EMPTY_STATS = {
+  summary: {
+    revenue: 0,
+    revenueChange: null,
+    paidOrders: 0,
+    paidOrdersChange: null,
+    averageOrder: 0,
+    totalRevenue: 0,
+  },
+  revenueSeries: [],
+  orderStatusCounts: [],
+  topApplications: [],
+  latestTransactions: [],
+};
+
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price);
+};
+
+/**
+ * Récupère les indicateurs de la page d'accueil depuis la base de données
+ * @param {string} rangeKey - Plage de temps normalisée (ex: '30d')
+ * @returns {Promise<Object>} Indicateurs ou valeurs vides en cas d'erreur
+ */
+async function getDashboardStatsFromDatabase(rangeKey) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Dashboard stats fetch process started', {
+    requestId,
+    range: rangeKey,
+  });
+
+  captureMessage(
+    'Dashboard stats fetch process started from Server Component',
+    {
+      level: 'info',
+      tags: {
+        component: 'dashboard_home_server_component',
+        action: 'process_start',
+        entity: 'dashboard_stat',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        range: rangeKey,
+        timestamp: new Date().toISOString(),
+      },
+    },
+  );
+
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION DU CACHE =====
+    // La plage fait partie de la clé : chaque plage est mise en cache séparément
+    const cacheKey = getDashboardCacheKey('kpi_stats', { range: rangeKey });
+    const cachedStats = dashboardCache.dashboardStats.get(cacheKey);
+
+    if (cachedStats) {
+      logger.info('Dashboard stats served from cache', {
+        range: rangeKey,
+        response_time_ms: Date.now() - startTime,
+        requestId,
+      });
+
+      cacheEvents.emit('dashboard_hit', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardStats,
+        entityType: 'dashboard_stat',
+        requestId,
+        context: 'server_component',
+      });
+
+      return cachedStats;
+    }
+
+    // ===== ÉTAPE 2: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during dashboard stats fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'dashboard_home_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'dashboard_stat',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return EMPTY_STATS;
+    }
+
+    // ===== ÉTAPE 3: EXÉCUTION DES REQUÊTES =====
+    let stats;
+    try {
+      stats = await fetchDashboardStats(client, rangeKey);
+    } catch (queryError) {
+      logger.error('Dashboard Stats Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+        range: rangeKey,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'dashboard_home_server_component',
+          action: 'query_failed',
+          operation: 'SELECT_AGGREGATE',
+          entity: 'dashboard_stat',
+          data_type: 'financial',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          range: rangeKey,
+          tables: ['admin.orders', 'catalog.applications'],
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return EMPTY_STATS;
+    }
+
+    // ===== ÉTAPE 4: MISE EN CACHE DES DONNÉES =====
+    const cacheSuccess = dashboardCache.dashboardStats.set(cacheKey, stats);
+
+    if (cacheSuccess) {
+      cacheEvents.emit('dashboard_set', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardStats,
+        entityType: 'dashboard_stat',
+        requestId,
+        context: 'server_component',
+      });
+    }
+
+    // ===== ÉTAPE 5: SUCCÈS - LOG ET NETTOYAGE =====
+    logger.info('Dashboard stats fetch successful', {
+      range: rangeKey,
+      seriesPoints: stats.revenueSeries.length,
+      response_time_ms: Date.now() - startTime,
+      cacheSet: cacheSuccess,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return stats;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global Dashboard Stats Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'dashboard_home_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'dashboard_stat',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        range: rangeKey,
+        process: 'dashboard_stats_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return EMPTY_STATS;
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to dashboard home');
+
+      captureMessage('Unauthenticated access attempt to dashboard home', {
+        level: 'warning',
+        tags: {
+          component: 'dashboard_home_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'dashboard_home',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'dashboard_home_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page d'accueil du dashboard
+ */
+const DashboardComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const { range } = await searchParams;
+  const rangeKey = parseRevenueRange(range);
+  let stats = EMPTY_STATS;
+
+  // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+  // Hors du try : redirect() lève une exception qui ne doit pas être interceptée
+  const session = await checkAuthentication();
+
+  if (!session) {
+    redirect('/login');
+  }
+
+  try {
+    // ===== ÉTAPE 2: RÉCUPÉRATION DES INDICATEURS =====
+    stats = await getDashboardStatsFromDatabase(rangeKey);
+
+    logger.info('Dashboard home rendering', {
+      range: rangeKey,
+      userId: session.user?.id,
+    });
+  } catch (error) {
+    logger.error('Dashboard home error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'Dashboard',
+      route: '/dashboard',
+      action: 'page_render',
+      tags: {
+        critical: 'false',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+  }
+
+  // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+  const { summary } = stats;
+  const rangeLabel = REVENUE_RANGES[rangeKey].label;
 
-function Dashboard() {
   return (
     <div className={styles.wrapper}>
       <div className={styles.main}>
         <div className={styles.cards}>
-          <Card />
-          <Card />
-          <Card />
+          <Card
+            icon={<MdEuro size={24} />}
+            title={`Revenus (${rangeLabel})`}
+            value={formatPrice(summary.revenue)}
+            change={summary.revenueChange}
+            detail={`Total : ${formatPrice(summary.totalRevenue)}`}
+          />
+          <Card
+            icon={<MdShoppingCart size={24} />}
+            title={`Commandes payées (${rangeLabel})`}
+            value={summary.paidOrders}
+            change={summary.paidOrdersChange}
+          />
+          <Card
+            icon={<MdTrendingUp size={24} />}
+            title="Panier moyen"
+            value={formatPrice(summary.averageOrder)}
+            detail={`Sur les ${rangeLabel}`}
+          />
         </div>
-        <Transactions />
-        <Chart />
+        <Transactions transactions={stats.latestTransactions} />
+        <Chart
+          data={stats.revenueSeries}
+          range={rangeKey}
+          rangeOptions={RANGE_OPTIONS}
+        />
       </div>
       <div className={styles.side}>
-        <Rightbar />
+        <OrderStatus counts={stats.orderStatusCounts} />
+        <TopApplications applications={stats.topApplications} />
       </div>
     </div>
   );
-}
+};
+
+const Dashboard = withServerComponentMonitoring(
+  DashboardComponent,
+  'Dashboard',
+);
 
 export default Dashboard;
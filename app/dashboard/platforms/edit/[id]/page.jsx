@@ -224,7 +224,7 @@ async function getPlatformForEditFromDatabase(platformId) {
           updated_at,
           is_active
         FROM admin.platforms 
-        WHERE platform_id = $1
+        WHERE platform_id = $1 AND deleted_at IS NULL
       `;
 
       result = await client.query(platformQuery, [cleanedPlatformId]);
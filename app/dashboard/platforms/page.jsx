@@ -149,6 +149,7 @@ async function getPlatformsFromDatabase() {
           updated_at, 
           is_active
         FROM admin.platforms 
+        WHERE deleted_at IS NULL
         ORDER BY created_at DESC
       `;
 
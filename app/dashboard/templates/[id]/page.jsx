@@ -208,7 +208,7 @@ async function getTemplateFromDatabase(templateId) {
           is_active,
           updated_at
         FROM catalog.templates 
-        WHERE template_id = $1
+        WHERE template_id = $1 AND deleted_at IS NULL
       `;
 
       result = await client.query(templateQuery, [cleanedTemplateId]);
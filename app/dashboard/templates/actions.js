@@ -20,6 +20,12 @@ import {
   invalidateDashboardCache,
 } from '@/utils/cache';
 import { applyRateLimit, RATE_LIMIT_PRESETS } from '@backend/rateLimiter';
+import { PERMISSIONS, hasPermission, normalizeRole } from '@/utils/permissions';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Rate limiting spécifique aux Server Actions
 const serverActionRateLimit = applyRateLimit(RATE_LIMIT_PRESETS.CONTENT_API, {
@@ -115,7 +121,7 @@ function validateAndSanitizeFilters(filters = {}) {
  * @returns {Object} - Objet contenant whereClause et values
  */
 function buildSecureWhereClause(filters) {
-  const conditions = [];
+  const conditions = ['deleted_at IS NULL'];
   const values = [];
   let paramCount = 1;
 
@@ -160,11 +166,12 @@ function buildSecureWhereClause(filters) {
 }
 
 /**
- * Génération de clé de cache intelligente basée sur les filtres
+ * Génération de clé de cache intelligente basée sur les filtres, la pagination et le tri
  * @param {Object} filters - Filtres appliqués
+ * @param {Object} listParams - Pagination et tri normalisés
  * @returns {string} - Clé de cache unique
  */
-function generateFilterCacheKey(filters) {
+function generateFilterCacheKey(filters, listParams) {
   const sortedFilters = {};
   Object.keys(filters)
     .sort()
@@ -178,16 +185,21 @@ function generateFilterCacheKey(filters) {
 
   return getDashboardCacheKey('templates_filtered', {
     filters: JSON.stringify(sortedFilters),
-    version: '2.0',
+    page: listParams.page,
+    limit: listParams.limit,
+    sort: listParams.sort,
+    order: listParams.order,
+    version: '3.0',
   });
 }
 
 /**
  * Authentification et autorisation pour Server Actions
  * @param {Object} context - Contexte de la requête (optionnel pour Server Actions)
+ * @param {string|null} permission - Permission requise (voir PERMISSIONS)
  * @returns {Promise<Object>} - Session utilisateur validée
  */
-async function authenticateServerAction(context = {}) {
+async function authenticateServerAction(context = {}, permission = null) {
   const requestId = generateRequestId();
 
   try {
@@ -228,6 +240,35 @@ async function authenticateServerAction(context = {}) {
       throw new Error('Invalid user session');
     }
 
+    // Vérification des permissions liées au rôle
+    if (!hasPermission(session.user.role, permission)) {
+      logger.warn('Server Action: Permissions insuffisantes', {
+        requestId,
+        userId: session.user.id,
+        role: normalizeRole(session.user.role),
+        permission,
+      });
+
+      captureMessage('Permission denied for Server Action', {
+        level: 'warning',
+        tags: {
+          component: 'templates_server_action',
+          action: 'permission_denied',
+          error_category: 'authentication',
+          execution_context: 'server_action',
+        },
+        extra: {
+          requestId,
+          userId: session.user.id,
+          role: normalizeRole(session.user.role),
+          permission,
+          context,
+        },
+      });
+
+      throw new Error('Insufficient permissions for this action');
+    }
+
     return { session, requestId };
   } catch (error) {
     logger.error(
@@ -261,9 +302,10 @@ async function authenticateServerAction(context = {}) {
 /**
  * Server Action pour récupérer les templates filtrés avec sécurité et performance optimales
  * @param {Object} filters - Filtres à appliquer
- * @returns {Promise<Array>} - Liste des templates filtrés
+ * @param {Object} listParams - Pagination et tri { page, limit, sort, order }
+ * @returns {Promise<Object>} - Objet contenant une page de templates et la pagination
  */
-export async function getFilteredTemplates(filters = {}) {
+export async function getFilteredTemplates(filters = {}, listParams = {}) {
   let client;
   const startTime = Date.now();
   let requestId;
@@ -277,7 +319,7 @@ export async function getFilteredTemplates(filters = {}) {
     };
 
     const { session, requestId: authRequestId } =
-      await authenticateServerAction(context);
+      await authenticateServerAction(context, PERMISSIONS.TEMPLATES_VIEW);
     requestId = authRequestId;
 
     // ===== ÉTAPE 2: RATE LIMITING =====
@@ -318,9 +360,13 @@ export async function getFilteredTemplates(filters = {}) {
 
     // ===== ÉTAPE 3: VALIDATION ET ASSAINISSEMENT DES FILTRES =====
     const validatedFilters = validateAndSanitizeFilters(filters);
+    const validatedListParams = parseListParams('templates', listParams);
 
     // ===== ÉTAPE 4: VÉRIFICATION DU CACHE AVEC CLÉ DYNAMIQUE =====
-    const cacheKey = generateFilterCacheKey(validatedFilters);
+    const cacheKey = generateFilterCacheKey(
+      validatedFilters,
+      validatedListParams,
+    );
 
     const cachedTemplates = dashboardCache.templates?.get(cacheKey);
 
@@ -328,7 +374,7 @@ export async function getFilteredTemplates(filters = {}) {
       const responseTime = Date.now() - startTime;
 
       logger.info('Server Action: Templates servis depuis le cache', {
-        templateCount: cachedTemplates.length,
+        templateCount: cachedTemplates.templates.length,
         response_time_ms: responseTime,
         requestId,
         userId: session.user.id,
@@ -348,7 +394,7 @@ export async function getFilteredTemplates(filters = {}) {
           extra: {
             requestId,
             userId: session.user.id,
-            templateCount: cachedTemplates.length,
+            templateCount: cachedTemplates.templates.length,
             responseTimeMs: responseTime,
             filtersApplied: validatedFilters,
           },
@@ -393,8 +439,11 @@ export async function getFilteredTemplates(filters = {}) {
     // ===== ÉTAPE 6: CONSTRUCTION SÉCURISÉE DE LA REQUÊTE =====
     const { whereClause, values } = buildSecureWhereClause(validatedFilters);
 
+    const limitParam = values.length + 1;
+    const offsetParam = values.length + 2;
+
     // ===== ÉTAPE 7: EXÉCUTION DE LA REQUÊTE AVEC TIMEOUT =====
-    let result;
+    let result, countResult;
     const queryStartTime = Date.now();
 
     try {
@@ -411,17 +460,34 @@ export async function getFilteredTemplates(filters = {}) {
           updated_at 
         FROM catalog.templates
         ${whereClause}
-        ORDER BY template_added DESC
-        LIMIT 1000
+        ${buildOrderByClause('templates', validatedListParams)}
+        LIMIT $${limitParam} OFFSET $${offsetParam}
+      `;
+
+      // Requête pour le total de toutes les pages filtrées
+      const countQuery = `
+        SELECT COUNT(*)::int AS total
+        FROM catalog.templates
+        ${whereClause}
       `;
 
       // Exécution avec timeout intégré
-      const queryPromise = client.query(templatesQuery, values);
+      const queryPromise = Promise.all([
+        client.query(templatesQuery, [
+          ...values,
+          validatedListParams.limit,
+          validatedListParams.offset,
+        ]),
+        client.query(countQuery, values),
+      ]);
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Query timeout')), 10000),
       );
 
-      result = await Promise.race([queryPromise, timeoutPromise]);
+      [result, countResult] = await Promise.race([
+        queryPromise,
+        timeoutPromise,
+      ]);
 
       const queryTime = Date.now() - queryStartTime;
 
@@ -515,11 +581,16 @@ export async function getFilteredTemplates(filters = {}) {
       updated_at: template.updated_at,
     }));
 
+    const response = {
+      templates: sanitizedTemplates,
+      pagination: buildPagination(
+        countResult.rows[0]?.total || 0,
+        validatedListParams,
+      ),
+    };
+
     // ===== ÉTAPE 10: MISE EN CACHE INTELLIGENTE =====
-    const cacheSuccess = dashboardCache.templates?.set(
-      cacheKey,
-      sanitizedTemplates,
-    );
+    const cacheSuccess = dashboardCache.templates?.set(cacheKey, response);
 
     if (!cacheSuccess) {
       logger.warn(
@@ -567,7 +638,7 @@ export async function getFilteredTemplates(filters = {}) {
 
     if (client) await client.cleanup();
 
-    return sanitizedTemplates;
+    return response;
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS AVEC CLASSIFICATION =====
     const errorCategory = categorizeError(error);
@@ -625,7 +696,10 @@ export async function getFilteredTemplates(filters = {}) {
  */
 export async function invalidateTemplatesCache(templateId = null) {
   try {
-    const { session, requestId } = await authenticateServerAction();
+    const { session, requestId } = await authenticateServerAction(
+      {},
+      PERMISSIONS.TEMPLATES_VIEW,
+    );
 
     logger.info('Server Action: Invalidation du cache templates demandée', {
       requestId,
@@ -2,11 +2,13 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import { CldUploadWidget } from 'next-cloudinary';
 import { CldImage } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/templates/addTemplate/addTemplate.module.css';
 import { sanitizeTemplateInputs } from '@/utils/sanitizers/sanitizeTemplateInputs';
 import { templateAddingSchema } from '@/utils/schemas/templateSchema';
+import { getUploadWidgetOptions } from '@/utils/media';
 
 const AddTemplatePage = () => {
   const [templateName, setTemplateName] = useState('');
@@ -18,6 +20,7 @@ const AddTemplatePage = () => {
   const [success, setSuccess] = useState('');
   const [validationErrors, setValidationErrors] = useState({});
   const router = useRouter();
+  const { data: session } = useSession();
 
   const handleUploadSuccess = (result) => {
     const uploadInfo = result.info;
@@ -207,13 +210,10 @@ const AddTemplatePage = () => {
 
         <div className={styles.imageUpload}>
           <CldUploadWidget
-            options={{
+            options={getUploadWidgetOptions('template', session?.user?.id, {
               sources: ['local', 'url', 'camera'],
               multiple: false,
-              folder: 'templates',
-              clientAllowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
-              maxImageFileSize: 5000000, // 5MB
-            }}
+            })}
             signatureEndpoint="/api/dashboard/templates/add/sign-image"
             onSuccess={handleUploadSuccess}
             onError={handleUploadError}
@@ -13,6 +13,11 @@ import {
 import { categorizeError, generateRequestId } from '@/utils/helpers';
 import logger from '@/utils/logger';
 import { dashboardCache, getDashboardCacheKey } from '@/utils/cache';
+import {
+  buildOrderByClause,
+  buildPagination,
+  parseListParams,
+} from '@/utils/pagination';
 
 // Configuration de revalidation pour cette page
 export const revalidate = 0; // Désactive le cache statique
@@ -21,15 +26,22 @@ export const dynamic = 'force-dynamic'; // Force le rendu dynamique
 /**
  * Fonction pour récupérer les templates depuis la base de données
  * ✅ MISE À JOUR: Utilise la nouvelle architecture Sentry
- * @returns {Promise<Array>} Liste des templates ou tableau vide en cas d'erreur
+ * @param {Object} listParams - Pagination et tri normalisés par parseListParams
+ * @returns {Promise<Object>} Page de templates et pagination, ou page vide en cas d'erreur
  */
-async function getTemplatesFromDatabase() {
+async function getTemplatesFromDatabase(listParams) {
   let client;
   const startTime = Date.now();
   const requestId = generateRequestId();
+  const emptyResponse = {
+    templates: [],
+    pagination: buildPagination(0, listParams),
+  };
 
   logger.info('Templates fetch process started', {
     requestId,
+    page: listParams.page,
+    sort: listParams.sort,
   });
 
   // ✅ NOUVEAU: Utilisation des fonctions Sentry adaptées
@@ -50,9 +62,14 @@ async function getTemplatesFromDatabase() {
 
   try {
     // ===== ÉTAPE 1: VÉRIFICATION DU CACHE =====
+    // La pagination et le tri font partie de la clé : chaque vue est mise en cache séparément
     const cacheKey = getDashboardCacheKey('templates_list', {
       endpoint: 'server_component_templates',
-      version: '1.0',
+      page: listParams.page,
+      limit: listParams.limit,
+      sort: listParams.sort,
+      order: listParams.order,
+      version: '2.0',
     });
 
     // Vérifier si les données sont en cache
@@ -62,7 +79,7 @@ async function getTemplatesFromDatabase() {
       const responseTime = Date.now() - startTime;
 
       logger.info('Templates served from cache', {
-        templateCount: cachedTemplates.length,
+        templateCount: cachedTemplates.templates.length,
         response_time_ms: responseTime,
         requestId,
       });
@@ -81,7 +98,7 @@ async function getTemplatesFromDatabase() {
           },
           extra: {
             requestId,
-            templateCount: cachedTemplates.length,
+            templateCount: cachedTemplates.templates.length,
             responseTimeMs: responseTime,
             cacheKey,
           },
@@ -119,11 +136,11 @@ async function getTemplatesFromDatabase() {
       });
 
       // Retourner un tableau vide plutôt que de faire planter la page
-      return [];
+      return emptyResponse;
     }
 
     // ===== ÉTAPE 3: EXÉCUTION DE LA REQUÊTE =====
-    let result;
+    let result, countResult;
     try {
       const templatesQuery = `
   SELECT 
@@ -138,10 +155,18 @@ async function getTemplatesFromDatabase() {
     is_active, 
     updated_at 
   FROM catalog.templates 
-  ORDER BY template_added DESC
+  WHERE deleted_at IS NULL
+  ${buildOrderByClause('templates', listParams)}
+  LIMIT $1 OFFSET $2
 `;
 
-      result = await client.query(templatesQuery);
+      result = await client.query(templatesQuery, [
+        listParams.limit,
+        listParams.offset,
+      ]);
+      countResult = await client.query(
+        'SELECT COUNT(*)::int AS total FROM catalog.templates WHERE deleted_at IS NULL',
+      );
     } catch (queryError) {
       const errorCategory = categorizeError(queryError);
 
@@ -170,7 +195,7 @@ async function getTemplatesFromDatabase() {
       });
 
       if (client) await client.cleanup();
-      return []; // Retourner un tableau vide plutôt que de faire planter la page
+      return emptyResponse; // Retourner une page vide plutôt que de faire planter la page
     }
 
     // ===== ÉTAPE 4: VALIDATION DES DONNÉES =====
@@ -202,7 +227,7 @@ async function getTemplatesFromDatabase() {
       );
 
       if (client) await client.cleanup();
-      return []; // Retourner un tableau vide plutôt que de faire planter la page
+      return emptyResponse; // Retourner une page vide plutôt que de faire planter la page
     }
 
     // ===== ÉTAPE 5: NETTOYAGE ET FORMATAGE DES DONNÉES =====
@@ -219,12 +244,14 @@ async function getTemplatesFromDatabase() {
       updated_at: template.updated_at,
     }));
 
+    const response = {
+      templates: sanitizedTemplates,
+      pagination: buildPagination(countResult.rows[0]?.total || 0, listParams),
+    };
+
     // ===== ÉTAPE 6: MISE EN CACHE DES DONNÉES =====
     // Mettre les données en cache
-    const cacheSuccess = dashboardCache.templates.set(
-      cacheKey,
-      sanitizedTemplates,
-    );
+    const cacheSuccess = dashboardCache.templates.set(cacheKey, response);
 
     if (!cacheSuccess) {
       logger.warn('Failed to cache templates data', {
@@ -266,7 +293,7 @@ async function getTemplatesFromDatabase() {
 
     if (client) await client.cleanup();
 
-    return sanitizedTemplates;
+    return response;
   } catch (error) {
     // ===== GESTION GLOBALE DES ERREURS =====
     const errorCategory = categorizeError(error);
@@ -302,9 +329,9 @@ async function getTemplatesFromDatabase() {
 
     if (client) await client.cleanup();
 
-    // En cas d'erreur grave, retourner un tableau vide pour éviter de casser la page
+    // En cas d'erreur grave, retourner une page vide pour éviter de casser la page
     // L'utilisateur verra une liste vide mais la page se chargera
-    return [];
+    return emptyResponse;
   }
 }
 
@@ -366,7 +393,10 @@ async function checkAuthentication() {
  * Server Component principal pour la page des templates
  * ✅ NOUVEAU: Wrappé avec monitoring automatique
  */
-const TemplatesPageComponent = async () => {
+const TemplatesPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const listParams = parseListParams('templates', await searchParams);
+
   try {
     // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
     const session = await checkAuthentication();
@@ -377,7 +407,8 @@ const TemplatesPageComponent = async () => {
     }
 
     // ===== ÉTAPE 2: RÉCUPÉRATION DES TEMPLATES =====
-    const templates = await getTemplatesFromDatabase();
+    const { templates, pagination } =
+      await getTemplatesFromDatabase(listParams);
 
     // ===== ÉTAPE 3: RENDU DE LA PAGE =====
     logger.info('Templates page rendering', {
@@ -385,7 +416,7 @@ const TemplatesPageComponent = async () => {
       userId: session.user?.id,
     });
 
-    return <ListTemplates data={templates} />;
+    return <ListTemplates data={templates} pagination={pagination} />;
   } catch (error) {
     // Gestion des erreurs au niveau de la page
     logger.error('Templates page error', {
@@ -409,7 +440,9 @@ const TemplatesPageComponent = async () => {
 
     // En cas d'erreur critique, afficher une page avec des données vides
     // plutôt que de faire planter complètement l'application
-    return <ListTemplates data={[]} />;
+    return (
+      <ListTemplates data={[]} pagination={buildPagination(0, listParams)} />
+    );
   }
 };
 
@@ -0,0 +1,271 @@
+// app/dashboard/trash/page.jsx (Server Component)
+
+import Trash from '@/ui/pages/trash/Trash';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import { fetchTrash, TRASH_RETENTION_DAYS } from '@backend/trash';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import { TRASH_ENTITIES } from '@/utils/trash';
+import logger from '@/utils/logger';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+/**
+ * Sérialise une date PostgreSQL pour le passage au Client Component
+ * @param {Date|null} value - Date brute
+ * @returns {string|null} Date ISO ou null
+ */
+function serializeDate(value) {
+  return value?.toISOString?.() ?? value ?? null;
+}
+
+/**
+ * Récupère le contenu de la corbeille.
+ * Pas de mise en cache : restaurations et purges doivent apparaître immédiatement.
+ * @param {string} entity - Filtre d'entité ('' pour toutes)
+ * @returns {Promise<Array>} Éléments de la corbeille ou liste vide en cas d'erreur
+ */
+async function getTrashFromDatabase(entity) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Trash fetch process started', {
+    requestId,
+    entity: entity || 'all',
+  });
+
+  try {
+    // ===== ÉTAPE 1: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during trash fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'trash_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'trash',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return [];
+    }
+
+    // ===== ÉTAPE 2: EXÉCUTION DE LA REQUÊTE =====
+    let rows;
+    try {
+      rows = await fetchTrash(client, { entity });
+    } catch (queryError) {
+      logger.error('Trash Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'trash_server_component',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'trash',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          queryType: 'trash_list',
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return [];
+    }
+
+    // ===== ÉTAPE 3: FORMATAGE DES DONNÉES =====
+    const items = rows.map((row) => ({
+      entity: row.entity,
+      id: row.id,
+      name: row.name,
+      deleted_by_name: row.deleted_by_name,
+      deleted_at: serializeDate(row.deleted_at),
+      purge_at: serializeDate(row.purge_at),
+    }));
+
+    logger.info('Trash fetch successful', {
+      itemCount: items.length,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return items;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global Trash Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'trash_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'trash',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        process: 'trash_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return [];
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to trash page');
+
+      captureMessage('Unauthenticated access attempt to trash page', {
+        level: 'warning',
+        tags: {
+          component: 'trash_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'trash',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'trash_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page de la corbeille
+ */
+const TrashPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const { entity: rawEntity } = (await searchParams) || {};
+  const entity = Object.hasOwn(TRASH_ENTITIES, rawEntity) ? rawEntity : '';
+
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: RÉCUPÉRATION DE LA CORBEILLE =====
+    const items = await getTrashFromDatabase(entity);
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    logger.info('Trash page rendering', {
+      itemCount: items.length,
+      userId: session.user?.id,
+    });
+
+    return (
+      <Trash
+        items={items}
+        entity={entity}
+        retentionDays={TRASH_RETENTION_DAYS}
+      />
+    );
+  } catch (error) {
+    logger.error('Trash page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'TrashPage',
+      route: '/dashboard/trash',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return (
+      <Trash items={[]} entity={entity} retentionDays={TRASH_RETENTION_DAYS} />
+    );
+  }
+};
+
+const TrashPage = withServerComponentMonitoring(
+  TrashPageComponent,
+  'TrashPage',
+);
+
+export default TrashPage;
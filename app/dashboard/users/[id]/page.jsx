@@ -0,0 +1,359 @@
+// app/dashboard/users/[id]/page.jsx (Server Component)
+
+import EditUser from '@/ui/pages/users/EditUser';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import { SAFE_USER_COLUMNS } from '@backend/users';
+import { isTwoFactorRequired } from '@backend/twoFactor';
+import { redirect, notFound } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+import {
+  dashboardCache,
+  getDashboardCacheKey,
+  cacheEvents,
+} from '@/utils/cache';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+/**
+ * Sérialise une date PostgreSQL pour le passage au Client Component
+ * @param {Date|null} value - Date brute
+ * @returns {string|null} Date ISO ou null
+ */
+function serializeDate(value) {
+  return value?.toISOString?.() ?? value ?? null;
+}
+
+/**
+ * Récupère un utilisateur (colonnes sûres uniquement) depuis la base de données
+ * @param {string} userId - L'ID de l'utilisateur
+ * @returns {Promise<Object|null>} Utilisateur ou null si non trouvé/erreur
+ */
+async function getUserFromDatabase(userId) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('User by ID fetch process started', {
+    requestId,
+    userId: userId || 'missing',
+  });
+
+  captureMessage('Get user by ID process started from Server Component', {
+    level: 'info',
+    tags: {
+      component: 'user_by_id_server_component',
+      action: 'process_start',
+      entity: 'user',
+      execution_context: 'server_component',
+    },
+    extra: {
+      requestId,
+      userId: userId || 'missing',
+      timestamp: new Date().toISOString(),
+    },
+  });
+
+  // ===== ÉTAPE 1: VALIDATION DE L'ID =====
+  if (!/^[1-9][0-9]*$/.test(String(userId || ''))) {
+    logger.warn('Invalid user ID format', {
+      requestId,
+      userId,
+    });
+    return null;
+  }
+
+  try {
+    // ===== ÉTAPE 2: VÉRIFICATION DU CACHE =====
+    const cacheKey = getDashboardCacheKey('user_detail', { id: userId });
+    const cachedUser = dashboardCache.dashboardUsers.get(cacheKey);
+
+    if (cachedUser) {
+      logger.info('User served from cache', {
+        userId,
+        response_time_ms: Date.now() - startTime,
+        requestId,
+      });
+
+      cacheEvents.emit('dashboard_hit', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardUsers,
+        entityType: 'user',
+        requestId,
+        context: 'server_component',
+      });
+
+      return cachedUser;
+    }
+
+    // ===== ÉTAPE 3: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during user fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+        userId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'user_by_id_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'user',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          userId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return null;
+    }
+
+    // ===== ÉTAPE 4: EXÉCUTION DE LA REQUÊTE =====
+    let result;
+    try {
+      result = await client.query(
+        `SELECT ${SAFE_USER_COLUMNS} FROM admin.users WHERE user_id = $1`,
+        [userId],
+      );
+    } catch (queryError) {
+      logger.error('User Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+        userId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'user_by_id_server_component',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'user',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          userId,
+          table: 'admin.users',
+          postgresCode: queryError.code,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return null;
+    }
+
+    if (result.rows.length === 0) {
+      logger.warn('User not found', {
+        requestId,
+        userId,
+      });
+
+      if (client) await client.cleanup();
+      return null;
+    }
+
+    // ===== ÉTAPE 5: FORMATAGE ET MISE EN CACHE =====
+    const row = result.rows[0];
+    const user = {
+      ...row,
+      user_is_active: Boolean(row.user_is_active),
+      user_must_reset_password: Boolean(row.user_must_reset_password),
+      user_totp_enabled: Boolean(row.user_totp_enabled),
+      user_totp_enabled_at: serializeDate(row.user_totp_enabled_at),
+      user_locked_until: serializeDate(row.user_locked_until),
+      user_two_factor_required: isTwoFactorRequired(row.user_role),
+      user_birthdate: serializeDate(row.user_birthdate),
+      user_deactivated_at: serializeDate(row.user_deactivated_at),
+      user_added: serializeDate(row.user_added),
+      user_updated: serializeDate(row.user_updated),
+    };
+
+    const cacheSuccess = dashboardCache.dashboardUsers.set(cacheKey, user);
+
+    if (cacheSuccess) {
+      cacheEvents.emit('dashboard_set', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardUsers,
+        entityType: 'user',
+        requestId,
+        context: 'server_component',
+      });
+    }
+
+    // ===== ÉTAPE 6: SUCCÈS - LOG ET NETTOYAGE =====
+    logger.info('User fetch successful', {
+      userId,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return user;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global User By ID Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+      userId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'user_by_id_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'user',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        userId,
+        process: 'user_by_id_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return null;
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to user detail page');
+
+      captureMessage('Unauthenticated access attempt to user detail page', {
+        level: 'warning',
+        tags: {
+          component: 'user_by_id_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'user_detail',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'user_by_id_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page de détail d'un utilisateur
+ */
+const EditUserPageComponent = async ({ params }) => {
+  try {
+    // Attendre les paramètres (requis en Next.js 15)
+    const { id } = await params;
+
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: RÉCUPÉRATION DE L'UTILISATEUR =====
+    const user = await getUserFromDatabase(id);
+
+    // ===== ÉTAPE 3: VÉRIFICATION EXISTENCE =====
+    if (!user) {
+      notFound();
+    }
+
+    // ===== ÉTAPE 4: RENDU DE LA PAGE =====
+    logger.info('User detail page rendering', {
+      targetUserId: user.user_id,
+      userId: session.user?.id,
+    });
+
+    return (
+      <EditUser
+        user={user}
+        isCurrentUser={String(session.user?.id) === String(user.user_id)}
+      />
+    );
+  } catch (error) {
+    logger.error('User detail page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'EditUserPage',
+      route: '/dashboard/users/[id]',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    notFound();
+  }
+};
+
+const EditUserPage = withServerComponentMonitoring(
+  EditUserPageComponent,
+  'EditUserPage',
+);
+
+export default EditUserPage;
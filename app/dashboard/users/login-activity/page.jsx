@@ -0,0 +1,338 @@
+// app/dashboard/users/login-activity/page.jsx (Server Component)
+
+import LoginActivity from '@/ui/pages/users/LoginActivity';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import {
+  fetchLockedAccounts,
+  fetchLoginEventsPage,
+  parseLoginEventParams,
+  LOGIN_EVENTS_PAGE_SIZE,
+} from '@backend/loginSecurity';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
+
+const EMPTY_LOGIN_ACTIVITY = {
+  lockedAccounts: [],
+  events: [],
+  pagination: {
+    page: 1,
+    limit: LOGIN_EVENTS_PAGE_SIZE,
+    total: 0,
+    totalPages: 1,
+  },
+};
+
+/**
+ * Sérialise une date PostgreSQL pour le passage au Client Component
+ * @param {Date|null} value - Date brute
+ * @returns {string|null} Date ISO ou null
+ */
+function serializeDate(value) {
+  return value?.toISOString?.() ?? value ?? null;
+}
+
+/**
+ * Récupère les comptes verrouillés et une page du journal des connexions.
+ * Pas de mise en cache : un verrouillage doit apparaître immédiatement.
+ * @param {Object} listParams - Filtres normalisés par parseLoginEventParams
+ * @returns {Promise<Object>} { lockedAccounts, events, pagination } ou page vide en cas d'erreur
+ */
+async function getLoginActivityFromDatabase(listParams) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Login activity fetch process started', {
+    requestId,
+    page: listParams.page,
+    status: listParams.status || 'all',
+    hasUserFilter: !!listParams.user,
+  });
+
+  captureMessage('Login activity fetch process started from Server Component', {
+    level: 'info',
+    tags: {
+      component: 'login_activity_server_component',
+      action: 'process_start',
+      entity: 'login_event',
+      execution_context: 'server_component',
+    },
+    extra: {
+      requestId,
+      page: listParams.page,
+      timestamp: new Date().toISOString(),
+    },
+  });
+
+  try {
+    // ===== ÉTAPE 1: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during login activity fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'login_activity_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'login_event',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return EMPTY_LOGIN_ACTIVITY;
+    }
+
+    // ===== ÉTAPE 2: EXÉCUTION DES REQUÊTES =====
+    let data;
+    let lockedAccounts;
+    try {
+      data = await fetchLoginEventsPage(client, listParams);
+      lockedAccounts = await fetchLockedAccounts(client);
+    } catch (queryError) {
+      logger.error('Login Activity Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'login_activity_server_component',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'login_event',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          table: 'admin.login_events',
+          queryType: 'login_events_list',
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return EMPTY_LOGIN_ACTIVITY;
+    }
+
+    // ===== ÉTAPE 3: FORMATAGE DES DONNÉES =====
+    const formattedData = {
+      lockedAccounts: lockedAccounts.map((account) => ({
+        user_id: account.user_id,
+        user_name: account.user_name,
+        user_email: account.user_email,
+        user_role: account.user_role,
+        user_locked_until: serializeDate(account.user_locked_until),
+        user_lockout_count: account.user_lockout_count,
+        user_last_failed_login_at: serializeDate(
+          account.user_last_failed_login_at,
+        ),
+      })),
+      events: data.events.map((event) => ({
+        event_id: String(event.event_id),
+        user_id: event.user_id,
+        user_name: event.user_name,
+        user_email: event.user_email,
+        success: event.success,
+        reason: event.reason,
+        ip_address: event.ip_address,
+        user_agent: event.user_agent,
+        created_at: serializeDate(event.created_at),
+      })),
+      pagination: data.pagination,
+    };
+
+    // ===== ÉTAPE 4: SUCCÈS - LOG ET NETTOYAGE =====
+    logger.info('Login activity fetch successful', {
+      eventCount: formattedData.events.length,
+      lockedCount: formattedData.lockedAccounts.length,
+      total: formattedData.pagination.total,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return formattedData;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global Login Activity Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'login_activity_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'login_event',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        process: 'login_activity_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return EMPTY_LOGIN_ACTIVITY;
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to login activity page');
+
+      captureMessage('Unauthenticated access attempt to login activity page', {
+        level: 'warning',
+        tags: {
+          component: 'login_activity_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'login_activity',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'login_activity_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page Activité de connexion
+ */
+const LoginActivityPageComponent = async ({ searchParams }) => {
+  // Attendre les paramètres (requis en Next.js 15)
+  const listParams = parseLoginEventParams(await searchParams);
+  const filters = {
+    user: listParams.user ? String(listParams.user) : '',
+    status: listParams.status,
+    reason: listParams.reason,
+  };
+
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: RÉCUPÉRATION DE L'ACTIVITÉ =====
+    const { lockedAccounts, events, pagination } =
+      await getLoginActivityFromDatabase(listParams);
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    logger.info('Login activity page rendering', {
+      eventCount: events.length,
+      lockedCount: lockedAccounts.length,
+      userId: session.user?.id,
+    });
+
+    return (
+      <LoginActivity
+        lockedAccounts={lockedAccounts}
+        events={events}
+        pagination={pagination}
+        filters={filters}
+      />
+    );
+  } catch (error) {
+    logger.error('Login activity page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'LoginActivityPage',
+      route: '/dashboard/users/login-activity',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return (
+      <LoginActivity
+        lockedAccounts={EMPTY_LOGIN_ACTIVITY.lockedAccounts}
+        events={EMPTY_LOGIN_ACTIVITY.events}
+        pagination={EMPTY_LOGIN_ACTIVITY.pagination}
+        filters={filters}
+      />
+    );
+  }
+};
+
+const LoginActivityPage = withServerComponentMonitoring(
+  LoginActivityPageComponent,
+  'LoginActivityPage',
+);
+
+export default LoginActivityPage;
@@ -1,22 +1,502 @@
+// app/dashboard/users/page.jsx (Server Component)
+
 import ListUsers from '@/ui/pages/users/ListUsers';
+import { getServerSession } from 'next-auth';
+import { auth } from '@app/api/auth/[...nextauth]/route';
+import { getClient } from '@backend/dbConnect';
+import { getInvitationStatus } from '@backend/invitations';
+import { fetchUsersPage, parseUserListParams } from '@backend/users';
+import { isTwoFactorRequired } from '@backend/twoFactor';
+import { redirect } from 'next/navigation';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+  captureServerComponentError,
+  withServerComponentMonitoring,
+} from '@/monitoring/sentry';
+import { categorizeError, generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+import {
+  dashboardCache,
+  getDashboardCacheKey,
+  cacheEvents,
+} from '@/utils/cache';
 
-async function getUsers() {
-  let users = [];
+// Configuration de revalidation pour cette page
+export const revalidate = 0; // Désactive le cache statique
+export const dynamic = 'force-dynamic'; // Force le rendu dynamique
 
-  // await axios
-  //   .get('https://benew-admin-next15.vercel.app/api/dashboard/users')
-  //   .then((response) => {
-  //     users = response.data.users;
-  //   })
-  //   .catch((error) => console.log(error));
+const EMPTY_USERS_PAGE = {
+  users: [],
+  pagination: { page: 1, limit: 20, total: 0, totalPages: 1 },
+};
 
-  return users;
+/**
+ * Sérialise une date PostgreSQL pour le passage au Client Component
+ * @param {Date|null} value - Date brute
+ * @returns {string|null} Date ISO ou null
+ */
+function serializeDate(value) {
+  return value?.toISOString?.() ?? value ?? null;
 }
 
-async function UsersPage() {
-  const users = await getUsers();
+/**
+ * Récupère une page d'utilisateurs (colonnes sûres uniquement) depuis la base de données
+ * @param {Object} listParams - { page, limit, offset, search } normalisés
+ * @returns {Promise<Object>} { users, pagination } ou page vide en cas d'erreur
+ */
+async function getUsersFromDatabase(listParams) {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('Users fetch process started', {
+    requestId,
+    page: listParams.page,
+    hasSearch: !!listParams.search,
+  });
+
+  captureMessage('Users fetch process started from Server Component', {
+    level: 'info',
+    tags: {
+      component: 'users_server_component',
+      action: 'process_start',
+      entity: 'user',
+      execution_context: 'server_component',
+    },
+    extra: {
+      requestId,
+      page: listParams.page,
+      hasSearch: !!listParams.search,
+      timestamp: new Date().toISOString(),
+    },
+  });
+
+  try {
+    // ===== ÉTAPE 1: VÉRIFICATION DU CACHE =====
+    // La page et la recherche font partie de la clé : chaque page est mise en cache séparément
+    const cacheKey = getDashboardCacheKey('users_list', {
+      page: listParams.page,
+      limit: listParams.limit,
+      search: listParams.search,
+    });
+
+    const cachedUsers = dashboardCache.dashboardUsers.get(cacheKey);
+
+    if (cachedUsers) {
+      logger.info('Users served from cache', {
+        userCount: cachedUsers.users.length,
+        response_time_ms: Date.now() - startTime,
+        requestId,
+      });
+
+      cacheEvents.emit('dashboard_hit', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardUsers,
+        entityType: 'user',
+        requestId,
+        context: 'server_component',
+      });
+
+      return cachedUsers;
+    }
+
+    // ===== ÉTAPE 2: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during users fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'users_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'user',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return EMPTY_USERS_PAGE;
+    }
+
+    // ===== ÉTAPE 3: EXÉCUTION DE LA REQUÊTE =====
+    let data;
+    try {
+      data = await fetchUsersPage(client, listParams);
+    } catch (queryError) {
+      logger.error('Users Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'users_server_component',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'user',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          table: 'admin.users',
+          queryType: 'users_list',
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return EMPTY_USERS_PAGE;
+    }
 
-  return <ListUsers users={users} />;
+    // ===== ÉTAPE 4: FORMATAGE DES DONNÉES =====
+    const formattedData = {
+      users: data.users.map((user) => ({
+        user_id: user.user_id,
+        user_name: user.user_name,
+        user_email: user.user_email,
+        user_phone: user.user_phone,
+        user_image: user.user_image,
+        user_role: user.user_role,
+        user_is_active: Boolean(user.user_is_active),
+        user_must_reset_password: Boolean(user.user_must_reset_password),
+        user_totp_enabled: Boolean(user.user_totp_enabled),
+        user_two_factor_required: isTwoFactorRequired(user.user_role),
+        user_locked_until: serializeDate(user.user_locked_until),
+        user_added: serializeDate(user.user_added),
+      })),
+      pagination: data.pagination,
+    };
+
+    // ===== ÉTAPE 5: MISE EN CACHE DES DONNÉES =====
+    const cacheSuccess = dashboardCache.dashboardUsers.set(
+      cacheKey,
+      formattedData,
+    );
+
+    if (cacheSuccess) {
+      cacheEvents.emit('dashboard_set', {
+        key: cacheKey,
+        cache: dashboardCache.dashboardUsers,
+        entityType: 'user',
+        requestId,
+        size: formattedData.users.length,
+        context: 'server_component',
+      });
+    }
+
+    // ===== ÉTAPE 6: SUCCÈS - LOG ET NETTOYAGE =====
+    logger.info('Users fetch successful', {
+      userCount: formattedData.users.length,
+      total: formattedData.pagination.total,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return formattedData;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global Users Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'users_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'user',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        process: 'users_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return EMPTY_USERS_PAGE;
+  }
 }
 
+/**
+ * Récupère les invitations d'inscription depuis la base de données.
+ * Pas de mise en cache : une révocation doit être visible immédiatement.
+ * @returns {Promise<Array>} Liste des invitations ou tableau vide en cas d'erreur
+ */
+async function getInvitationsFromDatabase() {
+  let client;
+  const startTime = Date.now();
+  const requestId = generateRequestId();
+
+  logger.info('User invitations fetch process started', {
+    requestId,
+  });
+
+  try {
+    // ===== ÉTAPE 1: CONNEXION BASE DE DONNÉES =====
+    try {
+      client = await getClient();
+    } catch (dbConnectionError) {
+      logger.error('Database Connection Error during invitations fetch', {
+        category: categorizeError(dbConnectionError),
+        message: dbConnectionError.message,
+        requestId,
+      });
+
+      captureDatabaseError(dbConnectionError, {
+        tags: {
+          component: 'users_server_component',
+          action: 'db_connection_failed',
+          operation: 'connection',
+          entity: 'user_invitation',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+        },
+      });
+
+      return [];
+    }
+
+    // ===== ÉTAPE 2: EXÉCUTION DE LA REQUÊTE =====
+    let result;
+    try {
+      result = await client.query(`
+        SELECT
+          i.invitation_id,
+          i.invitation_email,
+          i.invitation_role,
+          i.expires_at,
+          i.used_at,
+          i.revoked_at,
+          i.created_at,
+          u.user_name AS invited_by_name
+        FROM admin.user_invitations i
+        LEFT JOIN admin.users u ON u.user_id = i.invited_by
+        ORDER BY i.created_at DESC
+        LIMIT 200
+      `);
+    } catch (queryError) {
+      logger.error('User Invitations Query Error', {
+        category: categorizeError(queryError),
+        message: queryError.message,
+        requestId,
+      });
+
+      captureDatabaseError(queryError, {
+        tags: {
+          component: 'users_server_component',
+          action: 'query_failed',
+          operation: 'SELECT',
+          entity: 'user_invitation',
+          execution_context: 'server_component',
+        },
+        extra: {
+          requestId,
+          table: 'admin.user_invitations',
+          postgresCode: queryError.code,
+          postgresDetail: queryError.detail ? '[Filtered]' : undefined,
+        },
+      });
+
+      if (client) await client.cleanup();
+      return [];
+    }
+
+    // ===== ÉTAPE 3: FORMATAGE DES DONNÉES =====
+    // Les dates sont sérialisées pour le passage au Client Component
+    const invitations = result.rows.map((invitation) => ({
+      invitation_id: invitation.invitation_id,
+      invitation_email: invitation.invitation_email,
+      invitation_role: invitation.invitation_role,
+      invited_by_name: invitation.invited_by_name,
+      expires_at: serializeDate(invitation.expires_at),
+      created_at: serializeDate(invitation.created_at),
+      status: getInvitationStatus(invitation),
+    }));
+
+    // ===== ÉTAPE 4: SUCCÈS - LOG ET NETTOYAGE =====
+    logger.info('User invitations fetch successful', {
+      invitationCount: invitations.length,
+      response_time_ms: Date.now() - startTime,
+      requestId,
+    });
+
+    if (client) await client.cleanup();
+
+    return invitations;
+  } catch (error) {
+    // ===== GESTION GLOBALE DES ERREURS =====
+    const errorCategory = categorizeError(error);
+
+    logger.error('Global User Invitations Error', {
+      category: errorCategory,
+      response_time_ms: Date.now() - startTime,
+      error_message: error.message,
+      requestId,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'users_server_component',
+        action: 'global_error_handler',
+        error_category: errorCategory,
+        entity: 'user_invitation',
+        execution_context: 'server_component',
+      },
+      extra: {
+        requestId,
+        process: 'user_invitations_fetch_server_component',
+      },
+    });
+
+    if (client) await client.cleanup();
+    return [];
+  }
+}
+
+/**
+ * Fonction pour vérifier l'authentification côté serveur
+ * @returns {Promise<Object|null>} Session utilisateur ou null si non authentifié
+ */
+async function checkAuthentication() {
+  try {
+    const session = await getServerSession(auth);
+
+    if (!session) {
+      logger.warn('Unauthenticated access attempt to users page');
+
+      captureMessage('Unauthenticated access attempt to users page', {
+        level: 'warning',
+        tags: {
+          component: 'users_server_component',
+          action: 'auth_check_failed',
+          error_category: 'authentication',
+          execution_context: 'server_component',
+        },
+        extra: {
+          timestamp: new Date().toISOString(),
+          page: 'users',
+        },
+      });
+
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    logger.error('Authentication check error', {
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: {
+        component: 'users_server_component',
+        action: 'auth_check_error',
+        error_category: 'authentication',
+        execution_context: 'server_component',
+      },
+      extra: {
+        errorMessage: error.message,
+      },
+    });
+
+    return null;
+  }
+}
+
+/**
+ * Server Component principal pour la page des utilisateurs
+ */
+const UsersPageComponent = async ({ searchParams }) => {
+  try {
+    // Attendre les paramètres (requis en Next.js 15)
+    const listParams = parseUserListParams(await searchParams);
+
+    // ===== ÉTAPE 1: VÉRIFICATION AUTHENTIFICATION =====
+    const session = await checkAuthentication();
+
+    if (!session) {
+      redirect('/login');
+    }
+
+    // ===== ÉTAPE 2: RÉCUPÉRATION DES UTILISATEURS ET DES INVITATIONS =====
+    const { users, pagination } = await getUsersFromDatabase(listParams);
+    const invitations = await getInvitationsFromDatabase();
+
+    // ===== ÉTAPE 3: RENDU DE LA PAGE =====
+    logger.info('Users page rendering', {
+      userCount: users.length,
+      invitationCount: invitations.length,
+      userId: session.user?.id,
+    });
+
+    return (
+      <ListUsers
+        users={users}
+        pagination={pagination}
+        search={listParams.search}
+        invitations={invitations}
+      />
+    );
+  } catch (error) {
+    logger.error('Users page error', {
+      error: error.message,
+    });
+
+    captureServerComponentError(error, {
+      componentName: 'UsersPage',
+      route: '/dashboard/users',
+      action: 'page_render',
+      tags: {
+        critical: 'true',
+        page_type: 'dashboard',
+      },
+      extra: {
+        errorMessage: error.message,
+        stackAvailable: !!error.stack,
+      },
+    });
+
+    return (
+      <ListUsers
+        users={EMPTY_USERS_PAGE.users}
+        pagination={EMPTY_USERS_PAGE.pagination}
+        search=""
+        invitations={[]}
+      />
+    );
+  }
+};
+
+const UsersPage = withServerComponentMonitoring(
+  UsersPageComponent,
+  'UsersPage',
+);
+
 export default UsersPage;
@@ -0,0 +1,103 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import '@/ui/styling/login/login.css';
+import { passwordResetRequestSchema } from '@utils/schemas/authSchema';
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+
+    try {
+      await passwordResetRequestSchema.validate({ email });
+    } catch (validationError) {
+      setErrors({ email: validationError.message });
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await fetch('/api/password-reset', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.errors) {
+          setErrors(data.errors);
+        } else {
+          setErrors({ submit: data.error || data.message || 'Request failed' });
+        }
+        return;
+      }
+
+      // Même message que le compte existe ou non
+      setMessage(data.message);
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      setErrors({ submit: 'Request failed. Please try again later.' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <h1>Forgot Password</h1>
+
+      {message ? (
+        <p>{message}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="form">
+          <p>
+            Enter the email address of your account and we will send you a link
+            to choose a new password.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              id="email"
+              name="email"
+              type="email"
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setErrors({});
+              }}
+              value={email}
+              disabled={isLoading}
+            />
+            {errors.email && <div className="error">{errors.email}</div>}
+          </div>
+
+          {errors.submit && (
+            <div className="error submit-error">{errors.submit}</div>
+          )}
+
+          <button type="submit" className="submit-button" disabled={isLoading}>
+            {isLoading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+      )}
+
+      <div className="form-footer">
+        <Link href="/login">Back to login</Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
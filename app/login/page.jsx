@@ -4,6 +4,8 @@ import { useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { signIn } from 'next-auth/react';
+import { TWO_FACTOR_ERRORS } from '@/utils/twoFactor';
+import { LOGIN_ERRORS } from '@/utils/loginSecurity';
 import '@/ui/styling/login/login.css';
 
 const LoginPage = () => {
@@ -11,7 +13,10 @@ const LoginPage = () => {
     email: '',
     password: '',
     remember: false,
+    totp: '',
   });
+  // Deuxième étape affichée quand le compte a la double authentification activée
+  const [needsTwoFactor, setNeedsTwoFactor] = useState(false);
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const router = useRouter();
@@ -48,6 +53,9 @@ const LoginPage = () => {
       if (!formData.password) {
         newErrors.password = 'Password is required';
       }
+      if (needsTwoFactor && !formData.totp.trim()) {
+        newErrors.totp = 'Authentication code is required';
+      }
 
       if (Object.keys(newErrors).length > 0) {
         setErrors(newErrors);
@@ -55,16 +63,31 @@ const LoginPage = () => {
         return;
       }
 
-      console.log('Submitting login:', formData);
-
       const result = await signIn('credentials', {
         redirect: false,
         email: formData.email,
         password: formData.password,
+        totp: needsTwoFactor ? formData.totp : '',
+        remember: formData.remember ? 'true' : 'false',
       });
 
-      if (result.error) {
+      if (result.error === TWO_FACTOR_ERRORS.REQUIRED) {
+        // Mot de passe correct : demander le code de l'application
+        setNeedsTwoFactor(true);
+      } else if (result.error === LOGIN_ERRORS.ACCOUNT_LOCKED) {
+        setNeedsTwoFactor(false);
+        setFormData((prev) => ({ ...prev, totp: '' }));
+        setErrors({
+          submit:
+            'Too many failed attempts: your account is temporarily locked. Try again later or reset your password.',
+        });
+      } else if (result.error === TWO_FACTOR_ERRORS.INVALID) {
+        setFormData((prev) => ({ ...prev, totp: '' }));
+        setErrors({ totp: 'Invalid authentication code' });
+      } else if (result.error) {
         console.error('Login error:', result.error);
+        setNeedsTwoFactor(false);
+        setFormData((prev) => ({ ...prev, totp: '' }));
         setErrors({ submit: 'Invalid email or password' });
       } else {
         // Redirect to dashboard or home page upon successful login
@@ -108,6 +131,26 @@ const LoginPage = () => {
           {errors.password && <div className="error">{errors.password}</div>}
         </div>
 
+        {needsTwoFactor && (
+          <div className="form-group">
+            <label htmlFor="totp">Authentication code</label>
+            <input
+              id="totp"
+              name="totp"
+              type="text"
+              inputMode="text"
+              autoComplete="one-time-code"
+              placeholder="6-digit code or recovery code"
+              onChange={handleChange}
+              value={formData.totp}
+              disabled={isLoading}
+              maxLength={11}
+              autoFocus
+            />
+            {errors.totp && <div className="error">{errors.totp}</div>}
+          </div>
+        )}
+
         <div className="form-group checkbox">
           <label>
             <input
@@ -126,7 +169,7 @@ const LoginPage = () => {
         )}
 
         <button type="submit" className="submit-button" disabled={isLoading}>
-          {isLoading ? 'Logging in...' : 'Login'}
+          {isLoading ? 'Logging in...' : needsTwoFactor ? 'Verify' : 'Login'}
         </button>
 
         <div className="form-footer">
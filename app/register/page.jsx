@@ -1,11 +1,18 @@
 'use client';
 
-import { useState } from 'react';
-import { useRouter } from 'next/navigation';
+import { Suspense, useEffect, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
 import '@/ui/styling/register/register.css';
 import { registrationSchema } from '@utils/schemas/authSchema';
+import { ROLE_LABELS } from '@/utils/permissions';
 
-const RegistrationPage = () => {
+const RegistrationForm = () => {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState({
+    status: token ? 'loading' : 'invalid',
+    role: null,
+  });
   const [formData, setFormData] = useState({
     username: '',
     email: '',
@@ -19,6 +26,33 @@ const RegistrationPage = () => {
   const [passwordStrength, setPasswordStrength] = useState(0);
   const router = useRouter();
 
+  // Vérifier l'invitation et pré-remplir l'email auquel elle est liée
+  useEffect(() => {
+    if (!token) return;
+
+    const verifyInvitation = async () => {
+      try {
+        const response = await fetch(
+          `/api/register/invitation?token=${encodeURIComponent(token)}`,
+        );
+        const data = await response.json();
+
+        if (!response.ok || !data.valid) {
+          setInvitation({ status: 'invalid', role: null });
+          return;
+        }
+
+        setFormData((prev) => ({ ...prev, email: data.email }));
+        setInvitation({ status: 'valid', role: data.role });
+      } catch (error) {
+        console.error('Invitation verification error:', error);
+        setInvitation({ status: 'invalid', role: null });
+      }
+    };
+
+    verifyInvitation();
+  }, [token]);
+
   const calculatePasswordStrength = (password) => {
     let strength = 0;
     if (password.length >= 8) strength++;
@@ -63,7 +97,7 @@ const RegistrationPage = () => {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify({ ...formData, token }),
       });
 
       const data = await response.json();
@@ -89,9 +123,35 @@ const RegistrationPage = () => {
     }
   };
 
+  if (invitation.status === 'loading') {
+    return (
+      <div className="container">
+        <h1>User Registration</h1>
+        <p>Verifying your invitation...</p>
+      </div>
+    );
+  }
+
+  if (invitation.status === 'invalid') {
+    return (
+      <div className="container">
+        <h1>User Registration</h1>
+        <div className="error submit-error">
+          Registration is by invitation only. This invitation link is invalid,
+          expired or has already been used. Please ask an administrator for a
+          new invitation.
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="container">
       <h1>User Registration</h1>
+      <p>
+        You have been invited as{' '}
+        <strong>{ROLE_LABELS[invitation.role] || invitation.role}</strong>.
+      </p>
       <form onSubmit={handleSubmit} className="form">
         <div className="form-group">
           <label htmlFor="username">Username</label>
@@ -111,8 +171,8 @@ const RegistrationPage = () => {
             id="email"
             name="email"
             type="email"
-            onChange={handleChange}
             value={formData.email}
+            readOnly
           />
           {errors.email && <div className="error">{errors.email}</div>}
         </div>
@@ -205,4 +265,13 @@ const RegistrationPage = () => {
   );
 };
 
+// useSearchParams nécessite une frontière Suspense
+const RegistrationPage = () => {
+  return (
+    <Suspense fallback={null}>
+      <RegistrationForm />
+    </Suspense>
+  );
+};
+
 export default RegistrationPage;
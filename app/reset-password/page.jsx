@@ -0,0 +1,205 @@
+'use client';
+
+import { Suspense, useEffect, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import '@/ui/styling/login/login.css';
+import { passwordResetSchema } from '@utils/schemas/authSchema';
+
+// Délai avant la redirection vers la connexion après le changement (ms)
+const LOGIN_REDIRECT_DELAY = 2000;
+
+const ResetPasswordForm = () => {
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'loading' : 'invalid');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  // Vérifier le lien avant d'afficher le formulaire
+  useEffect(() => {
+    if (!token) return;
+
+    const verifyToken = async () => {
+      try {
+        const response = await fetch(
+          `/api/password-reset/confirm?token=${encodeURIComponent(token)}`,
+        );
+        const data = await response.json();
+
+        setStatus(response.ok && data.valid ? 'valid' : 'invalid');
+      } catch (error) {
+        console.error('Password reset verification error:', error);
+        setStatus('invalid');
+      }
+    };
+
+    verifyToken();
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    // Clear error when field is modified
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await passwordResetSchema.validate(formData, { abortEarly: false });
+    } catch (validationErrors) {
+      const newErrors = {};
+      validationErrors.inner.forEach((error) => {
+        newErrors[error.path] = error.message;
+      });
+      setErrors(newErrors);
+      return;
+    }
+
+    setErrors({});
+    setIsLoading(true);
+
+    try {
+      const response = await fetch('/api/password-reset/confirm', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...formData, token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.errors) {
+          setErrors(data.errors);
+        } else if (response.status === 404) {
+          setStatus('invalid');
+        } else {
+          setErrors({
+            submit: data.error || data.message || 'Password reset failed',
+          });
+        }
+        return;
+      }
+
+      setStatus('done');
+      setTimeout(() => router.push('/login'), LOGIN_REDIRECT_DELAY);
+    } catch (error) {
+      console.error('Password reset error:', error);
+      setErrors({ submit: 'Password reset failed. Please try again later.' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="container">
+        <h1>Reset Password</h1>
+        <p>Verifying your reset link...</p>
+      </div>
+    );
+  }
+
+  if (status === 'invalid') {
+    return (
+      <div className="container">
+        <h1>Reset Password</h1>
+        <div className="error submit-error">
+          This password reset link is invalid, expired or has already been used.
+        </div>
+        <div className="form-footer">
+          <Link href="/forgot-password">Request a new link</Link>
+          <span className="divider">|</span>
+          <Link href="/login">Back to login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'done') {
+    return (
+      <div className="container">
+        <h1>Reset Password</h1>
+        <p>Your password has been updated. Redirecting to login...</p>
+        <div className="form-footer">
+          <Link href="/login">Go to login</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <h1>Reset Password</h1>
+      <form onSubmit={handleSubmit} className="form">
+        <div className="form-group">
+          <label htmlFor="password">New Password</label>
+          <input
+            id="password"
+            name="password"
+            type="password"
+            autoComplete="new-password"
+            onChange={handleChange}
+            value={formData.password}
+            disabled={isLoading}
+          />
+          {errors.password && <div className="error">{errors.password}</div>}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="confirmPassword">Confirm Password</label>
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            onChange={handleChange}
+            value={formData.confirmPassword}
+            disabled={isLoading}
+          />
+          {errors.confirmPassword && (
+            <div className="error">{errors.confirmPassword}</div>
+          )}
+        </div>
+
+        {errors.submit && (
+          <div className="error submit-error">{errors.submit}</div>
+        )}
+
+        <button type="submit" className="submit-button" disabled={isLoading}>
+          {isLoading ? 'Saving...' : 'Update password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// useSearchParams nécessite une frontière Suspense
+const ResetPasswordPage = () => {
+  return (
+    <Suspense fallback={null}>
+      <ResetPasswordForm />
+    </Suspense>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,139 @@
+// backend/__tests__/mediaReconciliation.test.js
+// Dry-run de la réconciliation Cloudinary avec un client Cloudinary et un client
+// PostgreSQL factices : les orphelins sont comptés, rien n'est supprimé
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import {
+  deleteOrphanedAssets,
+  reconcileMedia,
+} from '@backend/mediaReconciliation';
+
+// Le vrai client ne doit jamais être appelé : chaque test passe son stub
+vi.mock('@backend/cloudinary', () => ({ default: {} }));
+vi.mock('@backend/transaction', () => ({ withTransaction: vi.fn() }));
+vi.mock('@backend/auditLog', () => ({ recordAudit: vi.fn() }));
+vi.mock('@/utils/logger', () => ({
+  default: { error: vi.fn(), warn: vi.fn(), info: vi.fn() },
+}));
+
+const OLD = '2020-01-01T00:00:00Z';
+
+const asset = (publicId, createdAt = OLD) => ({
+  public_id: publicId,
+  created_at: createdAt,
+  format: 'webp',
+  bytes: 1024,
+  width: 800,
+  height: 600,
+  secure_url: `https://res.cloudinary.com/demo/image/upload/${publicId}.webp`,
+});
+
+/**
+ * Client PostgreSQL factice : une image d'article référencée par colonne,
+ * une autre insérée dans le texte d'un article
+ */
+function createDbStub() {
+  return {
+    query: vi.fn(async (text) =>
+      text.includes('article_text AS html')
+        ? {
+            rows: [
+              {
+                html: '<img src="https://res.cloudinary.com/demo/image/upload/v1/blog_pictures/inline.webp">',
+              },
+            ],
+          }
+        : { rows: [{ image_id: 'blog_pictures/cover' }] },
+    ),
+  };
+}
+
+/**
+ * Client Cloudinary factice : blog_pictures est servi en deux pages
+ */
+function createCloudStub() {
+  const folders = {
+    'blog_pictures/': [
+      [asset('blog_pictures/cover'), asset('blog_pictures/inline')],
+      [
+        asset('blog_pictures/orphan'),
+        asset('blog_pictures/fresh', new Date().toISOString()),
+      ],
+    ],
+    'templates/': [[asset('templates/orphan')]],
+    'applications/': [[]],
+  };
+
+  return {
+    api: {
+      resources: vi.fn(async ({ prefix, next_cursor: cursor }) => {
+        const pages = folders[prefix];
+        const index = cursor ? Number(cursor) : 0;
+
+        return {
+          resources: pages[index],
+          next_cursor: index + 1 < pages.length ? String(index + 1) : undefined,
+        };
+      }),
+      delete_resources: vi.fn(),
+    },
+  };
+}
+
+describe('media reconciliation dry-run', () => {
+  let client;
+  let cloud;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    client = createDbStub();
+    cloud = createCloudStub();
+  });
+
+  it('reconcileMedia signale les orphelins sans rien supprimer', async () => {
+    const result = await reconcileMedia(client, { cloud });
+
+    expect(result).toEqual({
+      dryRun: true,
+      scanned: 5,
+      orphans: 2,
+      deleted: 2,
+      failed: 0,
+    });
+    expect(cloud.api.resources).toHaveBeenCalledTimes(4);
+    expect(cloud.api.delete_resources).not.toHaveBeenCalled();
+    expect(withTransaction).not.toHaveBeenCalled();
+    expect(recordAudit).not.toHaveBeenCalled();
+    expect(
+      client.query.mock.calls.every(([text]) => /^\s*SELECT/.test(text)),
+    ).toBe(true);
+  });
+
+  it('deleteOrphanedAssets en dry-run retourne les candidats et les exclusions', async () => {
+    const result = await deleteOrphanedAssets(
+      client,
+      [
+        'blog_pictures/orphan',
+        'blog_pictures/cover',
+        'blog_pictures/inline',
+        'avatars/someone',
+        'blog_pictures/orphan',
+      ],
+      { dryRun: true, cloud },
+    );
+
+    expect(result).toEqual({
+      dryRun: true,
+      deleted: ['blog_pictures/orphan'],
+      skipped: [
+        { public_id: 'blog_pictures/cover', reason: 'referenced' },
+        { public_id: 'blog_pictures/inline', reason: 'referenced' },
+        { public_id: 'avatars/someone', reason: 'outside_managed_folders' },
+      ],
+      failed: [],
+    });
+    expect(cloud.api.delete_resources).not.toHaveBeenCalled();
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+});
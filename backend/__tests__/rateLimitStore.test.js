@@ -0,0 +1,218 @@
+// backend/__tests__/rateLimitStore.test.js
+// Comportement commun des stores du rate limiter : 'memory', 'postgres' (SQL réel
+// exécuté par pg-mem, tables de la migration 015) et 'redis' (ioredis-mock, qui
+// exécute le script Lua de fenêtre glissante dans une VM Lua embarquée)
+import fs from 'fs';
+import path from 'path';
+import RedisMock from 'ioredis-mock';
+import { DataType, newDb } from 'pg-mem';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getClient } from '@backend/dbConnect';
+import {
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore,
+} from '@backend/rateLimitStore';
+
+vi.mock('@backend/dbConnect', () => ({ getClient: vi.fn() }));
+vi.mock('@/monitoring/sentry', () => ({ addBreadcrumb: vi.fn() }));
+vi.mock('@/utils/logger', () => ({ default: { warn: vi.fn() } }));
+
+const MIGRATION = path.join(
+  process.cwd(),
+  'backend/migrations/015_create_rate_limits.sql',
+);
+
+/**
+ * Base PostgreSQL en mémoire avec les tables du rate limiter. pg-mem ne connaît
+ * pas les verrous consultatifs : ils sont sans objet pour des tests séquentiels
+ */
+function createPostgresDatabase() {
+  const db = newDb();
+
+  db.public.none('CREATE SCHEMA admin');
+  db.public.registerFunction({
+    name: 'hashtext',
+    args: [DataType.text],
+    returns: DataType.integer,
+    implementation: () => 0,
+  });
+  db.public.registerFunction({
+    name: 'pg_advisory_xact_lock',
+    args: [DataType.integer],
+    returns: DataType.text,
+    implementation: () => '',
+    impure: true,
+  });
+  db.public.none(fs.readFileSync(MIGRATION, 'utf8'));
+
+  const { Pool } = db.adapters.createPg();
+  const pool = new Pool();
+
+  getClient.mockImplementation(async () => {
+    const client = await pool.connect();
+    client.cleanup = async () => client.release();
+    return client;
+  });
+}
+
+const STORES = [
+  ['memory', async () => createMemoryStore()],
+  [
+    'postgres',
+    async () => {
+      createPostgresDatabase();
+      return createPostgresStore();
+    },
+  ],
+  [
+    'redis',
+    async () => {
+      const redis = new RedisMock();
+      await redis.flushall();
+      return createRedisStore(redis, { prefix: 'test:' });
+    },
+  ],
+];
+
+describe.each(STORES)('%s store', (name, createStore) => {
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore();
+  });
+
+  it('compte les requêtes jusqu’à la limite puis les refuse', async () => {
+    const options = { windowMs: 1000, max: 2 };
+
+    expect(await store.hit('login:1.2.3.4', { ...options, now: 1000 })).toEqual(
+      { allowed: true, count: 0, resetAt: 2000 },
+    );
+    expect(await store.hit('login:1.2.3.4', { ...options, now: 1100 })).toEqual(
+      { allowed: true, count: 1, resetAt: 2100 },
+    );
+    expect(await store.hit('login:1.2.3.4', { ...options, now: 1200 })).toEqual(
+      { allowed: false, count: 2, resetAt: 2100 },
+    );
+  });
+
+  it('fait glisser la fenêtre : les requêtes anciennes ne comptent plus', async () => {
+    const options = { windowMs: 1000, max: 2 };
+
+    await store.hit('login:1.2.3.4', { ...options, now: 1000 });
+    await store.hit('login:1.2.3.4', { ...options, now: 1100 });
+
+    expect(await store.hit('login:1.2.3.4', { ...options, now: 2050 })).toEqual(
+      { allowed: true, count: 1, resetAt: 3050 },
+    );
+  });
+
+  it('tient un compteur distinct par clé', async () => {
+    const options = { now: 1000, windowMs: 1000, max: 1 };
+
+    expect((await store.hit('login:1.2.3.4', options)).allowed).toBe(true);
+    expect((await store.hit('login:1.2.3.4', options)).allowed).toBe(false);
+    expect((await store.hit('login:5.6.7.8', options)).allowed).toBe(true);
+  });
+
+  it('relit un bannissement jusqu’à son expiration', async () => {
+    const now = Date.now();
+    const ban = { until: now + 60000, reason: 'abuse', message: 'Banned' };
+
+    await store.ban('1.2.3.4', ban);
+
+    expect(await store.getBan('1.2.3.4', now)).toEqual(ban);
+    expect(await store.getBan('1.2.3.4', ban.until)).toBeNull();
+    expect(await store.getBan('5.6.7.8', now)).toBeNull();
+  });
+
+  it('remplace un bannissement existant et accepte un bannissement permanent', async () => {
+    const now = Date.now();
+    const permanent = {
+      until: Number.MAX_SAFE_INTEGER,
+      reason: 'manual',
+      message: 'Banned for good',
+    };
+
+    await store.ban('1.2.3.4', { until: now + 1000, reason: 'abuse' });
+    await store.ban('1.2.3.4', permanent);
+
+    expect(await store.getBan('1.2.3.4', now + 10 * 365 * 86400000)).toEqual(
+      permanent,
+    );
+  });
+
+  it('reset vide les compteurs et les bannissements', async () => {
+    const now = Date.now();
+    const options = { now, windowMs: 60000, max: 1 };
+
+    await store.hit('api:1.2.3.4', options);
+    await store.ban('1.2.3.4', { until: now + 60000, reason: 'abuse' });
+
+    await store.reset();
+
+    expect(await store.getBan('1.2.3.4', now)).toBeNull();
+    expect((await store.hit('api:1.2.3.4', options)).allowed).toBe(true);
+  });
+
+  it('purge ne supprime que les données expirées', async () => {
+    const now = Date.now();
+
+    await store.ban('1.2.3.4', { until: now + 60000, reason: 'abuse' });
+    await store.purge(now);
+
+    expect(await store.getBan('1.2.3.4', now)).not.toBeNull();
+  });
+});
+
+describe('purge des stores sans expiration native', () => {
+  it.each(STORES.filter(([name]) => name !== 'redis'))(
+    '%s : supprime les compteurs et bannissements expirés',
+    async (name, createStore) => {
+      const store = await createStore();
+      const now = Date.now();
+
+      await store.ban('1.2.3.4', { until: now - 1, reason: 'abuse' });
+
+      expect(await store.purge(now)).toBeGreaterThanOrEqual(1);
+      expect(await store.getBan('1.2.3.4', now - 10)).toBeNull();
+    },
+  );
+});
+
+describe('stats', () => {
+  // pg-mem ne sait pas évaluer les sous-requêtes scalaires de la version postgres
+  it.each(STORES.filter(([name]) => name !== 'postgres'))(
+    '%s : compte les clés et les bannissements actifs',
+    async (name, createStore) => {
+      const store = await createStore();
+      const now = Date.now();
+
+      await store.hit('api:1.2.3.4', { now, windowMs: 60000, max: 5 });
+      await store.hit('api:5.6.7.8', { now, windowMs: 60000, max: 5 });
+      await store.ban('1.2.3.4', { until: now + 60000, reason: 'abuse' });
+
+      expect(await store.stats()).toEqual({ keys: 2, bans: 1 });
+    },
+  );
+});
+
+describe('redis store', () => {
+  it('préfixe ses clés et donne une expiration aux compteurs et bannissements', async () => {
+    const redis = new RedisMock();
+    await redis.flushall();
+    const store = createRedisStore(redis, { prefix: 'test:' });
+    const now = Date.now();
+
+    await redis.set('other:key', 'kept');
+    await store.hit('api:1.2.3.4', { now, windowMs: 60000, max: 5 });
+    await store.ban('1.2.3.4', { until: now + 60000, reason: 'abuse' });
+
+    expect(await redis.pttl('test:hits:api:1.2.3.4')).toBeGreaterThan(0);
+    expect(await redis.pttl('test:ban:1.2.3.4')).toBeGreaterThan(0);
+
+    await store.reset();
+
+    expect(await redis.keys('*')).toEqual(['other:key']);
+  });
+});
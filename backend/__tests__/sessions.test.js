@@ -0,0 +1,84 @@
+// backend/__tests__/sessions.test.js
+// Vérification des sessions du registre partagée par le middleware et le callback jwt
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getClient } from '@backend/dbConnect';
+import { revokeUserSessions, verifyUserSession } from '@backend/sessions';
+import { dashboardCache } from '@/utils/cache';
+
+vi.mock('@backend/dbConnect', () => ({ getClient: vi.fn() }));
+
+/**
+ * Client PostgreSQL factice : chaque SELECT du registre retourne la ligne fournie
+ * @param {Object|null} session - { revoked_at, expired, stale } ou null
+ */
+function mockRegistry(session) {
+  const client = {
+    query: vi.fn(async () => ({
+      rows: session ? [session] : [],
+      rowCount: 1,
+    })),
+    cleanup: vi.fn(),
+  };
+  getClient.mockResolvedValue(client);
+  return client;
+}
+
+const ACTIVE = { revoked_at: null, expired: false, stale: false };
+
+describe('verifyUserSession', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dashboardCache.authSessions.clear();
+  });
+
+  it('mémorise une session active et ne relit pas le registre', async () => {
+    const client = mockRegistry(ACTIVE);
+
+    expect(await verifyUserSession(5, 1)).toEqual({
+      active: true,
+      reason: null,
+    });
+    expect(await verifyUserSession(5, 1)).toEqual({
+      active: true,
+      reason: null,
+    });
+
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(client.cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('ne mémorise pas une session révoquée', async () => {
+    const client = mockRegistry({ ...ACTIVE, revoked_at: new Date() });
+
+    expect(await verifyUserSession(5, 1)).toEqual({
+      active: false,
+      reason: 'revoked',
+    });
+    await verifyUserSession(5, 1);
+
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('propage les erreurs du registre et libère le client', async () => {
+    const client = mockRegistry(ACTIVE);
+    client.query.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(verifyUserSession(5, 1)).rejects.toThrow('connection lost');
+    expect(client.cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('revokeUserSessions oublie les sessions mémorisées du compte', async () => {
+    const client = mockRegistry(ACTIVE);
+
+    await verifyUserSession(5, 1);
+    await verifyUserSession(6, 12);
+    await revokeUserSessions(client, 1, { reason: 'test' });
+
+    client.query.mockClear();
+    await verifyUserSession(5, 1);
+    await verifyUserSession(6, 12);
+
+    // Seule la session du compte 1 est relue
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
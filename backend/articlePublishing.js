@@ -0,0 +1,115 @@
+// backend/articlePublishing.js
+// Publication des articles : colonnes dérivées du statut et publication
+// automatique des articles programmés
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { invalidateDashboardCache } from '@/utils/cache';
+import logger from '@/utils/logger';
+
+// Articles publiés par passage du job
+const PUBLISH_BATCH_SIZE = 50;
+
+/**
+ * Statut visé par une modification. isActive (ancien contrat de l'API) est
+ * traduit en statut : actif = publié, inactif = brouillon
+ * @param {Object} row - Ligne actuelle (admin.articles)
+ * @param {Object} data - Champs fournis { status, publishAt, isActive }
+ * @returns {Object} - { status, publishAt }
+ */
+export function resolvePublication(row, data) {
+  let status = data.status;
+  if (!status && data.isActive !== undefined) {
+    status = data.isActive ? 'published' : 'draft';
+  }
+  status = status || row?.article_status || 'draft';
+
+  const publishAt =
+    status === 'scheduled' ? (data.publishAt ?? row?.publish_at ?? null) : null;
+
+  return { status, publishAt };
+}
+
+/**
+ * Colonnes de publication à écrire pour un statut.
+ * is_active suit le statut ; published_at est conservé tant que l'article reste publié
+ * @param {Object|null} row - Ligne actuelle, null à la création
+ * @param {string} status - Statut visé
+ * @param {string|Date|null} publishAt - Date de publication programmée
+ * @returns {Object} - { article_status, is_active, publish_at, published_at }
+ */
+export function publicationColumns(row, status, publishAt) {
+  const isPublished = status === 'published';
+
+  return {
+    article_status: status,
+    is_active: isPublished,
+    publish_at: status === 'scheduled' ? publishAt : null,
+    published_at: isPublished ? row?.published_at || new Date() : null,
+  };
+}
+
+/**
+ * Publie les articles programmés dont la date est atteinte
+ * @param {Object} [options]
+ * @param {string} [options.requestId] - ID de corrélation pour les logs
+ * @returns {Promise<Object>} - { published }
+ */
+export async function publishDueArticles({ requestId = null } = {}) {
+  const published = await withTransaction(
+    async (tx) => {
+      // SKIP LOCKED : un article en cours d'édition sera publié au passage suivant
+      const due = await tx.query(
+        `SELECT * FROM admin.articles
+         WHERE article_status = 'scheduled'
+           AND publish_at <= NOW()
+           AND deleted_at IS NULL
+         ORDER BY publish_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED`,
+        [PUBLISH_BATCH_SIZE],
+      );
+
+      const rows = [];
+
+      for (const before of due.rows) {
+        const result = await tx.query(
+          `UPDATE admin.articles
+           SET article_status = 'published',
+               is_active = true,
+               published_at = COALESCE(published_at, publish_at),
+               publish_at = NULL,
+               article_updated = NOW()
+           WHERE article_id = $1
+           RETURNING *`,
+          [before.article_id],
+        );
+
+        await recordAudit(tx, {
+          requestId,
+          action: 'update',
+          entity: 'article',
+          entityId: before.article_id,
+          before,
+          after: result.rows[0],
+        });
+
+        rows.push(result.rows[0]);
+      }
+
+      return rows;
+    },
+    { name: 'publish_scheduled_articles', requestId },
+  );
+
+  if (published.length > 0) {
+    invalidateDashboardCache('article');
+
+    logger.info('Scheduled articles published', {
+      requestId,
+      count: published.length,
+      articleIds: published.map((row) => row.article_id),
+    });
+  }
+
+  return { published: published.length };
+}
@@ -0,0 +1,79 @@
+// backend/articleRevisions.js
+// Révisions des articles : une version (titre, texte HTML, image, auteur) par enregistrement
+
+/**
+ * Nombre de révisions affichées sur la page d'édition (30 par défaut)
+ */
+export const ARTICLE_REVISIONS_LIMIT =
+  parseInt(process.env.ARTICLE_REVISIONS_LIMIT, 10) || 30;
+
+/**
+ * Enregistre l'état d'un article comme nouvelle révision. À appeler dans la
+ * transaction de l'écriture. Un enregistrement qui ne modifie ni le titre,
+ * ni le texte, ni l'image (changement de statut seul) ne crée pas de révision.
+ * @param {Object} client - Client de la transaction
+ * @param {Object} article - Ligne admin.articles après écriture
+ * @param {number|null} actorId - Auteur de la modification
+ * @returns {Promise<Object|null>} - Révision créée, ou null si le contenu est inchangé
+ */
+export async function recordArticleRevision(client, article, actorId) {
+  const result = await client.query(
+    `INSERT INTO admin.article_revisions
+       (article_id, revision_title, revision_text, revision_image, created_by)
+     SELECT $1, $2, $3, $4, $5
+     WHERE NOT EXISTS (
+       SELECT 1 FROM (
+         SELECT revision_title, revision_text, revision_image
+         FROM admin.article_revisions
+         WHERE article_id = $1
+         ORDER BY created_at DESC, revision_id DESC
+         LIMIT 1
+       ) latest
+       WHERE latest.revision_title = $2
+         AND latest.revision_text IS NOT DISTINCT FROM $3
+         AND latest.revision_image IS NOT DISTINCT FROM $4
+     )
+     RETURNING revision_id, created_at`,
+    [
+      article.article_id,
+      article.article_title,
+      article.article_text,
+      article.article_image,
+      actorId,
+    ],
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Révisions d'un article, de la plus récente à la plus ancienne
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} articleId - UUID de l'article
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Nombre maximal de révisions
+ * @returns {Promise<Array>} - [{ revision_id, title, text, image, created_at, created_by_name }]
+ */
+export async function fetchArticleRevisions(
+  client,
+  articleId,
+  { limit = ARTICLE_REVISIONS_LIMIT } = {},
+) {
+  const result = await client.query(
+    `SELECT
+       r.revision_id,
+       r.revision_title AS title,
+       r.revision_text AS text,
+       r.revision_image AS image,
+       r.created_at,
+       u.user_name AS created_by_name
+     FROM admin.article_revisions r
+     LEFT JOIN admin.users u ON u.user_id = r.created_by
+     WHERE r.article_id = $1
+     ORDER BY r.created_at DESC, r.revision_id DESC
+     LIMIT $2`,
+    [articleId, limit],
+  );
+
+  return result.rows;
+}
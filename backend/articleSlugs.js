@@ -0,0 +1,144 @@
+// backend/articleSlugs.js
+// Slugs des articles : unicité, génération à partir du titre et redirection
+// des anciens slugs vers l'article
+import { SEO_LIMITS, slugify } from '@/utils/articleSeo';
+
+// Suffixes numériques essayés avant un suffixe horodaté (mon-article-2, -3...)
+const MAX_SLUG_SUFFIX = 50;
+
+export const SLUG_TAKEN_MESSAGE =
+  'This slug is already used by another article';
+
+// Violation de l'index unique articles_slug_key (enregistrements concurrents)
+export const isSlugConflictError = (error) =>
+  error?.code === '23505' && error?.constraint === 'articles_slug_key';
+
+/**
+ * Article auquel un slug appartient, comme slug actuel ou comme ancienne adresse
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} slug - Slug recherché
+ * @returns {Promise<Object|null>} - { articleId, slug, redirect } où slug est le
+ * slug actuel de l'article et redirect indique une ancienne adresse
+ */
+export async function resolveArticleSlug(client, slug) {
+  const result = await client.query(
+    `SELECT article_id, article_slug, false AS redirect
+     FROM admin.articles
+     WHERE article_slug = $1
+     UNION ALL
+     SELECT a.article_id, a.article_slug, true
+     FROM admin.article_slug_redirects r
+     JOIN admin.articles a ON a.article_id = r.article_id
+     WHERE r.old_slug = $1
+     LIMIT 1`,
+    [slug],
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const [row] = result.rows;
+  return {
+    articleId: row.article_id,
+    slug: row.article_slug,
+    redirect: row.redirect,
+  };
+}
+
+/**
+ * Un slug est disponible s'il n'est ni le slug ni une ancienne adresse d'un
+ * autre article : un article peut reprendre l'une de ses anciennes adresses
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} slug - Slug demandé
+ * @param {string|null} [articleId] - Article modifié (null à la création)
+ * @returns {Promise<boolean>}
+ */
+export async function isSlugAvailable(client, slug, articleId = null) {
+  const owner = await resolveArticleSlug(client, slug);
+  return !owner || owner.articleId === articleId?.toLowerCase();
+}
+
+/**
+ * Premier slug disponible parmi base, base-2, base-3...
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} text - Slug souhaité ou titre de l'article
+ * @param {string|null} [articleId] - Article modifié (null à la création)
+ * @returns {Promise<string>}
+ */
+export async function generateUniqueSlug(client, text, articleId = null) {
+  // Place réservée au suffixe
+  const base =
+    slugify(text)
+      .slice(0, SEO_LIMITS.slug - 10)
+      .replace(/-+$/, '') || 'article';
+
+  const result = await client.query(
+    `SELECT article_slug AS slug, article_id FROM admin.articles
+     WHERE article_slug LIKE $1 || '%'
+     UNION ALL
+     SELECT old_slug, article_id FROM admin.article_slug_redirects
+     WHERE old_slug LIKE $1 || '%'`,
+    [base],
+  );
+
+  const taken = new Set(
+    result.rows
+      .filter((row) => row.article_id !== articleId?.toLowerCase())
+      .map((row) => row.slug),
+  );
+
+  if (!taken.has(base)) return base;
+
+  for (let suffix = 2; suffix <= MAX_SLUG_SUFFIX; suffix++) {
+    const candidate = `${base}-${suffix}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+
+  return `${base}-${Date.now().toString(36)}`;
+}
+
+/**
+ * Redirige l'ancien slug d'un article vers l'article. À appeler dans la
+ * transaction qui enregistre le nouveau slug
+ * @param {Object} client - Client de la transaction
+ * @param {Object} article - Ligne admin.articles avant modification
+ * @param {string} slug - Nouveau slug
+ * @returns {Promise<boolean>} - False si le slug est inchangé
+ */
+export async function recordSlugRedirect(client, article, slug) {
+  if (!article.article_slug || article.article_slug === slug) return false;
+
+  // Une ancienne adresse reprise redevient le slug actuel
+  await client.query(
+    `DELETE FROM admin.article_slug_redirects
+     WHERE old_slug = $1 AND article_id = $2`,
+    [slug, article.article_id],
+  );
+
+  await client.query(
+    `INSERT INTO admin.article_slug_redirects (old_slug, article_id)
+     VALUES ($1, $2)
+     ON CONFLICT (old_slug)
+     DO UPDATE SET article_id = EXCLUDED.article_id, created_at = NOW()`,
+    [article.article_slug, article.article_id],
+  );
+
+  return true;
+}
+
+/**
+ * Anciennes adresses d'un article, de la plus récente à la plus ancienne
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} articleId - ID de l'article
+ * @returns {Promise<Array>} - [{ slug, created_at }]
+ */
+export async function fetchArticleSlugRedirects(client, articleId) {
+  const result = await client.query(
+    `SELECT old_slug AS slug, created_at
+     FROM admin.article_slug_redirects
+     WHERE article_id = $1
+     ORDER BY created_at DESC`,
+    [articleId],
+  );
+
+  return result.rows;
+}
@@ -0,0 +1,236 @@
+// backend/auditLog.js
+// Journal d'audit des mutations du dashboard (table admin.audit_log)
+import { anonymizeIp, extractRealIp } from '@/utils/helpers';
+import { AUDIT_ENTITIES } from '@/utils/auditLog';
+
+// Jamais recopiés dans le journal, même hachés
+const SENSITIVE_FIELDS = ['user_password'];
+
+// Au-delà, une valeur texte (ex: contenu d'un article) est tronquée dans le diff
+const MAX_VALUE_LENGTH = 500;
+
+export const AUDIT_PAGE_SIZE = 25;
+export const AUDIT_MAX_PAGE_SIZE = 100;
+
+/**
+ * Normalise une valeur pour le stockage JSONB et la comparaison
+ */
+function normalizeValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} caractères)`;
+  }
+  return value;
+}
+
+/**
+ * Calcule le diff avant/après limité aux champs modifiés.
+ * Création : before = null ; suppression : after = null.
+ * Modification : seuls les champs présents dans after sont comparés
+ * (un RETURNING partiel ne signale pas les autres colonnes comme effacées).
+ * @param {Object|null} before - Ligne avant la mutation
+ * @param {Object|null} after - Ligne après la mutation
+ * @returns {Object} - { champ: { before, after } }
+ */
+export function computeAuditDiff(before, after) {
+  const changes = {};
+  const fields = new Set(
+    before && after
+      ? Object.keys(after)
+      : [...Object.keys(before || {}), ...Object.keys(after || {})],
+  );
+
+  fields.forEach((field) => {
+    if (SENSITIVE_FIELDS.includes(field)) return;
+
+    const oldValue = normalizeValue(before ? before[field] : undefined);
+    const newValue = normalizeValue(after ? after[field] : undefined);
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Contexte d'audit d'une route API : acteur, requête et IP anonymisée
+ * @param {Request} request - Requête entrante (ou objet exposant headers.get)
+ * @param {Object} session - Session NextAuth de l'acteur
+ * @param {string} requestId - ID de requête
+ * @returns {Object} - { actorId, requestId, ip }
+ */
+export function getAuditContext(request, session, requestId) {
+  return {
+    actorId: session?.user?.id ?? null,
+    requestId: requestId || null,
+    ip: request ? anonymizeIp(extractRealIp(request)) : null,
+  };
+}
+
+/**
+ * Enregistre une mutation dans le journal d'audit.
+ * À appeler avec le client de la transaction de la mutation : si l'écriture du
+ * journal échoue, la mutation est annulée avec elle.
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} entry - { action, entity, entityId, before, after, actorId, requestId, ip }
+ * @returns {Promise<Object|null>} - Ligne insérée, ou null si rien n'a changé
+ */
+export async function recordAudit(
+  client,
+  {
+    action,
+    entity,
+    entityId,
+    before = null,
+    after = null,
+    actorId = null,
+    requestId = null,
+    ip = null,
+  },
+) {
+  const changes = computeAuditDiff(before, after);
+
+  // Une modification sans effet n'a pas d'intérêt dans le journal
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO admin.audit_log
+       (actor_id, action, entity, entity_id, changes, request_id, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING audit_id, created_at`,
+    [
+      actorId,
+      action,
+      entity,
+      String(entityId),
+      JSON.stringify(changes),
+      requestId,
+      ip,
+    ],
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Normalise les filtres du journal issus de l'URL
+ * @param {Object} params - Paramètres bruts (page, limit, actor, entity, from, to)
+ * @returns {Object} - { page, limit, offset, actor, entity, from, to }
+ */
+export function parseAuditListParams(params = {}) {
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(params.limit, 10) || AUDIT_PAGE_SIZE, 1),
+    AUDIT_MAX_PAGE_SIZE,
+  );
+  const actor =
+    parseInt(params.actor, 10) > 0 ? parseInt(params.actor, 10) : null;
+  const entity = Object.keys(AUDIT_ENTITIES).includes(params.entity)
+    ? params.entity
+    : '';
+  // Dates au format AAAA-MM-JJ uniquement
+  const isDate = (value) =>
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value));
+  const from = isDate(params.from) ? params.from : '';
+  const to = isDate(params.to) ? params.to : '';
+
+  return { page, limit, offset: (page - 1) * limit, actor, entity, from, to };
+}
+
+/**
+ * Récupère une page du journal d'audit, du plus récent au plus ancien
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} params - Paramètres normalisés par parseAuditListParams
+ * @returns {Promise<Object>} - { entries, pagination }
+ */
+export async function fetchAuditPage(
+  client,
+  { page, limit, offset, actor, entity, from, to },
+) {
+  const conditions = [];
+  const values = [];
+
+  if (actor) {
+    values.push(actor);
+    conditions.push(`a.actor_id = $${values.length}`);
+  }
+  if (entity) {
+    values.push(entity);
+    conditions.push(`a.entity = $${values.length}`);
+  }
+  if (from) {
+    values.push(from);
+    conditions.push(`a.created_at >= $${values.length}::date`);
+  }
+  if (to) {
+    // Borne incluse : toute la journée de fin
+    values.push(to);
+    conditions.push(
+      `a.created_at < $${values.length}::date + INTERVAL '1 day'`,
+    );
+  }
+
+  const whereClause = conditions.length
+    ? `WHERE ${conditions.join(' AND ')}`
+    : '';
+
+  const countResult = await client.query(
+    `SELECT COUNT(*)::int AS total FROM admin.audit_log a ${whereClause}`,
+    values,
+  );
+
+  const entriesResult = await client.query(
+    `SELECT
+       a.audit_id,
+       a.actor_id,
+       u.user_name AS actor_name,
+       a.action,
+       a.entity,
+       a.entity_id,
+       a.changes,
+       a.request_id,
+       a.ip_address,
+       a.created_at
+     FROM admin.audit_log a
+     LEFT JOIN admin.users u ON u.user_id = a.actor_id
+     ${whereClause}
+     ORDER BY a.created_at DESC, a.audit_id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset],
+  );
+
+  const total = countResult.rows[0]?.total || 0;
+
+  return {
+    entries: entriesResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(Math.ceil(total / limit), 1),
+    },
+  };
+}
+
+/**
+ * Acteurs ayant au moins une entrée dans le journal (pour le filtre)
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<Array>} - [{ user_id, user_name }]
+ */
+export async function fetchAuditActors(client) {
+  const result = await client.query(
+    `SELECT u.user_id, u.user_name
+     FROM admin.users u
+     WHERE EXISTS (SELECT 1 FROM admin.audit_log a WHERE a.actor_id = u.user_id)
+     ORDER BY u.user_name ASC`,
+  );
+
+  return result.rows;
+}
@@ -1,5 +1,8 @@
 import { auth } from '@app/api/auth/[...nextauth]/route';
 import { getServerSession } from 'next-auth';
+import logger from '@/utils/logger';
+import { captureMessage } from '@/monitoring/sentry';
+import { PERMISSIONS, hasPermission, normalizeRole } from '@/utils/permissions';
 
 const isAuthenticatedUser = async (req, res) => {
   const session = await getServerSession(auth);
@@ -11,4 +14,84 @@ const isAuthenticatedUser = async (req, res) => {
   req.user = session.user;
 };
 
+/**
+ * Vérifie que l'utilisateur connecté dispose d'une permission donnée
+ * @param {string} permission - Permission requise (voir PERMISSIONS)
+ * @param {Object} context - Contexte pour le logging (requestId, endpoint...)
+ * @returns {Promise<Object>} - { authorized, status, error, session }
+ */
+export const checkPermission = async (permission, context = {}) => {
+  const session = await getServerSession(auth);
+
+  if (!session || !session.user) {
+    logger.warn('Unauthenticated access attempt to protected route', {
+      permission,
+      ...context,
+    });
+
+    return {
+      authorized: false,
+      status: 401,
+      error: 'Authentication required',
+      session: null,
+    };
+  }
+
+  const role = normalizeRole(session.user.role);
+
+  // Double authentification obligatoire mais pas encore activée : seule la
+  // gestion de son propre compte reste accessible
+  if (
+    session.user.twoFactorSetupRequired &&
+    permission !== PERMISSIONS.ACCOUNT_MANAGE
+  ) {
+    logger.warn('Access denied: two-factor setup required', {
+      userId: session.user.id,
+      role,
+      permission,
+      ...context,
+    });
+
+    return {
+      authorized: false,
+      status: 403,
+      error: 'Two-factor authentication setup required',
+      session,
+    };
+  }
+
+  if (!hasPermission(role, permission)) {
+    logger.warn('Access denied: insufficient permissions', {
+      userId: session.user.id,
+      role,
+      permission,
+      ...context,
+    });
+
+    captureMessage('Access denied: insufficient permissions', {
+      level: 'warning',
+      tags: {
+        component: 'authorization',
+        action: 'permission_denied',
+        error_category: 'authentication',
+        role,
+      },
+      extra: {
+        userId: session.user.id,
+        permission,
+        ...context,
+      },
+    });
+
+    return {
+      authorized: false,
+      status: 403,
+      error: 'Insufficient permissions',
+      session,
+    };
+  }
+
+  return { authorized: true, status: 200, error: null, session };
+};
+
 export default isAuthenticatedUser;
@@ -1,4 +1,6 @@
 import { v2 as cloudinary } from 'cloudinary';
+import logger from '@/utils/logger';
+import { captureException } from '@/monitoring/sentry';
 
 cloudinary.config({
   cloud_name: process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME,
@@ -7,3 +9,45 @@ cloudinary.config({
 });
 
 export default cloudinary;
+
+/**
+ * Supprime des images Cloudinary sans jamais lever d'erreur.
+ * À appeler après le COMMIT : un échec laisse un orphelin, pas une donnée incohérente.
+ * @param {Array<string>} imageIds - public_id des images à supprimer
+ * @param {Object} context - { requestId, component, entity, operation, resourceId }
+ * @returns {Promise<Object>} - { deleted, failed }
+ */
+export async function destroyImages(imageIds = [], context = {}) {
+  const { requestId, component, entity, operation, resourceId } = context;
+  const result = { deleted: [], failed: [] };
+
+  for (const imageId of imageIds.filter(Boolean)) {
+    try {
+      await cloudinary.uploader.destroy(imageId);
+      result.deleted.push(imageId);
+    } catch (cloudError) {
+      result.failed.push(imageId);
+
+      logger.error('Error deleting image from Cloudinary', {
+        requestId,
+        resourceId,
+        imageId,
+        error: cloudError.message,
+      });
+
+      captureException(cloudError, {
+        level: 'warning',
+        tags: {
+          component,
+          action: 'cloudinary_delete_failed',
+          error_category: 'media_upload',
+          entity,
+          operation,
+        },
+        extra: { requestId, resourceId, imageId },
+      });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,155 @@
+// backend/cloudinarySignature.js
+// Signature des envois Cloudinary du dashboard : une seule implémentation pour
+// les routes sign-image. Le serveur ne signe que des paramètres connus, dont les
+// valeurs correspondent au profil de l'entité (dossier, formats, tags, transformations)
+import cloudinary from '@backend/cloudinary';
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { UPLOAD_PROFILES, getUploadTags } from '@/utils/media';
+
+// Paramètres que le widget peut faire signer
+const SIGNABLE_PARAMS = [
+  'timestamp',
+  'source',
+  'folder',
+  'tags',
+  'allowed_formats',
+  'transformation',
+  'eager',
+];
+
+// Cloudinary refuse de toute façon une signature de plus d'une heure
+const MAX_TIMESTAMP_AGE_SECONDS = 60 * 60;
+
+/**
+ * Normalise une liste Cloudinary ("a,b" ou ['a', 'b'])
+ */
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Vérifie des paramètres à signer contre le profil d'une entité
+ * @param {Object} paramsToSign - Paramètres envoyés par le widget
+ * @param {string} entity - Clé de UPLOAD_PROFILES
+ * @param {string|number} userId - Utilisateur connecté
+ * @returns {Array<string>} - Erreurs (vide si les paramètres sont acceptés)
+ */
+export function validateParamsToSign(paramsToSign, entity, userId) {
+  const profile = UPLOAD_PROFILES[entity];
+  const errors = [];
+
+  Object.keys(paramsToSign).forEach((key) => {
+    if (!SIGNABLE_PARAMS.includes(key)) {
+      errors.push(`Parameter "${key}" cannot be signed`);
+    }
+  });
+
+  const timestamp = parseInt(paramsToSign.timestamp, 10);
+  const now = Math.floor(Date.now() / 1000);
+  if (!timestamp || Math.abs(now - timestamp) > MAX_TIMESTAMP_AGE_SECONDS) {
+    errors.push('Invalid or expired timestamp');
+  }
+
+  if (paramsToSign.folder !== profile.folder) {
+    errors.push(`Folder must be "${profile.folder}"`);
+  }
+
+  const expectedTags = getUploadTags(entity, userId);
+  const tags = toList(paramsToSign.tags ?? '');
+  if (
+    tags.length !== expectedTags.length ||
+    !expectedTags.every((tag) => tags.includes(tag))
+  ) {
+    errors.push(`Tags must be "${expectedTags.join(',')}"`);
+  }
+
+  if (
+    paramsToSign.allowed_formats !== undefined &&
+    !toList(paramsToSign.allowed_formats).every((format) =>
+      profile.allowedFormats.includes(format.toLowerCase()),
+    )
+  ) {
+    errors.push(`Allowed formats: ${profile.allowedFormats.join(', ')}`);
+  }
+
+  if (
+    paramsToSign.transformation !== undefined &&
+    !profile.transformations.includes(paramsToSign.transformation)
+  ) {
+    errors.push('Transformation is not allowed');
+  }
+
+  if (
+    paramsToSign.eager !== undefined &&
+    !profile.eager.includes(paramsToSign.eager)
+  ) {
+    errors.push('Eager transformation is not allowed');
+  }
+
+  return errors;
+}
+
+/**
+ * Déclare la route sign-image d'une entité
+ * @param {Object} config
+ * @param {string} config.entity - Clé de UPLOAD_PROFILES
+ * @param {string} config.component - Composant Sentry
+ * @param {string} config.endpoint - Chemin de la route pour les logs
+ * @param {string} config.permission - Permission requise
+ * @returns {Function} - Handler Next.js
+ */
+export function defineSignImageRoute({
+  entity,
+  component,
+  endpoint,
+  permission,
+}) {
+  return defineDashboardRoute({
+    entity,
+    component,
+    operation: 'sign_upload',
+    endpoint,
+    methods: 'POST',
+    permission,
+    rateLimit: {
+      max: 60, // 60 signatures par 5 minutes (une par fichier envoyé)
+      message:
+        "Trop de demandes d'envoi d'images. Veuillez réessayer dans quelques minutes.",
+      prefix: `sign_${entity}_image`,
+    },
+    body: true,
+    database: false,
+    failureMessage: 'Failed to generate signature',
+
+    handler: async ({ body, actorId, fail }) => {
+      const { paramsToSign } = body;
+
+      if (
+        !paramsToSign ||
+        typeof paramsToSign !== 'object' ||
+        Array.isArray(paramsToSign)
+      ) {
+        return fail(400, { error: 'Missing paramsToSign' });
+      }
+
+      const errors = validateParamsToSign(paramsToSign, entity, actorId);
+
+      if (errors.length > 0) {
+        return fail(400, {
+          error: 'Upload parameters rejected',
+          action: 'sign_params_rejected',
+          extra: { params: Object.keys(paramsToSign), errors },
+          errors,
+        });
+      }
+
+      const signature = cloudinary.utils.api_sign_request(
+        paramsToSign,
+        process.env.CLOUDINARY_API_SECRET,
+      );
+
+      return { body: { signature } };
+    },
+  });
+}
@@ -0,0 +1,591 @@
+// backend/dashboardRoute.js
+// Pipeline commun des routes API du dashboard : rate limiting, permissions,
+// validation de l'ID, parsing du body, sanitization, Yup, connexion DB,
+// monitoring Sentry et headers de réponse
+import { NextResponse } from 'next/server';
+import { getClient } from '@backend/dbConnect';
+import { checkPermission } from '@backend/authMiddleware';
+import { applyRateLimit } from '@backend/rateLimiter';
+import { getAuditContext } from '@backend/auditLog';
+import {
+  captureException,
+  captureMessage,
+  captureDatabaseError,
+} from '@/monitoring/sentry';
+import {
+  categorizeError,
+  generateRequestId,
+  extractRealIp,
+  anonymizeIp,
+} from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+const DEFAULT_RATE_LIMIT = {
+  preset: 'CONTENT_API',
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 10,
+};
+
+const GENERIC_FAILURE_MESSAGE = 'Something went wrong! Please try again';
+
+/**
+ * Retire les clés dont la valeur est undefined (mises à jour partielles)
+ * @param {Object} data - Objet à filtrer
+ * @returns {Object} - Copie sans les valeurs undefined
+ */
+export function pickDefined(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * Transforme une ValidationError Yup en { champ: message }
+ */
+export function toFieldErrors(validationError) {
+  const errors = {};
+  (validationError.inner?.length
+    ? validationError.inner
+    : [validationError]
+  ).forEach((error) => {
+    if (error.path && !errors[error.path]) errors[error.path] = error.message;
+  });
+  return errors;
+}
+
+/**
+ * Headers communs à toutes les réponses du dashboard
+ */
+function buildResponseHeaders(config, { requestId, startTime, resourceId }) {
+  const { rateLimit, methods, headers: extraHeaders } = config;
+
+  const headers = {
+    'Access-Control-Allow-Origin':
+      process.env.NEXT_PUBLIC_SITE_URL || 'same-origin',
+    'Access-Control-Allow-Methods': `${methods}, OPTIONS`,
+    'Access-Control-Allow-Headers':
+      'Content-Type, Authorization, X-Requested-With',
+    'Cache-Control':
+      'no-store, no-cache, must-revalidate, proxy-revalidate, max-age=0',
+    Pragma: 'no-cache',
+    Expires: '0',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Cross-Origin-Resource-Policy': 'same-site',
+    'Content-Security-Policy': "default-src 'none'; connect-src 'self'",
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'X-XSS-Protection': '1; mode=block',
+    'X-Permitted-Cross-Domain-Policies': 'none',
+    'X-Request-ID': requestId,
+    'X-Response-Time': `${Date.now() - startTime}ms`,
+    'X-API-Version': '1.0',
+    'X-Transaction-Type': 'mutation',
+    'X-Entity-Type': config.entity,
+    'X-Operation-Type': config.operation,
+    'X-RateLimit-Window': String(Math.round(rateLimit.windowMs / 1000)),
+    'X-RateLimit-Limit': String(rateLimit.max),
+    ...extraHeaders,
+  };
+
+  if (resourceId) headers['X-Resource-ID'] = String(resourceId);
+
+  return headers;
+}
+
+/**
+ * Déclare une route API du dashboard.
+ * Étapes exécutées dans l'ordre, chacune pouvant court-circuiter la requête :
+ * 1. validation de l'ID (params), 2. rate limiting, 3. permission,
+ * 4. parsing du body, 5. sanitization, 6. validation Yup,
+ * 7. connexion DB, 8. handler, 9. invalidation du cache, 10. réponse.
+ *
+ * Le handler reçoit un contexte { request, requestId, id, session, actorId, body,
+ * data, client, audit, tags, fail } et retourne { status, body } (ou ctx.fail(...)).
+ * Une erreur levée par le handler est journalisée et renvoyée en 500.
+ *
+ * Forme des erreurs : { success: false, error, message, requestId, [errors], [details] }
+ *
+ * @param {Object} config
+ * @param {string} config.entity - Entité (ex: 'template') pour les tags Sentry et les logs
+ * @param {string} config.component - Composant Sentry (ex: 'templates')
+ * @param {string} config.operation - 'create' | 'update' | 'delete'
+ * @param {string} config.endpoint - Chemin de la route pour les logs
+ * @param {string} [config.methods] - Méthodes HTTP déclarées dans les headers CORS
+ * @param {Object} [config.rateLimit] - { preset, windowMs, max, message, prefix }
+ * @param {string} config.permission - Permission requise (voir PERMISSIONS)
+ * @param {Object} [config.params] - { schema, message, clean } : validation puis nettoyage de { id }
+ * @param {boolean} [config.body] - Lire un body JSON (implicite si sanitize ou schema)
+ * @param {Function} [config.sanitize] - (body, ctx) => données nettoyées
+ * @param {Object} [config.schema] - Schéma Yup appliqué aux données nettoyées (valeurs undefined ignorées)
+ * @param {boolean} [config.database] - Ouvrir un client PostgreSQL (true par défaut)
+ * @param {Function} [config.invalidateCache] - (ctx) => void, appelée après un succès
+ * @param {Object} [config.headers] - Headers spécifiques à la route
+ * @param {string} [config.failureMessage] - Message d'erreur 500 du handler
+ * @param {Function} config.handler - async (ctx) => { status, body }
+ * @returns {Function} - Handler Next.js (request, { params }) => Response
+ */
+export function defineDashboardRoute(config) {
+  const {
+    entity,
+    component = `${entity}s`,
+    operation,
+    endpoint,
+    permission,
+    params: paramsConfig = null,
+    sanitize = null,
+    schema = null,
+    database = true,
+    invalidateCache = null,
+    failureMessage = `Failed to ${operation} ${entity}`,
+    handler,
+  } = config;
+
+  const rateLimit = { ...DEFAULT_RATE_LIMIT, ...config.rateLimit };
+  const prefix = rateLimit.prefix || `${operation}_${entity}`;
+  const readBody = config.body ?? Boolean(sanitize || schema);
+  const routeConfig = {
+    ...config,
+    methods: config.methods || 'POST',
+    rateLimit,
+  };
+
+  // Clé par IP et par chemin : sur une route [id], la limite s'applique par ressource
+  const rateLimiter = applyRateLimit(rateLimit.preset, {
+    windowMs: rateLimit.windowMs,
+    max: rateLimit.max,
+    message: rateLimit.message,
+    skipSuccessfulRequests: false,
+    skipFailedRequests: false,
+    prefix,
+    keyGenerator: (req) => {
+      const ip = extractRealIp(req);
+      const path = req.nextUrl?.pathname || new URL(req.url).pathname;
+      return `${prefix}:ip:${ip}:path:${path}`;
+    },
+  });
+
+  const tags = { component, entity, operation };
+
+  return async function dashboardRoute(request, context = {}) {
+    let client;
+    const startTime = Date.now();
+    const requestId = generateRequestId();
+    const routeParams = (await context.params) || {};
+    let id = routeParams.id;
+    const ip = anonymizeIp(extractRealIp(request));
+
+    const respond = (status, body) =>
+      NextResponse.json(body, {
+        status,
+        headers: buildResponseHeaders(routeConfig, {
+          requestId,
+          startTime,
+          resourceId: id,
+        }),
+      });
+
+    // Réponse d'erreur homogène, avec log et message Sentry si une action est nommée
+    const fail = (
+      status,
+      {
+        error,
+        message = error,
+        action = null,
+        level = 'warning',
+        extra = {},
+        ...fields
+      } = {},
+    ) => {
+      if (action) {
+        logger[level === 'error' ? 'error' : 'warn'](`${endpoint}: ${action}`, {
+          requestId,
+          resourceId: id,
+          status,
+          ...extra,
+        });
+
+        captureMessage(`${component} ${operation}: ${action}`, {
+          level,
+          tags: { ...tags, action, error_category: 'business_rule_violation' },
+          extra: { requestId, resourceId: id, ip, ...extra },
+        });
+      }
+
+      return {
+        status,
+        body: { success: false, error, message, requestId, ...fields },
+      };
+    };
+
+    const send = ({ status = 200, body = {} }) => respond(status, body);
+
+    logger.info(`${endpoint} called`, { requestId, resourceId: id });
+
+    captureMessage(`${component} ${operation} process started`, {
+      level: 'info',
+      tags: { ...tags, action: 'process_start', api_endpoint: endpoint },
+      extra: {
+        requestId,
+        resourceId: id,
+        timestamp: new Date().toISOString(),
+        method: request.method,
+      },
+    });
+
+    try {
+      // ===== ÉTAPE 1: VALIDATION DE L'ID =====
+      if (paramsConfig) {
+        try {
+          await paramsConfig.schema.validate({ id }, { abortEarly: false });
+        } catch (idValidationError) {
+          const details = idValidationError.inner?.map(
+            (err) => err.message,
+          ) || [idValidationError.message];
+
+          logger.error(`${entity} ID Validation Error`, {
+            category: categorizeError(idValidationError),
+            resourceId: id,
+            validation_errors: details,
+            requestId,
+          });
+
+          captureMessage(`${entity} ID validation failed`, {
+            level: 'warning',
+            tags: {
+              ...tags,
+              action: 'id_validation_failed',
+              error_category: 'validation',
+            },
+            extra: { requestId, resourceId: id, validationErrors: details },
+          });
+
+          return send(
+            fail(400, {
+              error: paramsConfig.message || `Invalid ${entity} ID format`,
+              details,
+            }),
+          );
+        }
+
+        // Normalisation optionnelle (ex: cleanUUID) : la suite utilise l'ID nettoyé
+        if (paramsConfig.clean) {
+          const cleanedId = paramsConfig.clean(id);
+
+          if (!cleanedId) {
+            logger.warn(`${entity} ID cleaning failed`, {
+              requestId,
+              providedId: id,
+            });
+
+            return send(
+              fail(400, {
+                error: paramsConfig.message || `Invalid ${entity} ID format`,
+              }),
+            );
+          }
+
+          id = cleanedId;
+        }
+      }
+
+      // ===== ÉTAPE 2: RATE LIMITING =====
+      const rateLimitResponse = await rateLimiter(request);
+
+      if (rateLimitResponse) {
+        logger.warn(`${endpoint} rate limit exceeded`, {
+          requestId,
+          resourceId: id,
+          ip,
+        });
+
+        captureMessage(`${component} ${operation} rate limit exceeded`, {
+          level: 'warning',
+          tags: {
+            ...tags,
+            action: 'rate_limit_exceeded',
+            error_category: 'rate_limiting',
+          },
+          extra: {
+            requestId,
+            resourceId: id,
+            ip,
+            userAgent:
+              request.headers.get('user-agent')?.substring(0, 100) || 'unknown',
+          },
+        });
+
+        const rateLimitBody = await rateLimitResponse.json();
+        const response = respond(429, {
+          success: false,
+          requestId,
+          ...rateLimitBody,
+        });
+        response.headers.set('X-RateLimit-Remaining', '0');
+        return response;
+      }
+
+      // ===== ÉTAPE 3: AUTHENTIFICATION ET PERMISSIONS =====
+      const authCheck = await checkPermission(permission, {
+        requestId,
+        endpoint,
+        resourceId: id,
+      });
+
+      if (!authCheck.authorized) {
+        return send(fail(authCheck.status, { error: authCheck.error }));
+      }
+
+      // ===== ÉTAPE 4: PARSING DU BODY =====
+      let body = null;
+      if (readBody) {
+        try {
+          body = await request.json();
+        } catch (parseError) {
+          logger.error(`JSON Parse Error on ${endpoint}`, {
+            category: categorizeError(parseError),
+            message: parseError.message,
+            requestId,
+          });
+
+          captureException(parseError, {
+            level: 'error',
+            tags: {
+              ...tags,
+              action: 'json_parse_error',
+              error_category: categorizeError(parseError),
+            },
+            extra: {
+              requestId,
+              resourceId: id,
+              contentType: request.headers.get('content-type'),
+              userAgent: request.headers.get('user-agent')?.substring(0, 100),
+            },
+          });
+
+          return send(fail(400, { error: 'Invalid JSON in request body' }));
+        }
+
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return send(fail(400, { error: 'Request body must be an object' }));
+        }
+      }
+
+      const ctx = {
+        request,
+        requestId,
+        startTime,
+        id,
+        params: routeParams,
+        session: authCheck.session,
+        actorId: authCheck.session?.user?.id ?? null,
+        ip,
+        body,
+        data: body,
+        client: null,
+        audit: getAuditContext(request, authCheck.session, requestId),
+        tags,
+        fail,
+      };
+
+      // ===== ÉTAPE 5: SANITIZATION DES INPUTS =====
+      if (sanitize) {
+        ctx.data = sanitize(body, ctx);
+      }
+
+      // ===== ÉTAPE 6: VALIDATION AVEC YUP =====
+      if (schema) {
+        try {
+          await schema.validate(pickDefined(ctx.data), { abortEarly: false });
+        } catch (validationError) {
+          const errors = toFieldErrors(validationError);
+
+          logger.error(`${entity} Validation Error with Yup`, {
+            category: categorizeError(validationError),
+            failed_fields: Object.keys(errors),
+            total_errors: Object.keys(errors).length,
+            requestId,
+            resourceId: id,
+          });
+
+          captureMessage(`${entity} validation failed with Yup schema`, {
+            level: 'warning',
+            tags: {
+              ...tags,
+              action: 'yup_validation_failed',
+              error_category: 'validation',
+            },
+            extra: {
+              requestId,
+              resourceId: id,
+              failedFields: Object.keys(errors),
+              validationErrors: errors,
+            },
+          });
+
+          return send(fail(400, { error: 'Validation failed', errors }));
+        }
+      }
+
+      // ===== ÉTAPE 7: CONNEXION BASE DE DONNÉES =====
+      if (database) {
+        try {
+          client = await getClient();
+          ctx.client = client;
+        } catch (dbConnectionError) {
+          logger.error(`Database Connection Error on ${endpoint}`, {
+            category: categorizeError(dbConnectionError),
+            message: dbConnectionError.message,
+            requestId,
+            resourceId: id,
+          });
+
+          captureDatabaseError(dbConnectionError, {
+            tags: {
+              ...tags,
+              action: 'db_connection_failed',
+              operation: 'connection',
+            },
+            extra: {
+              requestId,
+              resourceId: id,
+              timeout: process.env.CONNECTION_TIMEOUT || 'not_set',
+              ip,
+            },
+          });
+
+          return send(fail(503, { error: 'Database connection failed' }));
+        }
+      }
+
+      // ===== ÉTAPE 8: TRAITEMENT MÉTIER =====
+      let result;
+      try {
+        result = await handler(ctx);
+      } catch (handlerError) {
+        logger.error(`${entity} ${operation} failed`, {
+          category: categorizeError(handlerError),
+          message: handlerError.message,
+          requestId,
+          resourceId: id,
+        });
+
+        // Les erreurs PostgreSQL portent un code SQLSTATE
+        const capture = handlerError.code
+          ? captureDatabaseError
+          : captureException;
+
+        capture(handlerError, {
+          level: 'error',
+          tags: { ...tags, action: `${operation}_failed` },
+          extra: {
+            requestId,
+            resourceId: id,
+            postgresCode: handlerError.code,
+            postgresDetail: handlerError.detail ? '[Filtered]' : undefined,
+            ip,
+          },
+        });
+
+        return send(
+          fail(500, {
+            error: failureMessage,
+            message: GENERIC_FAILURE_MESSAGE,
+          }),
+        );
+      }
+
+      const status = result?.status || 200;
+
+      // ===== ÉTAPE 9: INVALIDATION DU CACHE APRÈS SUCCÈS =====
+      if (status < 300 && invalidateCache) {
+        try {
+          invalidateCache(ctx, result);
+        } catch (cacheError) {
+          logger.warn(`Failed to invalidate ${component} cache`, {
+            requestId,
+            resourceId: id,
+            error: cacheError.message,
+          });
+
+          captureException(cacheError, {
+            level: 'warning',
+            tags: {
+              ...tags,
+              action: 'cache_invalidation_failed',
+              error_category: 'cache',
+            },
+            extra: { requestId, resourceId: id },
+          });
+        }
+      }
+
+      // ===== ÉTAPE 10: RÉPONSE =====
+      if (status < 300) {
+        logger.info(`${entity} ${operation} successful`, {
+          requestId,
+          resourceId: id,
+          response_time_ms: Date.now() - startTime,
+        });
+
+        captureMessage(`${component} ${operation} completed successfully`, {
+          level: 'info',
+          tags: { ...tags, action: `${operation}_success`, success: 'true' },
+          extra: {
+            requestId,
+            resourceId: id,
+            responseTimeMs: Date.now() - startTime,
+          },
+        });
+
+        return send({
+          status,
+          body: {
+            success: true,
+            ...result?.body,
+            meta: { requestId, timestamp: new Date().toISOString() },
+          },
+        });
+      }
+
+      return send({ status, body: result?.body });
+    } catch (error) {
+      // ===== GESTION GLOBALE DES ERREURS =====
+      const errorCategory = categorizeError(error);
+
+      logger.error(`Global error on ${endpoint}`, {
+        category: errorCategory,
+        response_time_ms: Date.now() - startTime,
+        error_message: error.message,
+        requestId,
+        resourceId: id,
+      });
+
+      captureException(error, {
+        level: 'error',
+        tags: {
+          ...tags,
+          action: 'global_error_handler',
+          error_category: errorCategory,
+          critical: 'true',
+        },
+        extra: {
+          requestId,
+          resourceId: id,
+          responseTimeMs: Date.now() - startTime,
+          errorName: error.name,
+          stackAvailable: !!error.stack,
+          ip,
+        },
+      });
+
+      return send(
+        fail(500, {
+          error: 'Internal server error',
+          message: GENERIC_FAILURE_MESSAGE,
+        }),
+      );
+    } finally {
+      if (client) await client.cleanup();
+    }
+  };
+}
@@ -0,0 +1,215 @@
+// backend/dashboardStats.js
+// Requêtes des indicateurs de la page d'accueil du dashboard (commandes et applications)
+
+/**
+ * Plages de temps disponibles pour le graphique des revenus.
+ * interval et bucket sont passés en paramètres SQL (jamais interpolés).
+ */
+export const REVENUE_RANGES = {
+  '7d': { label: '7 jours', interval: '7 days', bucket: 'day' },
+  '30d': { label: '30 jours', interval: '30 days', bucket: 'day' },
+  '90d': { label: '90 jours', interval: '90 days', bucket: 'week' },
+  '12m': { label: '12 mois', interval: '12 months', bucket: 'month' },
+};
+
+export const DEFAULT_REVENUE_RANGE = '30d';
+
+// Nombre d'éléments des listes "top applications" et "dernières transactions"
+const TOP_APPLICATIONS_LIMIT = 5;
+const LATEST_TRANSACTIONS_LIMIT = 6;
+
+// Une commande payée est datée par son paiement, à défaut par sa création
+const PAID_ORDERS = `
+  SELECT order_price, COALESCE(order_paid_at, order_created) AS paid_date
+  FROM admin.orders
+  WHERE order_payment_status = 'paid'
+`;
+
+/**
+ * Normalise la plage de temps demandée via l'URL
+ * @param {string} range - Clé brute (ex: '30d')
+ * @returns {string} - Clé valide de REVENUE_RANGES
+ */
+export function parseRevenueRange(range) {
+  return Object.hasOwn(REVENUE_RANGES, range) ? range : DEFAULT_REVENUE_RANGE;
+}
+
+/**
+ * Calcule la variation en pourcentage entre deux périodes
+ * @param {number} current - Valeur de la période courante
+ * @param {number} previous - Valeur de la période précédente
+ * @returns {number|null} - Variation arrondie, null si la période précédente est vide
+ */
+function computeChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * Revenus et nombre de commandes payées sur la période et la période précédente
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} range - Entrée de REVENUE_RANGES
+ * @returns {Promise<Object>} - Résumé des revenus
+ */
+async function fetchRevenueSummary(client, { interval }) {
+  const result = await client.query(
+    `SELECT
+       COALESCE(SUM(order_price) FILTER (WHERE paid_date >= NOW() - $1::interval), 0)::float AS current_revenue,
+       COUNT(*) FILTER (WHERE paid_date >= NOW() - $1::interval)::int AS current_orders,
+       COALESCE(SUM(order_price) FILTER (
+         WHERE paid_date >= NOW() - $1::interval * 2 AND paid_date < NOW() - $1::interval
+       ), 0)::float AS previous_revenue,
+       COUNT(*) FILTER (
+         WHERE paid_date >= NOW() - $1::interval * 2 AND paid_date < NOW() - $1::interval
+       )::int AS previous_orders,
+       COALESCE(SUM(order_price), 0)::float AS total_revenue
+     FROM (${PAID_ORDERS}) AS paid_orders`,
+    [interval],
+  );
+
+  const row = result.rows[0] || {};
+  const currentRevenue = row.current_revenue || 0;
+  const currentOrders = row.current_orders || 0;
+  const previousRevenue = row.previous_revenue || 0;
+  const previousOrders = row.previous_orders || 0;
+
+  return {
+    revenue: currentRevenue,
+    revenueChange: computeChange(currentRevenue, previousRevenue),
+    paidOrders: currentOrders,
+    paidOrdersChange: computeChange(currentOrders, previousOrders),
+    averageOrder: currentOrders ? currentRevenue / currentOrders : 0,
+    totalRevenue: row.total_revenue || 0,
+  };
+}
+
+/**
+ * Série temporelle des revenus, complétée par des zéros pour les périodes vides
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} range - Entrée de REVENUE_RANGES
+ * @returns {Promise<Array>} - [{ period, revenue, orders }]
+ */
+async function fetchRevenueSeries(client, { interval, bucket }) {
+  const result = await client.query(
+    `WITH periods AS (
+       SELECT generate_series(
+         date_trunc($2, NOW() - $1::interval),
+         date_trunc($2, NOW()),
+         ('1 ' || $2)::interval
+       ) AS period
+     )
+     SELECT
+       periods.period,
+       COALESCE(SUM(paid_orders.order_price), 0)::float AS revenue,
+       COUNT(paid_orders.order_price)::int AS orders
+     FROM periods
+     LEFT JOIN (${PAID_ORDERS}) AS paid_orders
+       ON date_trunc($2, paid_orders.paid_date) = periods.period
+     GROUP BY periods.period
+     ORDER BY periods.period`,
+    [interval, bucket],
+  );
+
+  return result.rows.map((row) => ({
+    period: row.period?.toISOString?.() ?? row.period,
+    revenue: row.revenue,
+    orders: row.orders,
+  }));
+}
+
+/**
+ * Nombre de commandes et montant par statut de paiement (toutes périodes)
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<Array>} - [{ status, count, amount }]
+ */
+async function fetchOrderStatusCounts(client) {
+  const result = await client.query(
+    `SELECT
+       order_payment_status AS status,
+       COUNT(*)::int AS count,
+       COALESCE(SUM(order_price), 0)::float AS amount
+     FROM admin.orders
+     GROUP BY order_payment_status
+     ORDER BY count DESC`,
+  );
+
+  return result.rows;
+}
+
+/**
+ * Applications les plus vendues selon catalog.applications.sales_count
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<Array>} - Applications triées par ventes
+ */
+async function fetchTopApplications(client) {
+  const result = await client.query(
+    `SELECT
+       application_id,
+       application_name,
+       application_category,
+       application_images,
+       COALESCE(sales_count, 0)::int AS sales_count
+     FROM catalog.applications
+     WHERE COALESCE(sales_count, 0) > 0
+     ORDER BY sales_count DESC, application_name ASC
+     LIMIT $1`,
+    [TOP_APPLICATIONS_LIMIT],
+  );
+
+  return result.rows;
+}
+
+/**
+ * Dernières commandes avec l'application achetée
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<Array>} - Transactions les plus récentes
+ */
+async function fetchLatestTransactions(client) {
+  const result = await client.query(
+    `SELECT
+       orders.order_id,
+       orders.order_payment_status,
+       orders.order_price,
+       orders.order_created,
+       applications.application_name,
+       applications.application_images
+     FROM admin.orders
+     JOIN catalog.applications
+       ON admin.orders.order_application_id = catalog.applications.application_id
+     ORDER BY admin.orders.order_created DESC
+     LIMIT $1`,
+    [LATEST_TRANSACTIONS_LIMIT],
+  );
+
+  return result.rows.map((row) => ({
+    ...row,
+    order_price: Number(row.order_price),
+    order_created: row.order_created?.toISOString?.() ?? row.order_created,
+  }));
+}
+
+/**
+ * Calcule l'ensemble des indicateurs de la page d'accueil
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} rangeKey - Clé normalisée par parseRevenueRange
+ * @returns {Promise<Object>} - { range, summary, revenueSeries, orderStatusCounts, topApplications, latestTransactions }
+ */
+export async function fetchDashboardStats(client, rangeKey) {
+  const range = REVENUE_RANGES[rangeKey];
+
+  // Requêtes séquentielles : un client pg n'exécute qu'une requête à la fois
+  const summary = await fetchRevenueSummary(client, range);
+  const revenueSeries = await fetchRevenueSeries(client, range);
+  const orderStatusCounts = await fetchOrderStatusCounts(client);
+  const topApplications = await fetchTopApplications(client);
+  const latestTransactions = await fetchLatestTransactions(client);
+
+  return {
+    range: rangeKey,
+    summary,
+    revenueSeries,
+    orderStatusCounts,
+    topApplications,
+    latestTransactions,
+  };
+}
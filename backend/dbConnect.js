@@ -1,7 +1,9 @@
-import { Client } from 'pg';
+import { Pool } from 'pg';
 
-const MAX_RETRIES = 5; // Max reconnection attempts
-const RETRY_DELAY = 5000; // Delay between retries (in ms)
+const MAX_RETRIES = 5; // Max acquisition attempts after the first failure
+const BASE_RETRY_DELAY = 250; // First retry delay (in ms), doubled on each attempt
+const MAX_RETRY_DELAY = 8000; // Upper bound for a single retry delay (in ms)
+const DRAIN_TIMEOUT = 10000; // Max time to wait for checked-out clients on shutdown (in ms)
 
 // Helper function to get formatted timestamp
 const getTimestamp = () => new Date().toISOString();
@@ -26,14 +28,17 @@ requiredEnvVars.forEach((envVar) => {
   }
 });
 
-// Configuration object for creating clients
-const getClientConfig = () => ({
+// Configuration object for the pool
+const getPoolConfig = () => ({
   user: process.env.USER_NAME,
   host: process.env.HOST_NAME,
   database: process.env.DB_NAME,
   password: process.env.DB_PASSWORD,
   port: Number(process.env.PORT_NUMBER) || 5432,
   connectionTimeoutMillis: Number(process.env.CONNECTION_TIMEOUT) || 5000,
+  // Pool size and idle lifetime of a connection
+  max: Number(process.env.MAXIMUM_CLIENTS) || 10,
+  idleTimeoutMillis: Number(process.env.CLIENT_EXISTENCE) || 30000,
   ssl: process.env.DB_CA
     ? {
         require: true,
@@ -43,85 +48,196 @@ const getClientConfig = () => ({
     : false,
 });
 
-// 🔹 Function to get a database client
-export const getClient = async () => {
-  try {
-    const client = new Client(getClientConfig());
-    await client.connect();
-    console.log(`[${getTimestamp()}] ✅ Database client connected`);
-
-    // Add a cleanup method to the client
-    client.cleanup = async () => {
-      try {
-        await client.end();
-        console.log(`[${getTimestamp()}] ✅ Database client disconnected`);
-      } catch (err) {
-        console.error(
-          `[${getTimestamp()}] ❌ Error disconnecting client:`,
-          err.message,
-        );
-      }
-    };
+// The pool lives on globalThis so that dev hot reloads don't open a new pool each time
+const state = globalThis.__dbPoolState || {
+  pool: null,
+  draining: false,
+  signalsRegistered: false,
+  metrics: {
+    acquired: 0,
+    released: 0,
+    acquireErrors: 0,
+    retries: 0,
+    idleErrors: 0,
+    totalAcquireMs: 0,
+    maxAcquireMs: 0,
+    lastError: null,
+    lastErrorAt: null,
+  },
+};
+globalThis.__dbPoolState = state;
 
-    return client;
-  } catch (err) {
+const recordError = (err) => {
+  state.metrics.lastError = err.message;
+  state.metrics.lastErrorAt = getTimestamp();
+};
+
+// 🔹 Lazily create the shared pool
+const getPool = () => {
+  if (state.pool) return state.pool;
+
+  const pool = new Pool(getPoolConfig());
+
+  pool.on('connect', () => {
+    console.log(`[${getTimestamp()}] ✅ Database connection opened in pool`);
+  });
+
+  // An idle client losing its connection must not crash the process
+  pool.on('error', (err) => {
+    state.metrics.idleErrors += 1;
+    recordError(err);
     console.error(
-      `[${getTimestamp()}] ❌ Error connecting database client:`,
+      `[${getTimestamp()}] ❌ Idle database client error:`,
       err.message,
     );
-    return retryConnection();
-  }
+  });
+
+  state.pool = pool;
+  return pool;
 };
 
-// 🔄 Retry connection logic
-const retryConnection = async (attempt = 1) => {
-  if (attempt > MAX_RETRIES) {
-    console.error(
-      `[${getTimestamp()}] 🚨 Maximum connection attempts reached. Database is unavailable.`,
-    );
-    throw new Error('Database connection error after maximum retry attempts');
+// Exponential backoff with jitter: 250ms, 500ms, 1s, 2s, 4s... capped at MAX_RETRY_DELAY
+const getRetryDelay = (attempt) => {
+  const delay = Math.min(
+    BASE_RETRY_DELAY * 2 ** (attempt - 1),
+    MAX_RETRY_DELAY,
+  );
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Attach the cleanup() contract to a checked-out client
+const attachCleanup = (client) => {
+  let released = false;
+
+  // Pass an error to destroy the connection instead of returning it to the pool
+  client.cleanup = async (err) => {
+    if (released) return;
+    released = true;
+
+    try {
+      client.release(err instanceof Error ? err : undefined);
+      state.metrics.released += 1;
+    } catch (releaseErr) {
+      console.error(
+        `[${getTimestamp()}] ❌ Error releasing client:`,
+        releaseErr.message,
+      );
+    }
+  };
+
+  return client;
+};
+
+// 🔹 Function to get a database client
+export const getClient = async () => {
+  if (state.draining) {
+    throw new Error('Database pool is draining, no new clients are available');
   }
 
-  console.log(
-    `[${getTimestamp()}] 🔄 Attempting to connect... (Attempt ${attempt}/${MAX_RETRIES})`,
-  );
+  const pool = getPool();
 
-  return new Promise((resolve, reject) => {
-    setTimeout(async () => {
-      try {
-        const client = new Client(getClientConfig());
-        await client.connect();
-        console.log(
-          `[${getTimestamp()}] ✅ Database connected successfully on retry ${attempt}`,
-        );
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      state.metrics.retries += 1;
+      const delay = getRetryDelay(attempt);
+      console.log(
+        `[${getTimestamp()}] 🔄 Retrying database connection in ${delay}ms (Attempt ${attempt}/${MAX_RETRIES})`,
+      );
+      await wait(delay);
 
-        // Add cleanup method
-        client.cleanup = async () => {
-          try {
-            await client.end();
-            console.log(`[${getTimestamp()}] ✅ Database client disconnected`);
-          } catch (err) {
-            console.error(
-              `[${getTimestamp()}] ❌ Error disconnecting client:`,
-              err.message,
-            );
-          }
-        };
-
-        resolve(client);
-      } catch (err) {
-        console.error(
-          `[${getTimestamp()}] ❌ Connection attempt ${attempt} failed:`,
-          err.message,
+      if (state.draining) {
+        throw new Error(
+          'Database pool is draining, no new clients are available',
         );
-        try {
-          resolve(await retryConnection(attempt + 1));
-        } catch (retryErr) {
-          reject(retryErr);
-        }
       }
-    }, RETRY_DELAY);
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const client = await pool.connect();
+      const acquireMs = Date.now() - startedAt;
+
+      state.metrics.acquired += 1;
+      state.metrics.totalAcquireMs += acquireMs;
+      state.metrics.maxAcquireMs = Math.max(
+        state.metrics.maxAcquireMs,
+        acquireMs,
+      );
+
+      return attachCleanup(client);
+    } catch (err) {
+      state.metrics.acquireErrors += 1;
+      recordError(err);
+      console.error(
+        `[${getTimestamp()}] ❌ Error acquiring database client:`,
+        err.message,
+      );
+    }
+  }
+
+  console.error(
+    `[${getTimestamp()}] 🚨 Maximum connection attempts reached. Database is unavailable.`,
+  );
+  throw new Error('Database connection error after maximum retry attempts');
+};
+
+// 🔹 Pool health metrics (for monitoring and health checks)
+export const getPoolStats = () => {
+  const pool = state.pool;
+  const { metrics } = state;
+
+  return {
+    max: pool ? pool.options.max : getPoolConfig().max,
+    total: pool ? pool.totalCount : 0,
+    idle: pool ? pool.idleCount : 0,
+    waiting: pool ? pool.waitingCount : 0,
+    inUse: metrics.acquired - metrics.released,
+    draining: state.draining,
+    acquired: metrics.acquired,
+    released: metrics.released,
+    acquireErrors: metrics.acquireErrors,
+    retries: metrics.retries,
+    idleErrors: metrics.idleErrors,
+    avgAcquireMs: metrics.acquired
+      ? Math.round(metrics.totalAcquireMs / metrics.acquired)
+      : 0,
+    maxAcquireMs: metrics.maxAcquireMs,
+    lastError: metrics.lastError,
+    lastErrorAt: metrics.lastErrorAt,
+  };
+};
+
+// 🔹 Stop handing out clients and close the pool once checked-out clients are released
+export const drainPool = async () => {
+  state.draining = true;
+
+  if (!state.pool) return;
+
+  const pool = state.pool;
+  state.pool = null;
+
+  console.log(
+    `[${getTimestamp()}] ⏳ Draining database pool (${pool.totalCount - pool.idleCount} client(s) in use)...`,
+  );
+
+  let timeoutId;
+  const timeout = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve('timeout'), DRAIN_TIMEOUT);
   });
+
+  const result = await Promise.race([pool.end(), timeout]);
+  clearTimeout(timeoutId);
+
+  if (result === 'timeout') {
+    console.warn(
+      `[${getTimestamp()}] ⚠️ Database pool drain timed out after ${DRAIN_TIMEOUT}ms`,
+    );
+  } else {
+    console.log(`[${getTimestamp()}] ✅ Database pool drained`);
+  }
 };
 
 // 🔹 Test database connection on startup
@@ -140,13 +256,29 @@ const retryConnection = async (attempt = 1) => {
   }
 })();
 
-// Handle process exit signals - no pool to clean up, but log the exit
-process.on('SIGINT', () => {
-  console.log(`[${getTimestamp()}] 🛑 Received SIGINT signal, exiting...`);
-  process.exit(0);
-});
+// Handle process exit signals: drain the pool, then let the default signal behaviour run
+const handleShutdownSignal = async (signal) => {
+  console.log(
+    `[${getTimestamp()}] 🛑 Received ${signal} signal, draining database pool...`,
+  );
 
-process.on('SIGTERM', () => {
-  console.log(`[${getTimestamp()}] 🛑 Received SIGTERM signal, exiting...`);
-  process.exit(0);
-});
+  try {
+    await drainPool();
+  } catch (err) {
+    console.error(
+      `[${getTimestamp()}] ❌ Error draining database pool:`,
+      err.message,
+    );
+  }
+
+  // Our listener was registered with once(): re-raise only if nobody else handles the signal
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+};
+
+if (!state.signalsRegistered) {
+  state.signalsRegistered = true;
+  process.once('SIGINT', handleShutdownSignal);
+  process.once('SIGTERM', handleShutdownSignal);
+}
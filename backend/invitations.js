@@ -0,0 +1,96 @@
+// backend/invitations.js
+// Gestion des invitations d'inscription (table admin.user_invitations)
+import crypto from 'crypto';
+
+/**
+ * Durée de validité d'une invitation en heures (72h par défaut)
+ */
+export const INVITATION_TTL_HOURS =
+  parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72;
+
+/**
+ * Colonnes exposables d'admin.user_invitations : jamais le hash du token
+ */
+export const SAFE_INVITATION_COLUMNS = `
+  invitation_id,
+  invitation_email,
+  invitation_role,
+  invited_by,
+  expires_at,
+  used_at,
+  used_by,
+  revoked_at,
+  created_at
+`;
+
+/**
+ * Génère un token d'invitation aléatoire (64 caractères hexadécimaux)
+ * @returns {string} Token brut, à transmettre uniquement à l'invité
+ */
+export function generateInvitationToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash SHA-256 d'un token d'invitation, seule forme stockée en base
+ * @param {string} token - Token brut
+ * @returns {string} Hash hexadécimal
+ */
+export function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Construit le lien d'inscription à envoyer à l'invité
+ * @param {string} token - Token brut
+ * @returns {string} URL absolue (ou relative si NEXT_PUBLIC_SITE_URL absent)
+ */
+export function buildInvitationUrl(token) {
+  const baseUrl = process.env.NEXT_PUBLIC_SITE_URL || '';
+  return `${baseUrl}/register?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Détermine le statut d'une invitation à partir de ses dates
+ * @param {Object} invitation - Ligne admin.user_invitations
+ * @returns {'used'|'revoked'|'expired'|'pending'} Statut
+ */
+export function getInvitationStatus(invitation) {
+  if (invitation.used_at) return 'used';
+  if (invitation.revoked_at) return 'revoked';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Recherche l'invitation correspondant à un token et vérifie qu'elle est utilisable
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} token - Token brut reçu de l'invité
+ * @param {Object} options - { forUpdate: verrouiller la ligne dans une transaction }
+ * @returns {Promise<Object>} - { valid, reason, invitation }
+ */
+export async function findUsableInvitation(client, token, options = {}) {
+  const { forUpdate = false } = options;
+
+  const result = await client.query(
+    `SELECT invitation_id, invitation_email, invitation_role, expires_at, used_at, revoked_at
+     FROM admin.user_invitations
+     WHERE invitation_token_hash = $1
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [hashInvitationToken(token)],
+  );
+
+  const invitation = result.rows[0];
+
+  if (!invitation) {
+    return { valid: false, reason: 'not_found', invitation: null };
+  }
+
+  const status = getInvitationStatus(invitation);
+
+  if (status !== 'pending') {
+    return { valid: false, reason: status, invitation };
+  }
+
+  return { valid: true, reason: null, invitation };
+}
@@ -0,0 +1,84 @@
+// backend/jobs.js
+// Tâches de fond du dashboard, démarrées par instrumentation.js (runtime Node.js)
+import { scheduleJob } from '@backend/scheduler';
+import { getPoolStats } from '@backend/dbConnect';
+import { purgeExpiredTrash } from '@backend/trash';
+import { reconcileMedia } from '@backend/mediaReconciliation';
+import { publishDueArticles } from '@backend/articlePublishing';
+import { purgeRateLimitStore } from '@backend/rateLimitStore';
+
+/**
+ * Intervalle de la purge de la corbeille (24 heures par défaut)
+ */
+const TRASH_PURGE_INTERVAL_MS =
+  (parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+/**
+ * Intervalle de la réconciliation des images Cloudinary (24 heures par défaut).
+ * La tâche se contente de compter les orphelins tant que
+ * MEDIA_RECONCILIATION_DELETE n'est pas à 'true'
+ */
+const MEDIA_RECONCILIATION_INTERVAL_MS =
+  (parseInt(process.env.MEDIA_RECONCILIATION_INTERVAL_HOURS, 10) || 24) *
+  60 *
+  60 *
+  1000;
+
+/**
+ * Intervalle de publication des articles programmés (60 secondes par défaut)
+ */
+const ARTICLE_PUBLISHER_INTERVAL_MS =
+  (parseInt(process.env.ARTICLE_PUBLISHER_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+/**
+ * Intervalle de purge des compteurs et bannissements expirés du rate limiter
+ * (60 minutes par défaut ; sans effet pour le store Redis, qui expire ses clés)
+ */
+const RATE_LIMIT_PURGE_INTERVAL_MS =
+  (parseInt(process.env.RATE_LIMIT_PURGE_INTERVAL_MINUTES, 10) || 60) *
+  60 *
+  1000;
+
+/**
+ * Intervalle de journalisation des statistiques du pool PostgreSQL
+ * (5 minutes par défaut)
+ */
+const DB_POOL_STATS_INTERVAL_MS =
+  (parseInt(process.env.DB_POOL_STATS_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+
+/**
+ * Enregistre toutes les tâches de fond
+ */
+export function registerJobs() {
+  scheduleJob('trash_retention_purge', {
+    intervalMs: TRASH_PURGE_INTERVAL_MS,
+    run: ({ requestId }) => purgeExpiredTrash({ requestId }),
+  });
+
+  scheduleJob('media_reconciliation', {
+    intervalMs: MEDIA_RECONCILIATION_INTERVAL_MS,
+    run: ({ client, requestId }) =>
+      reconcileMedia(client, {
+        dryRun: process.env.MEDIA_RECONCILIATION_DELETE !== 'true',
+        requestId,
+      }),
+  });
+
+  scheduleJob('publish_scheduled_articles', {
+    intervalMs: ARTICLE_PUBLISHER_INTERVAL_MS,
+    initialDelayMs: 10 * 1000,
+    run: ({ requestId }) => publishDueArticles({ requestId }),
+  });
+
+  scheduleJob('rate_limit_purge', {
+    intervalMs: RATE_LIMIT_PURGE_INTERVAL_MS,
+    run: () => purgeRateLimitStore(),
+  });
+
+  // Chaque instance a son propre pool : journalisé partout, sans verrou
+  scheduleJob('db_pool_stats', {
+    intervalMs: DB_POOL_STATS_INTERVAL_MS,
+    local: true,
+    run: async () => getPoolStats(),
+  });
+}
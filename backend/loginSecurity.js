@@ -0,0 +1,341 @@
+// backend/loginSecurity.js
+// Verrouillage progressif des comptes et journal des connexions (admin.login_events),
+// persistés en base : partagés entre instances et conservés d'un déploiement à l'autre
+import { escapeHtml, sendMail } from '@backend/mail';
+import { LOGIN_EVENT_REASONS } from '@/utils/loginSecurity';
+import logger from '@utils/logger';
+
+/**
+ * Échecs consécutifs déclenchant un verrouillage (5 par défaut)
+ */
+export const LOGIN_LOCKOUT_THRESHOLD =
+  parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+
+/**
+ * Au-delà de ce délai (minutes) sans nouvel échec, le compteur repart de zéro
+ */
+export const LOGIN_FAILURE_WINDOW_MINUTES =
+  parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15;
+
+/**
+ * Durée du premier verrouillage en minutes, doublée à chaque verrouillage suivant
+ */
+export const LOGIN_LOCKOUT_BASE_MINUTES =
+  parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 5;
+
+/**
+ * Durée maximale d'un verrouillage en minutes (24 heures par défaut)
+ */
+export const LOGIN_LOCKOUT_MAX_MINUTES =
+  parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+/**
+ * Échecs depuis une même adresse, tous comptes confondus, au-delà desquels
+ * l'activité est signalée comme suspecte (bourrage d'identifiants)
+ */
+export const SUSPICIOUS_IP_FAILURE_THRESHOLD =
+  parseInt(process.env.SUSPICIOUS_IP_FAILURE_THRESHOLD, 10) || 20;
+
+export const LOGIN_EVENTS_PAGE_SIZE = 25;
+export const LOGIN_EVENTS_MAX_PAGE_SIZE = 100;
+
+/**
+ * Durée d'un verrouillage selon le nombre de verrouillages précédents
+ * @param {number} previousLockouts - Verrouillages depuis la dernière connexion réussie
+ * @returns {number} Durée en minutes
+ */
+export function getLockoutMinutes(previousLockouts) {
+  return Math.min(
+    LOGIN_LOCKOUT_BASE_MINUTES * 2 ** Math.max(previousLockouts, 0),
+    LOGIN_LOCKOUT_MAX_MINUTES,
+  );
+}
+
+/**
+ * Enregistre une tentative de connexion
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} event - { userId, success, reason, ip (anonymisée), userAgent }
+ */
+export async function recordLoginEvent(
+  client,
+  { userId = null, success, reason = null, ip = null, userAgent = null },
+) {
+  await client.query(
+    `INSERT INTO admin.login_events (user_id, success, reason, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      userId,
+      !!success,
+      reason,
+      ip,
+      userAgent ? String(userAgent).slice(0, 512) : null,
+    ],
+  );
+}
+
+/**
+ * Comptabilise un échec de connexion et verrouille le compte au seuil atteint
+ * @param {Object} client - Client PostgreSQL (dans une transaction)
+ * @param {number} userId - Compte concerné
+ * @returns {Promise<Object>} - { failedCount, locked, lockedUntil, lockoutMinutes }
+ */
+export async function registerFailedLogin(client, userId) {
+  const result = await client.query(
+    `UPDATE admin.users
+     SET user_failed_login_count = CASE
+           WHEN user_last_failed_login_at > NOW() - make_interval(mins => $2)
+           THEN user_failed_login_count + 1
+           ELSE 1
+         END,
+         user_last_failed_login_at = NOW()
+     WHERE user_id = $1
+     RETURNING user_failed_login_count, user_lockout_count`,
+    [userId, LOGIN_FAILURE_WINDOW_MINUTES],
+  );
+
+  const counters = result.rows[0];
+
+  if (!counters || counters.user_failed_login_count < LOGIN_LOCKOUT_THRESHOLD) {
+    return {
+      failedCount: counters?.user_failed_login_count || 0,
+      locked: false,
+      lockedUntil: null,
+      lockoutMinutes: 0,
+    };
+  }
+
+  const lockoutMinutes = getLockoutMinutes(counters.user_lockout_count);
+  const lockResult = await client.query(
+    `UPDATE admin.users
+     SET user_locked_until = NOW() + make_interval(mins => $2),
+         user_lockout_count = user_lockout_count + 1,
+         user_failed_login_count = 0
+     WHERE user_id = $1
+     RETURNING user_locked_until`,
+    [userId, lockoutMinutes],
+  );
+
+  return {
+    failedCount: counters.user_failed_login_count,
+    locked: true,
+    lockedUntil: lockResult.rows[0].user_locked_until,
+    lockoutMinutes,
+  };
+}
+
+/**
+ * Remet les compteurs à zéro après une connexion réussie
+ * @param {Object} client - Client PostgreSQL
+ * @param {number} userId - Compte concerné
+ */
+export async function resetFailedLogins(client, userId) {
+  await client.query(
+    `UPDATE admin.users
+     SET user_failed_login_count = 0,
+         user_lockout_count = 0,
+         user_locked_until = NULL
+     WHERE user_id = $1
+       AND (user_failed_login_count > 0 OR user_lockout_count > 0
+            OR user_locked_until IS NOT NULL)`,
+    [userId],
+  );
+}
+
+/**
+ * Indique si une adresse cumule trop d'échecs récents, tous comptes confondus
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} ip - Adresse anonymisée
+ * @returns {Promise<boolean>}
+ */
+export async function isSuspiciousLoginSource(client, ip) {
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS failures
+     FROM admin.login_events
+     WHERE ip_address = $1 AND success = FALSE
+       AND created_at > NOW() - make_interval(mins => $2)`,
+    [ip, LOGIN_FAILURE_WINDOW_MINUTES],
+  );
+
+  return (result.rows[0]?.failures || 0) >= SUSPICIOUS_IP_FAILURE_THRESHOLD;
+}
+
+/**
+ * Contenu de l'email envoyé au titulaire d'un compte verrouillé
+ * @param {Object} user - { user_name }
+ * @param {Object} lockout - { failedCount, lockoutMinutes }
+ * @returns {Object} - { subject, text, html }
+ */
+export function buildLockoutEmail(user, { failedCount, lockoutMinutes }) {
+  const baseUrl = process.env.NEXT_PUBLIC_SITE_URL || '';
+  const resetUrl = `${baseUrl}/forgot-password`;
+  const greeting = user.user_name ? `Hello ${user.user_name},` : 'Hello,';
+  const summary = `Your account has been locked for ${lockoutMinutes} minutes after ${failedCount} failed sign-in attempts.`;
+  const advice =
+    'If this was not you, someone may be trying to access your account: reset your password once the lock expires.';
+
+  return {
+    subject: 'Your account has been temporarily locked',
+    text: [greeting, '', summary, advice, resetUrl].join('\n'),
+    html: [
+      `<p>${escapeHtml(greeting)}</p>`,
+      `<p>${summary}</p>`,
+      `<p>${advice}</p>`,
+      `<p><a href="${escapeHtml(resetUrl)}">${escapeHtml(resetUrl)}</a></p>`,
+    ].join('\n'),
+  };
+}
+
+/**
+ * Prévient le titulaire d'un compte qu'il vient d'être verrouillé
+ * @param {Object} user - { user_id, user_name, user_email }
+ * @param {Object} lockout - Résultat de registerFailedLogin
+ * @returns {Promise<Object>} - Résultat de sendMail
+ */
+export async function sendLockoutNotification(user, lockout) {
+  const mail = await sendMail({
+    to: user.user_email,
+    ...buildLockoutEmail(user, lockout),
+  });
+
+  logger.info('Account lockout notification sent', {
+    userId: user.user_id,
+    transport: mail.transport,
+  });
+
+  return mail;
+}
+
+/**
+ * Lève un verrouillage et remet les compteurs à zéro
+ * @param {Object} client - Client PostgreSQL (dans une transaction)
+ * @param {number|string} userId - Compte concerné
+ * @returns {Promise<Object|null>} - { before, after } pour le journal d'audit, ou null si inconnu
+ */
+export async function unlockAccount(client, userId) {
+  const columns = `user_failed_login_count, user_locked_until, user_lockout_count`;
+
+  const previousResult = await client.query(
+    `SELECT ${columns} FROM admin.users WHERE user_id = $1 FOR UPDATE`,
+    [userId],
+  );
+
+  if (previousResult.rows.length === 0) return null;
+
+  const updateResult = await client.query(
+    `UPDATE admin.users
+     SET user_failed_login_count = 0,
+         user_locked_until = NULL,
+         user_lockout_count = 0
+     WHERE user_id = $1
+     RETURNING ${columns}`,
+    [userId],
+  );
+
+  return { before: previousResult.rows[0], after: updateResult.rows[0] };
+}
+
+/**
+ * Comptes actuellement verrouillés, le verrouillage le plus long en premier
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<Array>}
+ */
+export async function fetchLockedAccounts(client) {
+  const result = await client.query(
+    `SELECT user_id, user_name, user_email, user_role,
+            user_locked_until, user_lockout_count, user_last_failed_login_at
+     FROM admin.users
+     WHERE user_locked_until > NOW()
+     ORDER BY user_locked_until DESC`,
+  );
+
+  return result.rows;
+}
+
+/**
+ * Normalise les filtres du journal des connexions issus de l'URL
+ * @param {Object} params - Paramètres bruts (page, limit, user, status, reason)
+ * @returns {Object} - { page, limit, offset, user, status, reason }
+ */
+export function parseLoginEventParams(params = {}) {
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(params.limit, 10) || LOGIN_EVENTS_PAGE_SIZE, 1),
+    LOGIN_EVENTS_MAX_PAGE_SIZE,
+  );
+  const user = parseInt(params.user, 10) > 0 ? parseInt(params.user, 10) : null;
+  const status = ['success', 'failure'].includes(params.status)
+    ? params.status
+    : '';
+  const reason = Object.keys(LOGIN_EVENT_REASONS).includes(params.reason)
+    ? params.reason
+    : '';
+
+  return { page, limit, offset: (page - 1) * limit, user, status, reason };
+}
+
+/**
+ * Récupère une page du journal des connexions, de la plus récente à la plus ancienne
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} params - Paramètres normalisés par parseLoginEventParams
+ * @returns {Promise<Object>} - { events, pagination }
+ */
+export async function fetchLoginEventsPage(
+  client,
+  { page, limit, offset, user, status, reason },
+) {
+  const conditions = [];
+  const values = [];
+
+  if (user) {
+    values.push(user);
+    conditions.push(`e.user_id = $${values.length}`);
+  }
+  if (status) {
+    values.push(status === 'success');
+    conditions.push(`e.success = $${values.length}`);
+  }
+  if (reason) {
+    values.push(reason);
+    conditions.push(`e.reason = $${values.length}`);
+  }
+
+  const whereClause = conditions.length
+    ? `WHERE ${conditions.join(' AND ')}`
+    : '';
+
+  const countResult = await client.query(
+    `SELECT COUNT(*)::int AS total FROM admin.login_events e ${whereClause}`,
+    values,
+  );
+
+  const eventsResult = await client.query(
+    `SELECT
+       e.event_id,
+       e.user_id,
+       u.user_name,
+       u.user_email,
+       e.success,
+       e.reason,
+       e.ip_address,
+       e.user_agent,
+       e.created_at
+     FROM admin.login_events e
+     LEFT JOIN admin.users u ON u.user_id = e.user_id
+     ${whereClause}
+     ORDER BY e.created_at DESC, e.event_id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset],
+  );
+
+  const total = countResult.rows[0]?.total || 0;
+
+  return {
+    events: eventsResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(Math.ceil(total / limit), 1),
+    },
+  };
+}
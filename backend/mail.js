@@ -0,0 +1,130 @@
+// backend/mail.js
+// Envoi d'emails via un transport interchangeable (MAIL_TRANSPORT)
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import logger from '@utils/logger';
+
+/**
+ * Expéditeur par défaut des emails
+ */
+export const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+// Dossier des emails écrits par le transport 'file'
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || '.mail';
+
+/**
+ * Échappe une valeur insérée dans le HTML d'un email (texte ou attribut entre guillemets)
+ * @param {*} value - Valeur à insérer
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Transports intégrés : ils n'envoient rien réellement
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Transport 'console' : journalise l'envoi (développement). Le corps n'est pas
+ * journalisé : il peut contenir un lien à usage unique (réinitialisation du mot
+ * de passe). Le transport 'file' conserve le message complet
+ */
+const consoleTransport = {
+  async send(message) {
+    logger.info('Mail (console transport)', {
+      id: message.id,
+      to: message.to,
+      subject: message.subject,
+    });
+    return { id: message.id };
+  },
+};
+
+/**
+ * Transport 'file' : écrit chaque email dans un fichier JSON (développement et tests)
+ */
+const fileTransport = {
+  async send(message) {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+
+    const filePath = path.join(
+      MAIL_FILE_DIR,
+      `${message.date.replace(/[:.]/g, '-')}-${message.id}.json`,
+    );
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2), 'utf8');
+
+    return { id: message.id, path: filePath };
+  },
+};
+
+// Transports disponibles, par nom
+const transports = new Map([
+  ['console', consoleTransport],
+  ['file', fileTransport],
+]);
+
+/**
+ * Enregistre un transport supplémentaire (fournisseur SMTP, API HTTP...)
+ * @param {string} name - Nom utilisé dans MAIL_TRANSPORT
+ * @param {Object} transport - { send: async (message) => ({ id }) }
+ */
+export function registerMailTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports.set(name, transport);
+}
+
+/**
+ * Transport configuré par MAIL_TRANSPORT ('console' par défaut, refusé en production)
+ * @returns {Object} - { name, transport }
+ */
+export function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  return { name, transport };
+}
+
+/**
+ * Envoie un email avec le transport configuré
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<Object>} - { id, transport }
+ */
+export async function sendMail({ to, subject, text, html = null }) {
+  const { name, transport } = getMailTransport();
+
+  // En production, un email non envoyé doit échouer plutôt que d'être journalisé
+  // ou écrit sur disque avec son lien à usage unique
+  if (
+    process.env.NODE_ENV === 'production' &&
+    DEVELOPMENT_TRANSPORTS.includes(name)
+  ) {
+    throw new Error(
+      `Mail transport "${name}" cannot be used in production: set MAIL_TRANSPORT to a registered transport`,
+    );
+  }
+
+  const message = {
+    id: crypto.randomUUID(),
+    date: new Date().toISOString(),
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  const result = await transport.send(message);
+
+  return { id: result?.id || message.id, transport: name };
+}
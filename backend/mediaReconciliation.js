@@ -0,0 +1,268 @@
+// backend/mediaReconciliation.js
+// Réconciliation des images Cloudinary : détecte les assets des dossiers du
+// dashboard qu'aucune ligne ne référence (formulaires abandonnés, suppressions
+// antérieures au nettoyage systématique) et les supprime par lot.
+// Le client Cloudinary est injectable : un stub suffit pour exercer le dry-run.
+import cloudinary from '@backend/cloudinary';
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import {
+  MEDIA_FOLDERS,
+  MEDIA_DELETE_BATCH_SIZE,
+  extractCloudinaryImageIds,
+} from '@/utils/media';
+import logger from '@/utils/logger';
+
+/**
+ * Âge minimal d'un asset orphelin avant suppression (24 heures par défaut) :
+ * une image envoyée pendant la saisie d'un formulaire n'est pas encore référencée
+ */
+export const MEDIA_ORPHAN_MIN_AGE_HOURS =
+  parseInt(process.env.MEDIA_ORPHAN_MIN_AGE_HOURS, 10) || 24;
+
+const CLOUDINARY_PAGE_SIZE = 500;
+
+/**
+ * Liste tous les assets d'un dossier Cloudinary (pagination par curseur)
+ * @param {Object} cloud - Client Cloudinary (v2)
+ * @param {string} folder - Dossier
+ * @returns {Promise<Array>} - Ressources Cloudinary
+ */
+async function listFolderAssets(cloud, folder) {
+  const assets = [];
+  let nextCursor;
+
+  do {
+    const page = await cloud.api.resources({
+      type: 'upload',
+      resource_type: 'image',
+      prefix: `${folder}/`,
+      max_results: CLOUDINARY_PAGE_SIZE,
+      next_cursor: nextCursor,
+    });
+
+    assets.push(...(page.resources || []));
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+
+  return assets;
+}
+
+/**
+ * public_id référencés en base. Les lignes dans la corbeille comptent :
+ * leurs images ne sont supprimées qu'à la purge définitive. Les images des
+ * anciennes révisions d'articles restent référencées tant que la révision existe,
+ * de même que les images insérées dans le texte des articles et des révisions
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchReferencedImageIds(client) {
+  const result = await client.query(
+    `SELECT article_image AS image_id FROM admin.articles
+     WHERE article_image IS NOT NULL
+     UNION
+     SELECT og_image FROM admin.articles
+     WHERE og_image IS NOT NULL
+     UNION
+     SELECT revision_image FROM admin.article_revisions
+     WHERE revision_image IS NOT NULL
+     UNION
+     SELECT template_image FROM catalog.templates
+     WHERE template_image IS NOT NULL
+     UNION
+     SELECT UNNEST(application_images) FROM catalog.applications`,
+  );
+
+  const texts = await client.query(
+    `SELECT article_text AS html FROM admin.articles
+     WHERE article_text LIKE '%res.cloudinary.com%'
+     UNION ALL
+     SELECT revision_text FROM admin.article_revisions
+     WHERE revision_text LIKE '%res.cloudinary.com%'`,
+  );
+
+  return new Set(
+    [
+      ...result.rows.map((row) => row.image_id),
+      ...texts.rows.flatMap((row) => extractCloudinaryImageIds(row.html)),
+    ].filter(Boolean),
+  );
+}
+
+/**
+ * Recherche les assets orphelins des dossiers du dashboard
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} [options]
+ * @param {Object} [options.cloud] - Client Cloudinary (stub en test)
+ * @param {Array<string>} [options.folders] - Dossiers à analyser
+ * @param {number} [options.minAgeHours] - Âge minimal d'un orphelin
+ * @returns {Promise<Object>} - { orphans, scanned, referenced, recent }
+ */
+export async function findOrphanedAssets(
+  client,
+  {
+    cloud = cloudinary,
+    folders = Object.keys(MEDIA_FOLDERS),
+    minAgeHours = MEDIA_ORPHAN_MIN_AGE_HOURS,
+  } = {},
+) {
+  const referencedIds = await fetchReferencedImageIds(client);
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+  const orphans = [];
+  let scanned = 0;
+  let recent = 0;
+
+  for (const folder of folders) {
+    const assets = await listFolderAssets(cloud, folder);
+    scanned += assets.length;
+
+    assets.forEach((asset) => {
+      if (referencedIds.has(asset.public_id)) return;
+
+      if (new Date(asset.created_at).getTime() > cutoff) {
+        recent++;
+        return;
+      }
+
+      orphans.push({
+        public_id: asset.public_id,
+        folder,
+        format: asset.format,
+        bytes: asset.bytes,
+        width: asset.width,
+        height: asset.height,
+        created_at: asset.created_at,
+        secure_url: asset.secure_url,
+      });
+    });
+  }
+
+  return {
+    orphans,
+    scanned,
+    referenced: scanned - orphans.length - recent,
+    recent,
+  };
+}
+
+/**
+ * Supprime des assets orphelins. Chaque public_id est revérifié juste avant la
+ * suppression : une image référencée entre l'analyse et la demande est conservée.
+ * @param {Object} client - Client PostgreSQL
+ * @param {Array<string>} publicIds - Assets à supprimer
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Ne rien supprimer, retourner le résultat attendu
+ * @param {Object} [options.cloud] - Client Cloudinary (stub en test)
+ * @param {Object} [options.audit] - Contexte d'audit { actorId, requestId, ip }
+ * @returns {Promise<Object>} - { dryRun, deleted, skipped, failed }
+ */
+export async function deleteOrphanedAssets(
+  client,
+  publicIds,
+  { dryRun = false, cloud = cloudinary, audit = {} } = {},
+) {
+  const referencedIds = await fetchReferencedImageIds(client);
+  const folders = Object.keys(MEDIA_FOLDERS);
+
+  const skipped = [];
+  const candidates = [];
+
+  [...new Set(publicIds)].forEach((publicId) => {
+    const inManagedFolder = folders.some((folder) =>
+      publicId.startsWith(`${folder}/`),
+    );
+
+    if (!inManagedFolder) {
+      skipped.push({ public_id: publicId, reason: 'outside_managed_folders' });
+    } else if (referencedIds.has(publicId)) {
+      skipped.push({ public_id: publicId, reason: 'referenced' });
+    } else {
+      candidates.push(publicId);
+    }
+  });
+
+  if (dryRun) {
+    return { dryRun, deleted: candidates, skipped, failed: [] };
+  }
+
+  const deleted = [];
+  const failed = [];
+
+  for (let i = 0; i < candidates.length; i += MEDIA_DELETE_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + MEDIA_DELETE_BATCH_SIZE);
+
+    try {
+      const response = await cloud.api.delete_resources(batch);
+
+      batch.forEach((publicId) => {
+        // 'not_found' : déjà supprimé, l'objectif est atteint
+        const status = response.deleted?.[publicId];
+        if (status === 'deleted' || status === 'not_found') {
+          deleted.push(publicId);
+        } else {
+          failed.push(publicId);
+        }
+      });
+    } catch (cloudError) {
+      logger.error('Error deleting orphaned assets from Cloudinary', {
+        requestId: audit.requestId,
+        batchSize: batch.length,
+        error: cloudError.message,
+      });
+
+      failed.push(...batch);
+    }
+  }
+
+  // Journal d'audit après coup : Cloudinary n'est pas transactionnel
+  if (deleted.length > 0) {
+    await withTransaction(
+      async (tx) => {
+        for (const publicId of deleted) {
+          await recordAudit(tx, {
+            ...audit,
+            action: 'delete',
+            entity: 'media',
+            entityId: publicId,
+            before: { public_id: publicId },
+          });
+        }
+      },
+      { client, name: 'audit_orphaned_assets', requestId: audit.requestId },
+    );
+  }
+
+  return { dryRun, deleted, skipped, failed };
+}
+
+/**
+ * Tâche de réconciliation : analyse puis supprime les orphelins (ou se contente
+ * de les compter en dry-run)
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Ne rien supprimer
+ * @param {Object} [options.cloud] - Client Cloudinary (stub en test)
+ * @param {string} [options.requestId] - ID de corrélation pour les logs
+ * @returns {Promise<Object>} - { scanned, orphans, deleted, failed, dryRun }
+ */
+export async function reconcileMedia(
+  client,
+  { dryRun = true, cloud = cloudinary, requestId = null } = {},
+) {
+  const { orphans, scanned } = await findOrphanedAssets(client, { cloud });
+
+  const result = await deleteOrphanedAssets(
+    client,
+    orphans.map((orphan) => orphan.public_id),
+    { dryRun, cloud, audit: { requestId } },
+  );
+
+  return {
+    dryRun,
+    scanned,
+    orphans: orphans.length,
+    deleted: result.deleted.length,
+    failed: result.failed.length,
+  };
+}
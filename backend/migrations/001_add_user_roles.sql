@@ -0,0 +1,20 @@
+-- backend/migrations/001_add_user_roles.sql
+-- Ajoute la notion de rôle aux utilisateurs du dashboard (voir utils/permissions.js)
+
+ALTER TABLE admin.users
+  ADD COLUMN IF NOT EXISTS user_role VARCHAR(20) NOT NULL DEFAULT 'read-only';
+
+ALTER TABLE admin.users DROP CONSTRAINT IF EXISTS users_user_role_check;
+ALTER TABLE admin.users
+  ADD CONSTRAINT users_user_role_check
+  CHECK (user_role IN ('owner', 'editor', 'order-manager', 'read-only'));
+
+-- Le premier compte créé devient propriétaire pour ne pas perdre l'accès complet,
+-- seulement s'il n'existe aucun propriétaire : une nouvelle exécution ne rétablit
+-- pas un rôle retiré volontairement
+UPDATE admin.users
+SET user_role = 'owner'
+WHERE user_id = (
+  SELECT user_id FROM admin.users ORDER BY user_added ASC LIMIT 1
+)
+AND NOT EXISTS (SELECT 1 FROM admin.users WHERE user_role = 'owner');
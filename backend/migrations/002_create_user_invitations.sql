@@ -0,0 +1,26 @@
+-- backend/migrations/002_create_user_invitations.sql
+-- Invitations à usage unique : seule une invitation valide permet de créer un compte
+
+CREATE TABLE IF NOT EXISTS admin.user_invitations (
+  invitation_id SERIAL PRIMARY KEY,
+  invitation_email VARCHAR(255) NOT NULL,
+  invitation_role VARCHAR(20) NOT NULL DEFAULT 'read-only',
+  -- Seul le hash SHA-256 du token est stocké, le token brut n'est montré qu'une fois
+  invitation_token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT user_invitations_role_check
+    CHECK (invitation_role IN ('owner', 'editor', 'order-manager', 'read-only'))
+);
+
+CREATE INDEX IF NOT EXISTS user_invitations_email_idx
+  ON admin.user_invitations (LOWER(invitation_email));
+
+-- Une seule invitation en attente par email
+CREATE UNIQUE INDEX IF NOT EXISTS user_invitations_pending_email_idx
+  ON admin.user_invitations (LOWER(invitation_email))
+  WHERE used_at IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,13 @@
+-- backend/migrations/003_add_user_account_status.sql
+-- Statut des comptes gérés depuis la page Users : désactivation et réinitialisation forcée
+
+ALTER TABLE admin.users
+  ADD COLUMN IF NOT EXISTS user_is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS user_deactivated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS user_must_reset_password BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Recherche par nom/email depuis la liste paginée
+CREATE INDEX IF NOT EXISTS users_user_name_lower_idx
+  ON admin.users (LOWER(user_name));
+CREATE INDEX IF NOT EXISTS users_user_email_lower_idx
+  ON admin.users (LOWER(user_email));
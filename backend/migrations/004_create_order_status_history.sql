@@ -0,0 +1,18 @@
+-- backend/migrations/004_create_order_status_history.sql
+-- Historique des changements de statut de paiement des commandes (qui, quoi, quand)
+
+CREATE TABLE IF NOT EXISTS admin.order_status_history (
+  history_id SERIAL PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  reason TEXT,
+  changed_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT order_status_history_to_status_check
+    CHECK (to_status IN ('unpaid', 'paid', 'refunded', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_idx
+  ON admin.order_status_history (order_id, changed_at DESC);
+
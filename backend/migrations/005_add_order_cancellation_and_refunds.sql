@@ -0,0 +1,20 @@
+-- backend/migrations/005_add_order_cancellation_and_refunds.sql
+-- Annulation des commandes et remboursements (totaux ou partiels) depuis la fiche commande
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_refunded_amount NUMERIC(10, 2);
+
+-- Nouveau statut final 'cancelled'
+ALTER TABLE admin.orders
+  DROP CONSTRAINT IF EXISTS orders_order_payment_status_check;
+ALTER TABLE admin.orders
+  ADD CONSTRAINT orders_order_payment_status_check
+    CHECK (order_payment_status IN ('unpaid', 'paid', 'refunded', 'failed', 'cancelled'));
+
+ALTER TABLE admin.order_status_history
+  ADD COLUMN IF NOT EXISTS amount NUMERIC(10, 2);
+ALTER TABLE admin.order_status_history
+  DROP CONSTRAINT IF EXISTS order_status_history_to_status_check;
+ALTER TABLE admin.order_status_history
+  ADD CONSTRAINT order_status_history_to_status_check
+    CHECK (to_status IN ('unpaid', 'paid', 'refunded', 'failed', 'cancelled'));
@@ -0,0 +1,28 @@
+-- backend/migrations/006_create_audit_log.sql
+-- Journal d'audit des mutations du dashboard (qui a modifié quoi, quand, depuis où)
+
+CREATE TABLE IF NOT EXISTS admin.audit_log (
+  audit_id BIGSERIAL PRIMARY KEY,
+  actor_id INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL,
+  action VARCHAR(10) NOT NULL,
+  entity VARCHAR(30) NOT NULL,
+  -- UUID ou identifiant numérique selon l'entité
+  entity_id VARCHAR(64) NOT NULL,
+  -- { champ: { before, after } } limité aux champs modifiés
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  request_id VARCHAR(64),
+  -- Adresse IP déjà anonymisée (dernier octet masqué)
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete'))
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_idx
+  ON admin.audit_log (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx
+  ON admin.audit_log (entity, entity_id);
+
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx
+  ON admin.audit_log (actor_id, created_at DESC);
@@ -0,0 +1,36 @@
+-- backend/migrations/007_add_soft_delete.sql
+-- Corbeille : suppression logique des templates, applications, articles et plateformes.
+-- Une ligne avec deleted_at renseigné n'apparaît plus dans les listes du dashboard ;
+-- elle est restaurable jusqu'à sa purge définitive (manuelle ou après la rétention)
+
+ALTER TABLE catalog.templates
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL;
+
+ALTER TABLE catalog.applications
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL;
+
+ALTER TABLE admin.articles
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL;
+
+ALTER TABLE admin.platforms
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL;
+
+-- Page Corbeille et purge par ancienneté : index partiels sur les seules lignes supprimées
+CREATE INDEX IF NOT EXISTS templates_deleted_at_idx
+  ON catalog.templates (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS applications_deleted_at_idx
+  ON catalog.applications (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS articles_deleted_at_idx
+  ON admin.articles (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS platforms_deleted_at_idx
+  ON admin.platforms (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Nouvelles actions journalisées : restauration et purge définitive
+ALTER TABLE admin.audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check;
+ALTER TABLE admin.audit_log
+  ADD CONSTRAINT audit_log_action_check
+  CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge'));
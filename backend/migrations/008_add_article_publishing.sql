@@ -0,0 +1,31 @@
+-- backend/migrations/008_add_article_publishing.sql
+-- Cycle de publication des articles : brouillon, programmé, publié.
+-- is_active reste le drapeau de visibilité lu par le site public ; il suit le statut
+-- (vrai uniquement pour un article publié)
+
+ALTER TABLE admin.articles
+  ADD COLUMN IF NOT EXISTS article_status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+
+-- Un brouillon peut être enregistré sans texte ni image
+ALTER TABLE admin.articles ALTER COLUMN article_text DROP NOT NULL;
+ALTER TABLE admin.articles ALTER COLUMN article_image DROP NOT NULL;
+
+-- Articles existants : actif = publié, inactif = brouillon
+UPDATE admin.articles
+SET article_status = CASE WHEN is_active THEN 'published' ELSE 'draft' END,
+    published_at = CASE WHEN is_active THEN article_created ELSE NULL END
+WHERE article_status = 'draft' AND published_at IS NULL;
+
+ALTER TABLE admin.articles DROP CONSTRAINT IF EXISTS articles_status_check;
+ALTER TABLE admin.articles
+  ADD CONSTRAINT articles_status_check
+  CHECK (
+    article_status IN ('draft', 'scheduled', 'published')
+    AND (article_status <> 'scheduled' OR publish_at IS NOT NULL)
+  );
+
+-- Publication programmée : le job ne parcourt que les articles en attente
+CREATE INDEX IF NOT EXISTS articles_publish_at_idx
+  ON admin.articles (publish_at) WHERE article_status = 'scheduled';
@@ -0,0 +1,30 @@
+-- backend/migrations/009_create_article_revisions.sql
+-- Historique des versions des articles : chaque enregistrement conserve le titre,
+-- le texte HTML et l'image, avec leur auteur, pour comparer et restaurer une version
+
+CREATE TABLE IF NOT EXISTS admin.article_revisions (
+  revision_id SERIAL PRIMARY KEY,
+  article_id UUID NOT NULL REFERENCES admin.articles (article_id) ON DELETE CASCADE,
+  revision_title TEXT NOT NULL,
+  revision_text TEXT,
+  revision_image TEXT,
+  created_by INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS article_revisions_article_idx
+  ON admin.article_revisions (article_id, created_at DESC);
+
+-- Articles existants : leur état actuel devient la première révision
+INSERT INTO admin.article_revisions
+  (article_id, revision_title, revision_text, revision_image, created_at)
+SELECT
+  a.article_id,
+  a.article_title,
+  a.article_text,
+  a.article_image,
+  COALESCE(a.article_updated, a.article_created, NOW())
+FROM admin.articles a
+WHERE NOT EXISTS (
+  SELECT 1 FROM admin.article_revisions r WHERE r.article_id = a.article_id
+);
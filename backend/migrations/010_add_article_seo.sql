@@ -0,0 +1,71 @@
+-- backend/migrations/010_add_article_seo.sql
+-- Référencement des articles : slug unique, balises meta et image de partage.
+-- Un slug remplacé est conservé dans admin.article_slug_redirects : le site public
+-- redirige (301) l'ancienne adresse vers le slug actuel de l'article
+
+ALTER TABLE admin.articles
+  ADD COLUMN IF NOT EXISTS article_slug VARCHAR(120),
+  ADD COLUMN IF NOT EXISTS meta_title VARCHAR(70),
+  ADD COLUMN IF NOT EXISTS meta_description VARCHAR(160),
+  ADD COLUMN IF NOT EXISTS meta_keywords TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS og_image VARCHAR(200);
+
+-- Articles existants : slug dérivé du titre (même règle que slugify dans
+-- utils/articleSeo.js), suffixé par le début de l'ID en cas de doublon
+WITH bases AS (
+  SELECT
+    article_id,
+    article_created,
+    COALESCE(
+      NULLIF(
+        TRIM(BOTH '-' FROM LEFT(
+          regexp_replace(
+            translate(
+              lower(article_title),
+              'àâäáãåçéèêëíìîïñóòôöõúùûüýÿ',
+              'aaaaaaceeeeiiiinooooouuuuyy'
+            ),
+            '[^a-z0-9]+', '-', 'g'
+          ),
+          100
+        )),
+        ''
+      ),
+      'article'
+    ) AS base
+  FROM admin.articles
+  WHERE article_slug IS NULL
+),
+ranked AS (
+  SELECT
+    article_id,
+    base,
+    ROW_NUMBER() OVER (PARTITION BY base ORDER BY article_created, article_id) AS position
+  FROM bases
+)
+UPDATE admin.articles a
+SET article_slug = CASE
+    WHEN r.position = 1
+      AND NOT EXISTS (
+        SELECT 1 FROM admin.articles o WHERE o.article_slug = r.base
+      )
+    THEN r.base
+    ELSE r.base || '-' || LEFT(a.article_id::text, 8)
+  END
+FROM ranked r
+WHERE a.article_id = r.article_id;
+
+ALTER TABLE admin.articles ALTER COLUMN article_slug SET NOT NULL;
+
+-- Les articles dans la corbeille gardent leur slug : il reste réservé jusqu'à la purge
+CREATE UNIQUE INDEX IF NOT EXISTS articles_slug_key
+  ON admin.articles (article_slug);
+
+CREATE TABLE IF NOT EXISTS admin.article_slug_redirects (
+  old_slug VARCHAR(120) PRIMARY KEY,
+  article_id UUID NOT NULL REFERENCES admin.articles (article_id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS article_slug_redirects_article_idx
+  ON admin.article_slug_redirects (article_id);
@@ -0,0 +1,18 @@
+-- backend/migrations/011_create_password_resets.sql
+-- Demandes de réinitialisation de mot de passe : tokens à usage unique et durée limitée
+
+CREATE TABLE IF NOT EXISTS admin.password_reset_tokens (
+  reset_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES admin.users (user_id) ON DELETE CASCADE,
+  -- Seul le hash SHA-256 du token est stocké, le token brut n'existe que dans l'email
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  -- Renseigné lorsqu'une demande plus récente ou un changement de mot de passe l'annule
+  invalidated_at TIMESTAMP,
+  requested_ip VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx
+  ON admin.password_reset_tokens (user_id, created_at DESC);
@@ -0,0 +1,23 @@
+-- backend/migrations/012_add_two_factor_auth.sql
+-- Double authentification TOTP : secret chiffré par compte et codes de secours à usage unique
+
+ALTER TABLE admin.users
+  -- Secret TOTP chiffré (AES-256-GCM), renseigné dès le début de l'activation
+  ADD COLUMN IF NOT EXISTS user_totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS user_totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS user_totp_enabled_at TIMESTAMP,
+  -- Dernier pas de temps accepté : un code ne peut pas être rejoué
+  ADD COLUMN IF NOT EXISTS user_totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS admin.user_recovery_codes (
+  code_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES admin.users (user_id) ON DELETE CASCADE,
+  -- Seul le hash SHA-256 du code est stocké, le code n'est montré qu'une fois
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT user_recovery_codes_unique UNIQUE (user_id, code_hash)
+);
+
+CREATE INDEX IF NOT EXISTS user_recovery_codes_user_idx
+  ON admin.user_recovery_codes (user_id);
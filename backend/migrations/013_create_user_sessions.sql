@@ -0,0 +1,21 @@
+-- backend/migrations/013_create_user_sessions.sql
+-- Registre des sessions du dashboard : chaque JWT référence une ligne révocable
+
+CREATE TABLE IF NOT EXISTS admin.user_sessions (
+  session_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES admin.users (user_id) ON DELETE CASCADE,
+  -- Adresse anonymisée et navigateur au moment de la connexion
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(512),
+  -- « Se souvenir de moi » : durée de vie longue au lieu de la durée par défaut
+  remember BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  -- sign_out, user, password_reset, password_reset_forced...
+  revoked_reason VARCHAR(32)
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_idx
+  ON admin.user_sessions (user_id, last_seen_at DESC);
@@ -0,0 +1,30 @@
+-- backend/migrations/014_add_account_lockout.sql
+-- Verrouillage progressif des comptes et journal des tentatives de connexion
+
+ALTER TABLE admin.users
+  -- Échecs consécutifs depuis la dernière connexion réussie ou le dernier verrouillage
+  ADD COLUMN IF NOT EXISTS user_failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS user_last_failed_login_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS user_locked_until TIMESTAMP,
+  -- Verrouillages successifs : chacun double la durée du suivant
+  ADD COLUMN IF NOT EXISTS user_lockout_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS admin.login_events (
+  event_id BIGSERIAL PRIMARY KEY,
+  -- NULL pour un email inconnu ; conservé si le compte est supprimé
+  user_id INTEGER REFERENCES admin.users (user_id) ON DELETE SET NULL,
+  success BOOLEAN NOT NULL,
+  reason VARCHAR(32),
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(512),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS login_events_user_idx
+  ON admin.login_events (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS login_events_ip_idx
+  ON admin.login_events (ip_address, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS login_events_created_idx
+  ON admin.login_events (created_at DESC);
@@ -0,0 +1,31 @@
+-- backend/migrations/015_create_rate_limits.sql
+-- Stockage partagé du rate limiter (RATE_LIMIT_STORE=postgres) : compteurs et bannissements
+-- communs à toutes les instances. Les instants sont en millisecondes epoch (horloge applicative),
+-- comme pour les stores mémoire et Redis
+
+CREATE TABLE IF NOT EXISTS admin.rate_limit_hits (
+  hit_id BIGSERIAL PRIMARY KEY,
+  -- Clé du compteur (préfixe + IP, éventuellement email)
+  bucket_key VARCHAR(255) NOT NULL,
+  hit_at BIGINT NOT NULL,
+  -- Fin de la fenêtre de la requête : au-delà, la ligne peut être purgée
+  expires_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_key_idx
+  ON admin.rate_limit_hits (bucket_key, hit_at);
+
+CREATE INDEX IF NOT EXISTS rate_limit_hits_expires_idx
+  ON admin.rate_limit_hits (expires_at);
+
+CREATE TABLE IF NOT EXISTS admin.rate_limit_bans (
+  ip_address VARCHAR(64) PRIMARY KEY,
+  -- Number.MAX_SAFE_INTEGER pour un bannissement permanent
+  banned_until BIGINT NOT NULL,
+  reason VARCHAR(255),
+  message TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_bans_until_idx
+  ON admin.rate_limit_bans (banned_until);
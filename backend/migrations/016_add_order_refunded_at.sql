@@ -0,0 +1,14 @@
+-- backend/migrations/016_add_order_refunded_at.sql
+-- Horodatage propre aux remboursements : un remboursement partiel laisse la commande payée,
+-- seule une annulation renseigne order_cancelled_at
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_refunded_at TIMESTAMP;
+
+-- Les remboursements déjà enregistrés utilisaient la colonne d'annulation
+UPDATE admin.orders
+SET order_refunded_at = order_cancelled_at,
+    order_cancelled_at = NULL
+WHERE order_payment_status = 'refunded'
+  AND order_refunded_at IS NULL
+  AND order_cancelled_at IS NOT NULL;
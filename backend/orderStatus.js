@@ -0,0 +1,159 @@
+// backend/orderStatus.js
+// Application des transitions de statut des commandes et lecture de leur historique
+import {
+  getRefundableAmount,
+  validateOrderTransition,
+  validateRefundAmount,
+} from '@/utils/orderStatus';
+
+// Colonne horodatée automatiquement à l'entrée dans un statut
+const STATUS_TIMESTAMP_COLUMNS = {
+  paid: 'order_paid_at',
+  refunded: 'order_refunded_at',
+  cancelled: 'order_cancelled_at',
+};
+
+// Statuts dont le motif est recopié dans order_cancel_reason
+const CANCEL_REASON_STATUSES = ['refunded', 'cancelled'];
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Applique une transition de statut et l'enregistre dans l'historique.
+ * Doit être appelée dans une transaction ouverte par l'appelant (BEGIN/COMMIT).
+ * Un remboursement partiel laisse la commande payée (toujours comptée comme vente) ;
+ * elle ne passe à 'refunded' que lorsque le cumul remboursé atteint son prix.
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} params - { orderId, toStatus, reason, changedBy, refundAmount }
+ * @returns {Promise<Object>} - { order, fromStatus, history } ou { error, notFound } si la transition est refusée
+ */
+export async function applyOrderStatusTransition(
+  client,
+  { orderId, toStatus, reason = null, changedBy = null, refundAmount = null },
+) {
+  // Verrouiller la ligne : deux transitions concurrentes ne peuvent pas partir du même statut
+  const currentResult = await client.query(
+    `SELECT order_id, order_payment_status, order_price, order_application_id,
+       order_paid_at, order_cancelled_at, order_cancel_reason,
+       order_refunded_amount, order_refunded_at, order_updated
+     FROM admin.orders
+     WHERE order_id = $1
+     FOR UPDATE`,
+    [orderId],
+  );
+
+  if (currentResult.rows.length === 0) {
+    return { error: `Order #${orderId} not found`, notFound: true };
+  }
+
+  const currentOrder = currentResult.rows[0];
+  const fromStatus = currentOrder.order_payment_status;
+  const refundableAmount = getRefundableAmount(currentOrder);
+  const transitionError =
+    validateOrderTransition(fromStatus, toStatus, reason) ||
+    (toStatus === 'refunded'
+      ? validateRefundAmount(refundAmount, refundableAmount)
+      : null);
+
+  if (transitionError) {
+    return { error: transitionError, fromStatus };
+  }
+
+  // Sans montant explicite, le remboursement porte sur tout le montant restant
+  const amount =
+    toStatus === 'refunded' ? Number(refundAmount || refundableAmount) : null;
+
+  // Remboursement partiel (il reste un montant à rembourser) : le statut ne change pas
+  const nextStatus =
+    toStatus === 'refunded' && toCents(amount) < toCents(refundableAmount)
+      ? fromStatus
+      : toStatus;
+
+  const setClauses = [
+    'order_payment_status = $1',
+    'order_updated = CURRENT_TIMESTAMP',
+  ];
+  const updateValues = [nextStatus, orderId];
+  const timestampColumn = STATUS_TIMESTAMP_COLUMNS[toStatus];
+
+  if (timestampColumn) {
+    setClauses.push(`${timestampColumn} = CURRENT_TIMESTAMP`);
+  }
+  if (CANCEL_REASON_STATUSES.includes(nextStatus)) {
+    updateValues.push(reason);
+    setClauses.push(`order_cancel_reason = $${updateValues.length}`);
+  }
+  if (toStatus === 'refunded') {
+    updateValues.push(
+      (toCents(currentOrder.order_refunded_amount) + toCents(amount)) / 100,
+    );
+    setClauses.push(`order_refunded_amount = $${updateValues.length}`);
+  }
+
+  const updateResult = await client.query(
+    `UPDATE admin.orders
+     SET ${setClauses.join(', ')}
+     WHERE order_id = $2
+     RETURNING order_id, order_payment_status, order_paid_at,
+       order_cancelled_at, order_cancel_reason, order_refunded_amount,
+       order_refunded_at, order_updated`,
+    updateValues,
+  );
+
+  // sales_count compte les commandes payées : il suit l'entrée et la sortie du statut 'paid'
+  // (un remboursement partiel, qui laisse la commande payée, ne le modifie pas)
+  const salesDelta =
+    (nextStatus === 'paid' ? 1 : 0) - (fromStatus === 'paid' ? 1 : 0);
+
+  if (salesDelta !== 0) {
+    await client.query(
+      `UPDATE catalog.applications
+       SET sales_count = GREATEST(COALESCE(sales_count, 0) + $1, 0)
+       WHERE application_id = $2`,
+      [salesDelta, currentOrder.order_application_id],
+    );
+  }
+
+  const historyResult = await client.query(
+    `INSERT INTO admin.order_status_history
+       (order_id, from_status, to_status, reason, amount, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING history_id, from_status, to_status, reason, amount, changed_by, changed_at`,
+    [orderId, fromStatus, nextStatus, reason, amount, changedBy],
+  );
+
+  return {
+    order: updateResult.rows[0],
+    previous: currentOrder,
+    fromStatus,
+    applicationId: currentOrder.order_application_id,
+    salesDelta,
+    history: historyResult.rows[0],
+  };
+}
+
+/**
+ * Historique des statuts d'une commande, du plus ancien au plus récent
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} orderId - UUID de la commande
+ * @returns {Promise<Array>} - [{ history_id, from_status, to_status, reason, amount, changed_at, changed_by_name }]
+ */
+export async function fetchOrderStatusHistory(client, orderId) {
+  const result = await client.query(
+    `SELECT
+       h.history_id,
+       h.from_status,
+       h.to_status,
+       h.reason,
+       h.amount,
+       h.changed_at,
+       u.user_name AS changed_by_name
+     FROM admin.order_status_history h
+     LEFT JOIN admin.users u ON u.user_id = h.changed_by
+     WHERE h.order_id = $1
+     ORDER BY h.changed_at ASC, h.history_id ASC`,
+    [orderId],
+  );
+
+  return result.rows;
+}
@@ -0,0 +1,193 @@
+// backend/passwordResets.js
+// Réinitialisation de mot de passe par email (table admin.password_reset_tokens)
+import crypto from 'crypto';
+import { escapeHtml } from '@backend/mail';
+
+/**
+ * Durée de validité d'un lien de réinitialisation en minutes (60 par défaut)
+ */
+export const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+/**
+ * Délai minimal entre deux emails de réinitialisation pour un même compte (secondes)
+ */
+export const PASSWORD_RESET_COOLDOWN_SECONDS =
+  parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS, 10) || 60;
+
+/**
+ * Génère un token de réinitialisation aléatoire (64 caractères hexadécimaux)
+ * @returns {string} Token brut, transmis uniquement par email
+ */
+export function generatePasswordResetToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash SHA-256 d'un token de réinitialisation, seule forme stockée en base
+ * @param {string} token - Token brut
+ * @returns {string} Hash hexadécimal
+ */
+export function hashPasswordResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Construit le lien de réinitialisation envoyé par email
+ * @param {string} token - Token brut
+ * @returns {string} URL absolue (ou relative si NEXT_PUBLIC_SITE_URL absent)
+ */
+export function buildPasswordResetUrl(token) {
+  const baseUrl = process.env.NEXT_PUBLIC_SITE_URL || '';
+  return `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Contenu de l'email de réinitialisation
+ * @param {Object} user - { user_name }
+ * @param {string} url - Lien de réinitialisation
+ * @returns {Object} - { subject, text, html }
+ */
+export function buildPasswordResetEmail(user, url) {
+  const greeting = user.user_name ? `Hello ${user.user_name},` : 'Hello,';
+  const expiry = `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`;
+  const ignore =
+    'If you did not request a password reset, you can ignore this email: your password will not change.';
+
+  return {
+    subject: 'Reset your password',
+    text: [
+      greeting,
+      '',
+      'Use the link below to choose a new password:',
+      url,
+      '',
+      expiry,
+      ignore,
+    ].join('\n'),
+    html: [
+      `<p>${escapeHtml(greeting)}</p>`,
+      '<p>Use the link below to choose a new password:</p>',
+      `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>`,
+      `<p>${expiry}</p>`,
+      `<p>${ignore}</p>`,
+    ].join('\n'),
+  };
+}
+
+/**
+ * Crée une demande de réinitialisation et annule les demandes précédentes du compte.
+ * Retourne null si une demande a déjà été créée pendant le délai minimal.
+ * @param {Object} client - Client PostgreSQL (dans une transaction)
+ * @param {number} userId - Compte concerné
+ * @param {Object} options - { ip: adresse anonymisée du demandeur }
+ * @returns {Promise<Object|null>} - { token, reset } ou null
+ */
+export async function createPasswordReset(client, userId, options = {}) {
+  const { ip = null } = options;
+
+  const recentResult = await client.query(
+    `SELECT reset_id FROM admin.password_reset_tokens
+     WHERE user_id = $1
+       AND created_at > NOW() - make_interval(secs => $2)
+     LIMIT 1`,
+    [userId, PASSWORD_RESET_COOLDOWN_SECONDS],
+  );
+
+  if (recentResult.rows.length > 0) {
+    return null;
+  }
+
+  await invalidatePasswordResets(client, userId);
+
+  const token = generatePasswordResetToken();
+  const result = await client.query(
+    `INSERT INTO admin.password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)
+     RETURNING reset_id, user_id, expires_at, created_at`,
+    [userId, hashPasswordResetToken(token), PASSWORD_RESET_TTL_MINUTES, ip],
+  );
+
+  return { token, reset: result.rows[0] };
+}
+
+/**
+ * Annule les demandes encore utilisables d'un compte
+ * @param {Object} client - Client PostgreSQL
+ * @param {number} userId - Compte concerné
+ * @returns {Promise<number>} - Nombre de demandes annulées
+ */
+export async function invalidatePasswordResets(client, userId) {
+  const result = await client.query(
+    `UPDATE admin.password_reset_tokens
+     SET invalidated_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL AND invalidated_at IS NULL`,
+    [userId],
+  );
+  return result.rowCount;
+}
+
+/**
+ * Détermine le statut d'une demande de réinitialisation
+ * @param {Object} reset - Ligne admin.password_reset_tokens
+ * @returns {'used'|'invalidated'|'expired'|'pending'} Statut
+ */
+export function getPasswordResetStatus(reset) {
+  if (reset.used_at) return 'used';
+  if (reset.invalidated_at) return 'invalidated';
+  if (new Date(reset.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Recherche la demande correspondant à un token et vérifie qu'elle est utilisable
+ * (compte toujours actif compris)
+ * @param {Object} client - Client PostgreSQL
+ * @param {string} token - Token brut reçu par email
+ * @param {Object} options - { forUpdate: verrouiller la demande dans une transaction }
+ * @returns {Promise<Object>} - { valid, reason, reset }
+ */
+export async function findUsablePasswordReset(client, token, options = {}) {
+  const { forUpdate = false } = options;
+
+  const result = await client.query(
+    `SELECT r.reset_id, r.user_id, r.expires_at, r.used_at, r.invalidated_at,
+            u.user_email, u.user_is_active
+     FROM admin.password_reset_tokens r
+     JOIN admin.users u ON u.user_id = r.user_id
+     WHERE r.token_hash = $1
+     ${forUpdate ? 'FOR UPDATE OF r' : ''}`,
+    [hashPasswordResetToken(token)],
+  );
+
+  const reset = result.rows[0];
+
+  if (!reset) {
+    return { valid: false, reason: 'not_found', reset: null };
+  }
+
+  const status = getPasswordResetStatus(reset);
+
+  if (status !== 'pending') {
+    return { valid: false, reason: status, reset };
+  }
+
+  if (!reset.user_is_active) {
+    return { valid: false, reason: 'account_deactivated', reset };
+  }
+
+  return { valid: true, reason: null, reset };
+}
+
+/**
+ * Marque une demande comme utilisée et annule les autres demandes du compte
+ * @param {Object} client - Client PostgreSQL (dans la transaction du changement de mot de passe)
+ * @param {Object} reset - Demande consommée { reset_id, user_id }
+ */
+export async function consumePasswordReset(client, reset) {
+  await client.query(
+    `UPDATE admin.password_reset_tokens SET used_at = NOW() WHERE reset_id = $1`,
+    [reset.reset_id],
+  );
+  await invalidatePasswordResets(client, reset.user_id);
+}
@@ -0,0 +1,433 @@
+// backend/rateLimitStore.js
+// Stockage interchangeable du rate limiter (RATE_LIMIT_STORE) : compteurs à fenêtre
+// glissante et bannissements d'IP. 'memory' est propre à chaque processus ;
+// 'postgres' et 'redis' sont partagés entre instances et survivent aux redémarrages
+import crypto from 'crypto';
+import Redis from 'ioredis';
+import { getClient } from '@backend/dbConnect';
+import { withTransaction } from '@backend/transaction';
+import logger from '@/utils/logger';
+
+// Nombre maximal de compteurs conservés par le store mémoire
+const MEMORY_MAX_KEYS = 10000;
+
+// Préfixe des clés Redis (plusieurs applications peuvent partager un serveur)
+const REDIS_KEY_PREFIX = process.env.RATE_LIMIT_REDIS_PREFIX || 'ratelimit:';
+
+// Délai maximal d'une commande Redis en millisecondes (2 secondes par défaut)
+const REDIS_COMMAND_TIMEOUT_MS =
+  parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS, 10) || 2000;
+
+/**
+ * Interface commune des stores. Les instants sont des millisecondes epoch fournies
+ * par l'appelant, pour que tous les stores raisonnent avec la même horloge.
+ *
+ * - hit(key, { now, windowMs, max }) : compte la requête si la limite n'est pas
+ *   atteinte, de manière atomique. Retourne { allowed, count, resetAt } où count est
+ *   le nombre de requêtes déjà dans la fenêtre et resetAt la fin de la fenêtre de la
+ *   plus récente
+ * - getBan(ip, now) : { until, reason, message } ou null
+ * - ban(ip, { until, reason, message })
+ * - purge(now) : supprime les données expirées, retourne le nombre d'éléments supprimés
+ * - reset() : vide le store
+ * - stats() : { keys, bans }
+ */
+
+/**
+ * Store 'memory' : Maps du processus courant (développement, instance unique)
+ * @returns {Object} Store
+ */
+export function createMemoryStore() {
+  const hits = new Map();
+  const bans = new Map();
+
+  return {
+    async hit(key, { now, windowMs, max }) {
+      const requests = (hits.get(key) || []).filter(
+        (timestamp) => timestamp > now - windowMs,
+      );
+      const count = requests.length;
+      const allowed = count < max;
+
+      if (allowed) requests.push(now);
+      hits.set(key, requests);
+
+      return {
+        allowed,
+        count,
+        resetAt: (requests.length ? Math.max(...requests) : now) + windowMs,
+      };
+    },
+
+    async getBan(ip, now) {
+      const ban = bans.get(ip);
+      return ban && ban.until > now ? ban : null;
+    },
+
+    async ban(ip, { until, reason, message }) {
+      bans.set(ip, { until, reason, message });
+    },
+
+    async purge(now) {
+      let removed = 0;
+
+      for (const [ip, ban] of bans.entries()) {
+        if (ban.until <= now) {
+          bans.delete(ip);
+          removed++;
+        }
+      }
+
+      // Les Maps conservent l'ordre d'insertion : les premières clés sont les plus anciennes
+      if (hits.size > MEMORY_MAX_KEYS) {
+        const keysToRemove = Array.from(hits.keys()).slice(
+          0,
+          hits.size - MEMORY_MAX_KEYS,
+        );
+        keysToRemove.forEach((key) => hits.delete(key));
+        removed += keysToRemove.length;
+      }
+
+      return removed;
+    },
+
+    async reset() {
+      hits.clear();
+      bans.clear();
+    },
+
+    async stats() {
+      return { keys: hits.size, bans: bans.size };
+    },
+  };
+}
+
+/**
+ * Store 'postgres' : tables admin.rate_limit_hits et admin.rate_limit_bans
+ * (migration 015). Un verrou consultatif par clé sérialise les requêtes concurrentes
+ * d'un même compteur, toutes instances confondues
+ * @returns {Object} Store
+ */
+export function createPostgresStore() {
+  const query = async (text, values) => {
+    const client = await getClient();
+    try {
+      return await client.query(text, values);
+    } finally {
+      await client.cleanup();
+    }
+  };
+
+  return {
+    async hit(key, { now, windowMs, max }) {
+      return withTransaction(
+        async (client) => {
+          await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+            key,
+          ]);
+
+          await client.query(
+            'DELETE FROM admin.rate_limit_hits WHERE bucket_key = $1 AND hit_at <= $2',
+            [key, now - windowMs],
+          );
+
+          const result = await client.query(
+            `SELECT COUNT(*)::int AS count, MAX(hit_at) AS newest
+             FROM admin.rate_limit_hits
+             WHERE bucket_key = $1`,
+            [key],
+          );
+
+          const { count } = result.rows[0];
+          const allowed = count < max;
+
+          if (allowed) {
+            await client.query(
+              `INSERT INTO admin.rate_limit_hits (bucket_key, hit_at, expires_at)
+               VALUES ($1, $2, $3)`,
+              [key, now, now + windowMs],
+            );
+          }
+
+          // pg retourne les BIGINT sous forme de chaîne
+          const newest = allowed ? now : Number(result.rows[0].newest);
+
+          return { allowed, count, resetAt: newest + windowMs };
+        },
+        { name: 'rate_limit_hit' },
+      );
+    },
+
+    async getBan(ip, now) {
+      const result = await query(
+        `SELECT banned_until, reason, message
+         FROM admin.rate_limit_bans
+         WHERE ip_address = $1 AND banned_until > $2`,
+        [ip, now],
+      );
+
+      const ban = result.rows[0];
+      if (!ban) return null;
+
+      return {
+        until: Number(ban.banned_until),
+        reason: ban.reason,
+        message: ban.message,
+      };
+    },
+
+    async ban(ip, { until, reason, message }) {
+      await query(
+        `INSERT INTO admin.rate_limit_bans (ip_address, banned_until, reason, message)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (ip_address) DO UPDATE
+         SET banned_until = EXCLUDED.banned_until,
+             reason = EXCLUDED.reason,
+             message = EXCLUDED.message,
+             created_at = NOW()`,
+        [ip, until, reason, message],
+      );
+    },
+
+    async purge(now) {
+      const hitsResult = await query(
+        'DELETE FROM admin.rate_limit_hits WHERE expires_at <= $1',
+        [now],
+      );
+      const bansResult = await query(
+        'DELETE FROM admin.rate_limit_bans WHERE banned_until <= $1',
+        [now],
+      );
+
+      return hitsResult.rowCount + bansResult.rowCount;
+    },
+
+    async reset() {
+      await withTransaction(
+        async (client) => {
+          await client.query('DELETE FROM admin.rate_limit_hits');
+          await client.query('DELETE FROM admin.rate_limit_bans');
+        },
+        { name: 'rate_limit_reset' },
+      );
+    },
+
+    async stats() {
+      const result = await query(
+        `SELECT
+           (SELECT COUNT(DISTINCT bucket_key)::int FROM admin.rate_limit_hits) AS keys,
+           (SELECT COUNT(*)::int FROM admin.rate_limit_bans
+            WHERE banned_until > $1) AS bans`,
+        [Date.now()],
+      );
+
+      return result.rows[0];
+    },
+  };
+}
+
+// Fenêtre glissante atomique : un sorted set par clé, chaque requête acceptée
+// y est ajoutée avec son instant comme score
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - windowMs)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+
+if count < max then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  allowed = 1
+end
+
+local newest = redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')[2]
+redis.call('PEXPIRE', KEYS[1], windowMs)
+
+return { allowed, count, newest or tostring(now) }
+`;
+
+/**
+ * Client ioredis du store 'redis'. Une commande échoue après
+ * REDIS_COMMAND_TIMEOUT_MS plutôt que d'attendre la reconnexion
+ * @param {string} url - redis://[user:password@]host:port[/db] ou rediss:// pour TLS
+ * @returns {Redis}
+ */
+export function createRedisClient(url) {
+  const client = new Redis(url, {
+    lazyConnect: true,
+    commandTimeout: REDIS_COMMAND_TIMEOUT_MS,
+    maxRetriesPerRequest: 1,
+  });
+
+  client.on('error', (error) => {
+    logger.warn('Rate limit Redis connection error', { error: error.message });
+  });
+
+  return client;
+}
+
+/**
+ * Store 'redis' : compatible avec tout serveur supportant EVAL et les sorted sets
+ * (Redis, Valkey, KeyDB, Dragonfly...)
+ * @param {Redis} redis - Client ioredis (createRedisClient() ou ioredis-mock en test)
+ * @param {Object} options - { prefix }
+ * @returns {Object} Store
+ */
+export function createRedisStore(redis, options = {}) {
+  const { prefix = REDIS_KEY_PREFIX } = options;
+  const hitKey = (key) => `${prefix}hits:${key}`;
+  const banKey = (ip) => `${prefix}ban:${ip}`;
+
+  // Parcourt les clés d'un motif sans bloquer le serveur (contrairement à KEYS)
+  const scanKeys = async (pattern) => {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await redis.scan(
+        cursor,
+        'MATCH',
+        pattern,
+        'COUNT',
+        100,
+      );
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  };
+
+  return {
+    async hit(key, { now, windowMs, max }) {
+      const [allowed, count, newest] = await redis.eval(
+        SLIDING_WINDOW_SCRIPT,
+        1,
+        hitKey(key),
+        now,
+        windowMs,
+        max,
+        // Membre unique : plusieurs requêtes peuvent tomber sur la même milliseconde
+        `${now}-${crypto.randomUUID()}`,
+      );
+
+      return {
+        allowed: allowed === 1,
+        count,
+        resetAt: Number(newest) + windowMs,
+      };
+    },
+
+    async getBan(ip, now) {
+      const value = await redis.get(banKey(ip));
+      if (!value) return null;
+
+      const ban = JSON.parse(value);
+      return ban.until > now ? ban : null;
+    },
+
+    async ban(ip, { until, reason, message }) {
+      const value = JSON.stringify({ until, reason, message });
+      const ttl = until - Date.now();
+
+      // Sans expiration pour un bannissement permanent
+      if (until < Number.MAX_SAFE_INTEGER && ttl > 0) {
+        await redis.set(banKey(ip), value, 'PX', ttl);
+      } else {
+        await redis.set(banKey(ip), value);
+      }
+    },
+
+    // Les clés expirent d'elles-mêmes (PEXPIRE / PX)
+    async purge() {
+      return 0;
+    },
+
+    async reset() {
+      const keys = await scanKeys(`${prefix}*`);
+
+      for (let i = 0; i < keys.length; i += 100) {
+        await redis.del(...keys.slice(i, i + 100));
+      }
+    },
+
+    async stats() {
+      const [hitKeys, banKeys] = await Promise.all([
+        scanKeys(`${prefix}hits:*`),
+        scanKeys(`${prefix}ban:*`),
+      ]);
+
+      return { keys: hitKeys.length, bans: banKeys.length };
+    },
+  };
+}
+
+// Fabriques des stores intégrés, par nom
+const storeFactories = new Map([
+  ['memory', () => createMemoryStore()],
+  ['postgres', () => createPostgresStore()],
+  [
+    'redis',
+    () => {
+      const url = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL;
+      if (!url) {
+        throw new Error(
+          'RATE_LIMIT_REDIS_URL (or REDIS_URL) is required for the redis rate limit store',
+        );
+      }
+      return createRedisStore(createRedisClient(url));
+    },
+  ],
+]);
+
+// Store instancié, réutilisé par toutes les requêtes du processus
+let activeStore = null;
+
+/**
+ * Enregistre un store supplémentaire
+ * @param {string} name - Nom utilisé dans RATE_LIMIT_STORE
+ * @param {Object|Function} store - Store, ou fabrique () => store
+ */
+export function registerRateLimitStore(name, store) {
+  const factory = typeof store === 'function' ? store : () => store;
+  storeFactories.set(name, factory);
+
+  if (activeStore?.name === name) activeStore = null;
+}
+
+/**
+ * Store configuré par RATE_LIMIT_STORE ('memory' par défaut)
+ * @returns {Object} - { name, store }
+ */
+export function getRateLimitStore() {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (activeStore?.name === name) return activeStore;
+
+  const factory = storeFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown rate limit store "${name}"`);
+  }
+
+  const store = factory();
+  for (const method of ['hit', 'getBan', 'ban', 'purge', 'reset', 'stats']) {
+    if (typeof store?.[method] !== 'function') {
+      throw new Error(`Rate limit store "${name}" must implement ${method}()`);
+    }
+  }
+
+  activeStore = { name, store };
+  return activeStore;
+}
+
+/**
+ * Supprime les compteurs et bannissements expirés du store configuré
+ * @returns {Promise<Object>} - { store, removed }
+ */
+export async function purgeRateLimitStore() {
+  const { name, store } = getRateLimitStore();
+  const removed = await store.purge(Date.now());
+  return { store: name, removed };
+}
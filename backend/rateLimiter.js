@@ -2,12 +2,14 @@
  * Système de rate limiting avancé pour Next.js
  * Inspiré d'integratedRateLimit.js avec analyse comportementale et sécurité renforcée
  * Sans dépendances externes - Version avec monitoring Sentry et logging Winston
+ * Compteurs et bannissements dans le store configuré (RATE_LIMIT_STORE, voir rateLimitStore.js)
  */
 
 import { NextResponse } from 'next/server';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '@/utils/logger';
 import { captureException, captureMessage } from '@/monitoring/sentry';
+import { getRateLimitStore } from '@backend/rateLimitStore';
 
 /**
  * Types de préréglages pour différents endpoints
@@ -92,9 +94,8 @@ export const VIOLATION_LEVELS = {
   },
 };
 
-// Stockage en mémoire simple (Map natives)
-const requestCache = new Map();
-const blockedIPs = new Map();
+// Analyse comportementale locale au processus : heuristique, elle n'a pas besoin
+// d'être partagée entre instances (les compteurs et bannissements le sont)
 const suspiciousBehavior = new Map();
 
 // Liste blanche des IPs exemptées
@@ -392,8 +393,9 @@ export function applyRateLimit(
       }
 
       // 2. Vérifier si l'IP est bloquée
-      const blockInfo = blockedIPs.get(ip);
-      if (blockInfo && blockInfo.until > Date.now()) {
+      const { store } = getRateLimitStore();
+      const blockInfo = await store.getBan(ip, Date.now());
+      if (blockInfo) {
         const eventId = uuidv4();
 
         logger.warn('Request from blocked IP rejected', {
@@ -464,24 +466,20 @@ export function applyRateLimit(
           (typeof presetOrOptions === 'string' ? presetOrOptions : 'custom'),
       );
 
-      // 5. Récupérer les données de requête existantes
+      // 5. Compter la requête dans la fenêtre glissante (atomique dans le store)
       const now = Date.now();
-      const windowStart = now - config.windowMs;
-      let requestData = requestCache.get(key) || {
-        requests: [],
-        successCount: 0,
-        errorCount: 0,
-      };
-
-      // Supprimer les requêtes trop anciennes (hors de la fenêtre)
-      requestData.requests = requestData.requests.filter(
-        (timestamp) => timestamp > windowStart,
-      );
+      const {
+        allowed,
+        count: currentRequests,
+        resetAt: resetTime,
+      } = await store.hit(key, {
+        now,
+        windowMs: config.windowMs,
+        max: config.max,
+      });
 
       // 6. Vérifier si la limite est dépassée
-      const currentRequests = requestData.requests.length;
-
-      if (currentRequests >= config.max) {
+      if (!allowed) {
         // Limite dépassée, analyser le comportement
         trackBehavior(key, req, 1, false);
         const behavior = analyzeBehavior(key, path);
@@ -504,7 +502,6 @@ export function applyRateLimit(
         }
 
         // Calculer la date de fin du blocage
-        const resetTime = Math.max(...requestData.requests) + config.windowMs;
         const blockUntil = blockDuration > 0 ? now + blockDuration : resetTime;
 
         // Générer un ID d'événement pour le suivi
@@ -563,7 +560,7 @@ export function applyRateLimit(
 
         // Bloquer les IPs pour les violations graves
         if (violationLevel.severity === 'severe' && behavior.threatLevel >= 8) {
-          blockedIPs.set(ip, {
+          await store.ban(ip, {
             until: now + 24 * 60 * 60 * 1000, // 24 heures
             reason: 'Severe violation with suspicious behavior',
             message:
@@ -633,14 +630,11 @@ export function applyRateLimit(
         );
       }
 
-      // 7. Si la limite n'est pas dépassée, enregistrer cette requête
-      requestData.requests.push(now);
-      requestCache.set(key, requestData);
-
-      // 8. Mettre à jour le suivi du comportement (sans violation)
+      // 7. La requête a déjà été comptée par le store : mettre à jour
+      // le suivi du comportement (sans violation)
       trackBehavior(key, req, 0, false);
 
-      // 9. Log du succès pour le debug
+      // 8. Log du succès pour le debug
       logger.debug('Request allowed within rate limits', {
         ip: anonymizeIp(ip),
         path,
@@ -650,7 +644,7 @@ export function applyRateLimit(
         remaining: Math.max(0, config.max - currentRequests - 1),
       });
 
-      // 10. Laisser passer la requête
+      // 9. Laisser passer la requête
       return null;
     } catch (error) {
       // Classification et logging de l'erreur
@@ -784,11 +778,12 @@ export function addToWhitelist(ip) {
  * @param {string} ip Adresse IP à bloquer
  * @param {number} duration Durée du blocage en ms (0 = permanent)
  */
-export function addToBlacklist(ip, duration = 0) {
+export async function addToBlacklist(ip, duration = 0) {
   const now = Date.now();
   const until = duration > 0 ? now + duration : Number.MAX_SAFE_INTEGER;
 
-  blockedIPs.set(ip, {
+  const { name: storeName, store } = getRateLimitStore();
+  await store.ban(ip, {
     until,
     reason: 'Manually blacklisted',
     message: 'Votre accès a été temporairement restreint.',
@@ -800,6 +795,7 @@ export function addToBlacklist(ip, duration = 0) {
     action: 'blacklist_add',
     duration: duration ? `${duration / 1000}s` : 'permanent',
     until: new Date(until).toISOString(),
+    store: storeName,
   };
 
   logger.info('Added IP to rate limit blacklist', logData);
@@ -823,15 +819,17 @@ export function addToBlacklist(ip, duration = 0) {
  * Réinitialise toutes les données de comportement et limites
  * pour le diagnostic ou le nettoyage
  */
-export function resetAllData() {
+export async function resetAllData() {
+  const { name: storeName, store } = getRateLimitStore();
+  const storeStats = await store.stats();
   const beforeStats = {
-    requestCache: requestCache.size,
-    blockedIPs: blockedIPs.size,
+    store: storeName,
+    requestCache: storeStats.keys,
+    blockedIPs: storeStats.bans,
     suspiciousBehavior: suspiciousBehavior.size,
   };
 
-  requestCache.clear();
-  blockedIPs.clear();
+  await store.reset();
   suspiciousBehavior.clear();
 
   logger.info('Reset all rate limit behavior tracking data', {
@@ -856,15 +854,18 @@ export function resetAllData() {
  * Obtenir des statistiques sur l'utilisation du rate limiting
  * @returns {Object} Statistiques d'utilisation
  */
-export function getRateLimitStats() {
+export async function getRateLimitStats() {
+  const { name: storeName, store } = getRateLimitStore();
+  const storeStats = await store.stats();
   const stats = {
-    activeKeys: requestCache.size,
+    store: storeName,
+    activeKeys: storeStats.keys,
     suspiciousBehaviors: suspiciousBehavior.size,
-    blockedIPs: blockedIPs.size,
+    blockedIPs: storeStats.bans,
     whitelistedIPs: IP_WHITELIST.size,
     memoryUsage: {
-      requests: requestCache.size,
-      blocked: blockedIPs.size,
+      requests: storeStats.keys,
+      blocked: storeStats.bans,
       suspicious: suspiciousBehavior.size,
     },
     timestamp: new Date().toISOString(),
@@ -886,18 +887,12 @@ if (
 ) {
   // Nettoyage des entrées expirées (toutes les 5 minutes en développement)
   const cleanupInterval = setInterval(
-    () => {
+    async () => {
       try {
         const now = Date.now();
-        let cleaned = 0;
 
-        // Nettoyer les IPs bloquées expirées
-        for (const [ip, blockInfo] of blockedIPs.entries()) {
-          if (blockInfo.until <= now) {
-            blockedIPs.delete(ip);
-            cleaned++;
-          }
-        }
+        // Nettoyer les compteurs et IPs bloquées expirés du store
+        let cleaned = await getRateLimitStore().store.purge(now);
 
         // Nettoyer les données de comportement trop anciennes (24 heures)
         for (const [key, data] of suspiciousBehavior.entries()) {
@@ -907,22 +902,12 @@ if (
           }
         }
 
-        // Nettoyer le cache de requêtes (garder seulement les 10000 plus récentes)
-        if (requestCache.size > 10000) {
-          const keys = Array.from(requestCache.keys());
-          const keysToRemove = keys.slice(0, keys.length - 10000);
-          keysToRemove.forEach((key) => requestCache.delete(key));
-          cleaned += keysToRemove.length;
-        }
-
         if (cleaned > 0) {
           logger.info('Periodic cleanup completed', {
             component: 'rateLimit',
             action: 'periodic_cleanup',
             itemsCleaned: cleaned,
             remainingItems: {
-              requests: requestCache.size,
-              blocked: blockedIPs.size,
               suspicious: suspiciousBehavior.size,
             },
           });
@@ -944,8 +929,6 @@ if (
           },
           extra: {
             cachesSizes: {
-              requests: requestCache.size,
-              blocked: blockedIPs.size,
               suspicious: suspiciousBehavior.size,
             },
           },
@@ -962,8 +945,9 @@ if (
 
   // Rapports statistiques périodiques (toutes les heures en développement)
   const statsInterval = setInterval(
-    () => {
-      const stats = getRateLimitStats();
+    async () => {
+      const stats = await getRateLimitStats().catch(() => null);
+      if (!stats) return;
 
       captureMessage('Rate limit statistics (hourly)', {
         level: 'info',
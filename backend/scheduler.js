@@ -0,0 +1,116 @@
+// backend/scheduler.js
+// Tâches de fond exécutées à intervalle régulier dans le processus Node.js.
+// Un verrou consultatif PostgreSQL garantit qu'une seule instance exécute
+// une tâche donnée à un instant t lorsque plusieurs serveurs tournent
+import { getClient } from '@backend/dbConnect';
+import { captureException } from '@/monitoring/sentry';
+import { generateRequestId } from '@/utils/helpers';
+import logger from '@/utils/logger';
+
+// Survit au rechargement des modules en développement : une tâche n'est planifiée qu'une fois
+const jobs = globalThis.__dashboardScheduledJobs || new Map();
+globalThis.__dashboardScheduledJobs = jobs;
+
+/**
+ * Exécute une tâche propre à l'instance, sans verrou ni connexion dédiée
+ * @param {string} name - Nom de la tâche
+ * @param {Function} run - async ({ requestId }) => résultat journalisé
+ */
+async function runLocalJob(name, run) {
+  const requestId = generateRequestId();
+
+  try {
+    const result = await run({ requestId });
+    logger.info('Scheduled job completed', { job: name, requestId, result });
+  } catch (error) {
+    logger.error('Scheduled job failed', {
+      job: name,
+      requestId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Exécute une tâche si aucune autre instance ne la détient déjà
+ * @param {string} name - Nom de la tâche (clé du verrou)
+ * @param {Function} run - async ({ client, requestId }) => résultat journalisé
+ */
+async function runJob(name, run) {
+  const requestId = generateRequestId();
+  let client;
+
+  try {
+    client = await getClient();
+
+    const lock = await client.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+      [name],
+    );
+
+    if (!lock.rows[0].locked) {
+      logger.info('Scheduled job skipped: already running elsewhere', {
+        job: name,
+        requestId,
+      });
+      return;
+    }
+
+    try {
+      const startTime = Date.now();
+      const result = await run({ client, requestId });
+
+      logger.info('Scheduled job completed', {
+        job: name,
+        requestId,
+        duration_ms: Date.now() - startTime,
+        result,
+      });
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [name]);
+    }
+  } catch (error) {
+    logger.error('Scheduled job failed', {
+      job: name,
+      requestId,
+      error: error.message,
+    });
+
+    captureException(error, {
+      level: 'error',
+      tags: { component: 'scheduler', action: 'job_failed', job: name },
+      extra: { requestId },
+    });
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Planifie une tâche récurrente. Sans effet si la tâche est déjà planifiée.
+ * @param {string} name - Nom unique de la tâche
+ * @param {Object} options
+ * @param {number} options.intervalMs - Intervalle entre deux exécutions
+ * @param {number} [options.initialDelayMs] - Délai avant la première exécution
+ * @param {boolean} [options.local] - Tâche exécutée par chaque instance, sans
+ *   verrou ni client PostgreSQL (run reçoit seulement { requestId })
+ * @param {Function} options.run - async ({ client, requestId }) => résultat
+ */
+export function scheduleJob(
+  name,
+  { intervalMs, initialDelayMs = 60 * 1000, local = false, run },
+) {
+  if (jobs.has(name)) return;
+
+  const tick = () => (local ? runLocalJob(name, run) : runJob(name, run));
+
+  // unref : les tâches ne retiennent pas le processus à l'arrêt
+  const timeout = setTimeout(() => {
+    tick();
+    jobs.set(name, setInterval(tick, intervalMs).unref());
+  }, initialDelayMs).unref();
+
+  jobs.set(name, timeout);
+
+  logger.info('Scheduled job registered', { job: name, intervalMs });
+}
@@ -0,0 +1,253 @@
+// backend/sessions.js
+// Registre des sessions du dashboard (table admin.user_sessions)
+import { getClient } from '@backend/dbConnect';
+import { dashboardCache } from '@/utils/cache';
+
+/**
+ * Durée de vie d'une session sans « Se souvenir de moi », en heures (12 par défaut)
+ */
+export const SESSION_TTL_HOURS =
+  parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+
+/**
+ * Durée de vie d'une session avec « Se souvenir de moi », en jours (30 par défaut)
+ */
+export const SESSION_REMEMBER_TTL_DAYS =
+  parseInt(process.env.SESSION_REMEMBER_TTL_DAYS, 10) || 30;
+
+/**
+ * Durée de vie maximale d'un JWT (secondes) : la durée réelle est portée par le registre
+ */
+export const SESSION_MAX_AGE_SECONDS = SESSION_REMEMBER_TTL_DAYS * 24 * 60 * 60;
+
+// Intervalle minimal entre deux mises à jour de last_seen_at (secondes)
+const LAST_SEEN_UPDATE_SECONDS = 60;
+
+/**
+ * Durée pendant laquelle une session vérifiée active n'est pas revérifiée
+ * (middleware et callback jwt), en secondes (30 par défaut). Une révocation faite par une autre
+ * instance prend effet au plus tard après ce délai
+ */
+export const SESSION_CHECK_CACHE_SECONDS =
+  parseInt(process.env.SESSION_CHECK_CACHE_SECONDS, 10) || 30;
+
+const sessionCacheKey = (userId, sessionId) => `session:${userId}:${sessionId}`;
+
+/**
+ * Durée de vie d'une nouvelle session
+ * @param {boolean} remember - « Se souvenir de moi » coché
+ * @returns {number} Durée en secondes
+ */
+export function getSessionTtlSeconds(remember) {
+  return remember ? SESSION_MAX_AGE_SECONDS : SESSION_TTL_HOURS * 60 * 60;
+}
+
+/**
+ * Libellé lisible d'un user-agent (navigateur et système)
+ * @param {string} userAgent - User-agent brut
+ * @returns {string} - Ex: "Chrome sur Windows"
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Appareil inconnu';
+
+  // L'ordre compte : Edge et Opera s'annoncent aussi comme Chrome
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ];
+  const systems = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux'],
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Appareil inconnu';
+  if (!system) return browser[1];
+  if (!browser) return system[1];
+  return `${browser[1]} sur ${system[1]}`;
+}
+
+/**
+ * Enregistre une nouvelle session à la connexion
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} session - { userId, ip (anonymisée), userAgent, remember }
+ * @returns {Promise<Object>} - { session_id, expires_at }
+ */
+export async function createUserSession(
+  client,
+  { userId, ip = null, userAgent = null, remember = false },
+) {
+  const result = await client.query(
+    `INSERT INTO admin.user_sessions (user_id, ip_address, user_agent, remember, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     RETURNING session_id, expires_at`,
+    [
+      userId,
+      ip,
+      userAgent ? String(userAgent).slice(0, 512) : null,
+      !!remember,
+      getSessionTtlSeconds(remember),
+    ],
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Vérifie qu'une session est toujours valide et met à jour son dernier accès
+ * (au plus une écriture par minute)
+ * @param {Object} client - Client PostgreSQL
+ * @param {number|string} sessionId - Identifiant porté par le JWT
+ * @param {number|string} userId - Propriétaire attendu
+ * @returns {Promise<Object>} - { active, reason }
+ */
+export async function checkUserSession(client, sessionId, userId) {
+  if (!sessionId || !userId) {
+    return { active: false, reason: 'missing' };
+  }
+
+  const result = await client.query(
+    `SELECT revoked_at, expires_at <= NOW() AS expired,
+            last_seen_at < NOW() - make_interval(secs => $3) AS stale
+     FROM admin.user_sessions
+     WHERE session_id = $1 AND user_id = $2`,
+    [sessionId, userId, LAST_SEEN_UPDATE_SECONDS],
+  );
+
+  const session = result.rows[0];
+
+  if (!session) return { active: false, reason: 'not_found' };
+  if (session.revoked_at) return { active: false, reason: 'revoked' };
+  if (session.expired) return { active: false, reason: 'expired' };
+
+  if (session.stale) {
+    await client.query(
+      'UPDATE admin.user_sessions SET last_seen_at = NOW() WHERE session_id = $1',
+      [sessionId],
+    );
+  }
+
+  return { active: true, reason: null };
+}
+
+/**
+ * Indique si la session a été vérifiée active il y a moins de
+ * SESSION_CHECK_CACHE_SECONDS. L'âge est contrôlé ici : le cache prolonge
+ * la durée de vie d'une entrée à chaque lecture
+ * @param {number|string} sessionId - Identifiant porté par le JWT
+ * @param {number|string} userId - Propriétaire attendu
+ * @returns {boolean}
+ */
+function isSessionRecentlyVerified(sessionId, userId) {
+  const entry = dashboardCache.authSessions.get(
+    sessionCacheKey(userId, sessionId),
+  );
+  return (
+    !!entry &&
+    Date.now() - entry.verifiedAt < SESSION_CHECK_CACHE_SECONDS * 1000
+  );
+}
+
+/**
+ * Vérifie une session du registre pour le middleware et le callback jwt.
+ * Une session vérifiée active récemment n'est pas relue en base ; seuls les
+ * résultats actifs sont mémorisés. Les erreurs DB sont propagées : l'appelant
+ * doit alors refuser la session
+ * @param {number|string} sessionId - Identifiant porté par le JWT
+ * @param {number|string} userId - Propriétaire attendu
+ * @returns {Promise<Object>} - { active, reason }
+ */
+export async function verifyUserSession(sessionId, userId) {
+  if (sessionId && userId && isSessionRecentlyVerified(sessionId, userId)) {
+    return { active: true, reason: null };
+  }
+
+  let client;
+  try {
+    client = await getClient();
+    const state = await checkUserSession(client, sessionId, userId);
+
+    if (state.active) {
+      dashboardCache.authSessions.set(
+        sessionCacheKey(userId, sessionId),
+        { verifiedAt: Date.now() },
+        SESSION_CHECK_CACHE_SECONDS * 1000,
+      );
+    }
+
+    return state;
+  } finally {
+    if (client) await client.cleanup();
+  }
+}
+
+/**
+ * Sessions actives d'un utilisateur, la plus récemment utilisée en premier
+ * @param {Object} client - Client PostgreSQL
+ * @param {number|string} userId - Propriétaire
+ * @returns {Promise<Array>} Sessions avec leur libellé d'appareil
+ */
+export async function listUserSessions(client, userId) {
+  const result = await client.query(
+    `SELECT session_id, ip_address, user_agent, remember,
+            created_at, last_seen_at, expires_at
+     FROM admin.user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId],
+  );
+
+  return result.rows.map((session) => ({
+    ...session,
+    device: describeUserAgent(session.user_agent),
+  }));
+}
+
+/**
+ * Révoque une session précise d'un utilisateur
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} options - { sessionId, userId, reason }
+ * @returns {Promise<boolean>} - True si une session active a été révoquée
+ */
+export async function revokeUserSession(client, { sessionId, userId, reason }) {
+  const result = await client.query(
+    `UPDATE admin.user_sessions
+     SET revoked_at = NOW(), revoked_reason = $3
+     WHERE session_id = $1 AND user_id = $2
+       AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId, reason],
+  );
+  dashboardCache.authSessions.delete(sessionCacheKey(userId, sessionId));
+  return result.rowCount > 0;
+}
+
+/**
+ * Révoque toutes les sessions actives d'un utilisateur, sauf éventuellement la courante
+ * @param {Object} client - Client PostgreSQL
+ * @param {number|string} userId - Propriétaire
+ * @param {Object} options - { reason, exceptSessionId }
+ * @returns {Promise<number>} - Nombre de sessions révoquées
+ */
+export async function revokeUserSessions(client, userId, options = {}) {
+  const { reason, exceptSessionId = null } = options;
+
+  const result = await client.query(
+    `UPDATE admin.user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       AND ($3::int IS NULL OR session_id <> $3::int)`,
+    [userId, reason, exceptSessionId],
+  );
+  dashboardCache.authSessions.invalidatePattern(
+    `^${sessionCacheKey(userId, '')}`,
+  );
+  return result.rowCount;
+}
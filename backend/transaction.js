@@ -0,0 +1,157 @@
+// backend/transaction.js
+// Exécution de plusieurs requêtes dans une transaction PostgreSQL (BEGIN/COMMIT/ROLLBACK)
+import { getClient } from '@backend/dbConnect';
+import { addBreadcrumb } from '@/monitoring/sentry';
+
+// Codes PostgreSQL pour lesquels rejouer la transaction complète est sûr
+const RETRYABLE_ERROR_CODES = ['40001', '40P01']; // serialization_failure, deadlock_detected
+
+const ISOLATION_LEVELS = {
+  'read committed': 'READ COMMITTED',
+  'repeatable read': 'REPEATABLE READ',
+  serializable: 'SERIALIZABLE',
+};
+
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 50; // ms, doublé à chaque nouvelle tentative
+
+// Profondeur de transaction par client : au-delà de 0, on travaille en savepoint
+const transactionDepth = new WeakMap();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Indique si une erreur PostgreSQL justifie de rejouer la transaction
+ * @param {Error} error - Erreur levée par pg
+ * @returns {boolean}
+ */
+export function isRetryableTransactionError(error) {
+  return RETRYABLE_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * Exécute le callback dans un savepoint de la transaction déjà ouverte
+ */
+async function runInSavepoint(client, callback, { name, depth, requestId }) {
+  const savepoint = `sp_${depth}`;
+
+  await client.query(`SAVEPOINT ${savepoint}`);
+  addBreadcrumb('db.transaction', `Savepoint ${savepoint}`, {
+    name,
+    requestId,
+  });
+
+  try {
+    const result = await callback(client);
+    await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+    return result;
+  } catch (error) {
+    // Annuler uniquement le travail du savepoint ; la transaction parente reste utilisable
+    await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`).catch(() => {});
+    addBreadcrumb(
+      'db.transaction',
+      `Rollback to savepoint ${savepoint}`,
+      { name, requestId, code: error.code },
+      'warning',
+    );
+    throw error;
+  }
+}
+
+/**
+ * Exécute un callback dans une transaction.
+ * COMMIT si le callback réussit, ROLLBACK s'il lève une erreur (l'erreur est relancée).
+ * Un appel imbriqué sur le même client utilise un SAVEPOINT.
+ * En cas d'échec de sérialisation ou de deadlock, la transaction complète est rejouée :
+ * le callback ne doit donc avoir d'effet qu'en base (pas d'appel Cloudinary, pas de cache).
+ *
+ * @param {Function} callback - async (client) => résultat
+ * @param {Object} options
+ * @param {Object} [options.client] - Client existant (non libéré par le helper) ; sinon un client du pool est utilisé puis libéré
+ * @param {string} [options.name] - Nom de l'opération pour les breadcrumbs Sentry
+ * @param {string} [options.requestId] - ID de requête pour la corrélation
+ * @param {string} [options.isolationLevel] - 'read committed' | 'repeatable read' | 'serializable'
+ * @param {number} [options.maxRetries] - Nombre de rejeux sur erreur de sérialisation
+ * @returns {Promise<*>} - Valeur retournée par le callback
+ */
+export async function withTransaction(callback, options = {}) {
+  const {
+    client: providedClient = null,
+    name = 'transaction',
+    requestId = null,
+    isolationLevel = null,
+    maxRetries = DEFAULT_MAX_RETRIES,
+  } = options;
+
+  const client = providedClient || (await getClient());
+  const depth = transactionDepth.get(client) || 0;
+
+  transactionDepth.set(client, depth + 1);
+
+  try {
+    if (depth > 0) {
+      return await runInSavepoint(client, callback, {
+        name,
+        depth,
+        requestId,
+      });
+    }
+
+    const beginStatement = ISOLATION_LEVELS[isolationLevel]
+      ? `BEGIN ISOLATION LEVEL ${ISOLATION_LEVELS[isolationLevel]}`
+      : 'BEGIN';
+
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+
+      await client.query(beginStatement);
+      addBreadcrumb('db.transaction', `Begin ${name}`, {
+        requestId,
+        attempt,
+        isolationLevel: isolationLevel || 'default',
+      });
+
+      try {
+        const result = await callback(client);
+        await client.query('COMMIT');
+
+        addBreadcrumb('db.transaction', `Commit ${name}`, {
+          requestId,
+          attempt,
+          duration_ms: Date.now() - startTime,
+        });
+
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+
+        const retry =
+          isRetryableTransactionError(error) && attempt <= maxRetries;
+
+        addBreadcrumb(
+          'db.transaction',
+          retry ? `Retry ${name}` : `Rollback ${name}`,
+          {
+            requestId,
+            attempt,
+            code: error.code,
+            duration_ms: Date.now() - startTime,
+          },
+          retry ? 'warning' : 'error',
+        );
+
+        if (!retry) throw error;
+
+        await wait(RETRY_BASE_DELAY * 2 ** (attempt - 1));
+      }
+    }
+  } finally {
+    if (depth === 0) {
+      transactionDepth.delete(client);
+    } else {
+      transactionDepth.set(client, depth);
+    }
+
+    if (!providedClient) await client.cleanup();
+  }
+}
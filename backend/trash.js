@@ -0,0 +1,308 @@
+// backend/trash.js
+// Corbeille : suppression logique (deleted_at / deleted_by), restauration et purge
+// définitive des templates, applications, articles et plateformes
+import { withTransaction } from '@backend/transaction';
+import { recordAudit } from '@backend/auditLog';
+import { destroyImages } from '@backend/cloudinary';
+import { TRASH_ENTITIES } from '@/utils/trash';
+import logger from '@/utils/logger';
+import { captureException } from '@/monitoring/sentry';
+
+/**
+ * Durée de conservation dans la corbeille avant purge automatique (30 jours par défaut)
+ */
+export const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Lignes purgées par entité et par passage du job de rétention
+const PURGE_BATCH_SIZE = 100;
+
+const TRASH_LIST_LIMIT = 200;
+
+/**
+ * Tables concernées par la corbeille.
+ * referencedBy : requête comptant les lignes qui empêchent la purge définitive
+ */
+const TRASH_TABLES = {
+  template: {
+    table: 'catalog.templates',
+    idColumn: 'template_id',
+    nameColumn: 'template_name',
+    component: 'templates',
+    images: (row) => [row.template_image],
+    referencedBy:
+      'SELECT COUNT(*)::int AS count FROM catalog.applications WHERE application_template_id = $1',
+  },
+  application: {
+    table: 'catalog.applications',
+    idColumn: 'application_id',
+    nameColumn: 'application_name',
+    component: 'applications',
+    images: (row) => row.application_images || [],
+    referencedBy:
+      'SELECT COUNT(*)::int AS count FROM admin.orders WHERE order_application_id = $1',
+  },
+  article: {
+    table: 'admin.articles',
+    idColumn: 'article_id',
+    nameColumn: 'article_title',
+    component: 'blog',
+    // L'image de partage peut être l'image principale : ne la supprimer qu'une fois
+    images: (row) => [...new Set([row.article_image, row.og_image])],
+    referencedBy: null,
+  },
+  platform: {
+    table: 'admin.platforms',
+    idColumn: 'platform_id',
+    nameColumn: 'platform_name',
+    component: 'platforms',
+    images: () => [],
+    referencedBy:
+      'SELECT COUNT(*)::int AS count FROM admin.orders WHERE order_platform_id = $1',
+  },
+};
+
+/**
+ * Configuration d'une entité de la corbeille
+ * @param {string} entity - Clé de TRASH_ENTITIES
+ * @returns {Object|null} - Configuration, ou null si l'entité n'a pas de corbeille
+ */
+export function getTrashEntity(entity) {
+  return Object.hasOwn(TRASH_TABLES, entity) ? TRASH_TABLES[entity] : null;
+}
+
+/**
+ * Place une ligne dans la corbeille. À appeler dans la transaction de la route,
+ * après verrouillage et vérification des règles métier.
+ * @param {Object} client - Client de la transaction
+ * @param {string} entity - Entité
+ * @param {string|number} id - ID de la ligne
+ * @param {number|null} actorId - Utilisateur à l'origine de la suppression
+ * @returns {Promise<Object|null>} - Ligne mise à jour, ou null si elle était déjà supprimée
+ */
+export async function moveToTrash(client, entity, id, actorId) {
+  const { table, idColumn } = TRASH_TABLES[entity];
+
+  const result = await client.query(
+    `UPDATE ${table}
+     SET deleted_at = NOW(), deleted_by = $2
+     WHERE ${idColumn} = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [id, actorId],
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Liste les éléments de la corbeille, du plus récemment supprimé au plus ancien
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} [options]
+ * @param {string} [options.entity] - Restreindre à une entité
+ * @returns {Promise<Array>} - [{ entity, id, name, deleted_at, deleted_by, deleted_by_name, purge_at }]
+ */
+export async function fetchTrash(client, { entity = '' } = {}) {
+  const entities = entity ? [entity] : Object.keys(TRASH_ENTITIES);
+
+  const selects = entities.map((key) => {
+    const { table, idColumn, nameColumn } = TRASH_TABLES[key];
+
+    return `SELECT
+       '${key}' AS entity,
+       t.${idColumn}::text AS id,
+       t.${nameColumn} AS name,
+       t.deleted_at,
+       t.deleted_by
+     FROM ${table} t
+     WHERE t.deleted_at IS NOT NULL`;
+  });
+
+  const result = await client.query(
+    `SELECT
+       trash.*,
+       u.user_name AS deleted_by_name,
+       trash.deleted_at + make_interval(days => $1) AS purge_at
+     FROM (${selects.join(' UNION ALL ')}) trash
+     LEFT JOIN admin.users u ON u.user_id = trash.deleted_by
+     ORDER BY trash.deleted_at DESC
+     LIMIT $2`,
+    [TRASH_RETENTION_DAYS, TRASH_LIST_LIMIT],
+  );
+
+  return result.rows;
+}
+
+/**
+ * Restaure un élément de la corbeille
+ * @param {Object} client - Client de la transaction
+ * @param {string} entity - Entité
+ * @param {string} id - ID de la ligne
+ * @param {Object} audit - Contexte d'audit { actorId, requestId, ip }
+ * @returns {Promise<Object|null>} - Ligne restaurée, ou null si absente de la corbeille
+ */
+export async function restoreFromTrash(client, entity, id, audit) {
+  const { table, idColumn } = TRASH_TABLES[entity];
+
+  const current = await client.query(
+    `SELECT * FROM ${table}
+     WHERE ${idColumn} = $1 AND deleted_at IS NOT NULL
+     FOR UPDATE`,
+    [id],
+  );
+
+  if (current.rows.length === 0) return null;
+
+  const result = await client.query(
+    `UPDATE ${table}
+     SET deleted_at = NULL, deleted_by = NULL
+     WHERE ${idColumn} = $1
+     RETURNING *`,
+    [id],
+  );
+
+  await recordAudit(client, {
+    ...audit,
+    action: 'restore',
+    entity,
+    entityId: id,
+    before: current.rows[0],
+    after: result.rows[0],
+  });
+
+  return result.rows[0];
+}
+
+/**
+ * Supprime définitivement un élément de la corbeille.
+ * Les images Cloudinary ne sont pas détruites ici : l'appelant s'en charge après le COMMIT.
+ * @param {Object} client - Client de la transaction
+ * @param {string} entity - Entité
+ * @param {string} id - ID de la ligne
+ * @param {Object} audit - Contexte d'audit { actorId, requestId, ip }
+ * @returns {Promise<Object>} - { row, blockedReason, references }
+ */
+export async function purgeFromTrash(client, entity, id, audit) {
+  const { table, idColumn, referencedBy } = TRASH_TABLES[entity];
+
+  const current = await client.query(
+    `SELECT * FROM ${table}
+     WHERE ${idColumn} = $1 AND deleted_at IS NOT NULL
+     FOR UPDATE`,
+    [id],
+  );
+
+  if (current.rows.length === 0) return { blockedReason: 'not_found' };
+
+  const row = current.rows[0];
+
+  if (referencedBy) {
+    const references = (await client.query(referencedBy, [id])).rows[0].count;
+    if (references > 0) return { row, blockedReason: 'in_use', references };
+  }
+
+  await client.query(`DELETE FROM ${table} WHERE ${idColumn} = $1`, [id]);
+
+  await recordAudit(client, {
+    ...audit,
+    action: 'purge',
+    entity,
+    entityId: id,
+    before: row,
+  });
+
+  return { row };
+}
+
+/**
+ * Images Cloudinary rattachées à une ligne purgée
+ * @param {string} entity - Entité
+ * @param {Object} row - Ligne supprimée
+ * @returns {Array<string>} - public_id des images
+ */
+export function getTrashImages(entity, row) {
+  return TRASH_TABLES[entity].images(row).filter(Boolean);
+}
+
+/**
+ * Purge les éléments restés dans la corbeille au-delà de la durée de rétention,
+ * puis supprime leurs images Cloudinary. Les lignes encore référencées sont conservées.
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Durée de rétention en jours
+ * @param {string} [options.requestId] - ID de corrélation pour les logs
+ * @returns {Promise<Object>} - { [entity]: { purged, skipped, images } }
+ */
+export async function purgeExpiredTrash({
+  retentionDays = TRASH_RETENTION_DAYS,
+  requestId = null,
+} = {}) {
+  const summary = {};
+
+  for (const entity of Object.keys(TRASH_ENTITIES)) {
+    const { table, idColumn, component } = TRASH_TABLES[entity];
+
+    try {
+      const { purged, skipped } = await withTransaction(
+        async (tx) => {
+          // SKIP LOCKED : une restauration en cours n'est pas bloquée par le job
+          const expired = await tx.query(
+            `SELECT ${idColumn} AS id FROM ${table}
+             WHERE deleted_at < NOW() - make_interval(days => $1)
+             ORDER BY deleted_at ASC
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED`,
+            [retentionDays, PURGE_BATCH_SIZE],
+          );
+
+          const rows = [];
+          let blocked = 0;
+
+          for (const { id } of expired.rows) {
+            const result = await purgeFromTrash(tx, entity, id, { requestId });
+
+            if (result.blockedReason) {
+              blocked++;
+            } else {
+              rows.push(result.row);
+            }
+          }
+
+          return { purged: rows, skipped: blocked };
+        },
+        { name: `purge_expired_${entity}s`, requestId },
+      );
+
+      // Après le COMMIT uniquement : une purge annulée ne doit jamais faire perdre d'images
+      const images = await destroyImages(
+        purged.flatMap((row) => getTrashImages(entity, row)),
+        { requestId, component, entity, operation: 'purge' },
+      );
+
+      summary[entity] = {
+        purged: purged.length,
+        skipped,
+        images: images.deleted.length,
+      };
+    } catch (error) {
+      logger.error('Trash retention purge failed', {
+        entity,
+        requestId,
+        error: error.message,
+      });
+
+      captureException(error, {
+        level: 'error',
+        tags: {
+          component,
+          action: 'trash_purge_failed',
+          entity,
+          operation: 'purge',
+        },
+        extra: { requestId, retentionDays },
+      });
+
+      summary[entity] = { error: error.message };
+    }
+  }
+
+  return summary;
+}
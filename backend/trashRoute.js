@@ -0,0 +1,64 @@
+// backend/trashRoute.js
+// Routes API de la corbeille : une route du pipeline par entité, choisie d'après
+// le segment [entity] (permission, validation de l'ID et tags Sentry propres)
+import { NextResponse } from 'next/server';
+import { defineDashboardRoute } from '@backend/dashboardRoute';
+import { getTrashEntity } from '@backend/trash';
+import { TRASH_ENTITIES, TRASH_PERMISSIONS } from '@/utils/trash';
+import { templateIdSchema } from '@/utils/schemas/templateSchema';
+import { applicationIdSchema } from '@/utils/schemas/applicationSchema';
+import { articleIdSchema } from '@/utils/schemas/articleSchema';
+import { platformIdSchema, cleanUUID } from '@/utils/schemas/platformSchema';
+
+const ID_SCHEMAS = {
+  template: templateIdSchema,
+  application: applicationIdSchema,
+  article: articleIdSchema,
+  platform: platformIdSchema,
+};
+
+/**
+ * Déclare une route de la corbeille pour toutes ses entités
+ * @param {Object} config - Configuration de defineDashboardRoute, sans entity ni permission
+ * @returns {Function} - Handler Next.js (request, { params }) => Response
+ */
+export function defineTrashRoute(config) {
+  const routes = Object.fromEntries(
+    Object.keys(TRASH_ENTITIES).map((entity) => [
+      entity,
+      defineDashboardRoute({
+        ...config,
+        entity,
+        component: getTrashEntity(entity).component,
+        permission: TRASH_PERMISSIONS[entity],
+        params: {
+          schema: ID_SCHEMAS[entity],
+          clean: cleanUUID,
+          message: `Invalid ${entity} ID format`,
+        },
+        rateLimit: {
+          ...config.rateLimit,
+          prefix: `${config.rateLimit.prefix}_${entity}`,
+        },
+      }),
+    ]),
+  );
+
+  return async function trashRoute(request, context = {}) {
+    const { entity } = (await context.params) || {};
+    const route = getTrashEntity(entity) ? routes[entity] : null;
+
+    if (!route) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Unknown trash entity',
+          message: 'This type of item has no trash',
+        },
+        { status: 404 },
+      );
+    }
+
+    return route(request, context);
+  };
+}
@@ -0,0 +1,376 @@
+// backend/twoFactor.js
+// Double authentification TOTP (RFC 6238) : secrets chiffrés et codes de secours
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { ROLES } from '@/utils/permissions';
+import {
+  RECOVERY_CODE_PATTERN,
+  TOTP_CODE_PATTERN,
+  TOTP_DIGITS,
+  normalizeSecondFactorCode,
+} from '@/utils/twoFactor';
+
+// Durée d'un pas de temps TOTP (secondes) et tolérance de décalage d'horloge (pas)
+const TOTP_PERIOD = 30;
+const TOTP_WINDOW = 1;
+
+// Alphabet base32 (RFC 4648) utilisé par les applications d'authentification
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Nombre de codes de secours générés à l'activation
+ */
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Nom affiché dans l'application d'authentification
+ */
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Benew Admin';
+
+/**
+ * Rôles pour lesquels la double authentification est obligatoire
+ * (TWO_FACTOR_REQUIRED_ROLES, ex. "owner,order-manager" ; vide : facultative)
+ */
+export const TWO_FACTOR_REQUIRED_ROLES = (
+  process.env.TWO_FACTOR_REQUIRED_ROLES || ''
+)
+  .split(',')
+  .map((role) => role.trim())
+  .filter((role) => Object.values(ROLES).includes(role));
+
+/**
+ * Indique si un rôle doit activer la double authentification
+ * @param {string} role - Rôle de l'utilisateur
+ * @returns {boolean}
+ */
+export function isTwoFactorRequired(role) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(role);
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/=+$/, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Génère un secret TOTP (160 bits, encodé en base32)
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcule le code TOTP d'un pas de temps
+ * @param {string} secret - Secret base32
+ * @param {number} step - Pas de temps (secondes Unix / période)
+ * @returns {string} Code à TOTP_DIGITS chiffres
+ */
+export function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Vérifie un code TOTP dans la fenêtre de tolérance
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi
+ * @param {Object} options - { lastStep: dernier pas accepté, refusé avec les précédents }
+ * @returns {number|null} Pas de temps correspondant, ou null
+ */
+export function verifyTotp(secret, code, options = {}) {
+  const { lastStep = null } = options;
+  if (!TOTP_CODE_PATTERN.test(code)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  const expected = Buffer.from(code);
+
+  for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+    const step = currentStep + delta;
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+
+    const candidate = Buffer.from(generateTotp(secret, step));
+    if (crypto.timingSafeEqual(candidate, expected)) return step;
+  }
+
+  return null;
+}
+
+/**
+ * URI otpauth:// lue par les applications d'authentification
+ * @param {string} secret - Secret base32
+ * @param {string} accountName - Email du compte
+ * @returns {string}
+ */
+export function buildOtpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  // Espaces encodés en %20 : certaines applications affichent les « + » tels quels
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * QR code de l'URI otpauth, en image SVG (data URL)
+ * @param {string} otpauthUrl - URI otpauth://
+ * @returns {Promise<string>}
+ */
+export async function buildTotpQrCode(otpauthUrl) {
+  const svg = await QRCode.toString(otpauthUrl, {
+    type: 'svg',
+    margin: 1,
+    errorCorrectionLevel: 'M',
+  });
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+/**
+ * Clé de chiffrement des secrets TOTP, dérivée de TOTP_ENCRYPTION_KEY
+ * (NEXTAUTH_SECRET à défaut)
+ */
+function getEncryptionKey() {
+  const secret = process.env.TOTP_ENCRYPTION_KEY || process.env.NEXTAUTH_SECRET;
+  if (!secret) {
+    throw new Error('TOTP_ENCRYPTION_KEY or NEXTAUTH_SECRET must be set');
+  }
+  return Buffer.from(
+    crypto.hkdfSync('sha256', secret, '', 'totp-secret-encryption', 32),
+  );
+}
+
+/**
+ * Chiffre un secret TOTP (AES-256-GCM) pour le stockage
+ * @param {string} secret - Secret base32
+ * @returns {string} "v1:iv:tag:données" en base64
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [
+    'v1',
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    data.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Déchiffre un secret TOTP stocké
+ * @param {string} payload - Valeur de user_totp_secret
+ * @returns {string} Secret base32
+ */
+export function decryptTotpSecret(payload) {
+  const [version, iv, tag, data] = String(payload).split(':');
+  if (version !== 'v1' || !iv || !tag || !data) {
+    throw new Error('Unsupported TOTP secret format');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    getEncryptionKey(),
+    Buffer.from(iv, 'base64'),
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Hash SHA-256 d'un code de secours normalisé (sans tiret)
+ * @param {string} code - Code de secours
+ * @returns {string}
+ */
+export function hashRecoveryCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(normalizeSecondFactorCode(code).replace('-', ''))
+    .digest('hex');
+}
+
+/**
+ * Remplace les codes de secours d'un compte
+ * @param {Object} client - Client PostgreSQL (dans une transaction)
+ * @param {number} userId - Compte concerné
+ * @returns {Promise<Array<string>>} Nouveaux codes, à montrer une seule fois
+ */
+export async function replaceRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.query(
+    'DELETE FROM admin.user_recovery_codes WHERE user_id = $1',
+    [userId],
+  );
+  await client.query(
+    `INSERT INTO admin.user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::char(64)[])`,
+    [userId, codes.map(hashRecoveryCode)],
+  );
+
+  return codes;
+}
+
+/**
+ * État de la double authentification d'un compte
+ * @param {Object} client - Client PostgreSQL
+ * @param {number} userId - Compte concerné
+ * @param {Object} options - { forUpdate: verrouiller le compte dans une transaction }
+ * @returns {Promise<Object|null>} - { enabled, enabledAt, pending, secret, lastStep, recoveryCodesLeft }
+ */
+export async function fetchTwoFactorState(client, userId, options = {}) {
+  const { forUpdate = false } = options;
+
+  const result = await client.query(
+    `SELECT user_email, user_role, user_totp_secret, user_totp_enabled,
+            user_totp_enabled_at, user_totp_last_step
+     FROM admin.users
+     WHERE user_id = $1
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [userId],
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const codesResult = await client.query(
+    `SELECT COUNT(*)::int AS remaining
+     FROM admin.user_recovery_codes
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId],
+  );
+
+  return {
+    email: row.user_email,
+    role: row.user_role,
+    enabled: row.user_totp_enabled,
+    enabledAt: row.user_totp_enabled_at,
+    // Activation commencée mais pas encore confirmée par un code
+    pending: !row.user_totp_enabled && !!row.user_totp_secret,
+    secret: row.user_totp_secret
+      ? decryptTotpSecret(row.user_totp_secret)
+      : null,
+    lastStep: row.user_totp_last_step,
+    recoveryCodesLeft: codesResult.rows[0].remaining,
+    required: isTwoFactorRequired(row.user_role),
+  };
+}
+
+/**
+ * Vérifie le second facteur d'un compte (code TOTP ou code de secours) et le
+ * consomme : le pas de temps TOTP est mémorisé, le code de secours marqué utilisé.
+ * @param {Object} client - Client PostgreSQL (dans une transaction)
+ * @param {number} userId - Compte concerné
+ * @param {string} code - Code saisi
+ * @returns {Promise<Object>} - { valid, method: 'totp'|'recovery'|null }
+ */
+export async function verifySecondFactor(client, userId, code) {
+  const normalized = normalizeSecondFactorCode(code);
+  const state = await fetchTwoFactorState(client, userId, { forUpdate: true });
+
+  if (!state?.enabled) {
+    return { valid: false, method: null };
+  }
+
+  if (TOTP_CODE_PATTERN.test(normalized)) {
+    const step = verifyTotp(state.secret, normalized, {
+      lastStep: state.lastStep,
+    });
+    if (step === null) return { valid: false, method: 'totp' };
+
+    await client.query(
+      'UPDATE admin.users SET user_totp_last_step = $1 WHERE user_id = $2',
+      [step, userId],
+    );
+    return { valid: true, method: 'totp' };
+  }
+
+  if (RECOVERY_CODE_PATTERN.test(normalized)) {
+    const result = await client.query(
+      `UPDATE admin.user_recovery_codes
+       SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING code_id`,
+      [userId, hashRecoveryCode(normalized)],
+    );
+    return { valid: result.rowCount > 0, method: 'recovery' };
+  }
+
+  return { valid: false, method: null };
+}
+
+/**
+ * Désactive la double authentification et supprime les codes de secours
+ * @param {Object} client - Client PostgreSQL (dans une transaction)
+ * @param {number} userId - Compte concerné
+ */
+export async function disableTwoFactor(client, userId) {
+  await client.query(
+    `UPDATE admin.users
+     SET user_totp_secret = NULL,
+         user_totp_enabled = FALSE,
+         user_totp_enabled_at = NULL,
+         user_totp_last_step = NULL,
+         user_updated = NOW()
+     WHERE user_id = $1`,
+    [userId],
+  );
+  await client.query(
+    'DELETE FROM admin.user_recovery_codes WHERE user_id = $1',
+    [userId],
+  );
+}
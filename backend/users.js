@@ -0,0 +1,115 @@
+// backend/users.js
+// Requêtes partagées de gestion des comptes du dashboard (admin.users)
+import { ROLES } from '@/utils/permissions';
+
+/**
+ * Colonnes exposables d'admin.users : jamais user_password ni les secrets
+ */
+export const SAFE_USER_COLUMNS = `
+  user_id,
+  user_name,
+  user_email,
+  user_phone,
+  user_birthdate,
+  user_image,
+  user_role,
+  user_is_active,
+  user_deactivated_at,
+  user_must_reset_password,
+  user_totp_enabled,
+  user_totp_enabled_at,
+  user_locked_until,
+  user_added,
+  user_updated
+`;
+
+/**
+ * Taille de page par défaut et maximale de la liste des utilisateurs
+ */
+export const USERS_PAGE_SIZE = 20;
+export const USERS_MAX_PAGE_SIZE = 50;
+
+/**
+ * Normalise les paramètres de liste (page, limit, search) issus de l'URL
+ * @param {Object} params - Paramètres bruts
+ * @returns {Object} - { page, limit, offset, search }
+ */
+export function parseUserListParams(params = {}) {
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(params.limit, 10) || USERS_PAGE_SIZE, 1),
+    USERS_MAX_PAGE_SIZE,
+  );
+  const search =
+    typeof params.search === 'string'
+      ? params.search
+          .replace(/[^\p{L}\p{N}@._\s-]/gu, '')
+          .trim()
+          .slice(0, 100)
+      : '';
+
+  return { page, limit, offset: (page - 1) * limit, search };
+}
+
+/**
+ * Récupère une page d'utilisateurs avec recherche par nom ou email
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} params - Paramètres normalisés par parseUserListParams
+ * @returns {Promise<Object>} - { users, pagination }
+ */
+export async function fetchUsersPage(client, { page, limit, offset, search }) {
+  const values = [];
+  let whereClause = '';
+
+  if (search) {
+    // Échapper les jokers LIKE pour une recherche littérale
+    const escaped = search.toLowerCase().replace(/[\\%_]/g, '\\$&');
+    values.push(`%${escaped}%`);
+    whereClause = `WHERE LOWER(user_name) LIKE $1 OR LOWER(user_email) LIKE $1`;
+  }
+
+  const countResult = await client.query(
+    `SELECT COUNT(*)::int AS total FROM admin.users ${whereClause}`,
+    values,
+  );
+
+  const usersResult = await client.query(
+    `SELECT ${SAFE_USER_COLUMNS}
+     FROM admin.users
+     ${whereClause}
+     ORDER BY user_added DESC, user_id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset],
+  );
+
+  const total = countResult.rows[0]?.total || 0;
+
+  return {
+    users: usersResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(Math.ceil(total / limit), 1),
+    },
+  };
+}
+
+/**
+ * Vérifie qu'une modification ne retire pas le dernier propriétaire actif
+ * @param {Object} client - Client PostgreSQL
+ * @param {number|string} userId - Utilisateur modifié
+ * @returns {Promise<boolean>} - True si l'utilisateur est le dernier owner actif
+ */
+export async function isLastActiveOwner(client, userId) {
+  const result = await client.query(
+    `SELECT
+       (SELECT user_role FROM admin.users WHERE user_id = $1) AS role,
+       (SELECT COUNT(*)::int FROM admin.users
+        WHERE user_role = $2 AND user_is_active = TRUE AND user_id <> $1) AS other_owners`,
+    [userId, ROLES.OWNER],
+  );
+
+  const { role, other_owners: otherOwners } = result.rows[0] || {};
+  return role === ROLES.OWNER && otherOwners === 0;
+}
@@ -12,6 +12,10 @@ export async function register() {
     if (process.env.NEXT_RUNTIME === 'nodejs') {
       console.log('🚀 Initializing Sentry for Node.js runtime...');
       await import('./sentry.server.config');
+
+      // Tâches de fond (purge de la corbeille...)
+      const { registerJobs } = await import('./backend/jobs');
+      registerJobs();
     }
 
     // Configuration pour l'environnement Edge Runtime
@@ -1,24 +1,93 @@
 // /middleware.js
 import { NextResponse } from 'next/server';
 import { getToken } from 'next-auth/jwt';
+import { canAccessPath } from '@/utils/permissions';
+import { verifyUserSession } from '@backend/sessions';
+import logger from '@/utils/logger';
+
+// Pages réservées aux visiteurs non connectés
+const AUTH_ROUTES = [
+  '/login',
+  '/register',
+  '/forgot-password',
+  '/reset-password',
+];
+
+// Page d'activation de la double authentification
+const TWO_FACTOR_SETUP_PATH = '/dashboard/account/security';
+
+/**
+ * Vérifie que la session du JWT existe toujours dans le registre (ni révoquée ni expirée).
+ * En cas d'erreur DB, la session n'est pas acceptée : l'accès est refusé sans
+ * supprimer le cookie, pour ne pas déconnecter l'utilisateur sur une panne passagère.
+ * @param {Object} token - JWT décodé
+ * @returns {Promise<string>} - 'active', 'revoked' (révoquée ou expirée) ou 'unavailable'
+ */
+async function getSessionState(token) {
+  if (token.sessionRevoked) return 'revoked';
+
+  try {
+    const { active } = await verifyUserSession(token.sid, token.id);
+    return active ? 'active' : 'revoked';
+  } catch (error) {
+    logger.error('Session registry check failed in middleware', {
+      userId: token.id,
+      sessionId: token.sid,
+      error: error.message,
+    });
+    return 'unavailable';
+  }
+}
+
+/**
+ * Supprime le cookie de session next-auth (y compris ses fragments .0, .1...)
+ */
+function clearSessionCookie(req, response) {
+  req.cookies
+    .getAll()
+    .filter(({ name }) => name.includes('next-auth.session-token'))
+    .forEach(({ name }) => response.cookies.delete(name));
+  return response;
+}
 
 export async function middleware(req) {
   const token = await getToken({ req, secret: process.env.NEXTAUTH_SECRET });
-  const isAuthenticated = !!token;
+  // Un compte désactivé conserve son cookie mais n'est plus considéré connecté
+  const hasActiveAccount = !!token && token.isActive !== false;
+  // Une session révoquée (ou expirée) n'est plus acceptée, même avec un JWT valide,
+  // pas plus qu'une session que le registre n'a pas pu confirmer
+  const sessionState = hasActiveAccount ? await getSessionState(token) : null;
+  const isRevoked = sessionState === 'revoked';
+  const isAuthenticated = sessionState === 'active';
 
   // Define protected routes
   const isProtectedRoute = req.nextUrl.pathname.startsWith('/dashboard');
 
-  // Define auth routes (login, register)
-  const isAuthRoute =
-    req.nextUrl.pathname.startsWith('/login') ||
-    req.nextUrl.pathname.startsWith('/register');
+  // Define auth routes (login, register, password reset)
+  const isAuthRoute = AUTH_ROUTES.some((route) =>
+    req.nextUrl.pathname.startsWith(route),
+  );
 
   // Redirect unauthenticated users from protected routes to login
   if (isProtectedRoute && !isAuthenticated) {
     const url = new URL('/login', req.url);
     url.searchParams.set('callbackUrl', req.nextUrl.pathname);
-    return NextResponse.redirect(url);
+    const response = NextResponse.redirect(url);
+    return isRevoked ? clearSessionCookie(req, response) : response;
+  }
+
+  // Users whose role requires 2FA must enable it before using the dashboard
+  if (
+    isProtectedRoute &&
+    token.twoFactorSetupRequired &&
+    !req.nextUrl.pathname.startsWith(TWO_FACTOR_SETUP_PATH)
+  ) {
+    return NextResponse.redirect(new URL(TWO_FACTOR_SETUP_PATH, req.url));
+  }
+
+  // Redirect users without the required role permission to the dashboard home
+  if (isProtectedRoute && !canAccessPath(token.role, req.nextUrl.pathname)) {
+    return NextResponse.redirect(new URL('/dashboard', req.url));
   }
 
   // Redirect authenticated users from auth routes to dashboard
@@ -26,10 +95,22 @@ export async function middleware(req) {
     return NextResponse.redirect(new URL('/dashboard', req.url));
   }
 
+  if (isRevoked) {
+    return clearSessionCookie(req, NextResponse.next());
+  }
+
   return NextResponse.next();
 }
 
 // Specify which routes this middleware should run on
 export const config = {
-  matcher: ['/dashboard/:path*', '/login', '/register'],
+  // Runtime Node.js : le registre des sessions est lu dans PostgreSQL
+  runtime: 'nodejs',
+  matcher: [
+    '/dashboard/:path*',
+    '/login',
+    '/register',
+    '/forgot-password',
+    '/reset-password',
+  ],
 };
@@ -322,6 +322,25 @@ export const setUser = (user) => {
   Sentry.setUser(anonymizedUser);
 };
 
+/**
+ * Ajoute un breadcrumb, joint aux prochains événements Sentry du même scope
+ * @param {string} category - Catégorie du breadcrumb (ex: 'db.transaction')
+ * @param {string} message - Message court
+ * @param {Object} data - Données complémentaires (sans données personnelles)
+ * @param {string} level - Niveau ('info', 'warning', 'error')
+ */
+export const addBreadcrumb = (category, message, data = {}, level = 'info') => {
+  Sentry.addBreadcrumb({
+    category,
+    message,
+    level,
+    data: {
+      execution_context: 'server_component',
+      ...data,
+    },
+  });
+};
+
 /**
  * Fonction auxiliaire pour créer un hachage simple d'une chaîne
  * @param {string} str - La chaîne à hacher
@@ -0,0 +1,151 @@
+'use client';
+
+import { useMemo, useState } from 'react';
+import parse from 'html-react-parser';
+import { MdHistory, MdRestore } from 'react-icons/md';
+import styles from './articleRevisions.module.css';
+import { diffHtml } from '@/utils/htmlDiff';
+
+const formatDateTime = (date) =>
+  new Intl.DateTimeFormat('fr-FR', {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  }).format(new Date(date));
+
+/**
+ * Historique des révisions d'un article : comparaison de deux versions et restauration
+ * @param {Array} revisions - Révisions, de la plus récente à la plus ancienne
+ * @param {Function} onRestore - (revision) => Promise, restaure une révision
+ * @param {boolean} disabled - Désactive la restauration (enregistrement en cours)
+ */
+function ArticleRevisions({ revisions = [], onRestore, disabled = false }) {
+  // Par défaut : l'avant-dernière version comparée à la version actuelle
+  const [baseId, setBaseId] = useState(revisions[1]?.revision_id ?? null);
+  const [compareId, setCompareId] = useState(revisions[0]?.revision_id ?? null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const base = revisions.find((r) => r.revision_id === baseId);
+  const compared = revisions.find((r) => r.revision_id === compareId);
+
+  const diff = useMemo(() => {
+    if (!base || !compared) return null;
+    return {
+      title: base.title !== compared.title,
+      image: base.image !== compared.image,
+      ...diffHtml(base.text, compared.text),
+    };
+  }, [base, compared]);
+
+  const handleRestore = async (revision) => {
+    if (
+      !confirm(
+        `Restaurer la version du ${formatDateTime(revision.created_at)} ? Elle sera enregistrée comme nouvelle révision.`,
+      )
+    ) {
+      return;
+    }
+
+    setRestoringId(revision.revision_id);
+    try {
+      await onRestore(revision);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (revisions.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className={styles.container}>
+      <div className={styles.header}>
+        <MdHistory />
+        <h3 className={styles.title}>Révisions ({revisions.length})</h3>
+      </div>
+
+      <table className={styles.table}>
+        <thead>
+          <tr>
+            <td title="Version de référence">A</td>
+            <td title="Version comparée">B</td>
+            <td>Date</td>
+            <td>Auteur</td>
+            <td>Titre</td>
+            <td></td>
+          </tr>
+        </thead>
+        <tbody>
+          {revisions.map((revision, index) => (
+            <tr key={revision.revision_id}>
+              <td>
+                <input
+                  type="radio"
+                  name="revisionBase"
+                  checked={baseId === revision.revision_id}
+                  onChange={() => setBaseId(revision.revision_id)}
+                />
+              </td>
+              <td>
+                <input
+                  type="radio"
+                  name="revisionCompare"
+                  checked={compareId === revision.revision_id}
+                  onChange={() => setCompareId(revision.revision_id)}
+                />
+              </td>
+              <td className={styles.nowrap}>
+                {formatDateTime(revision.created_at)}
+                {index === 0 && (
+                  <span className={styles.currentBadge}>Actuelle</span>
+                )}
+              </td>
+              <td>
+                {revision.created_by_name || (
+                  <span className={styles.muted}>Inconnu</span>
+                )}
+              </td>
+              <td className={styles.revisionTitle}>{revision.title}</td>
+              <td>
+                {index > 0 && (
+                  <button
+                    type="button"
+                    className={styles.restoreButton}
+                    onClick={() => handleRestore(revision)}
+                    disabled={disabled || restoringId !== null}
+                  >
+                    <MdRestore />
+                    {restoringId === revision.revision_id ? '...' : 'Restaurer'}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {diff ? (
+        <div className={styles.diff}>
+          <p className={styles.diffSummary}>
+            <span className={styles.insertions}>+{diff.insertions} mots</span>
+            <span className={styles.deletions}>−{diff.deletions} mots</span>
+            {diff.title && <span>Titre modifié</span>}
+            {diff.image && <span>Image modifiée</span>}
+          </p>
+          {diff.title && (
+            <p className={styles.diffTitle}>
+              <del>{base.title}</del> <ins>{compared.title}</ins>
+            </p>
+          )}
+          <div className={styles.diffContent}>{parse(diff.html)}</div>
+        </div>
+      ) : (
+        <p className={styles.muted}>
+          Sélectionnez deux révisions (A et B) pour les comparer.
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default ArticleRevisions;
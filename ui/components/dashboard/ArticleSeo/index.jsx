@@ -0,0 +1,360 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import { useSession } from 'next-auth/react';
+import { CldUploadWidget, CldImage } from 'next-cloudinary';
+import { MdTravelExplore, MdCheckCircle, MdError } from 'react-icons/md';
+import styles from './articleSeo.module.css';
+import {
+  SEO_LIMITS,
+  getArticleUrl,
+  resolveSeoFields,
+  slugify,
+} from '@/utils/articleSeo';
+import {
+  extractCloudinaryImageIds,
+  getUploadWidgetOptions,
+} from '@/utils/media';
+
+const SLUG_CHECK_ENDPOINT = '/api/dashboard/blog/slug';
+
+// Délai avant de vérifier le slug pendant la saisie (ms)
+const SLUG_CHECK_DELAY = 400;
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+
+/**
+ * Compteur de caractères : vert dans la longueur recommandée, orange au-delà
+ * ou en dessous du minimum
+ */
+function CharCounter({ length, min = 0, recommended, max }) {
+  const state =
+    length === 0 ? '' : length < min || length > recommended ? 'warn' : 'ok';
+
+  return (
+    <span className={`${styles.counter} ${state ? styles[state] : ''}`}>
+      {length}/{recommended}
+      {length > recommended && ` (max ${max})`}
+    </span>
+  );
+}
+
+/**
+ * Référencement d'un article : slug, balises meta, mots-clés, image de partage
+ * et aperçus (résultat de recherche et carte de partage)
+ * @param {Object} values - { slug, metaTitle, metaDescription, keywords, ogImage } (keywords : saisie séparée par des virgules)
+ * @param {Function} onChange - (champ, valeur) => void
+ * @param {Object} article - { title, text, imageUrl } : valeurs par défaut des aperçus
+ * @param {string|null} articleId - Article modifié (null à la création)
+ * @param {Array} redirects - Anciens slugs redirigés vers l'article [{ slug, created_at }]
+ * @param {Object} errors - Erreurs par champ
+ */
+function ArticleSeo({
+  values,
+  onChange,
+  article,
+  articleId = null,
+  redirects = [],
+  errors = {},
+}) {
+  const { data: session } = useSession();
+  // Sans slug enregistré, le slug suit le titre jusqu'à ce qu'il soit modifié à la main
+  const [followTitle, setFollowTitle] = useState(!values.slug);
+  const [slugCheck, setSlugCheck] = useState(null);
+
+  useEffect(() => {
+    if (followTitle) {
+      onChange('slug', slugify(article.title));
+    }
+    // onChange est recréé à chaque rendu du formulaire parent : non suivi
+  }, [article.title, followTitle]);
+
+  // Disponibilité du slug, vérifiée après une pause dans la saisie
+  useEffect(() => {
+    if (!values.slug) {
+      setSlugCheck(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(SLUG_CHECK_ENDPOINT, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ slug: values.slug, articleId }),
+          signal: controller.signal,
+        });
+        const result = await response.json();
+        setSlugCheck(response.ok ? result.data : null);
+      } catch (error) {
+        if (error.name !== 'AbortError') setSlugCheck(null);
+      }
+    }, SLUG_CHECK_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [values.slug, articleId]);
+
+  const handleSlugChange = (value, options) => {
+    setFollowTitle(false);
+    onChange('slug', slugify(value, options));
+  };
+
+  // Images proposées pour le partage : image principale et images du contenu
+  const imageChoices = useMemo(
+    () =>
+      [
+        ...new Set(
+          [article.imageUrl, values.ogImage]
+            .concat(extractCloudinaryImageIds(article.text))
+            .filter(Boolean),
+        ),
+      ].slice(0, 12),
+    [article.imageUrl, article.text, values.ogImage],
+  );
+
+  const preview = resolveSeoFields({ ...article, ...values });
+  const url = getArticleUrl(values.slug);
+  const siteHost = url.replace(/^https?:\/\//, '').split('/')[0];
+
+  return (
+    <section className={styles.container}>
+      <div className={styles.header}>
+        <MdTravelExplore />
+        <h3 className={styles.title}>Référencement et partage</h3>
+      </div>
+
+      <div className={styles.columns}>
+        <div className={styles.fields}>
+          {/* Slug */}
+          <div className={styles.field}>
+            <label htmlFor="seo-slug" className={styles.label}>
+              Slug (adresse de l&apos;article)
+              <span className={styles.counter}>
+                {values.slug.length}/{SEO_LIMITS.slug}
+              </span>
+            </label>
+            <div className={styles.slugRow}>
+              <input
+                id="seo-slug"
+                type="text"
+                value={values.slug}
+                onChange={(e) =>
+                  handleSlugChange(e.target.value, { typing: true })
+                }
+                onBlur={(e) => handleSlugChange(e.target.value)}
+                className={`${styles.input} ${errors.slug ? styles.inputError : ''}`}
+                maxLength={SEO_LIMITS.slug}
+                placeholder="mon-article"
+              />
+              <button
+                type="button"
+                className={styles.secondaryButton}
+                onClick={() => setFollowTitle(true)}
+                disabled={followTitle}
+              >
+                Depuis le titre
+              </button>
+            </div>
+            {slugCheck &&
+              slugCheck.slug === values.slug &&
+              (slugCheck.available ? (
+                <span className={styles.available}>
+                  <MdCheckCircle /> Slug disponible
+                </span>
+              ) : (
+                <span className={styles.taken}>
+                  <MdError /> Slug déjà utilisé.{' '}
+                  <button
+                    type="button"
+                    className={styles.linkButton}
+                    onClick={() => handleSlugChange(slugCheck.suggestion)}
+                  >
+                    Utiliser « {slugCheck.suggestion} »
+                  </button>
+                </span>
+              ))}
+            {errors.slug && (
+              <span className={styles.fieldError}>{errors.slug}</span>
+            )}
+            {redirects.length > 0 && (
+              <p className={styles.hint}>
+                Anciennes adresses redirigées vers cet article :{' '}
+                {redirects.map((redirect) => redirect.slug).join(', ')}
+              </p>
+            )}
+          </div>
+
+          {/* Titre meta */}
+          <div className={styles.field}>
+            <label htmlFor="seo-meta-title" className={styles.label}>
+              Titre pour les moteurs de recherche
+              <CharCounter
+                length={values.metaTitle.length}
+                {...SEO_LIMITS.metaTitle}
+              />
+            </label>
+            <input
+              id="seo-meta-title"
+              type="text"
+              value={values.metaTitle}
+              onChange={(e) => onChange('metaTitle', e.target.value)}
+              className={`${styles.input} ${errors.metaTitle ? styles.inputError : ''}`}
+              maxLength={SEO_LIMITS.metaTitle.max}
+              placeholder={article.title || 'Titre de l’article par défaut'}
+            />
+            {errors.metaTitle && (
+              <span className={styles.fieldError}>{errors.metaTitle}</span>
+            )}
+          </div>
+
+          {/* Description meta */}
+          <div className={styles.field}>
+            <label htmlFor="seo-meta-description" className={styles.label}>
+              Description
+              <CharCounter
+                length={values.metaDescription.length}
+                {...SEO_LIMITS.metaDescription}
+              />
+            </label>
+            <textarea
+              id="seo-meta-description"
+              rows={3}
+              value={values.metaDescription}
+              onChange={(e) => onChange('metaDescription', e.target.value)}
+              className={`${styles.input} ${errors.metaDescription ? styles.inputError : ''}`}
+              maxLength={SEO_LIMITS.metaDescription.max}
+              placeholder="Début du texte de l’article par défaut"
+            />
+            {errors.metaDescription && (
+              <span className={styles.fieldError}>
+                {errors.metaDescription}
+              </span>
+            )}
+          </div>
+
+          {/* Mots-clés */}
+          <div className={styles.field}>
+            <label htmlFor="seo-keywords" className={styles.label}>
+              Mots-clés (séparés par des virgules)
+            </label>
+            <input
+              id="seo-keywords"
+              type="text"
+              value={values.keywords}
+              onChange={(e) => onChange('keywords', e.target.value)}
+              className={`${styles.input} ${errors.keywords ? styles.inputError : ''}`}
+              placeholder="développement web, next.js"
+            />
+            {errors.keywords && (
+              <span className={styles.fieldError}>{errors.keywords}</span>
+            )}
+          </div>
+
+          {/* Image de partage */}
+          <div className={styles.field}>
+            <span className={styles.label}>Image de partage (Open Graph)</span>
+            <div className={styles.imageChoices}>
+              <button
+                type="button"
+                className={`${styles.imageChoice} ${styles.defaultChoice} ${!values.ogImage ? styles.selected : ''}`}
+                onClick={() => onChange('ogImage', '')}
+              >
+                Image principale
+              </button>
+              {imageChoices.map((imageId) => (
+                <button
+                  key={imageId}
+                  type="button"
+                  className={`${styles.imageChoice} ${values.ogImage === imageId ? styles.selected : ''}`}
+                  onClick={() => onChange('ogImage', imageId)}
+                  title={imageId}
+                >
+                  <CldImage
+                    width="120"
+                    height="63"
+                    crop="fill"
+                    src={imageId}
+                    alt=""
+                  />
+                </button>
+              ))}
+              <CldUploadWidget
+                signatureEndpoint="/api/dashboard/blog/add/sign-image"
+                onSuccess={(result) =>
+                  onChange('ogImage', result?.info.public_id)
+                }
+                options={getUploadWidgetOptions('article', session?.user?.id, {
+                  multiple: false,
+                })}
+              >
+                {({ open }) => (
+                  <button
+                    type="button"
+                    className={`${styles.imageChoice} ${styles.defaultChoice}`}
+                    onClick={(e) => {
+                      e.preventDefault();
+                      open();
+                    }}
+                  >
+                    + Envoyer
+                  </button>
+                )}
+              </CldUploadWidget>
+            </div>
+            {errors.ogImage && (
+              <span className={styles.fieldError}>{errors.ogImage}</span>
+            )}
+          </div>
+        </div>
+
+        {/* Aperçus */}
+        <div className={styles.previews}>
+          <p className={styles.previewLabel}>Résultat de recherche</p>
+          <div className={styles.searchPreview}>
+            <span className={styles.searchUrl}>
+              {siteHost} › blog › {values.slug || '…'}
+            </span>
+            <span className={styles.searchTitle}>
+              {truncate(preview.title || 'Titre de l’article', 60)}
+            </span>
+            <span className={styles.searchDescription}>
+              {preview.description || 'Aucune description.'}
+            </span>
+          </div>
+
+          <p className={styles.previewLabel}>Carte de partage</p>
+          <div className={styles.socialPreview}>
+            {preview.image ? (
+              <CldImage
+                width="600"
+                height="315"
+                crop="fill"
+                src={preview.image}
+                alt="Aperçu de l'image de partage"
+                className={styles.socialImage}
+              />
+            ) : (
+              <div className={styles.socialPlaceholder}>Aucune image</div>
+            )}
+            <div className={styles.socialBody}>
+              <span className={styles.socialHost}>{siteHost}</span>
+              <span className={styles.socialTitle}>
+                {truncate(preview.title || 'Titre de l’article', 70)}
+              </span>
+              <span className={styles.socialDescription}>
+                {truncate(preview.description, 110)}
+              </span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ArticleSeo;
@@ -11,6 +11,7 @@ import {
   MdPending,
   MdUndo,
   MdError,
+  MdBlock,
 } from 'react-icons/md';
 import styles from './orderFilters.module.css';
 
@@ -29,6 +30,7 @@ const OrderFilters = ({ onFilterChange, currentFilters = {} }) => {
       { value: 'unpaid', label: 'En attente', icon: <MdPending /> },
       { value: 'refunded', label: 'Remboursée', icon: <MdUndo /> },
       { value: 'failed', label: 'Échouée', icon: <MdError /> },
+      { value: 'cancelled', label: 'Annulée', icon: <MdBlock /> },
     ],
   };
 
@@ -0,0 +1,65 @@
+'use client';
+
+import { MdChevronLeft, MdChevronRight } from 'react-icons/md';
+import { PAGE_SIZE_OPTIONS } from '@/utils/pagination';
+import styles from './pagination.module.css';
+
+function Pagination({ pagination, onChange, disabled = false }) {
+  if (!pagination) return null;
+
+  const { page, totalPages, total, limit } = pagination;
+  const firstItem = total === 0 ? 0 : (page - 1) * limit + 1;
+  const lastItem = Math.min(page * limit, total);
+
+  return (
+    <div className={styles.container}>
+      <span className={styles.summary}>
+        {firstItem}–{lastItem} sur {total}
+      </span>
+
+      <div className={styles.navigation}>
+        <button
+          type="button"
+          className={styles.pageButton}
+          onClick={() => onChange({ page: page - 1 })}
+          disabled={disabled || page <= 1}
+          aria-label="Page précédente"
+        >
+          <MdChevronLeft />
+        </button>
+        <span className={styles.pageInfo}>
+          Page {page} / {totalPages}
+        </span>
+        <button
+          type="button"
+          className={styles.pageButton}
+          onClick={() => onChange({ page: page + 1 })}
+          disabled={disabled || page >= totalPages}
+          aria-label="Page suivante"
+        >
+          <MdChevronRight />
+        </button>
+      </div>
+
+      <label className={styles.pageSize}>
+        Par page
+        <select
+          value={limit}
+          onChange={(e) =>
+            onChange({ limit: parseInt(e.target.value, 10), page: 1 })
+          }
+          disabled={disabled}
+          className={styles.select}
+        >
+          {PAGE_SIZE_OPTIONS.map((size) => (
+            <option key={size} value={size}>
+              {size}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default Pagination;
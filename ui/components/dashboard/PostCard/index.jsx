@@ -3,25 +3,61 @@ import React from 'react';
 import { CldImage } from 'next-cloudinary';
 import Link from 'next/link';
 import styles from './postCard.module.css';
+import { ARTICLE_STATUS_LABELS } from '@/utils/articleStatus';
 
-function PostCard({ blog_id, title, picture, created, deleteArticle }) {
+const formatDate = (date) =>
+  new Intl.DateTimeFormat('fr-FR', {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  }).format(new Date(date));
+
+// Ligne de date selon le statut : publication effective, programmée ou brouillon
+function publicationLabel(status, publishAt, publishedAt, created) {
+  if (status === 'scheduled' && publishAt) {
+    return `Programmé pour le ${formatDate(publishAt)}`;
+  }
+  if (status === 'draft') {
+    return `Brouillon créé le ${created}`;
+  }
+  return `Publié le ${publishedAt ? formatDate(publishedAt) : created}`;
+}
+
+function PostCard({
+  blog_id,
+  title,
+  picture,
+  created,
+  status = 'published',
+  publishAt,
+  publishedAt,
+  deleteArticle,
+}) {
   return (
     <article key={blog_id} className={styles.dashboardPost}>
       <div className={styles.dashboardPostInfo}>
-        <CldImage
-          priority
-          src={picture}
-          alt="Image de l'article"
-          width={200}
-          height={130}
-          className={styles.dashboardPostImage}
-          style={{ width: '100%', height: 'auto' }}
-        />
+        {picture ? (
+          <CldImage
+            priority
+            src={picture}
+            alt="Image de l'article"
+            width={200}
+            height={130}
+            className={styles.dashboardPostImage}
+            style={{ width: '100%', height: 'auto' }}
+          />
+        ) : (
+          <div className={styles.imagePlaceholder} />
+        )}
         <h5 className={styles.title}>
           {title}
           <br />
           <br />
-          <em className={styles.dateCreated}>{`Publié le ${created}`}</em>
+          <span className={`${styles.statusBadge} ${styles[status]}`}>
+            {ARTICLE_STATUS_LABELS[status] || status}
+          </span>
+          <em className={styles.dateCreated}>
+            {publicationLabel(status, publishAt, publishedAt, created)}
+          </em>
         </h5>
       </div>
       <div className={styles.dashboardPostAction}>
@@ -0,0 +1,43 @@
+'use client';
+
+import { MdArrowDownward, MdArrowUpward } from 'react-icons/md';
+import { LIST_SORTS } from '@/utils/pagination';
+import styles from './sortControls.module.css';
+
+function SortControls({ listName, sort, order, onChange, disabled = false }) {
+  const { columns } = LIST_SORTS[listName];
+
+  return (
+    <div className={styles.container}>
+      <label className={styles.label}>
+        Trier par
+        <select
+          value={sort}
+          onChange={(e) => onChange({ sort: e.target.value, page: 1 })}
+          disabled={disabled}
+          className={styles.select}
+        >
+          {Object.entries(columns).map(([key, { label }]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className={styles.orderButton}
+        onClick={() =>
+          onChange({ order: order === 'asc' ? 'desc' : 'asc', page: 1 })
+        }
+        disabled={disabled}
+        aria-label={order === 'asc' ? 'Tri croissant' : 'Tri décroissant'}
+        title={order === 'asc' ? 'Tri croissant' : 'Tri décroissant'}
+      >
+        {order === 'asc' ? <MdArrowUpward /> : <MdArrowDownward />}
+      </button>
+    </div>
+  );
+}
+
+export default SortControls;
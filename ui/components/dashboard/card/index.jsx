@@ -3,16 +3,29 @@
 import { MdSupervisedUserCircle } from 'react-icons/md';
 import styles from './card.module.css';
 
-function Card() {
+function Card({ icon, title, value, change = null, detail }) {
   return (
     <div className={styles.container}>
-      <MdSupervisedUserCircle size={24} />
+      {icon || <MdSupervisedUserCircle size={24} />}
       <div className={styles.texts}>
-        <span className={styles.title}>Total Users</span>
-        <span className={styles.number}>10.928</span>
-        <span className={styles.detail}>
-          <span className={styles.positive}>12%</span> more than previous week
-        </span>
+        <span className={styles.title}>{title}</span>
+        <span className={styles.number}>{value}</span>
+        {(change !== null || detail) && (
+          <span className={styles.detail}>
+            {change !== null && (
+              <>
+                <span
+                  className={change >= 0 ? styles.positive : styles.negative}
+                >
+                  {change >= 0 ? '+' : ''}
+                  {change}%
+                </span>{' '}
+                par rapport à la période précédente
+              </>
+            )}
+            {change === null && detail}
+          </span>
+        )}
       </div>
     </div>
   );
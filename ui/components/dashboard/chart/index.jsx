@@ -1,5 +1,6 @@
 'use client';
 
+import { useRouter } from 'next/navigation';
 import {
   LineChart,
   Line,
@@ -12,53 +13,57 @@ import {
 
 import styles from './chart.module.css';
 
-const data = [
-  {
-    name: 'Sun',
-    visit: 4000,
-    click: 2400,
-  },
-  {
-    name: 'Mon',
-    visit: 3000,
-    click: 1398,
-  },
-  {
-    name: 'Tue',
-    visit: 2000,
-    click: 3800,
-  },
-  {
-    name: 'Wed',
-    visit: 2780,
-    click: 3908,
-  },
-  {
-    name: 'Thu',
-    visit: 1890,
-    click: 4800,
-  },
-  {
-    name: 'Fri',
-    visit: 2390,
-    click: 3800,
-  },
-  {
-    name: 'Sat',
-    visit: 3490,
-    click: 4300,
-  },
-];
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+    maximumFractionDigits: 0,
+  }).format(price);
+};
+
+// Les plages longues sont agrégées par mois, les autres par jour ou semaine
+const formatPeriod = (period, range) => {
+  const options =
+    range === '12m'
+      ? { month: 'short', year: '2-digit' }
+      : { day: '2-digit', month: 'short' };
+  return new Intl.DateTimeFormat('fr-FR', options).format(new Date(period));
+};
+
+function Chart({ data = [], range, rangeOptions = [] }) {
+  const router = useRouter();
+
+  const chartData = data.map((point) => ({
+    ...point,
+    name: formatPeriod(point.period, range),
+  }));
+
+  const handleRangeChange = (e) => {
+    router.push(`/dashboard?range=${encodeURIComponent(e.target.value)}`);
+  };
 
-function Chart() {
   return (
     <div className={styles.container}>
-      <h2 className={styles.title}>Weekly Recap</h2>
-      <ResponsiveContainer width="100%" height="90%">
+      <div className={styles.header}>
+        <h2 className={styles.title}>Revenus</h2>
+        <select
+          className={styles.rangeSelect}
+          value={range}
+          onChange={handleRangeChange}
+          aria-label="Plage de temps"
+        >
+          {rangeOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ResponsiveContainer width="100%" height="85%">
         <LineChart
           width={500}
           height={300}
-          data={data}
+          data={chartData}
           margin={{
             top: 5,
             right: 30,
@@ -67,18 +72,27 @@ function Chart() {
           }}
         >
           <XAxis dataKey="name" />
-          <YAxis />
-          <Tooltip contentStyle={{ background: '#151c2c', border: 'none' }} />
+          <YAxis yAxisId="revenue" tickFormatter={formatPrice} />
+          <YAxis yAxisId="orders" orientation="right" allowDecimals={false} />
+          <Tooltip
+            contentStyle={{ background: '#151c2c', border: 'none' }}
+            formatter={(value, name) =>
+              name === 'Revenus' ? formatPrice(value) : value
+            }
+          />
           <Legend />
           <Line
+            yAxisId="revenue"
             type="monotone"
-            dataKey="visit"
+            dataKey="revenue"
+            name="Revenus"
             stroke="#8884d8"
-            strokeDasharray="5 5"
           />
           <Line
+            yAxisId="orders"
             type="monotone"
-            dataKey="click"
+            dataKey="orders"
+            name="Commandes payées"
             stroke="#82ca9d"
             strokeDasharray="3 4 5 2"
           />
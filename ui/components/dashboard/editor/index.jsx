@@ -1,25 +1,58 @@
 'use client';
 
 import { useState, useCallback, useRef, memo } from 'react';
+import { useSession } from 'next-auth/react';
 import { useEditor, EditorContent } from '@tiptap/react';
 import StarterKit from '@tiptap/starter-kit';
 import Underline from '@tiptap/extension-underline';
 import Image from '@tiptap/extension-image';
+import TextAlign from '@tiptap/extension-text-align';
+import { TableKit } from '@tiptap/extension-table';
+import Youtube from '@tiptap/extension-youtube';
 import { fontSize } from '@/utils/fontSizeExtension';
 import styles from './editor.module.css';
 import { TextStyle } from '@tiptap/extension-text-style';
+import { UPLOAD_PROFILES } from '@/utils/media';
+import { checkUploadFile, uploadSignedImage } from '@/utils/cloudinaryUpload';
+import { isAllowedLinkUrl } from '@/utils/sanitizers/sanitizeArticleInputs';
+
+// Images du contenu : même profil signé que l'image d'illustration
+const IMAGE_UPLOAD_ENTITY = 'article';
+const IMAGE_SIGNATURE_ENDPOINT = '/api/dashboard/blog/add/sign-image';
+
+// Largeur maximale d'affichage d'une image insérée (px)
+const MAX_IMAGE_WIDTH = 800;
+
+const IMAGE_ACCEPT = UPLOAD_PROFILES[IMAGE_UPLOAD_ENTITY].allowedFormats
+  .map((format) => `.${format}`)
+  .join(',');
+
+// Sous-titres proposés en plus de H1
+const HEADING_LEVELS = [2, 3, 4];
+
+const TEXT_ALIGNMENTS = [
+  { value: 'left', label: 'Align left', icon: '⯇' },
+  { value: 'center', label: 'Align center', icon: '≡' },
+  { value: 'right', label: 'Align right', icon: '⯈' },
+  { value: 'justify', label: 'Justify', icon: '☰' },
+];
+
+const YOUTUBE_URL = /^https:\/\/(www\.|m\.)?(youtube\.com|youtu\.be)\//i;
 
 // Memoized button component for better performance
-const EditorButton = memo(({ onClick, isActive, label, children }) => (
-  <button
-    onClick={onClick}
-    className={isActive ? styles['is-active'] : ''}
-    aria-label={label}
-    type="button"
-  >
-    {children}
-  </button>
-));
+const EditorButton = memo(
+  ({ onClick, isActive, label, disabled = false, children }) => (
+    <button
+      onClick={onClick}
+      className={isActive ? styles['is-active'] : ''}
+      aria-label={label}
+      type="button"
+      disabled={disabled}
+    >
+      {children}
+    </button>
+  ),
+);
 
 EditorButton.displayName = 'EditorButton';
 
@@ -36,28 +69,56 @@ const FONT_SIZE_OPTIONS = [
 ];
 
 const TiptapEditor = ({ text, handleEditorChange }) => {
+  const { data: session } = useSession();
   const [selectedFontSize, setSelectedFontSize] = useState('16px');
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadError, setUploadError] = useState('');
   const fileInputRef = useRef(null);
 
   const editor = useEditor({
     extensions: [
       StarterKit.configure({
         heading: {
-          levels: [1],
+          levels: [1, ...HEADING_LEVELS],
+        },
+        // Underline est ajouté séparément ci-dessous
+        underline: false,
+        link: {
+          openOnClick: false,
+          autolink: true,
+          defaultProtocol: 'https',
+          protocols: ['http', 'https', 'mailto'],
+          isAllowedUri: (url) => isAllowedLinkUrl(url),
+          HTMLAttributes: {
+            target: '_blank',
+            rel: 'noopener noreferrer nofollow',
+          },
         },
       }),
       TextStyle,
       fontSize,
       Underline,
+      TextAlign.configure({
+        types: ['heading', 'paragraph'],
+      }),
+      TableKit.configure({
+        table: { resizable: false },
+      }),
+      Youtube.configure({
+        nocookie: true,
+        controls: true,
+      }),
       Image.configure({
         inline: false,
-        allowBase64: true,
+        allowBase64: false,
         HTMLAttributes: {
           class: styles.editorImage,
         },
       }),
     ],
     content: text,
+    // La barre d'outils dépend de la sélection (lien, tableau, image actifs)
+    shouldRerenderOnTransaction: true,
     onUpdate: ({ editor }) => {
       handleEditorChange(editor.getHTML());
     },
@@ -73,31 +134,147 @@ const TiptapEditor = ({ text, handleEditorChange }) => {
     [editor],
   );
 
+  // Envoi signé vers Cloudinary : le contenu ne garde que l'URL de l'image
   const handleImageUpload = useCallback(
-    (event) => {
+    async (event) => {
       event.preventDefault();
       const file = event.target.files?.[0];
-      if (file?.type.startsWith('image/')) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          editor?.chain().focus().setImage({ src: e.target.result }).run();
-        };
-        reader.readAsDataURL(file);
-        if (fileInputRef.current) {
-          fileInputRef.current.value = '';
-        }
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+      if (!file) return;
+
+      const fileError = checkUploadFile(file, IMAGE_UPLOAD_ENTITY);
+      if (fileError) {
+        setUploadError(fileError);
+        return;
+      }
+
+      setUploadError('');
+      setUploadProgress(0);
+
+      try {
+        const image = await uploadSignedImage(file, {
+          entity: IMAGE_UPLOAD_ENTITY,
+          signatureEndpoint: IMAGE_SIGNATURE_ENDPOINT,
+          userId: session?.user?.id,
+          onProgress: setUploadProgress,
+        });
+
+        const alt = window.prompt(
+          'Describe the image (alternative text):',
+          file.name.replace(/\.[^.]+$/, ''),
+        );
+
+        editor
+          ?.chain()
+          .focus()
+          .setImage({
+            src: image.secure_url,
+            alt: alt?.trim() || '',
+            width: Math.min(image.width || MAX_IMAGE_WIDTH, MAX_IMAGE_WIDTH),
+          })
+          .run();
+      } catch (error) {
+        console.error('Editor image upload error:', error);
+        setUploadError(error.message || 'Image upload failed');
+      } finally {
+        setUploadProgress(null);
       }
     },
-    [editor],
+    [editor, session?.user?.id],
   );
 
   const addImageFromUrl = useCallback(
     (event) => {
       event.preventDefault();
       const url = window.prompt('Enter the URL of the image:');
-      if (url) {
-        editor?.chain().focus().setImage({ src: url }).run();
+      if (!url) return;
+
+      // Les images base64 sont refusées à l'enregistrement de l'article
+      if (!/^https?:\/\//i.test(url.trim())) {
+        setUploadError('Only http(s) image URLs are allowed');
+        return;
+      }
+
+      const alt = window.prompt('Describe the image (alternative text):', '');
+      setUploadError('');
+      editor
+        ?.chain()
+        .focus()
+        .setImage({ src: url.trim(), alt: alt?.trim() || '' })
+        .run();
+    },
+    [editor],
+  );
+
+  // Texte alternatif de l'image sélectionnée
+  const editImageAlt = useCallback(
+    (event) => {
+      event.preventDefault();
+      const alt = window.prompt(
+        'Describe the image (alternative text):',
+        editor?.getAttributes('image').alt || '',
+      );
+      if (alt === null) return;
+
+      editor
+        ?.chain()
+        .focus()
+        .updateAttributes('image', { alt: alt.trim() })
+        .run();
+    },
+    [editor],
+  );
+
+  // Ajout ou modification du lien sur la sélection ; un champ vide retire le lien
+  const setLink = useCallback(
+    (event) => {
+      event.preventDefault();
+      const url = window.prompt(
+        'Enter the link URL (https://, mailto:, /page or #anchor):',
+        editor?.getAttributes('link').href || 'https://',
+      );
+      if (url === null) return;
+
+      if (!url.trim() || url.trim() === 'https://') {
+        setUploadError('');
+        editor?.chain().focus().extendMarkRange('link').unsetLink().run();
+        return;
       }
+
+      if (!isAllowedLinkUrl(url)) {
+        setUploadError(`Invalid link URL: ${url.trim()}`);
+        return;
+      }
+
+      setUploadError('');
+      editor
+        ?.chain()
+        .focus()
+        .extendMarkRange('link')
+        .setLink({ href: url.trim() })
+        .run();
+    },
+    [editor],
+  );
+
+  const addYoutubeVideo = useCallback(
+    (event) => {
+      event.preventDefault();
+      const url = window.prompt('Enter the YouTube video URL:');
+      if (!url) return;
+
+      // setYoutubeVideo ignore silencieusement les URLs non reconnues
+      if (
+        !YOUTUBE_URL.test(url.trim()) ||
+        !editor?.commands.setYoutubeVideo({ src: url.trim() })
+      ) {
+        setUploadError(`Invalid YouTube URL: ${url.trim()}`);
+        return;
+      }
+
+      setUploadError('');
     },
     [editor],
   );
@@ -144,6 +321,16 @@ const TiptapEditor = ({ text, handleEditorChange }) => {
         >
           Underline
         </EditorButton>
+        <EditorButton
+          onClick={(event) => {
+            event.preventDefault();
+            editor.chain().focus().toggleStrike().run();
+          }}
+          isActive={editor.isActive('strike')}
+          label="Strikethrough"
+        >
+          Strike
+        </EditorButton>
         <EditorButton
           onClick={(event) => {
             event.preventDefault();
@@ -154,6 +341,19 @@ const TiptapEditor = ({ text, handleEditorChange }) => {
         >
           H1
         </EditorButton>
+        {HEADING_LEVELS.map((level) => (
+          <EditorButton
+            key={level}
+            onClick={(event) => {
+              event.preventDefault();
+              editor.chain().focus().toggleHeading({ level }).run();
+            }}
+            isActive={editor.isActive('heading', { level })}
+            label={`Heading ${level}`}
+          >
+            H{level}
+          </EditorButton>
+        ))}
 
         <select
           value={selectedFontSize}
@@ -168,22 +368,207 @@ const TiptapEditor = ({ text, handleEditorChange }) => {
           ))}
         </select>
 
+        <div className={styles.menuGroup}>
+          {TEXT_ALIGNMENTS.map(({ value, label, icon }) => (
+            <EditorButton
+              key={value}
+              onClick={(event) => {
+                event.preventDefault();
+                editor.chain().focus().setTextAlign(value).run();
+              }}
+              isActive={editor.isActive({ textAlign: value })}
+              label={label}
+            >
+              {icon}
+            </EditorButton>
+          ))}
+        </div>
+
+        <div className={styles.menuGroup}>
+          <EditorButton
+            onClick={(event) => {
+              event.preventDefault();
+              editor.chain().focus().toggleBulletList().run();
+            }}
+            isActive={editor.isActive('bulletList')}
+            label="Bullet list"
+          >
+            • List
+          </EditorButton>
+          <EditorButton
+            onClick={(event) => {
+              event.preventDefault();
+              editor.chain().focus().toggleOrderedList().run();
+            }}
+            isActive={editor.isActive('orderedList')}
+            label="Ordered list"
+          >
+            1. List
+          </EditorButton>
+          <EditorButton
+            onClick={(event) => {
+              event.preventDefault();
+              editor.chain().focus().toggleBlockquote().run();
+            }}
+            isActive={editor.isActive('blockquote')}
+            label="Quote"
+          >
+            Quote
+          </EditorButton>
+          <EditorButton
+            onClick={(event) => {
+              event.preventDefault();
+              editor.chain().focus().toggleCode().run();
+            }}
+            isActive={editor.isActive('code')}
+            label="Inline code"
+          >
+            {'</>'}
+          </EditorButton>
+          <EditorButton
+            onClick={(event) => {
+              event.preventDefault();
+              editor.chain().focus().toggleCodeBlock().run();
+            }}
+            isActive={editor.isActive('codeBlock')}
+            label="Code block"
+          >
+            Code block
+          </EditorButton>
+        </div>
+
+        <div className={styles.menuGroup}>
+          <EditorButton
+            onClick={setLink}
+            isActive={editor.isActive('link')}
+            label={editor.isActive('link') ? 'Edit link' : 'Add link'}
+          >
+            {editor.isActive('link') ? 'Edit Link' : 'Link'}
+          </EditorButton>
+          {editor.isActive('link') && (
+            <EditorButton
+              onClick={(event) => {
+                event.preventDefault();
+                editor
+                  .chain()
+                  .focus()
+                  .extendMarkRange('link')
+                  .unsetLink()
+                  .run();
+              }}
+              label="Remove link"
+            >
+              Unlink
+            </EditorButton>
+          )}
+        </div>
+
+        <div className={styles.menuGroup}>
+          {editor.isActive('table') ? (
+            <>
+              <EditorButton
+                onClick={(event) => {
+                  event.preventDefault();
+                  editor.chain().focus().addRowAfter().run();
+                }}
+                label="Add row"
+              >
+                + Row
+              </EditorButton>
+              <EditorButton
+                onClick={(event) => {
+                  event.preventDefault();
+                  editor.chain().focus().deleteRow().run();
+                }}
+                label="Delete row"
+              >
+                − Row
+              </EditorButton>
+              <EditorButton
+                onClick={(event) => {
+                  event.preventDefault();
+                  editor.chain().focus().addColumnAfter().run();
+                }}
+                label="Add column"
+              >
+                + Column
+              </EditorButton>
+              <EditorButton
+                onClick={(event) => {
+                  event.preventDefault();
+                  editor.chain().focus().deleteColumn().run();
+                }}
+                label="Delete column"
+              >
+                − Column
+              </EditorButton>
+              <EditorButton
+                onClick={(event) => {
+                  event.preventDefault();
+                  editor.chain().focus().deleteTable().run();
+                }}
+                label="Delete table"
+              >
+                Delete Table
+              </EditorButton>
+            </>
+          ) : (
+            <EditorButton
+              onClick={(event) => {
+                event.preventDefault();
+                editor
+                  .chain()
+                  .focus()
+                  .insertTable({ rows: 3, cols: 3, withHeaderRow: true })
+                  .run();
+              }}
+              label="Insert table"
+            >
+              Table
+            </EditorButton>
+          )}
+        </div>
+
         <div className={styles.imageButtons}>
-          <EditorButton onClick={triggerFileInput} label="Upload Image">
-            Upload Image
+          <EditorButton
+            onClick={triggerFileInput}
+            label="Upload Image"
+            disabled={uploadProgress !== null}
+          >
+            {uploadProgress !== null ? 'Uploading...' : 'Upload Image'}
           </EditorButton>
           <input
             type="file"
             ref={fileInputRef}
             onChange={handleImageUpload}
-            accept="image/*"
-            style={{ display: 'none' }}
+            accept={IMAGE_ACCEPT}
+            className={styles.hiddenInput}
           />
           <EditorButton onClick={addImageFromUrl} label="Add Image URL">
             Add Image URL
           </EditorButton>
+          {editor.isActive('image') && (
+            <EditorButton onClick={editImageAlt} label="Edit alternative text">
+              Alt Text
+            </EditorButton>
+          )}
+          <EditorButton onClick={addYoutubeVideo} label="Embed YouTube video">
+            YouTube
+          </EditorButton>
         </div>
       </div>
+      {uploadProgress !== null && (
+        <div className={styles.uploadProgress}>
+          <progress
+            className={styles.uploadProgressBar}
+            value={uploadProgress}
+            max={100}
+            aria-label="Upload progress"
+          />
+          <span>{uploadProgress}%</span>
+        </div>
+      )}
+      {uploadError && <p className={styles.uploadError}>⚠️ {uploadError}</p>}
       <EditorContent editor={editor} />
     </div>
   );
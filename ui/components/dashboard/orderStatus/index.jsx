@@ -0,0 +1,54 @@
+import Link from 'next/link';
+import {
+  MdBlock,
+  MdCheckCircle,
+  MdError,
+  MdPending,
+  MdReceipt,
+  MdUndo,
+} from 'react-icons/md';
+import styles from './orderStatus.module.css';
+
+const STATUS_OPTIONS = [
+  { value: 'paid', label: 'Payées', icon: MdCheckCircle, color: '#10b981' },
+  { value: 'unpaid', label: 'En attente', icon: MdPending, color: '#f59e0b' },
+  { value: 'refunded', label: 'Remboursées', icon: MdUndo, color: '#6b7280' },
+  { value: 'failed', label: 'Échouées', icon: MdError, color: '#ef4444' },
+  { value: 'cancelled', label: 'Annulées', icon: MdBlock, color: '#991b1b' },
+];
+
+function OrderStatus({ counts = [] }) {
+  const countByStatus = Object.fromEntries(
+    counts.map((row) => [row.status, row.count]),
+  );
+  const total = counts.reduce((sum, row) => sum + row.count, 0);
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <MdReceipt />
+        <h2 className={styles.title}>Commandes par statut</h2>
+      </div>
+      <ul className={styles.list}>
+        {STATUS_OPTIONS.map(({ value, label, icon: Icon, color }) => {
+          const count = countByStatus[value] || 0;
+          const percent = total ? Math.round((count / total) * 100) : 0;
+
+          return (
+            <li key={value} className={styles.item}>
+              <Icon color={color} />
+              <span className={styles.label}>{label}</span>
+              <span className={styles.count}>{count}</span>
+              <span className={styles.percent}>{percent}%</span>
+            </li>
+          );
+        })}
+      </ul>
+      <Link href="/dashboard/orders" className={styles.link}>
+        {total} commandes au total
+      </Link>
+    </div>
+  );
+}
+
+export default OrderStatus;
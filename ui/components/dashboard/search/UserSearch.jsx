@@ -0,0 +1,55 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { MdSearch } from 'react-icons/md';
+import styles from './search.module.css';
+
+function UserSearch({ placeholder, onSearchChange, currentSearch = '' }) {
+  const [searchTerm, setSearchTerm] = useState(currentSearch);
+  const debounceRef = useRef(null);
+
+  // Synchroniser avec la recherche présente dans l'URL
+  useEffect(() => {
+    setSearchTerm(currentSearch);
+  }, [currentSearch]);
+
+  // Gérer le changement dans l'input avec debouncing
+  const handleSearchChange = (e) => {
+    const value = e.target.value;
+    setSearchTerm(value);
+
+    if (debounceRef.current) {
+      clearTimeout(debounceRef.current);
+    }
+
+    debounceRef.current = setTimeout(() => {
+      if (onSearchChange) onSearchChange(value.trim());
+    }, 300);
+  };
+
+  // Nettoyer le timeout au démontage du composant
+  useEffect(() => {
+    return () => {
+      if (debounceRef.current) {
+        clearTimeout(debounceRef.current);
+      }
+    };
+  }, []);
+
+  return (
+    <div className={styles.container}>
+      <MdSearch alt="search icon" />
+      <input
+        id="searchUser"
+        type="text"
+        placeholder={placeholder}
+        className={styles.input}
+        value={searchTerm}
+        onChange={handleSearchChange}
+        maxLength={100}
+      />
+    </div>
+  );
+}
+
+export default UserSearch;
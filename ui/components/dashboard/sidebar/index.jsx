@@ -7,11 +7,22 @@ import {
   MdAttachMoney,
   MdLogout,
   MdCreditCard,
+  MdHistory,
+  MdDeleteOutline,
+  MdPermMedia,
+  MdSecurity,
+  MdDevices,
 } from 'react-icons/md';
 import Image from 'next/image';
 import MenuLink from './menuLink';
 import styles from './sidebar.module.css';
-import { signOut } from 'next-auth/react';
+import { signOut, useSession } from 'next-auth/react';
+import {
+  PERMISSIONS,
+  ROLE_LABELS,
+  hasPermission,
+  normalizeRole,
+} from '@/utils/permissions';
 
 const menuItems = [
   {
@@ -21,42 +32,93 @@ const menuItems = [
         title: 'Dashboard',
         path: '/dashboard',
         icon: <MdDashboard />,
+        permission: PERMISSIONS.DASHBOARD_VIEW,
       },
       {
         title: 'Platforms',
         path: '/dashboard/platforms',
         icon: <MdCreditCard />,
+        permission: PERMISSIONS.PLATFORMS_VIEW,
       },
       {
         title: 'Templates',
         path: '/dashboard/templates',
         icon: <MdShoppingBag />,
+        permission: PERMISSIONS.TEMPLATES_VIEW,
       },
       {
         title: 'Applications',
         path: '/dashboard/applications',
         icon: <MdShoppingBag />,
+        permission: PERMISSIONS.APPLICATIONS_VIEW,
       },
       {
         title: 'Orders',
         path: '/dashboard/orders',
         icon: <MdAttachMoney />,
+        permission: PERMISSIONS.ORDERS_VIEW,
       },
       {
         title: 'Blog',
         path: '/dashboard/blog',
         icon: <MdShoppingBag />,
+        permission: PERMISSIONS.ARTICLES_VIEW,
       },
       {
         title: 'Users',
         path: '/dashboard/users',
         icon: <MdSupervisedUserCircle />,
+        permission: PERMISSIONS.USERS_VIEW,
+      },
+      {
+        title: 'Audit',
+        path: '/dashboard/audit',
+        icon: <MdHistory />,
+        permission: PERMISSIONS.AUDIT_VIEW,
+      },
+      {
+        title: 'Trash',
+        path: '/dashboard/trash',
+        icon: <MdDeleteOutline />,
+        permission: PERMISSIONS.TRASH_VIEW,
+      },
+      {
+        title: 'Media',
+        path: '/dashboard/media',
+        icon: <MdPermMedia />,
+        permission: PERMISSIONS.MEDIA_MANAGE,
+      },
+    ],
+  },
+  {
+    title: 'Account',
+    list: [
+      {
+        title: 'Security',
+        path: '/dashboard/account/security',
+        icon: <MdSecurity />,
+        permission: PERMISSIONS.ACCOUNT_MANAGE,
+      },
+      {
+        title: 'Sessions',
+        path: '/dashboard/account/sessions',
+        icon: <MdDevices />,
+        permission: PERMISSIONS.ACCOUNT_MANAGE,
       },
     ],
   },
 ];
 
 function Sidebar() {
+  const { data: session } = useSession();
+  const role = normalizeRole(session?.user?.role);
+
+  // Masquer les entrées auxquelles le rôle de l'utilisateur ne donne pas accès
+  const visibleMenuItems = menuItems.map((cat) => ({
+    ...cat,
+    list: cat.list.filter((item) => hasPermission(role, item.permission)),
+  }));
+
   const logoutHandler = () => {
     signOut();
   };
@@ -72,12 +134,14 @@ function Sidebar() {
           height="50"
         />
         <div className={styles.userDetail}>
-          <span className={styles.username}>Fathi Ahmed</span>
-          <span className={styles.userTitle}>Benew founder</span>
+          <span className={styles.username}>
+            {session?.user?.name || 'Benew admin'}
+          </span>
+          <span className={styles.userTitle}>{ROLE_LABELS[role]}</span>
         </div>
       </div>
       <ul className={styles.list}>
-        {menuItems.map((cat) => (
+        {visibleMenuItems.map((cat) => (
           <li key={cat.title}>
             <span className={styles.cat}>{cat.title}</span>
             {cat.list.map((item) => (
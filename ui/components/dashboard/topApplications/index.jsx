@@ -0,0 +1,58 @@
+'use client';
+
+import Link from 'next/link';
+import { CldImage } from 'next-cloudinary';
+import { MdApps, MdStar } from 'react-icons/md';
+import styles from './topApplications.module.css';
+
+function TopApplications({ applications = [] }) {
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <MdStar />
+        <h2 className={styles.title}>Meilleures ventes</h2>
+      </div>
+      {applications.length === 0 ? (
+        <p className={styles.empty}>Aucune vente enregistrée.</p>
+      ) : (
+        <ol className={styles.list}>
+          {applications.map((application) => (
+            <li key={application.application_id}>
+              <Link
+                href={`/dashboard/applications/${application.application_id}`}
+                className={styles.item}
+              >
+                {application.application_images?.length > 0 ? (
+                  <CldImage
+                    src={application.application_images[0]}
+                    alt={application.application_name}
+                    width={36}
+                    height={36}
+                    className={styles.image}
+                  />
+                ) : (
+                  <div className={styles.noImage}>
+                    <MdApps />
+                  </div>
+                )}
+                <div className={styles.texts}>
+                  <span className={styles.name}>
+                    {application.application_name}
+                  </span>
+                  <span className={styles.category}>
+                    {application.application_category}
+                  </span>
+                </div>
+                <span className={styles.sales}>
+                  {application.sales_count} ventes
+                </span>
+              </Link>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default TopApplications;
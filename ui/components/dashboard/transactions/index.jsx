@@ -1,104 +1,91 @@
+'use client';
+
+import Link from 'next/link';
+import { CldImage } from 'next-cloudinary';
 import Image from 'next/image';
 import styles from './transactions.module.css';
 
-function Transactions() {
+const STATUS_LABELS = {
+  paid: 'Payée',
+  unpaid: 'En attente',
+  refunded: 'Remboursée',
+  failed: 'Échouée',
+  cancelled: 'Annulée',
+};
+
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('fr-FR', {
+    style: 'currency',
+    currency: 'EUR',
+  }).format(price);
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR').format(new Date(dateString));
+};
+
+function Transactions({ transactions = [] }) {
   return (
     <div className={styles.container}>
-      <h2 className={styles.title}>Latest Transactions</h2>
-      <table className={styles.table}>
-        <thead>
-          <tr>
-            <td>Name</td>
-            <td>Status</td>
-            <td>Date</td>
-            <td>Amount</td>
-          </tr>
-        </thead>
-        <tbody>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.pending}`}>
-                Pending
-              </span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.done}`}>Done</span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.cancelled}`}>
-                Cancelled
-              </span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-          <tr>
-            <td>
-              <div className={styles.user}>
-                <Image
-                  src="/noavatar.png"
-                  alt=""
-                  width={40}
-                  height={40}
-                  className={styles.userImage}
-                />
-                John Doe
-              </div>
-            </td>
-            <td>
-              <span className={`${styles.status} ${styles.pending}`}>
-                Pending
-              </span>
-            </td>
-            <td>14.02.2024</td>
-            <td>$3.200</td>
-          </tr>
-        </tbody>
-      </table>
+      <h2 className={styles.title}>Dernières transactions</h2>
+      {transactions.length === 0 ? (
+        <p className={styles.empty}>Aucune commande pour le moment.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <td>Application</td>
+              <td>Statut</td>
+              <td>Date</td>
+              <td>Montant</td>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map((transaction) => (
+              <tr key={transaction.order_id}>
+                <td>
+                  <Link
+                    href={`/dashboard/orders/${transaction.order_id}`}
+                    className={styles.user}
+                  >
+                    {transaction.application_images?.length > 0 ? (
+                      <CldImage
+                        src={transaction.application_images[0]}
+                        alt={transaction.application_name}
+                        width={40}
+                        height={40}
+                        className={styles.userImage}
+                      />
+                    ) : (
+                      <Image
+                        src="/noavatar.png"
+                        alt=""
+                        width={40}
+                        height={40}
+                        className={styles.userImage}
+                      />
+                    )}
+                    {transaction.application_name}
+                  </Link>
+                </td>
+                <td>
+                  <span
+                    className={`${styles.status} ${
+                      styles[transaction.order_payment_status] || ''
+                    }`}
+                  >
+                    {STATUS_LABELS[transaction.order_payment_status] ||
+                      transaction.order_payment_status}
+                  </span>
+                </td>
+                <td>{formatDate(transaction.order_created)}</td>
+                <td>{formatPrice(transaction.order_price)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
@@ -0,0 +1,333 @@
+'use client';
+
+import React, { useState } from 'react';
+import Image from 'next/image';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import {
+  MdSecurity,
+  MdVerifiedUser,
+  MdWarning,
+  MdContentCopy,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/account/account.module.css';
+
+const TWO_FACTOR_ENDPOINT = '/api/dashboard/account/two-factor';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  }).format(new Date(dateString));
+};
+
+/**
+ * Codes de secours, affichés une seule fois après leur génération
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Copie impossible:', error);
+    }
+  };
+
+  return (
+    <div className={styles.recovery}>
+      <p>
+        Conservez ces codes de secours en lieu sûr. Chacun permet une seule
+        connexion si vous n&apos;avez plus accès à votre application
+        d&apos;authentification. Ils ne seront plus affichés.
+      </p>
+      <ul className={styles.codes}>
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className={styles.toolbar}>
+        <button
+          type="button"
+          className={`${styles.button} ${styles.secondaryButton}`}
+          onClick={copyCodes}
+        >
+          <MdContentCopy /> {copied ? 'Copiés' : 'Copier'}
+        </button>
+        <button
+          type="button"
+          className={`${styles.button} ${styles.primaryButton}`}
+          onClick={onDone}
+        >
+          J&apos;ai noté mes codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Champ de saisie d'un code (TOTP ou code de secours) avec son bouton
+ */
+const CodeForm = ({ label, submitLabel, onSubmit, busy, error, danger }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSubmit(code)) setCode('');
+  };
+
+  return (
+    <form className={styles.codeForm} onSubmit={handleSubmit}>
+      <label className={styles.field}>
+        {label}
+        <input
+          type="text"
+          inputMode="text"
+          autoComplete="one-time-code"
+          className={styles.input}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={busy}
+          maxLength={11}
+          required
+        />
+        {error && <span className={styles.error}>{error}</span>}
+      </label>
+      <button
+        type="submit"
+        className={`${styles.button} ${
+          danger ? styles.dangerButton : styles.primaryButton
+        }`}
+        disabled={busy || !code.trim()}
+      >
+        {submitLabel}
+      </button>
+    </form>
+  );
+};
+
+const AccountSecurity = ({ twoFactor }) => {
+  const router = useRouter();
+  const { update } = useSession();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+
+  // Appel générique aux routes de double authentification
+  const callApi = async (action, path, method, body) => {
+    setPendingAction(action);
+    setErrors({});
+    setMessage(null);
+
+    try {
+      const response = await fetch(`${TWO_FACTOR_ENDPOINT}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setErrors({
+          [action]: result.errors?.code || result.error || 'Erreur inattendue',
+        });
+        return null;
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Erreur double authentification:', error);
+      setErrors({ [action]: 'Erreur réseau, veuillez réessayer' });
+      return null;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  // Rafraîchit le token de session (accès au dashboard si la 2FA était exigée)
+  const refreshAccount = async () => {
+    await update();
+    router.refresh();
+  };
+
+  const startSetup = async () => {
+    const result = await callApi('setup', '', 'POST');
+    if (result) setSetup(result.data);
+  };
+
+  const confirmSetup = async (code) => {
+    const result = await callApi('confirm', '/confirm', 'POST', { code });
+    if (!result) return false;
+
+    setSetup(null);
+    setRecoveryCodes(result.data.recoveryCodes);
+    return true;
+  };
+
+  const regenerateCodes = async (code) => {
+    const result = await callApi('regenerate', '/recovery-codes', 'POST', {
+      code,
+    });
+    if (!result) return false;
+
+    setRecoveryCodes(result.data.recoveryCodes);
+    return true;
+  };
+
+  const disableTwoFactor = async (code) => {
+    if (
+      !confirm(
+        'Désactiver la double authentification ? Vos codes de secours seront supprimés.',
+      )
+    ) {
+      return false;
+    }
+
+    const result = await callApi('disable', '', 'DELETE', { code });
+    if (!result) return false;
+
+    setMessage(result.message);
+    await refreshAccount();
+    return true;
+  };
+
+  const finishRecoveryCodes = async () => {
+    setRecoveryCodes(null);
+    await refreshAccount();
+  };
+
+  const isBusy = pendingAction !== null;
+
+  if (!twoFactor) {
+    return (
+      <div className={styles.container}>
+        <p className={styles.error}>
+          Impossible de charger les paramètres de sécurité. Veuillez réessayer.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.container}>
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdSecurity className={styles.sectionIcon} />
+          <h2>Double authentification</h2>
+          <span
+            className={`${styles.statusBadge} ${
+              twoFactor.enabled ? styles.enabled : styles.disabled
+            }`}
+          >
+            {twoFactor.enabled ? 'Activée' : 'Désactivée'}
+          </span>
+        </div>
+
+        {twoFactor.required && !twoFactor.enabled && !recoveryCodes && (
+          <p className={styles.warning}>
+            <MdWarning /> La double authentification est obligatoire pour votre
+            rôle. Activez-la pour accéder au reste du dashboard.
+          </p>
+        )}
+
+        {message && <p className={styles.success}>{message}</p>}
+
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={finishRecoveryCodes} />
+        ) : twoFactor.enabled ? (
+          <>
+            <p className={styles.muted}>
+              <MdVerifiedUser /> Activée le {formatDate(twoFactor.enabledAt)}.
+              Codes de secours restants : {twoFactor.recoveryCodesLeft}.
+            </p>
+
+            <CodeForm
+              label="Régénérer les codes de secours (code de l'application ou code de secours)"
+              submitLabel="Régénérer"
+              onSubmit={regenerateCodes}
+              busy={isBusy}
+              error={errors.regenerate}
+            />
+
+            {twoFactor.required ? (
+              <p className={styles.muted}>
+                Votre rôle ne permet pas de désactiver la double
+                authentification.
+              </p>
+            ) : (
+              <CodeForm
+                label="Désactiver (code de l'application ou code de secours)"
+                submitLabel="Désactiver"
+                onSubmit={disableTwoFactor}
+                busy={isBusy}
+                error={errors.disable}
+                danger
+              />
+            )}
+          </>
+        ) : setup ? (
+          <div className={styles.setup}>
+            <p>
+              Scannez ce QR code avec votre application d&apos;authentification
+              (Google Authenticator, 1Password, Authy...), puis saisissez le
+              code à 6 chiffres affiché.
+            </p>
+            <Image
+              src={setup.qrCode}
+              alt="QR code de configuration"
+              width={200}
+              height={200}
+              unoptimized
+              className={styles.qrCode}
+            />
+            <p className={styles.muted}>
+              Saisie manuelle de la clé :{' '}
+              <code className={styles.secret}>{setup.secret}</code>
+            </p>
+            <CodeForm
+              label="Code à 6 chiffres"
+              submitLabel={pendingAction === 'confirm' ? '...' : 'Confirmer'}
+              onSubmit={confirmSetup}
+              busy={isBusy}
+              error={errors.confirm}
+            />
+          </div>
+        ) : (
+          <>
+            <p className={styles.muted}>
+              Protégez votre compte avec un code à usage unique généré par une
+              application d&apos;authentification, demandé après votre mot de
+              passe à chaque connexion.
+            </p>
+            <div className={styles.toolbar}>
+              <button
+                type="button"
+                className={`${styles.button} ${styles.primaryButton}`}
+                onClick={startSetup}
+                disabled={isBusy}
+              >
+                <MdSecurity />
+                {pendingAction === 'setup'
+                  ? 'Préparation...'
+                  : 'Activer la double authentification'}
+              </button>
+            </div>
+            {errors.setup && <p className={styles.error}>{errors.setup}</p>}
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AccountSecurity;
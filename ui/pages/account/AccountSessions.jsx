@@ -0,0 +1,159 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { MdDevices, MdLogout } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/account/account.module.css';
+
+const SESSIONS_ENDPOINT = '/api/dashboard/account/sessions';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(dateString));
+};
+
+const AccountSessions = ({ sessions }) => {
+  const router = useRouter();
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Appel générique aux routes de révocation
+  const revoke = async (action, path, confirmMessage) => {
+    if (!confirm(confirmMessage)) return;
+
+    setPendingAction(action);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch(`${SESSIONS_ENDPOINT}${path}`, {
+        method: 'DELETE',
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setError(result.error || 'Erreur inattendue');
+        return;
+      }
+
+      setMessage(
+        action === 'all'
+          ? `${result.revoked} session(s) révoquée(s)`
+          : 'Session révoquée',
+      );
+      router.refresh();
+    } catch (fetchError) {
+      console.error('Erreur révocation de session:', fetchError);
+      setError('Erreur réseau, veuillez réessayer');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  if (!sessions) {
+    return (
+      <div className={styles.container}>
+        <p className={styles.error}>
+          Impossible de charger vos sessions. Veuillez réessayer.
+        </p>
+      </div>
+    );
+  }
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+  const isBusy = pendingAction !== null;
+
+  return (
+    <div className={styles.container}>
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdDevices className={styles.sectionIcon} />
+          <h2>Mes sessions</h2>
+        </div>
+
+        <p className={styles.muted}>
+          Appareils actuellement connectés à votre compte. Révoquez une session
+          que vous ne reconnaissez pas : elle sera déconnectée immédiatement.
+        </p>
+
+        {message && <p className={styles.success}>{message}</p>}
+        {error && <p className={styles.error}>{error}</p>}
+
+        <ul className={styles.sessions}>
+          {sessions.map((session) => (
+            <li key={session.id} className={styles.sessionItem}>
+              <div className={styles.sessionInfo}>
+                <span className={styles.sessionDevice}>
+                  {session.device}
+                  {session.current && (
+                    <span className={`${styles.statusBadge} ${styles.enabled}`}>
+                      Session actuelle
+                    </span>
+                  )}
+                </span>
+                <span className={styles.muted}>
+                  IP {session.ip || 'inconnue'} · Connexion le{' '}
+                  {formatDateTime(session.createdAt)} · Dernière activité le{' '}
+                  {formatDateTime(session.lastSeenAt)}
+                </span>
+                <span className={styles.muted}>
+                  Expire le {formatDateTime(session.expiresAt)}
+                  {session.remember && ' (« Se souvenir de moi »)'}
+                </span>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  className={`${styles.button} ${styles.dangerButton}`}
+                  onClick={() =>
+                    revoke(
+                      session.id,
+                      `/${session.id}`,
+                      `Révoquer la session ${session.device} ?`,
+                    )
+                  }
+                  disabled={isBusy}
+                >
+                  <MdLogout />
+                  {pendingAction === session.id ? 'Révocation...' : 'Révoquer'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {hasOtherSessions && (
+          <div className={styles.toolbar}>
+            <button
+              type="button"
+              className={`${styles.button} ${styles.dangerButton}`}
+              onClick={() =>
+                revoke(
+                  'all',
+                  '',
+                  'Déconnecter toutes les autres sessions ? Seule cette session restera active.',
+                )
+              }
+              disabled={isBusy}
+            >
+              <MdLogout />
+              {pendingAction === 'all'
+                ? 'Révocation...'
+                : 'Déconnecter toutes les autres sessions'}
+            </button>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AccountSessions;
@@ -2,9 +2,11 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import { CldImage, CldUploadWidget } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/applications/add/addApplication.module.css';
 import { applicationAddingSchema } from '@/utils/schemas/applicationSchema';
+import { getUploadWidgetOptions } from '@/utils/media';
 
 function AddApplication({ templates }) {
   console.log('Templates:', templates);
@@ -21,6 +23,7 @@ function AddApplication({ templates }) {
   const [errorMessage, setErrorMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const router = useRouter();
+  const { data: session } = useSession();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -395,13 +398,10 @@ function AddApplication({ templates }) {
             onSuccess={(result) => {
               setImageUrls((prev) => [...prev, result?.info?.public_id]);
             }}
-            options={{
-              folder: 'applications',
+            options={getUploadWidgetOptions('application', session?.user?.id, {
               multiple: true,
               sources: ['local', 'url'],
-              clientAllowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
-              maxImageFileSize: 5000000, // 5MB
-            }}
+            })}
           >
             {({ open }) => {
               function handleOnClick(e) {
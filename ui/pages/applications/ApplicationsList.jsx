@@ -8,10 +8,14 @@ import AppFilters from '@ui/components/dashboard/AppFilters';
 import Link from 'next/link';
 import { MdAdd, MdMonitor, MdPhoneIphone } from 'react-icons/md';
 import AppSearch from '@ui/components/dashboard/search/AppSearch';
+import Pagination from '@ui/components/dashboard/Pagination';
+import SortControls from '@ui/components/dashboard/SortControls';
+import { toListSearchParams } from '@/utils/pagination';
 import { getFilteredApplications } from '@app/dashboard/applications/actions';
 
-function ApplicationsList({ data }) {
+function ApplicationsList({ data, pagination: initialPagination }) {
   const [applications, setApplications] = useState(data);
+  const [pagination, setPagination] = useState(initialPagination);
   const [isPending, startTransition] = useTransition();
   const [currentFilters, setCurrentFilters] = useState({});
   const [error, setError] = useState(null);
@@ -21,39 +25,60 @@ function ApplicationsList({ data }) {
 
   useEffect(() => {
     setApplications(data);
-  }, [data, deleteId, isDeleting]);
+    setPagination(initialPagination);
+  }, [data, initialPagination, deleteId, isDeleting]);
 
-  // Fonction pour gérer les filtres avec gestion d'erreur améliorée
-  const handleFilterChange = (newFilters) => {
-    setCurrentFilters(newFilters);
+  // Charge une page d'applications et reflète la pagination dans l'URL
+  const loadApplications = (filters, listParams, errorMessage) => {
     setError(null); // Reset l'erreur
 
     startTransition(async () => {
       try {
-        const filteredData = await getFilteredApplications(newFilters);
-        setApplications(filteredData);
+        const result = await getFilteredApplications(filters, listParams);
+        setApplications(result.applications);
+        setPagination(result.pagination);
+
+        const query = toListSearchParams('applications', result.pagination);
+        window.history.replaceState(
+          null,
+          '',
+          query ? `?${query}` : window.location.pathname,
+        );
       } catch (error) {
         console.error('Filter error:', error);
-        setError('Failed to filter applications. Please try again.');
+        setError(errorMessage);
         // Garder les données actuelles en cas d'erreur
       }
     });
   };
 
+  // Fonction pour gérer les filtres avec gestion d'erreur améliorée
+  const handleFilterChange = (newFilters) => {
+    setCurrentFilters(newFilters);
+    loadApplications(
+      newFilters,
+      { ...pagination, page: 1 },
+      'Failed to filter applications. Please try again.',
+    );
+  };
+
+  // Fonction pour gérer la pagination, la taille de page et le tri
+  const handleListChange = (changes) => {
+    loadApplications(
+      currentFilters,
+      { ...pagination, ...changes },
+      'Failed to load applications. Please try again.',
+    );
+  };
+
   // Fonction pour effacer tous les filtres
   const clearAllFilters = () => {
     setCurrentFilters({});
-    setError(null);
-
-    startTransition(async () => {
-      try {
-        const allData = await getFilteredApplications({});
-        setApplications(allData);
-      } catch (error) {
-        console.error('Clear filters error:', error);
-        setError('Failed to clear filters. Please refresh the page.');
-      }
-    });
+    loadApplications(
+      {},
+      { ...pagination, page: 1 },
+      'Failed to clear filters. Please refresh the page.',
+    );
   };
 
   const handleDelete = async (id, application_images) => {
@@ -111,6 +136,13 @@ function ApplicationsList({ data }) {
           onFilterChange={handleFilterChange}
           currentFilters={currentFilters}
         />
+        <SortControls
+          listName="applications"
+          sort={pagination.sort}
+          order={pagination.order}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
         <Link href="/dashboard/applications/add">
           <button className={styles.addButton} type="button">
             <MdAdd /> Add Application
@@ -254,6 +286,12 @@ function ApplicationsList({ data }) {
           </div>
         )}
       </div>
+
+      <Pagination
+        pagination={pagination}
+        onChange={handleListChange}
+        disabled={isPending}
+      />
     </div>
   );
 }
@@ -2,14 +2,17 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import { CldImage, CldUploadWidget } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/applications/edit/editApplication.module.css';
 import { MdArrowBack, MdInfo, MdCheck, MdClose, MdError } from 'react-icons/md';
 import Link from 'next/link';
 import { applicationUpdateSchema } from '@utils/schemas/applicationSchema';
+import { getUploadWidgetOptions } from '@/utils/media';
 
 function EditApplication({ application }) {
   const router = useRouter();
+  const { data: session } = useSession();
 
   // Editable fields
   const [name, setName] = useState(application.application_name);
@@ -452,10 +455,9 @@ function EditApplication({ application }) {
               setImageUrls((prev) => [...prev, result?.info?.public_id]);
               console.log('Image saved successfully in cloudinary');
             }}
-            options={{
-              folder: 'applications',
+            options={getUploadWidgetOptions('application', session?.user?.id, {
               multiple: true,
-            }}
+            })}
           >
             {({ open }) => {
               function handleOnClick(e) {
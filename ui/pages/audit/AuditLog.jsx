@@ -0,0 +1,261 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import {
+  MdHistory,
+  MdChevronLeft,
+  MdChevronRight,
+  MdExpandMore,
+  MdExpandLess,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/audit/audit.module.css';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '@/utils/auditLog';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).format(new Date(dateString));
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '∅';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ACTION_CLASSES = {
+  create: styles.actionCreate,
+  update: styles.actionUpdate,
+  delete: styles.actionDelete,
+  restore: styles.actionRestore,
+  purge: styles.actionPurge,
+};
+
+const AuditChanges = ({ changes }) => {
+  const [open, setOpen] = useState(false);
+  const fields = Object.keys(changes || {});
+
+  if (fields.length === 0) {
+    return <span className={styles.muted}>—</span>;
+  }
+
+  return (
+    <div>
+      <button
+        type="button"
+        className={styles.toggleButton}
+        onClick={() => setOpen((value) => !value)}
+      >
+        {open ? <MdExpandLess /> : <MdExpandMore />}
+        {fields.length} champ{fields.length > 1 ? 's' : ''}
+      </button>
+
+      {open && (
+        <table className={styles.diffTable}>
+          <tbody>
+            {fields.map((field) => (
+              <tr key={field}>
+                <td className={styles.diffField}>{field}</td>
+                <td className={styles.diffBefore}>
+                  {formatValue(changes[field].before)}
+                </td>
+                <td className={styles.diffAfter}>
+                  {formatValue(changes[field].after)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const AuditLog = ({ entries = [], actors = [], pagination, filters = {} }) => {
+  const router = useRouter();
+  const { page = 1, totalPages = 1, total = 0 } = pagination || {};
+
+  // Les filtres et la pagination vivent dans l'URL pour rester partageables
+  const navigate = (nextPage, nextFilters) => {
+    const params = new URLSearchParams();
+    Object.entries(nextFilters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (nextPage > 1) params.set('page', String(nextPage));
+
+    const query = params.toString();
+    router.push(query ? `/dashboard/audit?${query}` : '/dashboard/audit');
+  };
+
+  const handleFilterChange = (key) => (event) => {
+    navigate(1, { ...filters, [key]: event.target.value });
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className={styles.container}>
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdHistory className={styles.sectionIcon} />
+          <h2>Journal d&apos;audit ({total})</h2>
+        </div>
+
+        <div className={styles.filters}>
+          <label className={styles.filterField}>
+            Acteur
+            <select
+              className={styles.input}
+              value={filters.actor || ''}
+              onChange={handleFilterChange('actor')}
+            >
+              <option value="">Tous</option>
+              {actors.map((actor) => (
+                <option key={actor.user_id} value={actor.user_id}>
+                  {actor.user_name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className={styles.filterField}>
+            Entité
+            <select
+              className={styles.input}
+              value={filters.entity || ''}
+              onChange={handleFilterChange('entity')}
+            >
+              <option value="">Toutes</option>
+              {Object.entries(AUDIT_ENTITIES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className={styles.filterField}>
+            Du
+            <input
+              type="date"
+              className={styles.input}
+              value={filters.from || ''}
+              max={filters.to || undefined}
+              onChange={handleFilterChange('from')}
+            />
+          </label>
+
+          <label className={styles.filterField}>
+            Au
+            <input
+              type="date"
+              className={styles.input}
+              value={filters.to || ''}
+              min={filters.from || undefined}
+              onChange={handleFilterChange('to')}
+            />
+          </label>
+
+          {hasFilters && (
+            <button
+              type="button"
+              className={styles.resetButton}
+              onClick={() => navigate(1, {})}
+            >
+              Réinitialiser
+            </button>
+          )}
+        </div>
+
+        {entries.length === 0 ? (
+          <p className={styles.empty}>
+            {hasFilters
+              ? 'Aucune entrée ne correspond à ces filtres.'
+              : 'Aucune entrée dans le journal.'}
+          </p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Date</td>
+                <td>Acteur</td>
+                <td>Action</td>
+                <td>Entité</td>
+                <td>Modifications</td>
+                <td>Requête</td>
+                <td>IP</td>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.audit_id}>
+                  <td className={styles.nowrap}>
+                    {formatDateTime(entry.created_at)}
+                  </td>
+                  <td>
+                    {entry.actor_name || (
+                      <span className={styles.muted}>
+                        {entry.actor_id ? `#${entry.actor_id}` : 'Inconnu'}
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    <span
+                      className={`${styles.actionBadge} ${
+                        ACTION_CLASSES[entry.action] || ''
+                      }`}
+                    >
+                      {AUDIT_ACTIONS[entry.action] || entry.action}
+                    </span>
+                  </td>
+                  <td>
+                    {AUDIT_ENTITIES[entry.entity] || entry.entity}
+                    <span className={styles.entityId}>{entry.entity_id}</span>
+                  </td>
+                  <td>
+                    <AuditChanges changes={entry.changes} />
+                  </td>
+                  <td className={styles.mono}>{entry.request_id || '—'}</td>
+                  <td className={styles.mono}>{entry.ip_address || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {totalPages > 1 && (
+          <div className={styles.pagination}>
+            <button
+              type="button"
+              className={styles.pageButton}
+              onClick={() => navigate(page - 1, filters)}
+              disabled={page <= 1}
+            >
+              <MdChevronLeft /> Précédent
+            </button>
+            <span className={styles.pageInfo}>
+              Page {page} / {totalPages}
+            </span>
+            <button
+              type="button"
+              className={styles.pageButton}
+              onClick={() => navigate(page + 1, filters)}
+              disabled={page >= totalPages}
+            >
+              Suivant <MdChevronRight />
+            </button>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -2,18 +2,70 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import { CldUploadWidget, CldImage } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/blog/edit/edit.module.css';
 import TiptapEditor from '@/ui/components/dashboard/editor';
-import { updateArticleSchema } from '@utils/schemas/articleSchema';
+import ArticleRevisions from '@/ui/components/dashboard/ArticleRevisions';
+import ArticleSeo from '@/ui/components/dashboard/ArticleSeo';
+import {
+  addArticleSchema,
+  updateArticleSchema,
+} from '@utils/schemas/articleSchema';
+import { getUploadWidgetOptions } from '@/utils/media';
+import { ARTICLE_STATUS_LABELS } from '@/utils/articleStatus';
+import { parseKeywords } from '@/utils/articleSeo';
+
+// Date ISO -> valeur d'un champ datetime-local (heure locale)
+const toLocalInputValue = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+// Valeur d'un champ datetime-local -> date ISO envoyée à l'API
+const toISODate = (value) => (value ? new Date(value).toISOString() : null);
+
+const STATUS_BANNERS = {
+  published: { icon: '🟢', text: 'Article publié', className: 'statusActive' },
+  scheduled: {
+    icon: '🕒',
+    text: 'Publication programmée',
+    className: 'statusScheduled',
+  },
+  draft: {
+    icon: '🔴',
+    text: 'Article en brouillon',
+    className: 'statusInactive',
+  },
+};
+
+const initialFormData = (data) => ({
+  title: data?.article_title || '',
+  text: data?.article_text || '',
+  imageUrl: data?.article_image || '',
+  status: data?.article_status || (data?.is_active ? 'published' : 'draft'),
+  publishAt: toLocalInputValue(data?.publish_at),
+  slug: data?.article_slug || '',
+  metaTitle: data?.meta_title || '',
+  metaDescription: data?.meta_description || '',
+  // Saisie séparée par des virgules, convertie en tableau à l'envoi
+  keywords: (data?.meta_keywords || []).join(', '),
+  ogImage: data?.og_image || '',
+});
+
+// Champs de référencement transmis à ArticleSeo
+const SEO_FIELDS = [
+  'slug',
+  'metaTitle',
+  'metaDescription',
+  'keywords',
+  'ogImage',
+];
 
 const EditArticle = ({ data }) => {
-  const [formData, setFormData] = useState({
-    title: data?.article_title || '',
-    text: data?.article_text || '',
-    imageUrl: data?.article_image || '',
-    isActive: data?.is_active ?? true,
-  });
+  const [formData, setFormData] = useState(() => initialFormData(data));
 
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
@@ -24,15 +76,11 @@ const EditArticle = ({ data }) => {
   const [originalData, setOriginalData] = useState({});
 
   const router = useRouter();
+  const { data: session } = useSession();
 
   // Sauvegarder les données originales pour détecter les changements
   useEffect(() => {
-    setOriginalData({
-      title: data?.article_title || '',
-      text: data?.article_text || '',
-      imageUrl: data?.article_image || '',
-      isActive: data?.is_active ?? true,
-    });
+    setOriginalData(initialFormData(data));
   }, [data]);
 
   // Détecter les changements non sauvegardés
@@ -106,8 +154,22 @@ const EditArticle = ({ data }) => {
     setErrors({});
 
     try {
-      // Validation complète
-      await updateArticleSchema.validate(formData, { abortEarly: false });
+      // Validation complète selon le statut visé
+      await addArticleSchema.validate(
+        {
+          ...formData,
+          imageUrl: formData.imageUrl || null,
+          keywords: parseKeywords(formData.keywords),
+          publishAt:
+            formData.status === 'scheduled'
+              ? toISODate(formData.publishAt)
+              : null,
+        },
+        {
+          abortEarly: false,
+          context: { storedPublishAt: data?.publish_at },
+        },
+      );
 
       // Préparer les données modifiées uniquement
       const changedData = {};
@@ -117,6 +179,14 @@ const EditArticle = ({ data }) => {
         }
       });
 
+      if (changedData.publishAt !== undefined) {
+        changedData.publishAt = toISODate(changedData.publishAt);
+      }
+
+      if (changedData.keywords !== undefined) {
+        changedData.keywords = parseKeywords(changedData.keywords);
+      }
+
       if (Object.keys(changedData).length === 0) {
         setErrors({ general: 'Aucune modification détectée.' });
         setIsLoading(false);
@@ -134,13 +204,18 @@ const EditArticle = ({ data }) => {
         },
       );
 
+      const responseData = await response.json();
+
       // Vérifier si la réponse est ok
       if (!response.ok) {
+        // Erreurs par champ renvoyées par l'API (slug déjà utilisé...)
+        if (responseData.errors) {
+          setErrors(responseData.errors);
+          return;
+        }
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const responseData = await response.json();
-
       if (responseData.success) {
         setIsSuccess(true);
         setHasUnsavedChanges(false);
@@ -155,7 +230,8 @@ const EditArticle = ({ data }) => {
         // Erreurs de validation Yup
         const validationErrors = {};
         error.inner.forEach((err) => {
-          validationErrors[err.path] = err.message;
+          // keywords[2] -> keywords : l'erreur s'affiche sous le champ
+          validationErrors[err.path.replace(/\[\d+\]$/, '')] = err.message;
         });
         setErrors(validationErrors);
       } else if (error.message?.includes('HTTP error')) {
@@ -176,11 +252,58 @@ const EditArticle = ({ data }) => {
     setHasUnsavedChanges(false);
   };
 
+  // Restaurer une révision : la route de mise à jour l'enregistre comme nouvelle version
+  const restoreRevision = async (revision) => {
+    const restored = {
+      title: revision.title,
+      text: revision.text || '',
+      imageUrl: revision.image || '',
+    };
+    setErrors({});
+
+    try {
+      await updateArticleSchema.validate(restored, { abortEarly: false });
+
+      const response = await fetch(
+        `/api/dashboard/blog/${data.article_id}/edit`,
+        {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(restored),
+        },
+      );
+
+      const responseData = await response.json();
+
+      if (!response.ok || !responseData.success) {
+        setErrors({
+          general:
+            Object.values(responseData.errors || {}).join(' ') ||
+            responseData.message ||
+            'Impossible de restaurer cette révision.',
+        });
+        return;
+      }
+
+      setFormData((prev) => ({ ...prev, ...restored }));
+      setOriginalData((prev) => ({ ...prev, ...restored }));
+      router.refresh();
+    } catch (error) {
+      setErrors({
+        general: error.inner
+          ? error.inner.map((err) => err.message).join(' ')
+          : 'Impossible de restaurer cette révision.',
+      });
+    }
+  };
+
   // Sauvegarder en brouillon
   const saveDraft = async () => {
     try {
       setIsLoading(true);
-      const draftData = { ...formData, isActive: false };
+      const draftData = { ...formData, status: 'draft' };
 
       const response = await fetch(
         `/api/dashboard/blog/${data.article_id}/edit`,
@@ -189,7 +312,12 @@ const EditArticle = ({ data }) => {
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify(draftData),
+          body: JSON.stringify({
+            title: draftData.title,
+            text: draftData.text,
+            imageUrl: draftData.imageUrl,
+            status: 'draft',
+          }),
         },
       );
 
@@ -219,6 +347,7 @@ const EditArticle = ({ data }) => {
   };
 
   const readingTime = calculateReadingTime(formData.text);
+  const banner = STATUS_BANNERS[formData.status] || STATUS_BANNERS.draft;
 
   if (isSuccess) {
     return (
@@ -271,16 +400,10 @@ const EditArticle = ({ data }) => {
       </div>
 
       {/* Status Banner */}
-      <div
-        className={`${styles.statusBanner} ${formData.isActive ? styles.statusActive : styles.statusInactive}`}
-      >
+      <div className={`${styles.statusBanner} ${styles[banner.className]}`}>
         <div className={styles.statusInfo}>
-          <span className={styles.statusIndicator}>
-            {formData.isActive ? '🟢' : '🔴'}
-          </span>
-          <span className={styles.statusText}>
-            {formData.isActive ? 'Article publié' : 'Article en brouillon'}
-          </span>
+          <span className={styles.statusIndicator}>{banner.icon}</span>
+          <span className={styles.statusText}>{banner.text}</span>
         </div>
       </div>
 
@@ -316,25 +439,43 @@ const EditArticle = ({ data }) => {
 
         {/* Statut de publication */}
         <div className={styles.formGroup}>
-          <div className={styles.checkboxContainer}>
+          <label htmlFor="status" className={styles.formLabel}>
+            Statut de publication
+          </label>
+          <select
+            id="status"
+            name="status"
+            value={formData.status}
+            onChange={(e) => handleInputChange('status', e.target.value)}
+            className={styles.formInput}
+          >
+            {Object.entries(ARTICLE_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {formData.status === 'scheduled' && (
             <input
-              id="isActive"
-              type="checkbox"
-              checked={formData.isActive}
-              onChange={(e) => handleInputChange('isActive', e.target.checked)}
-              className={styles.checkbox}
+              id="publishAt"
+              type="datetime-local"
+              name="publishAt"
+              value={formData.publishAt}
+              onChange={(e) => handleInputChange('publishAt', e.target.value)}
+              className={`${styles.formInput} ${styles.scheduleInput} ${errors.publishAt ? styles.inputError : ''}`}
             />
-            <label htmlFor="isActive" className={styles.checkboxLabel}>
-              <span className={styles.checkboxCustom}>
-                {formData.isActive && '✓'}
-              </span>
-              Publier l&apos;article immédiatement
-            </label>
-          </div>
+          )}
+          {errors.publishAt && (
+            <span className={styles.fieldError}>{errors.publishAt}</span>
+          )}
+
           <p className={styles.checkboxHint}>
-            {formData.isActive
+            {formData.status === 'published'
               ? "✅ L'article sera visible publiquement"
-              : "📝 L'article sera sauvegardé en brouillon"}
+              : formData.status === 'scheduled'
+                ? "🕒 L'article sera publié automatiquement à la date choisie"
+                : "📝 L'article sera sauvegardé en brouillon"}
           </p>
         </div>
 
@@ -376,12 +517,9 @@ const EditArticle = ({ data }) => {
               onUpload={(result) => {
                 setUploadProgress(result.progress || 0);
               }}
-              options={{
-                folder: 'blog_pictures',
+              options={getUploadWidgetOptions('article', session?.user?.id, {
                 multiple: false,
-                maxFileSize: 10000000, // 10MB
-                allowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
-              }}
+              })}
             >
               {({ open }) => {
                 function handleOnClick(e) {
@@ -449,6 +587,22 @@ const EditArticle = ({ data }) => {
           )}
         </div>
 
+        {/* Référencement */}
+        <ArticleSeo
+          values={Object.fromEntries(
+            SEO_FIELDS.map((field) => [field, formData[field]]),
+          )}
+          onChange={handleInputChange}
+          article={{
+            title: formData.title,
+            text: formData.text,
+            imageUrl: formData.imageUrl,
+          }}
+          articleId={data?.article_id}
+          redirects={data?.slug_redirects}
+          errors={errors}
+        />
+
         {/* Actions du formulaire */}
         <div className={styles.formActions}>
           <div className={styles.formActionsLeft}>
@@ -477,7 +631,7 @@ const EditArticle = ({ data }) => {
               type="submit"
               disabled={isLoading || !hasUnsavedChanges}
               className={`${styles.actionButton} ${styles.submitButton} ${
-                formData.isActive
+                formData.status === 'published'
                   ? styles.publishButton
                   : styles.draftSaveButton
               }`}
@@ -485,7 +639,13 @@ const EditArticle = ({ data }) => {
               {isLoading ? (
                 <span className={styles.loadingSpinner}></span>
               ) : (
-                <>{formData.isActive ? '🚀 Publier' : '💾 Sauvegarder'}</>
+                <>
+                  {formData.status === 'published'
+                    ? '🚀 Publier'
+                    : formData.status === 'scheduled'
+                      ? '🕒 Programmer'
+                      : '💾 Sauvegarder'}
+                </>
               )}
             </button>
           </div>
@@ -501,6 +661,13 @@ const EditArticle = ({ data }) => {
           </div>
         )}
       </form>
+
+      <ArticleRevisions
+        key={data?.revisions?.[0]?.revision_id}
+        revisions={data?.revisions}
+        onRestore={restoreRevision}
+        disabled={isLoading}
+      />
     </section>
   );
 };
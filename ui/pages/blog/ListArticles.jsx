@@ -9,16 +9,33 @@ import {
   MdDelete,
   MdVisibility,
   MdVisibilityOff,
+  MdSchedule,
   MdRefresh,
 } from 'react-icons/md';
 
 import styles from '@/ui/styling/dashboard/blog/blog.module.css';
 import PostCard from '@/ui/components/dashboard/PostCard';
 import BlogSearch from '@ui/components/dashboard/search/BlogSearch';
+import Pagination from '@/ui/components/dashboard/Pagination';
+import SortControls from '@/ui/components/dashboard/SortControls';
+import { toListSearchParams } from '@/utils/pagination';
 import { getFilteredArticles } from '@/app/dashboard/blog/actions';
+import { ARTICLE_STATUS_LABELS } from '@/utils/articleStatus';
 
-const ListArticles = ({ data: initialData }) => {
+const STATUS_ICONS = {
+  draft: MdVisibilityOff,
+  scheduled: MdSchedule,
+  published: MdVisibility,
+};
+
+const ListArticles = ({
+  data: initialData,
+  pagination: initialPagination,
+  stats: initialStats,
+}) => {
   const [articles, setArticles] = useState(initialData || []);
+  const [pagination, setPagination] = useState(initialPagination);
+  const [stats, setStats] = useState(initialStats);
   const [filters, setFilters] = useState({});
   const [isSearchLoading, setIsSearchLoading] = useState(false); // Loading pour recherche/filtres
   const [isRefreshLoading, setIsRefreshLoading] = useState(false); // Loading pour refresh
@@ -29,26 +46,55 @@ const ListArticles = ({ data: initialData }) => {
   // Update articles when data prop changes
   useEffect(() => {
     setArticles(initialData || []);
-  }, [initialData]);
+    setPagination(initialPagination);
+    setStats(initialStats);
+  }, [initialData, initialPagination, initialStats]);
 
-  // Fonction pour gérer les changements de filtres
-  const handleFiltersChange = useCallback(
-    async (newFilters) => {
-      setFilters(newFilters);
+  // Charge une page d'articles et reflète la pagination dans l'URL
+  const loadArticles = useCallback(
+    async (newFilters, listParams) => {
       setIsSearchLoading(true); // Utiliser le loading spécifique à la recherche
 
       try {
-        const filteredData = await getFilteredArticles(newFilters);
-        setArticles(filteredData);
+        const result = await getFilteredArticles(newFilters, listParams);
+        setArticles(result.articles);
+        setPagination(result.pagination);
+        setStats(result.stats);
+
+        const query = toListSearchParams('articles', result.pagination);
+        window.history.replaceState(
+          null,
+          '',
+          query ? `?${query}` : window.location.pathname,
+        );
       } catch (error) {
         console.error('Erreur lors du filtrage des articles:', error);
         // En cas d'erreur, revenir aux données initiales
         setArticles(initialData);
+        setPagination(initialPagination);
+        setStats(initialStats);
       } finally {
         setIsSearchLoading(false);
       }
     },
-    [initialData],
+    [initialData, initialPagination, initialStats],
+  );
+
+  // Fonction pour gérer les changements de filtres (retour à la première page)
+  const handleFiltersChange = useCallback(
+    async (newFilters) => {
+      setFilters(newFilters);
+      await loadArticles(newFilters, { ...pagination, page: 1 });
+    },
+    [loadArticles, pagination],
+  );
+
+  // Fonction pour gérer la pagination, la taille de page et le tri
+  const handleListChange = useCallback(
+    (changes) => {
+      loadArticles(filters, { ...pagination, ...changes });
+    },
+    [loadArticles, filters, pagination],
   );
 
   // Fonction pour gérer le changement de statut via select
@@ -59,11 +105,11 @@ const ListArticles = ({ data: initialData }) => {
       };
 
       if (status === 'all') {
-        // Si "all" est sélectionné, supprimer le filtre is_active
-        delete newFilters.is_active;
+        // Si "all" est sélectionné, supprimer le filtre article_status
+        delete newFilters.article_status;
       } else {
         // Sinon, ajouter le filtre approprié
-        newFilters.is_active = [status === 'active' ? 'true' : 'false'];
+        newFilters.article_status = [status];
       }
 
       handleFiltersChange(newFilters);
@@ -78,6 +124,10 @@ const ListArticles = ({ data: initialData }) => {
       return;
     }
 
+    const deletedStatus = articles.find(
+      (article) => article.articleId === articleId,
+    )?.status;
+
     setIsSearchLoading(true); // Loading pour la suppression
     try {
       const response = await fetch(`/api/dashboard/blog/${articleId}/delete`, {
@@ -93,9 +143,12 @@ const ListArticles = ({ data: initialData }) => {
         setArticles((prev) =>
           prev.filter((article) => article.articleId !== articleId),
         );
-
-        // Show success message
-        console.log('Article deleted successfully');
+        // Seuls les brouillons et articles programmés peuvent être supprimés
+        setStats((prev) => ({
+          ...prev,
+          total: prev.total - 1,
+          ...(deletedStatus && { [deletedStatus]: prev[deletedStatus] - 1 }),
+        }));
       } else {
         console.error('Failed to delete article');
       }
@@ -113,31 +166,19 @@ const ListArticles = ({ data: initialData }) => {
     // Reset filters and reload initial data
     setFilters({});
     setArticles(initialData);
+    setPagination(initialPagination);
+    setStats(initialStats);
     router.refresh();
     setTimeout(() => setIsRefreshLoading(false), 1000);
-  }, [router, initialData]);
-
-  // Stats calculation
-  const stats = useMemo(() => {
-    const total = articles.length;
-    const active = articles.filter((a) => a.isActive).length;
-    const inactive = total - active;
-    return { total, active, inactive };
-  }, [articles]);
+  }, [router, initialData, initialPagination, initialStats]);
 
   // Dériver le statut actuel du filtre pour le select
   const currentFilterStatus = useMemo(() => {
-    if (!filters.is_active || filters.is_active.length === 0) {
+    if (!filters.article_status || filters.article_status.length === 0) {
       return 'all';
     }
-    if (filters.is_active.includes('true')) {
-      return 'active';
-    }
-    if (filters.is_active.includes('false')) {
-      return 'inactive';
-    }
-    return 'all';
-  }, [filters.is_active]);
+    return filters.article_status[0];
+  }, [filters.article_status]);
 
   return (
     <div className={styles.container}>
@@ -150,18 +191,14 @@ const ListArticles = ({ data: initialData }) => {
               <span className={styles.statNumber}>{stats.total}</span>
               <span className={styles.statLabel}>Total</span>
             </span>
-            <span className={styles.statItem}>
-              <span className={`${styles.statNumber} ${styles.active}`}>
-                {stats.active}
-              </span>
-              <span className={styles.statLabel}>Active</span>
-            </span>
-            <span className={styles.statItem}>
-              <span className={`${styles.statNumber} ${styles.inactive}`}>
-                {stats.inactive}
+            {Object.entries(ARTICLE_STATUS_LABELS).map(([status, label]) => (
+              <span key={status} className={styles.statItem}>
+                <span className={`${styles.statNumber} ${styles[status]}`}>
+                  {stats[status] || 0}
+                </span>
+                <span className={styles.statLabel}>{label}</span>
               </span>
-              <span className={styles.statLabel}>Inactive</span>
-            </span>
+            ))}
           </div>
         </div>
         <div className={styles.headerRight}>
@@ -204,9 +241,17 @@ const ListArticles = ({ data: initialData }) => {
               disabled={isSearchLoading} // Désactivé pendant la recherche
             >
               <option value="all">All Status</option>
-              <option value="active">Active Only</option>
-              <option value="inactive">Inactive Only</option>
+              <option value="published">Published</option>
+              <option value="scheduled">Scheduled</option>
+              <option value="draft">Drafts</option>
             </select>
+            <SortControls
+              listName="articles"
+              sort={pagination.sort}
+              order={pagination.order}
+              onChange={handleListChange}
+              disabled={isSearchLoading}
+            />
           </div>
         </div>
       </div>
@@ -214,7 +259,7 @@ const ListArticles = ({ data: initialData }) => {
       {/* Results Info */}
       <div className={styles.resultsInfo}>
         <span className={styles.resultsCount}>
-          Showing {articles.length} articles
+          Showing {articles.length} of {pagination.total} articles
         </span>
         {filters.article_title && (
           <span className={styles.searchInfo}>
@@ -223,7 +268,7 @@ const ListArticles = ({ data: initialData }) => {
         )}
         {currentFilterStatus !== 'all' && (
           <span className={styles.searchInfo}>
-            ({currentFilterStatus} only)
+            ({ARTICLE_STATUS_LABELS[currentFilterStatus]} only)
           </span>
         )}
       </div>
@@ -237,67 +282,69 @@ const ListArticles = ({ data: initialData }) => {
           </div>
         ) : articles.length > 0 ? (
           <div className={`${styles.articlesGrid} ${styles.gridView}`}>
-            {articles.map((article) => (
-              <div key={article.articleId} className={styles.articleWrapper}>
-                <div className={styles.articleCard}>
-                  <div className={styles.articleStatus}>
-                    {article.isActive ? (
-                      <span
-                        className={`${styles.statusBadge} ${styles.active}`}
-                      >
-                        <MdVisibility /> Active
-                      </span>
-                    ) : (
+            {articles.map((article) => {
+              const StatusIcon =
+                STATUS_ICONS[article.status] || MdVisibilityOff;
+
+              return (
+                <div key={article.articleId} className={styles.articleWrapper}>
+                  <div className={styles.articleCard}>
+                    <div className={styles.articleStatus}>
                       <span
-                        className={`${styles.statusBadge} ${styles.inactive}`}
+                        className={`${styles.statusBadge} ${styles[article.status]}`}
                       >
-                        <MdVisibilityOff /> Inactive
+                        <StatusIcon />{' '}
+                        {ARTICLE_STATUS_LABELS[article.status] ||
+                          article.status}
                       </span>
-                    )}
-                  </div>
+                    </div>
 
-                  <PostCard
-                    blog_id={article.articleId}
-                    title={article.articleTitle}
-                    picture={article.articleImage}
-                    created={article.created}
-                    updated={article.updated}
-                    isActive={article.isActive}
-                    deleteArticle={() =>
-                      deleteArticle(article.articleId, article.articleImage)
-                    }
-                  />
+                    <PostCard
+                      blog_id={article.articleId}
+                      title={article.articleTitle}
+                      picture={article.articleImage}
+                      created={article.created}
+                      updated={article.updated}
+                      isActive={article.isActive}
+                      status={article.status}
+                      publishAt={article.publishAt}
+                      publishedAt={article.publishedAt}
+                      deleteArticle={() =>
+                        deleteArticle(article.articleId, article.articleImage)
+                      }
+                    />
 
-                  <div className={styles.articleActions}>
-                    <Link href={`/dashboard/blog/edit/${article.articleId}`}>
+                    <div className={styles.articleActions}>
+                      <Link href={`/dashboard/blog/edit/${article.articleId}`}>
+                        <button
+                          className={styles.actionButton}
+                          title="Edit article"
+                        >
+                          <MdEdit />
+                        </button>
+                      </Link>
                       <button
-                        className={styles.actionButton}
-                        title="Edit article"
+                        className={`${styles.actionButton} ${styles.danger} ${
+                          article.isActive ? styles.disabled : ''
+                        }`}
+                        onClick={() =>
+                          !article.isActive &&
+                          deleteArticle(article.articleId, article.articleImage)
+                        }
+                        disabled={article.isActive}
+                        title={
+                          article.isActive
+                            ? 'Cannot delete a published article. Please unpublish it first.'
+                            : 'Delete article'
+                        }
                       >
-                        <MdEdit />
+                        <MdDelete />
                       </button>
-                    </Link>
-                    <button
-                      className={`${styles.actionButton} ${styles.danger} ${
-                        article.isActive ? styles.disabled : ''
-                      }`}
-                      onClick={() =>
-                        !article.isActive &&
-                        deleteArticle(article.articleId, article.articleImage)
-                      }
-                      disabled={article.isActive}
-                      title={
-                        article.isActive
-                          ? 'Cannot delete active article. Please deactivate first.'
-                          : 'Delete article'
-                      }
-                    >
-                      <MdDelete />
-                    </button>
+                    </div>
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         ) : (
           <div className={styles.emptyState}>
@@ -323,14 +370,20 @@ const ListArticles = ({ data: initialData }) => {
         )}
       </div>
 
+      <Pagination
+        pagination={pagination}
+        onChange={handleListChange}
+        disabled={isSearchLoading}
+      />
+
       {/* Delete Confirmation Modal */}
       {deleteConfirmation && (
         <div className={styles.modal}>
           <div className={styles.modalContent}>
             <h3 className={styles.modalTitle}>Delete Article</h3>
             <p className={styles.modalText}>
-              Are you sure you want to delete this article? This action cannot
-              be undone.
+              Are you sure you want to delete this article? It will be moved to
+              the trash, where it can be restored.
             </p>
             <div className={styles.modalActions}>
               <button
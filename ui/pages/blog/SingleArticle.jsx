@@ -38,13 +38,17 @@ const SingleArticle = ({ article }) => {
 
     setIsLoading(true);
     try {
+      // Publier un brouillon ou un article programmé, dépublier un article publié
       const response = await fetch(
-        `/api/dashboard/blog/${data.article_id}/toggle-status`,
+        `/api/dashboard/blog/${data.article_id}/edit`,
         {
-          method: 'PATCH',
+          method: 'PUT',
           headers: {
             'Content-Type': 'application/json',
           },
+          body: JSON.stringify({
+            status: data.is_active ? 'draft' : 'published',
+          }),
         },
       );
 
@@ -53,6 +57,9 @@ const SingleArticle = ({ article }) => {
         setData((prev) => ({
           ...prev,
           is_active: result.data.is_active,
+          article_status: result.data.article_status,
+          publish_at: result.data.publish_at,
+          published_at: result.data.published_at,
         }));
       } else {
         console.error('Failed to toggle article status');
@@ -133,7 +140,11 @@ const SingleArticle = ({ article }) => {
             {data.is_active ? '🟢' : '🔴'}
           </span>
           <span className={styles.statusText}>
-            {data.is_active ? 'Article publié' : 'Article en brouillon'}
+            {data.is_active
+              ? 'Article publié'
+              : data.article_status === 'scheduled' && data.publish_at
+                ? `Publication programmée le ${new Date(data.publish_at).toLocaleString('fr-FR')}`
+                : 'Article en brouillon'}
           </span>
         </div>
         <button
@@ -207,7 +218,7 @@ const SingleArticle = ({ article }) => {
 
         {/* Image avec gestion d'erreur et effet de hover */}
         <div className={styles.postDetailImage}>
-          {!imageError ? (
+          {!imageError && data.article_image ? (
             <CldImage
               priority
               src={data.article_image}
@@ -262,7 +273,8 @@ const SingleArticle = ({ article }) => {
               <strong>&quot;{data.article_title}&quot;</strong> ?
             </p>
             <p className={styles.warningText}>
-              ⚠️ Cette action est irréversible.
+              L&apos;article sera placé dans la corbeille, d&apos;où il pourra
+              être restauré.
             </p>
             <div className={styles.modalActions}>
               <button
@@ -277,7 +289,7 @@ const SingleArticle = ({ article }) => {
                 className={styles.confirmDeleteButton}
                 disabled={isLoading}
               >
-                {isLoading ? 'Suppression...' : 'Supprimer définitivement'}
+                {isLoading ? 'Suppression...' : 'Supprimer'}
               </button>
             </div>
           </div>
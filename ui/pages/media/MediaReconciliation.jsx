@@ -0,0 +1,218 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { CldImage } from 'next-cloudinary';
+import {
+  MdPermMedia,
+  MdDeleteForever,
+  MdPlaylistAddCheck,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/media/media.module.css';
+import { MEDIA_FOLDERS, MEDIA_DELETE_BATCH_SIZE } from '@/utils/media';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(dateString));
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 Ko';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} Ko`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} Mo`;
+};
+
+const MediaReconciliation = ({ report, minAgeHours }) => {
+  const router = useRouter();
+  const {
+    orphans = [],
+    scanned = 0,
+    referenced = 0,
+    recent = 0,
+  } = report || {};
+  const [selected, setSelected] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+
+  const allSelected = orphans.length > 0 && selected.length === orphans.length;
+  const totalBytes = orphans.reduce(
+    (sum, orphan) => sum + (orphan.bytes || 0),
+    0,
+  );
+
+  const toggle = (publicId) => {
+    setSelected((prev) =>
+      prev.includes(publicId)
+        ? prev.filter((id) => id !== publicId)
+        : [...prev, publicId],
+    );
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? [] : orphans.map((orphan) => orphan.public_id));
+  };
+
+  const runDeletion = async (dryRun) => {
+    if (
+      !dryRun &&
+      !confirm(
+        `Supprimer définitivement ${selected.length} image(s) de Cloudinary ? Cette action est irréversible.`,
+      )
+    ) {
+      return;
+    }
+
+    setIsRunning(true);
+    setLastResult(null);
+
+    try {
+      const summary = { dryRun, deleted: [], skipped: [], failed: [] };
+
+      // L'API limite la taille des lots
+      for (let i = 0; i < selected.length; i += MEDIA_DELETE_BATCH_SIZE) {
+        const response = await fetch('/api/dashboard/media/orphans/delete', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            publicIds: selected.slice(i, i + MEDIA_DELETE_BATCH_SIZE),
+            dryRun,
+          }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          alert(data.message || data.error || 'Suppression impossible.');
+          break;
+        }
+
+        summary.deleted.push(...data.deleted);
+        summary.skipped.push(...data.skipped);
+        summary.failed.push(...data.failed);
+      }
+
+      setLastResult(summary);
+
+      if (!dryRun && summary.deleted.length > 0) {
+        setSelected([]);
+        router.refresh();
+      }
+    } catch (error) {
+      console.error('Media deletion error:', error);
+      alert('Suppression impossible. Veuillez réessayer.');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdPermMedia className={styles.sectionIcon} />
+          <h2>Images orphelines ({orphans.length})</h2>
+        </div>
+
+        <p className={styles.muted}>
+          {scanned} image(s) analysée(s) dans{' '}
+          {Object.keys(MEDIA_FOLDERS).join(', ')} : {referenced} référencée(s),{' '}
+          {recent} envoyée(s) il y a moins de {minAgeHours} h (ignorées),{' '}
+          {orphans.length} orpheline(s) pour {formatBytes(totalBytes)}.
+        </p>
+
+        {report?.error && <p className={styles.error}>{report.error}</p>}
+
+        {lastResult && (
+          <p className={styles.result}>
+            {lastResult.dryRun ? 'Simulation : ' : ''}
+            {lastResult.deleted.length} image(s){' '}
+            {lastResult.dryRun ? 'seraient supprimées' : 'supprimée(s)'},{' '}
+            {lastResult.skipped.length} conservée(s) car de nouveau
+            référencée(s), {lastResult.failed.length} échec(s).
+          </p>
+        )}
+
+        <div className={styles.toolbar}>
+          <button
+            type="button"
+            className={`${styles.button} ${styles.simulate}`}
+            onClick={() => runDeletion(true)}
+            disabled={selected.length === 0 || isRunning}
+          >
+            <MdPlaylistAddCheck /> Simuler
+          </button>
+          <button
+            type="button"
+            className={`${styles.button} ${styles.delete}`}
+            onClick={() => runDeletion(false)}
+            disabled={selected.length === 0 || isRunning}
+          >
+            <MdDeleteForever />
+            {isRunning ? 'Suppression...' : `Supprimer (${selected.length})`}
+          </button>
+        </div>
+
+        {orphans.length === 0 ? (
+          <p className={styles.empty}>Aucune image orpheline.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleAll}
+                    aria-label="Tout sélectionner"
+                  />
+                </td>
+                <td>Aperçu</td>
+                <td>Image</td>
+                <td>Dossier</td>
+                <td>Taille</td>
+                <td>Envoyée le</td>
+              </tr>
+            </thead>
+            <tbody>
+              {orphans.map((orphan) => (
+                <tr key={orphan.public_id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(orphan.public_id)}
+                      onChange={() => toggle(orphan.public_id)}
+                      aria-label={orphan.public_id}
+                    />
+                  </td>
+                  <td>
+                    <CldImage
+                      src={orphan.public_id}
+                      alt={orphan.public_id}
+                      width={48}
+                      height={48}
+                      className={styles.thumbnail}
+                    />
+                  </td>
+                  <td className={styles.mono}>{orphan.public_id}</td>
+                  <td>{MEDIA_FOLDERS[orphan.folder] || orphan.folder}</td>
+                  <td className={styles.nowrap}>{formatBytes(orphan.bytes)}</td>
+                  <td className={styles.nowrap}>
+                    {formatDateTime(orphan.created_at)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default MediaReconciliation;
@@ -1,6 +1,7 @@
 'use client';
 
 import { useState } from 'react';
+import { useRouter } from 'next/navigation';
 import { CldImage } from 'next-cloudinary';
 import {
   MdCheckCircle,
@@ -18,9 +19,28 @@ import {
   MdCategory,
   MdLink,
   MdStar,
+  MdHistory,
+  MdBlock,
 } from 'react-icons/md';
 import styles from '@ui/styling/dashboard/orders/editOrder.module.css'; // Assurez-vous que le chemin est correct
-import { updateOrderPaymentStatus } from '@app/dashboard/orders/actions';
+import {
+  updateOrderPaymentStatus,
+  refundOrder,
+  cancelOrder,
+} from '@app/dashboard/orders/actions';
+import { useSession } from 'next-auth/react';
+import { PERMISSIONS, hasPermission } from '@/utils/permissions';
+import {
+  ORDER_REASON_MAX_LENGTH,
+  ORDER_STATUS_LABELS,
+  canTransitionOrder,
+  transitionRequiresReason,
+  getRefundableAmount,
+  validateRefundAmount,
+} from '@/utils/orderStatus';
+
+// Statuts atteints uniquement via les actions dédiées (motif, montant)
+const WORKFLOW_STATUSES = ['refunded', 'cancelled'];
 
 const EditOrder = ({ order }) => {
   const [currentStatus, setCurrentStatus] = useState(
@@ -29,14 +49,59 @@ const EditOrder = ({ order }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
+  const [reason, setReason] = useState('');
+  // Action d'annulation / remboursement en cours : null, 'refunded' ou 'cancelled'
+  const [workflow, setWorkflow] = useState(null);
+  const [workflowReason, setWorkflowReason] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canUpdateOrder = hasPermission(
+    session?.user?.role,
+    PERMISSIONS.ORDERS_UPDATE,
+  );
 
+  // colorClass définit --status-color pour l'option, le badge et la timeline
   const statusOptions = [
-    { value: 'unpaid', label: 'En attente', icon: MdPending, color: '#f59e0b' },
-    { value: 'paid', label: 'Payée', icon: MdCheckCircle, color: '#10b981' },
-    { value: 'refunded', label: 'Remboursée', icon: MdUndo, color: '#6b7280' },
-    { value: 'failed', label: 'Échouée', icon: MdError, color: '#ef4444' },
+    {
+      value: 'unpaid',
+      label: 'En attente',
+      icon: MdPending,
+      colorClass: styles.statusUnpaid,
+    },
+    {
+      value: 'paid',
+      label: 'Payée',
+      icon: MdCheckCircle,
+      colorClass: styles.statusPaid,
+    },
+    {
+      value: 'refunded',
+      label: 'Remboursée',
+      icon: MdUndo,
+      colorClass: styles.statusRefunded,
+    },
+    {
+      value: 'failed',
+      label: 'Échouée',
+      icon: MdError,
+      colorClass: styles.statusFailed,
+    },
+    {
+      value: 'cancelled',
+      label: 'Annulée',
+      icon: MdBlock,
+      colorClass: styles.statusCancelled,
+    },
   ];
 
+  // L'éditeur générique ne propose pas le remboursement ni l'annulation
+  const editableStatusOptions = statusOptions.filter(
+    (option) =>
+      !WORKFLOW_STATUSES.includes(option.value) ||
+      option.value === order.order_payment_status,
+  );
+
   const handleStatusUpdate = async () => {
     if (currentStatus === order.order_payment_status) {
       setIsEditing(false);
@@ -47,10 +112,10 @@ const EditOrder = ({ order }) => {
     setMessage(null);
 
     try {
-      // PAR ÇA :
       const result = await updateOrderPaymentStatus(
         order.order_id,
         currentStatus,
+        reason.trim() || null,
       );
 
       if (result.success) {
@@ -59,10 +124,15 @@ const EditOrder = ({ order }) => {
           text: 'Statut mis à jour avec succès !',
         });
         setIsEditing(false);
+        setReason('');
         // Mettre à jour l'objet order localement
         order.order_payment_status = currentStatus;
+        // Recharger les horodatages et la timeline depuis le serveur
+        router.refresh();
       } else {
-        throw new Error('Échec de la mise à jour');
+        // Transition refusée par le serveur : afficher le motif
+        setMessage({ type: 'error', text: result.error });
+        setCurrentStatus(order.order_payment_status);
       }
     } catch (error) {
       console.error('Erreur lors de la mise à jour:', error);
@@ -81,6 +151,84 @@ const EditOrder = ({ order }) => {
     setCurrentStatus(order.order_payment_status);
     setIsEditing(false);
     setMessage(null);
+    setReason('');
+  };
+
+  const openWorkflow = (status) => {
+    setWorkflow(status);
+    setWorkflowReason('');
+    setRefundAmount('');
+    setMessage(null);
+  };
+
+  const closeWorkflow = () => {
+    setWorkflow(null);
+    setWorkflowReason('');
+    setRefundAmount('');
+  };
+
+  const handleWorkflowSubmit = async () => {
+    const trimmedReason = workflowReason.trim();
+
+    if (!trimmedReason) {
+      setMessage({ type: 'error', text: 'Un motif est obligatoire' });
+      return;
+    }
+
+    if (workflow === 'refunded') {
+      const amountError = validateRefundAmount(
+        refundAmount.trim(),
+        getRefundableAmount(order),
+      );
+      if (amountError) {
+        setMessage({ type: 'error', text: amountError });
+        return;
+      }
+    }
+
+    setLoading(true);
+    setMessage(null);
+
+    try {
+      const result =
+        workflow === 'refunded'
+          ? await refundOrder(order.order_id, {
+              reason: trimmedReason,
+              amount: refundAmount.trim() || null,
+            })
+          : await cancelOrder(order.order_id, { reason: trimmedReason });
+
+      if (result.success) {
+        // Un remboursement partiel laisse la commande payée
+        const isPartialRefund =
+          workflow === 'refunded' && result.newStatus !== 'refunded';
+
+        setMessage({
+          type: 'success',
+          text: isPartialRefund
+            ? 'Remboursement partiel enregistré !'
+            : workflow === 'refunded'
+              ? 'Commande remboursée avec succès !'
+              : 'Commande annulée avec succès !',
+        });
+        order.order_payment_status = result.newStatus;
+        setCurrentStatus(result.newStatus);
+        closeWorkflow();
+        // Recharger les horodatages, le montant et la timeline depuis le serveur
+        router.refresh();
+      } else {
+        setMessage({ type: 'error', text: result.error });
+      }
+    } catch (error) {
+      console.error("Erreur lors de l'annulation / du remboursement:", error);
+      setMessage({
+        type: 'error',
+        text: "Erreur lors de l'opération sur la commande",
+      });
+    } finally {
+      setLoading(false);
+      setTimeout(() => setMessage(null), 5000);
+    }
   };
 
   const getStatusInfo = (status) => {
@@ -110,6 +258,16 @@ const EditOrder = ({ order }) => {
 
   const currentStatusInfo = getStatusInfo(currentStatus);
   const StatusIcon = currentStatusInfo.icon;
+  const hasStatusChanged = currentStatus !== order.order_payment_status;
+  const reasonRequired = transitionRequiresReason(
+    order.order_payment_status,
+    currentStatus,
+  );
+  const statusHistory = order.status_history || [];
+  const canRefund =
+    canUpdateOrder && canTransitionOrder(currentStatus, 'refunded');
+  const canCancel =
+    canUpdateOrder && canTransitionOrder(currentStatus, 'cancelled');
 
   return (
     <div className={styles.container}>
@@ -142,7 +300,7 @@ const EditOrder = ({ order }) => {
         <div className={styles.statusSection}>
           <div className={styles.statusHeader}>
             <h3>Statut de paiement</h3>
-            {!isEditing && (
+            {!isEditing && !workflow && canUpdateOrder && (
               <button
                 onClick={() => setIsEditing(true)}
                 className={styles.editButton}
@@ -157,17 +315,26 @@ const EditOrder = ({ order }) => {
           {isEditing ? (
             <div className={styles.statusEditor}>
               <div className={styles.statusOptions}>
-                {statusOptions.map((option) => {
+                {editableStatusOptions.map((option) => {
                   const OptionIcon = option.icon;
+                  // Seules les transitions du graphe sont proposées
+                  const isAvailable =
+                    option.value === order.order_payment_status ||
+                    canTransitionOrder(
+                      order.order_payment_status,
+                      option.value,
+                    );
                   return (
                     <label
                       key={option.value}
-                      className={`${styles.statusOption} ${
+                      className={`${styles.statusOption} ${option.colorClass} ${
                         currentStatus === option.value ? styles.selected : ''
-                      }`}
-                      style={{
-                        '--status-color': option.color,
-                      }}
+                      } ${!isAvailable ? styles.unavailable : ''}`}
+                      title={
+                        isAvailable
+                          ? undefined
+                          : 'Transition non autorisée depuis le statut actuel'
+                      }
                     >
                       <input
                         type="radio"
@@ -175,6 +342,7 @@ const EditOrder = ({ order }) => {
                         value={option.value}
                         checked={currentStatus === option.value}
                         onChange={(e) => setCurrentStatus(e.target.value)}
+                        disabled={!isAvailable}
                         className={styles.statusRadio}
                       />
                       <div className={styles.statusOptionContent}>
@@ -188,11 +356,30 @@ const EditOrder = ({ order }) => {
                 })}
               </div>
 
+              {hasStatusChanged && (
+                <label className={styles.reasonField}>
+                  Motif {reasonRequired ? '(obligatoire)' : '(optionnel)'}
+                  <textarea
+                    className={styles.reasonInput}
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    maxLength={ORDER_REASON_MAX_LENGTH}
+                    disabled={loading}
+                    required={reasonRequired}
+                  />
+                  <span className={styles.reasonCounter}>
+                    {reason.length}/{ORDER_REASON_MAX_LENGTH}
+                  </span>
+                </label>
+              )}
+
               <div className={styles.statusActions}>
                 <button
                   onClick={handleStatusUpdate}
                   disabled={
-                    loading || currentStatus === order.order_payment_status
+                    loading ||
+                    !hasStatusChanged ||
+                    (reasonRequired && !reason.trim())
                   }
                   className={styles.saveButton}
                 >
@@ -221,8 +408,7 @@ const EditOrder = ({ order }) => {
           ) : (
             <div className={styles.currentStatus}>
               <div
-                className={styles.statusBadge}
-                style={{ '--status-color': currentStatusInfo.color }}
+                className={`${styles.statusBadge} ${currentStatusInfo.colorClass}`}
               >
                 <StatusIcon className={styles.statusIcon} />
                 <span className={styles.statusText}>
@@ -234,11 +420,124 @@ const EditOrder = ({ order }) => {
                   Payée le {formatDate(order.order_paid_at)}
                 </p>
               )}
-              {order.order_cancelled_at && currentStatus === 'refunded' && (
+              {order.order_refunded_at && currentStatus === 'refunded' && (
                 <p className={styles.statusDate}>
-                  Remboursée le {formatDate(order.order_cancelled_at)}
+                  Remboursée le {formatDate(order.order_refunded_at)}
+                  {order.order_refunded_amount !== null &&
+                    ` · ${formatPrice(order.order_refunded_amount)}`}
                 </p>
               )}
+              {order.order_refunded_at && currentStatus === 'paid' && (
+                <p className={styles.statusDate}>
+                  Remboursement partiel le {formatDate(order.order_refunded_at)}
+                  {order.order_refunded_amount !== null &&
+                    ` · ${formatPrice(order.order_refunded_amount)}`}
+                </p>
+              )}
+              {order.order_cancelled_at && currentStatus === 'cancelled' && (
+                <p className={styles.statusDate}>
+                  Annulée le {formatDate(order.order_cancelled_at)}
+                </p>
+              )}
+
+              {workflow ? (
+                <div className={styles.workflowPanel}>
+                  <h4 className={styles.workflowTitle}>
+                    {workflow === 'refunded'
+                      ? 'Rembourser la commande'
+                      : 'Annuler la commande'}
+                  </h4>
+                  <label className={styles.reasonField}>
+                    Motif (obligatoire)
+                    <textarea
+                      className={styles.reasonInput}
+                      value={workflowReason}
+                      onChange={(e) => setWorkflowReason(e.target.value)}
+                      maxLength={ORDER_REASON_MAX_LENGTH}
+                      disabled={loading}
+                      required
+                    />
+                    <span className={styles.reasonCounter}>
+                      {workflowReason.length}/{ORDER_REASON_MAX_LENGTH}
+                    </span>
+                  </label>
+                  {workflow === 'refunded' && (
+                    <label className={styles.reasonField}>
+                      Montant remboursé (vide = remboursement total de{' '}
+                      {formatPrice(getRefundableAmount(order))})
+                      <input
+                        type="number"
+                        min="0.01"
+                        max={getRefundableAmount(order)}
+                        step="0.01"
+                        inputMode="decimal"
+                        className={styles.amountInput}
+                        value={refundAmount}
+                        onChange={(e) => setRefundAmount(e.target.value)}
+                        disabled={loading}
+                        placeholder={String(getRefundableAmount(order))}
+                      />
+                    </label>
+                  )}
+                  <div className={styles.statusActions}>
+                    <button
+                      onClick={handleWorkflowSubmit}
+                      disabled={loading || !workflowReason.trim()}
+                      className={styles.dangerButton}
+                    >
+                      {loading ? (
+                        <>
+                          <MdRefresh className={styles.loadingIcon} />
+                          Traitement...
+                        </>
+                      ) : workflow === 'refunded' ? (
+                        <>
+                          <MdUndo />
+                          Confirmer le remboursement
+                        </>
+                      ) : (
+                        <>
+                          <MdBlock />
+                          Confirmer l&apos;annulation
+                        </>
+                      )}
+                    </button>
+                    <button
+                      onClick={closeWorkflow}
+                      disabled={loading}
+                      className={styles.cancelButton}
+                    >
+                      <MdCancel />
+                      Retour
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                (canRefund || canCancel) && (
+                  <div className={styles.workflowActions}>
+                    {canRefund && (
+                      <button
+                        onClick={() => openWorkflow('refunded')}
+                        disabled={loading}
+                        className={styles.cancelButton}
+                      >
+                        <MdUndo />
+                        Rembourser
+                      </button>
+                    )}
+                    {canCancel && (
+                      <button
+                        onClick={() => openWorkflow('cancelled')}
+                        disabled={loading}
+                        className={styles.cancelButton}
+                      >
+                        <MdBlock />
+                        Annuler la commande
+                      </button>
+                    )}
+                  </div>
+                )
+              )}
             </div>
           )}
         </div>
@@ -398,6 +697,23 @@ const EditOrder = ({ order }) => {
                 </span>
               </div>
             )}
+            {order.order_refunded_at && (
+              <div className={styles.dateField}>
+                <span className={styles.fieldLabel}>Remboursée le :</span>
+                <span className={styles.fieldValue}>
+                  {formatDate(order.order_refunded_at)}
+                </span>
+              </div>
+            )}
+            {order.order_refunded_amount !== null &&
+              order.order_refunded_amount !== undefined && (
+                <div className={styles.dateField}>
+                  <span className={styles.fieldLabel}>Montant remboursé :</span>
+                  <span className={styles.fieldValue}>
+                    {formatPrice(order.order_refunded_amount)}
+                  </span>
+                </div>
+              )}
             {order.order_cancel_reason && (
               <div className={styles.dateField}>
                 <span className={styles.fieldLabel}>
@@ -410,6 +726,52 @@ const EditOrder = ({ order }) => {
             )}
           </div>
         </div>
+
+        {/* Section Timeline des statuts */}
+        <div className={styles.section}>
+          <div className={styles.sectionHeader}>
+            <MdHistory className={styles.sectionIcon} />
+            <h2>Changements de statut</h2>
+          </div>
+
+          <ol className={styles.timeline}>
+            <li className={styles.timelineItem}>
+              <span className={styles.timelineDot} />
+              <div className={styles.timelineTitle}>Commande créée</div>
+              <div className={styles.timelineMeta}>
+                {formatDate(order.order_created)}
+              </div>
+            </li>
+            {statusHistory.map((entry) => (
+              <li key={entry.id} className={styles.timelineItem}>
+                <span
+                  className={`${styles.timelineDot} ${getStatusInfo(entry.to).colorClass}`}
+                />
+                <div className={styles.timelineTitle}>
+                  {entry.from === entry.to ? (
+                    'Remboursement partiel'
+                  ) : (
+                    <>
+                      {ORDER_STATUS_LABELS[entry.from] || entry.from} →{' '}
+                      {ORDER_STATUS_LABELS[entry.to] || entry.to}
+                    </>
+                  )}
+                </div>
+                <div className={styles.timelineMeta}>
+                  {formatDate(entry.changed_at)}
+                  {' · '}
+                  {entry.changed_by || 'Utilisateur supprimé'}
+                  {entry.amount !== null &&
+                    entry.amount !== undefined &&
+                    ` · ${formatPrice(entry.amount)}`}
+                </div>
+                {entry.reason && (
+                  <div className={styles.timelineReason}>{entry.reason}</div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
       </div>
     </div>
   );
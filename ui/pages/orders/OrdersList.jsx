@@ -1,7 +1,7 @@
 /* eslint-disable no-unused-vars */
 'use client';
 
-import { useState, useMemo, useTransition } from 'react';
+import { useState, useTransition } from 'react';
 import { CldImage } from 'next-cloudinary';
 import Link from 'next/link';
 import {
@@ -16,49 +16,37 @@ import {
   MdArrowForward,
   MdWarning,
   MdClose,
+  MdBlock,
 } from 'react-icons/md';
 import styles from '@/ui/styling/dashboard/orders/orders.module.css';
 import OrderSearch from '@/ui/components/dashboard/search/OrderSearch';
 import OrderFilters from '@/ui/components/dashboard/OrderFilters';
+import Pagination from '@/ui/components/dashboard/Pagination';
+import SortControls from '@/ui/components/dashboard/SortControls';
+import { toListSearchParams } from '@/utils/pagination';
+import {
+  ORDER_STATUSES,
+  ORDER_STATUS_LABELS,
+  canTransitionOrder,
+  transitionRequiresReason,
+} from '@/utils/orderStatus';
 import { getFilteredOrders } from '@/app/dashboard/orders/actions';
 import { updateOrderPaymentStatus } from '@app/dashboard/orders/actions';
 
-const OrdersList = ({ data, totalOrders }) => {
+const OrdersList = ({
+  data,
+  pagination: initialPagination,
+  stats: initialStats,
+}) => {
   const [orders, setOrders] = useState(data);
+  const [pagination, setPagination] = useState(initialPagination);
+  const [stats, setStats] = useState(initialStats);
   const [statusUpdateLoading, setStatusUpdateLoading] = useState(false);
   const [isPending, startTransition] = useTransition();
   const [currentFilters, setCurrentFilters] = useState({});
   const [error, setError] = useState(null);
   const [statusUpdateError, setStatusUpdateError] = useState(null);
 
-  // Statistiques calculées avec les 4 statuts
-  const stats = useMemo(() => {
-    const totalRevenue = orders.reduce(
-      (sum, order) => sum + order.order_price,
-      0,
-    );
-    const paidOrders = orders.filter(
-      (order) => order.order_payment_status === 'paid',
-    ).length;
-    const unpaidOrders = orders.filter(
-      (order) => order.order_payment_status === 'unpaid',
-    ).length;
-    const refundedOrders = orders.filter(
-      (order) => order.order_payment_status === 'refunded',
-    ).length;
-    const failedOrders = orders.filter(
-      (order) => order.order_payment_status === 'failed',
-    ).length;
-
-    return {
-      totalRevenue,
-      paidOrders,
-      unpaidOrders,
-      refundedOrders,
-      failedOrders,
-    };
-  }, [orders]);
-
   // Fonction pour fermer les erreurs
   const dismissError = () => setError(null);
   const dismissStatusError = () => setStatusUpdateError(null);
@@ -70,6 +58,23 @@ const OrdersList = ({ data, totalOrders }) => {
 
     // Sauvegarder l'état actuel pour le rollback
     const previousOrders = [...orders];
+    const previousStats = stats;
+    const previousStatus = orders.find(
+      (order) => order.order_id === orderId,
+    )?.order_payment_status;
+
+    // Certaines transitions (remboursement) doivent être justifiées
+    let reason = null;
+    if (transitionRequiresReason(previousStatus, newStatus)) {
+      reason = window.prompt(
+        `Motif du passage de la commande #${orderId} au statut « ${ORDER_STATUS_LABELS[newStatus]} » :`,
+      );
+
+      if (!reason || !reason.trim()) {
+        setStatusUpdateLoading(false);
+        return;
+      }
+    }
 
     try {
       // Optimistic update pour une meilleure UX
@@ -81,17 +86,27 @@ const OrdersList = ({ data, totalOrders }) => {
         ),
       );
 
+      // Les statistiques couvrent toutes les pages : ajustement local des compteurs
+      if (previousStatus && previousStatus !== newStatus) {
+        setStats((prevStats) => ({
+          ...prevStats,
+          [`${previousStatus}Orders`]: prevStats[`${previousStatus}Orders`] - 1,
+          [`${newStatus}Orders`]: prevStats[`${newStatus}Orders`] + 1,
+        }));
+      }
+
       // PAR ÇA :
-      const result = await updateOrderPaymentStatus(orderId, newStatus);
+      const result = await updateOrderPaymentStatus(orderId, newStatus, reason);
 
       if (!result.success) {
-        throw new Error(`Erreur ${result.status}: ${result.statusText}`);
+        throw new Error(result.error);
       }
 
       // Succès confirmé côté serveur
     } catch (error) {
       // Rollback en cas d'erreur
       setOrders(previousOrders);
+      setStats(previousStats);
       setStatusUpdateError(
         `Impossible de mettre à jour le statut de la commande #${orderId}. ${error.message}`,
       );
@@ -100,17 +115,25 @@ const OrdersList = ({ data, totalOrders }) => {
     }
   };
 
-  // Fonction pour gérer les changements de filtres
-  const handleFilterChange = async (newFilters) => {
-    setCurrentFilters(newFilters);
+  // Charge une page de commandes et reflète la pagination dans l'URL
+  const loadOrders = (filters, listParams) => {
     setError(null);
 
     startTransition(async () => {
       try {
-        const result = await getFilteredOrders(newFilters);
+        const result = await getFilteredOrders(filters, listParams);
 
         if (result && result.orders) {
           setOrders(result.orders);
+          setPagination(result.pagination);
+          setStats(result.stats);
+
+          const query = toListSearchParams('orders', result.pagination);
+          window.history.replaceState(
+            null,
+            '',
+            query ? `?${query}` : window.location.pathname,
+          );
         }
       } catch (error) {
         setError(
@@ -120,6 +143,17 @@ const OrdersList = ({ data, totalOrders }) => {
     });
   };
 
+  // Fonction pour gérer les changements de filtres (retour à la première page)
+  const handleFilterChange = async (newFilters) => {
+    setCurrentFilters(newFilters);
+    loadOrders(newFilters, { ...pagination, page: 1 });
+  };
+
+  // Fonction pour gérer la pagination, la taille de page et le tri
+  const handleListChange = (changes) => {
+    loadOrders(currentFilters, { ...pagination, ...changes });
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'paid':
@@ -130,6 +164,8 @@ const OrdersList = ({ data, totalOrders }) => {
         return <MdUndo className={styles.statusIconRefunded} />;
       case 'failed':
         return <MdError className={styles.statusIconFailed} />;
+      case 'cancelled':
+        return <MdBlock className={styles.statusIconCancelled} />;
       default:
         return <MdPending className={styles.statusIconPending} />;
     }
@@ -145,6 +181,8 @@ const OrdersList = ({ data, totalOrders }) => {
         return 'Remboursée';
       case 'failed':
         return 'Échouée';
+      case 'cancelled':
+        return 'Annulée';
       default:
         return 'En attente';
     }
@@ -160,6 +198,8 @@ const OrdersList = ({ data, totalOrders }) => {
         return styles.statusRefunded;
       case 'failed':
         return styles.statusFailed;
+      case 'cancelled':
+        return styles.statusCancelled;
       default:
         return styles.statusPending;
     }
@@ -171,12 +211,11 @@ const OrdersList = ({ data, totalOrders }) => {
         return 'paid';
       case 'paid':
         return 'refunded';
-      case 'refunded':
-        return 'unpaid';
       case 'failed':
         return 'unpaid';
       default:
-        return 'paid';
+        // Statut final (remboursée, annulée) : aucune action rapide
+        return null;
     }
   };
 
@@ -186,8 +225,6 @@ const OrdersList = ({ data, totalOrders }) => {
         return 'Marquer comme payée';
       case 'paid':
         return 'Marquer comme remboursée';
-      case 'refunded':
-        return 'Marquer comme impayée';
       case 'failed':
         return 'Marquer comme impayée';
       default:
@@ -254,7 +291,7 @@ const OrdersList = ({ data, totalOrders }) => {
               <MdShoppingCart />
             </div>
             <div className={styles.statContent}>
-              <span className={styles.statValue}>{totalOrders}</span>
+              <span className={styles.statValue}>{pagination.total}</span>
               <span className={styles.statLabel}>Total Commandes</span>
             </div>
           </div>
@@ -291,7 +328,9 @@ const OrdersList = ({ data, totalOrders }) => {
             </div>
           </div>
 
-          {(stats.refundedOrders > 0 || stats.failedOrders > 0) && (
+          {(stats.refundedOrders > 0 ||
+            stats.failedOrders > 0 ||
+            stats.cancelledOrders > 0) && (
             <>
               <div className={styles.statCard}>
                 <div className={styles.statIcon}>
@@ -314,6 +353,18 @@ const OrdersList = ({ data, totalOrders }) => {
                   <span className={styles.statLabel}>Échouées</span>
                 </div>
               </div>
+
+              <div className={styles.statCard}>
+                <div className={styles.statIcon}>
+                  <MdBlock />
+                </div>
+                <div className={styles.statContent}>
+                  <span className={styles.statValue}>
+                    {stats.cancelledOrders}
+                  </span>
+                  <span className={styles.statLabel}>Annulées</span>
+                </div>
+              </div>
             </>
           )}
         </div>
@@ -336,6 +387,13 @@ const OrdersList = ({ data, totalOrders }) => {
             onFilterChange={handleFilterChange}
             currentFilters={currentFilters}
           />
+          <SortControls
+            listName="orders"
+            sort={pagination.sort}
+            order={pagination.order}
+            onChange={handleListChange}
+            disabled={isPending}
+          />
         </div>
       </div>
 
@@ -350,7 +408,7 @@ const OrdersList = ({ data, totalOrders }) => {
       {/* Résultats */}
       <div className={styles.resultsHeader}>
         <span className={styles.resultsCount}>
-          {orders.length} commande{orders.length > 1 ? 's' : ''}
+          {pagination.total} commande{pagination.total > 1 ? 's' : ''}
           {hasActiveFilters && ' trouvée(s) avec les filtres appliqués'}
         </span>
       </div>
@@ -423,33 +481,35 @@ const OrdersList = ({ data, totalOrders }) => {
                     </Link>
 
                     {/* Bouton pour changer le statut */}
-                    <button
-                      onClick={() =>
-                        handleStatusChange(
-                          order.order_id,
-                          getNextStatus(order.order_payment_status),
-                        )
-                      }
-                      disabled={statusUpdateLoading}
-                      className={`${styles.statusButton} ${styles[`statusButton${order.order_payment_status.charAt(0).toUpperCase() + order.order_payment_status.slice(1)}`]}`}
-                      aria-label={`${getStatusActionText(order.order_payment_status)} pour la commande ${order.order_id}`}
-                    >
-                      {statusUpdateLoading ? (
-                        <>
-                          <MdRefresh className={styles.loadingIcon} />
-                          <span>Mise à jour...</span>
-                        </>
-                      ) : (
-                        <>
-                          {getStatusIcon(
+                    {getNextStatus(order.order_payment_status) && (
+                      <button
+                        onClick={() =>
+                          handleStatusChange(
+                            order.order_id,
                             getNextStatus(order.order_payment_status),
-                          )}
-                          <span>
-                            {getStatusActionText(order.order_payment_status)}
-                          </span>
-                        </>
-                      )}
-                    </button>
+                          )
+                        }
+                        disabled={statusUpdateLoading}
+                        className={`${styles.statusButton} ${styles[`statusButton${order.order_payment_status.charAt(0).toUpperCase() + order.order_payment_status.slice(1)}`]}`}
+                        aria-label={`${getStatusActionText(order.order_payment_status)} pour la commande ${order.order_id}`}
+                      >
+                        {statusUpdateLoading ? (
+                          <>
+                            <MdRefresh className={styles.loadingIcon} />
+                            <span>Mise à jour...</span>
+                          </>
+                        ) : (
+                          <>
+                            {getStatusIcon(
+                              getNextStatus(order.order_payment_status),
+                            )}
+                            <span>
+                              {getStatusActionText(order.order_payment_status)}
+                            </span>
+                          </>
+                        )}
+                      </button>
+                    )}
                   </div>
 
                   {/* Dropdown pour changer vers n'importe quel statut */}
@@ -463,10 +523,21 @@ const OrdersList = ({ data, totalOrders }) => {
                       className={styles.statusSelect}
                       aria-label={`Changer le statut de la commande ${order.order_id}`}
                     >
-                      <option value="unpaid">En attente</option>
-                      <option value="paid">Payée</option>
-                      <option value="refunded">Remboursée</option>
-                      <option value="failed">Échouée</option>
+                      {ORDER_STATUSES.map((status) => (
+                        <option
+                          key={status}
+                          value={status}
+                          disabled={
+                            status !== order.order_payment_status &&
+                            !canTransitionOrder(
+                              order.order_payment_status,
+                              status,
+                            )
+                          }
+                        >
+                          {ORDER_STATUS_LABELS[status]}
+                        </option>
+                      ))}
                     </select>
                   </div>
                 </div>
@@ -488,6 +559,12 @@ const OrdersList = ({ data, totalOrders }) => {
             </p>
           </div>
         )}
+
+        <Pagination
+          pagination={pagination}
+          onChange={handleListChange}
+          disabled={isPending}
+        />
       </div>
     </div>
   );
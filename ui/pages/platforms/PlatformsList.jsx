@@ -16,38 +16,71 @@ const PlatformsList = ({ data }) => {
 
   useEffect(() => {
     setPlatforms(data);
-  }, [deleteId, isDeleting]);
-
-  const handleDelete = async (id) => {
-    if (confirm('Are you sure you want to delete this platform?')) {
-      setDeleteId(id);
-      setIsDeleting(true);
-
-      try {
-        const response = await fetch(`/api/dashboard/platforms/${id}/delete`, {
-          method: 'DELETE',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        });
-
-        // Vérifier si la réponse est ok
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
+  }, [data]);
+
+  // Désactivation proposée quand la suppression est refusée (plateforme active ou liée à des commandes)
+  const handleDeactivate = async (id) => {
+    const response = await fetch(`/api/dashboard/platforms/${id}/edit`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ isActive: false }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || data.error || 'Deactivation failed');
+    }
+  };
 
-        const data = await response.json();
+  const handleDelete = async (platform) => {
+    const id = platform.platform_id;
+
+    if (
+      !confirm(`Are you sure you want to delete "${platform.platform_name}"?`)
+    ) {
+      return;
+    }
 
-        if (data.success) {
-          setIsDeleting(false);
-          router.refresh(); // Refresh the page to reflect changes
+    setDeleteId(id);
+    setIsDeleting(true);
+
+    try {
+      const response = await fetch(`/api/dashboard/platforms/${id}/delete`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        setPlatforms((current) =>
+          current.filter((item) => item.platform_id !== id),
+        );
+        router.refresh(); // Refresh the page to reflect changes
+        return;
+      }
+
+      // Suppression refusée : proposer la désactivation si le serveur l'autorise
+      if (data.canDeactivate) {
+        if (confirm(`${data.message}\n\nDeactivate this platform now?`)) {
+          await handleDeactivate(id);
+          router.refresh();
         }
-      } catch (error) {
-        console.error('Delete error:', error);
-        setIsDeleting(false);
-        // Optionnel: ajouter une gestion d'erreur utilisateur
-        alert('Failed to delete platform. Please try again.');
+        return;
       }
+
+      alert(data.message || data.error || 'Failed to delete platform.');
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert('Failed to delete platform. Please try again.');
+    } finally {
+      setIsDeleting(false);
+      setDeleteId(null);
     }
   };
 
@@ -143,20 +176,20 @@ const PlatformsList = ({ data }) => {
                   </button>
                 </Link>
                 <button
-                  disabled={platform.is_active || isDeleting}
+                  disabled={isDeleting}
                   className={`${styles.actionButton} ${styles.deleteButton} ${
-                    platform.is_active ? styles.disabled : ''
+                    isDeleting ? styles.disabled : ''
                   }`}
-                  onClick={() =>
-                    !platform.is_active && handleDelete(platform.platform_id)
-                  }
+                  onClick={() => handleDelete(platform)}
                   title={
                     platform.is_active
-                      ? 'Cannot delete active platform. Please deactivate first.'
+                      ? 'Active platforms must be deactivated before deletion'
                       : 'Delete platform'
                   }
                 >
-                  Delete
+                  {isDeleting && deleteId === platform.platform_id
+                    ? 'Deleting...'
+                    : 'Delete'}
                 </button>
               </div>
             </div>
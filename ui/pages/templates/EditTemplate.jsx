@@ -2,9 +2,11 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
 import { CldUploadWidget, CldImage } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/templates/editTemplate/editTemplate.module.css';
 import { templateUpdateSchema } from '@/utils/schemas/templateSchema';
+import { getUploadWidgetOptions } from '@/utils/media';
 
 const EditTemplate = ({ template }) => {
   const [templateName, setTemplateName] = useState(template.template_name);
@@ -20,6 +22,7 @@ const EditTemplate = ({ template }) => {
   const [success, setSuccess] = useState('');
   const [validationErrors, setValidationErrors] = useState({});
   const router = useRouter();
+  const { data: session } = useSession();
 
   // Synchroniser avec les changements de template.template_color
   useEffect(() => {
@@ -328,13 +331,10 @@ const EditTemplate = ({ template }) => {
 
         <div className={styles.imageUpload}>
           <CldUploadWidget
-            options={{
+            options={getUploadWidgetOptions('template', session?.user?.id, {
               sources: ['local', 'url', 'camera'],
               multiple: false,
-              folder: 'templates',
-              clientAllowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
-              maxImageFileSize: 5000000, // 5MB
-            }}
+            })}
             signatureEndpoint="/api/dashboard/templates/add/sign-image"
             onSuccess={handleUploadSuccess}
             onError={handleUploadError}
@@ -22,9 +22,15 @@ import { CldImage } from 'next-cloudinary';
 import styles from '@/ui/styling/dashboard/templates/templates.module.css';
 import TemplateSearch from '@/ui/components/dashboard/search/TemplateSearch';
 import TemplateFilters from '@/ui/components/dashboard/TemplateFilters';
+import Pagination from '@/ui/components/dashboard/Pagination';
+import SortControls from '@/ui/components/dashboard/SortControls';
+import { toListSearchParams } from '@/utils/pagination';
 import { getFilteredTemplates } from '@app/dashboard/templates/actions';
 
-const ListTemplates = ({ data: initialData }) => {
+const ListTemplates = ({
+  data: initialData,
+  pagination: initialPagination,
+}) => {
   const [filters, setFilters] = useState({});
   const [isLoading, setIsLoading] = useState(false); // NOUVEAU
   const [isDeleting, setIsDeleting] = useState(false);
@@ -32,32 +38,59 @@ const ListTemplates = ({ data: initialData }) => {
   const [modalType, setModalType] = useState(''); // 'active' ou 'confirm'
   const [templateToDelete, setTemplateToDelete] = useState(null);
   const [templates, setTemplates] = useState(initialData);
+  const [pagination, setPagination] = useState(initialPagination);
 
   const router = useRouter();
 
   // Mise à jour des templates quand les props changent (après navigation)
   useEffect(() => {
     setTemplates(initialData);
-  }, [initialData]);
+    setPagination(initialPagination);
+  }, [initialData, initialPagination]);
 
-  // PAR CETTE NOUVELLE FONCTION
-  const handleFiltersChange = useCallback(
-    async (newFilters) => {
-      setFilters(newFilters);
+  // Charge une page de templates et reflète la pagination dans l'URL
+  const loadTemplates = useCallback(
+    async (newFilters, listParams) => {
       setIsLoading(true);
 
       try {
-        const filteredData = await getFilteredTemplates(newFilters);
-        setTemplates(filteredData);
+        const result = await getFilteredTemplates(newFilters, listParams);
+        setTemplates(result.templates);
+        setPagination(result.pagination);
+
+        const query = toListSearchParams('templates', result.pagination);
+        window.history.replaceState(
+          null,
+          '',
+          query ? `?${query}` : window.location.pathname,
+        );
       } catch (error) {
         console.error('Erreur lors du filtrage des templates:', error);
         // En cas d'erreur, revenir aux données initiales
         setTemplates(initialData);
+        setPagination(initialPagination);
       } finally {
         setIsLoading(false);
       }
     },
-    [initialData],
+    [initialData, initialPagination],
+  );
+
+  // Les filtres ramènent toujours à la première page
+  const handleFiltersChange = useCallback(
+    async (newFilters) => {
+      setFilters(newFilters);
+      await loadTemplates(newFilters, { ...pagination, page: 1 });
+    },
+    [loadTemplates, pagination],
+  );
+
+  // Pagination, taille de page et tri
+  const handleListChange = useCallback(
+    (changes) => {
+      loadTemplates(filters, { ...pagination, ...changes });
+    },
+    [loadTemplates, filters, pagination],
   );
 
   const handleDeleteClick = (template) => {
@@ -129,7 +162,6 @@ const ListTemplates = ({ data: initialData }) => {
       const result = await response.json();
 
       if (response.ok && result.success) {
-        console.log('Template deleted successfully');
         // La suppression optimiste est confirmée, pas besoin de modification supplémentaire
       } else {
         // Rollback en cas d'échec
@@ -221,8 +253,8 @@ const ListTemplates = ({ data: initialData }) => {
                   <strong>{templateToDelete.template_name}</strong>&quot; ?
                 </p>
                 <p className={styles.modalSubmessage}>
-                  Cette action est irréversible. Le template et son image
-                  associée seront définitivement supprimés.
+                  Le template sera placé dans la corbeille, d&apos;où il pourra
+                  être restauré.
                 </p>
               </>
             )}
@@ -272,6 +304,13 @@ const ListTemplates = ({ data: initialData }) => {
             onFilterChange={handleFiltersChange}
             currentFilters={filters}
           />
+          <SortControls
+            listName="templates"
+            sort={pagination.sort}
+            order={pagination.order}
+            onChange={handleListChange}
+            disabled={isLoading}
+          />
           {isLoading && <div className={styles.loading}>Searching...</div>}
         </div>
         <div className={styles.headerActions}>
@@ -416,6 +455,12 @@ const ListTemplates = ({ data: initialData }) => {
             ))}
           </div>
         )}
+
+        <Pagination
+          pagination={pagination}
+          onChange={handleListChange}
+          disabled={isLoading}
+        />
       </div>
 
       {/* Modal de confirmation/avertissement */}
@@ -0,0 +1,181 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import {
+  MdDeleteOutline,
+  MdRestoreFromTrash,
+  MdDeleteForever,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/trash/trash.module.css';
+import { TRASH_ENTITIES, TRASH_PERMISSIONS } from '@/utils/trash';
+import { hasPermission } from '@/utils/permissions';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(dateString));
+};
+
+const Trash = ({ items = [], entity = '', retentionDays }) => {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const [pendingKey, setPendingKey] = useState(null);
+
+  const handleFilterChange = (event) => {
+    const value = event.target.value;
+    router.push(
+      value ? `/dashboard/trash?entity=${value}` : '/dashboard/trash',
+    );
+  };
+
+  const runAction = async (item, action) => {
+    const isPurge = action === 'purge';
+
+    if (
+      isPurge &&
+      !confirm(
+        `Supprimer définitivement "${item.name}" ? Cette action est irréversible.`,
+      )
+    ) {
+      return;
+    }
+
+    setPendingKey(`${item.entity}:${item.id}`);
+
+    try {
+      const response = await fetch(
+        `/api/dashboard/trash/${item.entity}/${item.id}/${action}`,
+        {
+          method: isPurge ? 'DELETE' : 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+        },
+      );
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        alert(data.message || data.error || 'Opération impossible.');
+        return;
+      }
+
+      router.refresh();
+    } catch (error) {
+      console.error('Trash action error:', error);
+      alert('Opération impossible. Veuillez réessayer.');
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdDeleteOutline className={styles.sectionIcon} />
+          <h2>Corbeille ({items.length})</h2>
+        </div>
+
+        <p className={styles.muted}>
+          Les éléments sont supprimés définitivement {retentionDays} jours après
+          leur mise en corbeille.
+        </p>
+
+        <div className={styles.filters}>
+          <label className={styles.filterField}>
+            Entité
+            <select
+              className={styles.input}
+              value={entity}
+              onChange={handleFilterChange}
+            >
+              <option value="">Toutes</option>
+              {Object.entries(TRASH_ENTITIES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {items.length === 0 ? (
+          <p className={styles.empty}>La corbeille est vide.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Élément</td>
+                <td>Entité</td>
+                <td>Supprimé le</td>
+                <td>Par</td>
+                <td>Purge prévue</td>
+                <td>Actions</td>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => {
+                const key = `${item.entity}:${item.id}`;
+                const isPending = pendingKey === key;
+                const canManage = hasPermission(
+                  session?.user?.role,
+                  TRASH_PERMISSIONS[item.entity],
+                );
+
+                return (
+                  <tr key={key}>
+                    <td>
+                      {item.name}
+                      <span className={styles.entityId}>{item.id}</span>
+                    </td>
+                    <td>{TRASH_ENTITIES[item.entity] || item.entity}</td>
+                    <td className={styles.nowrap}>
+                      {formatDateTime(item.deleted_at)}
+                    </td>
+                    <td>
+                      {item.deleted_by_name || (
+                        <span className={styles.muted}>Inconnu</span>
+                      )}
+                    </td>
+                    <td className={styles.nowrap}>
+                      {formatDateTime(item.purge_at)}
+                    </td>
+                    <td>
+                      <div className={styles.actions}>
+                        <button
+                          type="button"
+                          className={`${styles.button} ${styles.restore}`}
+                          onClick={() => runAction(item, 'restore')}
+                          disabled={!canManage || pendingKey !== null}
+                        >
+                          <MdRestoreFromTrash /> Restaurer
+                        </button>
+                        <button
+                          type="button"
+                          className={`${styles.button} ${styles.purge}`}
+                          onClick={() => runAction(item, 'purge')}
+                          disabled={!canManage || pendingKey !== null}
+                        >
+                          <MdDeleteForever />
+                          {isPending ? '...' : 'Purger'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Trash;
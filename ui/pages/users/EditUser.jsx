@@ -0,0 +1,363 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import {
+  MdArrowBack,
+  MdBlock,
+  MdCheckCircle,
+  MdLockReset,
+  MdPerson,
+  MdSave,
+  MdSecurity,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/users/users.module.css';
+import {
+  PERMISSIONS,
+  ROLES,
+  ROLE_LABELS,
+  hasPermission,
+} from '@/utils/permissions';
+
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(new Date(dateString));
+};
+
+const EditUser = ({ user, isCurrentUser }) => {
+  const [formData, setFormData] = useState({
+    username: user.user_name || '',
+    phone: user.user_phone || '',
+    dateOfBirth: toDateInput(user.user_birthdate),
+    role: user.user_role,
+  });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canManageUsers = hasPermission(
+    session?.user?.role,
+    PERMISSIONS.USERS_MANAGE,
+  );
+
+  useEffect(() => {
+    setFormData({
+      username: user.user_name || '',
+      phone: user.user_phone || '',
+      dateOfBirth: toDateInput(user.user_birthdate),
+      role: user.user_role,
+    });
+  }, [user]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Appel générique aux routes de gestion d'un utilisateur
+  const callUserApi = async (action, path, method, body) => {
+    setPendingAction(action);
+    setMessage(null);
+
+    try {
+      const response = await fetch(
+        `/api/dashboard/users/${user.user_id}/${path}`,
+        {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: body ? JSON.stringify(body) : undefined,
+        },
+      );
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        if (result.errors) setErrors(result.errors);
+        setMessage({
+          type: 'error',
+          text: result.error || 'Erreur lors de la mise à jour',
+        });
+        return false;
+      }
+
+      setMessage({ type: 'success', text: result.message });
+      router.refresh();
+      return true;
+    } catch (error) {
+      console.error('Erreur lors de la mise à jour:', error);
+      setMessage({ type: 'error', text: 'Erreur réseau, veuillez réessayer' });
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+
+    await callUserApi('edit', 'edit', 'PUT', {
+      username: formData.username.trim(),
+      phone: formData.phone.trim() || null,
+      dateOfBirth: formData.dateOfBirth || null,
+      role: formData.role,
+    });
+  };
+
+  const handleToggleStatus = async () => {
+    const nextActive = !user.user_is_active;
+
+    if (
+      !nextActive &&
+      !confirm(
+        `Désactiver le compte de ${user.user_name} ? Ses sessions seront fermées.`,
+      )
+    ) {
+      return;
+    }
+
+    await callUserApi('status', 'status', 'PATCH', { active: nextActive });
+  };
+
+  const handleForceReset = async () => {
+    if (
+      !confirm(
+        `Forcer ${user.user_name} à réinitialiser son mot de passe avant sa prochaine connexion ?`,
+      )
+    ) {
+      return;
+    }
+
+    await callUserApi('reset', 'force-reset', 'POST');
+  };
+
+  const handleResetTwoFactor = async () => {
+    if (
+      !confirm(
+        `Réinitialiser la double authentification de ${user.user_name} ? Ses codes de secours seront supprimés.`,
+      )
+    ) {
+      return;
+    }
+
+    await callUserApi('twoFactor', 'two-factor', 'DELETE');
+  };
+
+  const isBusy = pendingAction !== null;
+
+  return (
+    <div className={styles.container}>
+      <Link href="/dashboard/users" className={styles.backLink}>
+        <MdArrowBack /> Retour aux utilisateurs
+      </Link>
+
+      {message && (
+        <div
+          className={`${styles.message} ${
+            message.type === 'success'
+              ? styles.messageSuccess
+              : styles.messageError
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdPerson className={styles.sectionIcon} />
+          <h2>{user.user_name}</h2>
+          <span
+            className={`${styles.statusBadge} ${
+              user.user_is_active ? styles.active : styles.inactive
+            }`}
+          >
+            {user.user_is_active ? 'Actif' : 'Désactivé'}
+          </span>
+        </div>
+
+        <dl className={styles.details}>
+          <dt>Email</dt>
+          <dd>{user.user_email}</dd>
+          <dt>Rôle</dt>
+          <dd>{ROLE_LABELS[user.user_role] || user.user_role}</dd>
+          <dt>Ajouté le</dt>
+          <dd>{formatDate(user.user_added)}</dd>
+          <dt>Modifié le</dt>
+          <dd>{formatDate(user.user_updated)}</dd>
+          {!user.user_is_active && (
+            <>
+              <dt>Désactivé le</dt>
+              <dd>{formatDate(user.user_deactivated_at)}</dd>
+            </>
+          )}
+          <dt>Mot de passe</dt>
+          <dd>
+            {user.user_must_reset_password
+              ? 'Réinitialisation requise à la prochaine connexion'
+              : 'OK'}
+          </dd>
+          <dt>Double authentification</dt>
+          <dd>
+            {user.user_totp_enabled
+              ? `Activée le ${formatDate(user.user_totp_enabled_at)}`
+              : user.user_two_factor_required
+                ? 'Non activée (obligatoire pour ce rôle)'
+                : 'Non activée'}
+          </dd>
+        </dl>
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdSave className={styles.sectionIcon} />
+          <h2>Profil</h2>
+        </div>
+
+        <form className={styles.editForm} onSubmit={handleSubmit}>
+          <label className={styles.inviteField}>
+            Nom d&apos;utilisateur
+            <input
+              type="text"
+              name="username"
+              className={styles.input}
+              value={formData.username}
+              onChange={handleChange}
+              disabled={!canManageUsers || isBusy}
+              maxLength={50}
+              required
+            />
+            {errors.username && (
+              <span className={styles.error}>{errors.username}</span>
+            )}
+          </label>
+
+          <label className={styles.inviteField}>
+            Téléphone
+            <input
+              type="tel"
+              name="phone"
+              className={styles.input}
+              value={formData.phone}
+              onChange={handleChange}
+              disabled={!canManageUsers || isBusy}
+            />
+            {errors.phone && (
+              <span className={styles.error}>{errors.phone}</span>
+            )}
+          </label>
+
+          <label className={styles.inviteField}>
+            Date de naissance
+            <input
+              type="date"
+              name="dateOfBirth"
+              className={styles.input}
+              value={formData.dateOfBirth}
+              onChange={handleChange}
+              disabled={!canManageUsers || isBusy}
+            />
+            {errors.dateOfBirth && (
+              <span className={styles.error}>{errors.dateOfBirth}</span>
+            )}
+          </label>
+
+          <label className={styles.inviteField}>
+            Rôle
+            <select
+              name="role"
+              className={styles.input}
+              value={formData.role}
+              onChange={handleChange}
+              disabled={!canManageUsers || isBusy || isCurrentUser}
+            >
+              {Object.values(ROLES).map((value) => (
+                <option key={value} value={value}>
+                  {ROLE_LABELS[value]}
+                </option>
+              ))}
+            </select>
+            {errors.role && <span className={styles.error}>{errors.role}</span>}
+          </label>
+
+          {canManageUsers && (
+            <button
+              type="submit"
+              className={styles.addButton}
+              disabled={isBusy}
+            >
+              <MdSave />
+              {pendingAction === 'edit' ? 'Enregistrement...' : 'Enregistrer'}
+            </button>
+          )}
+        </form>
+      </section>
+
+      {canManageUsers && !isCurrentUser && (
+        <section className={styles.section}>
+          <div className={styles.sectionHeader}>
+            <MdLockReset className={styles.sectionIcon} />
+            <h2>Compte</h2>
+          </div>
+
+          <div className={styles.accountActions}>
+            <button
+              type="button"
+              className={`${styles.button} ${
+                user.user_is_active
+                  ? styles.revokeButton
+                  : styles.reactivateButton
+              }`}
+              onClick={handleToggleStatus}
+              disabled={isBusy}
+            >
+              {user.user_is_active ? <MdBlock /> : <MdCheckCircle />}
+              {user.user_is_active ? 'Désactiver' : 'Réactiver'}
+            </button>
+
+            <button
+              type="button"
+              className={`${styles.button} ${styles.resetButton}`}
+              onClick={handleForceReset}
+              disabled={isBusy || user.user_must_reset_password}
+            >
+              <MdLockReset />
+              Forcer la réinitialisation du mot de passe
+            </button>
+
+            {user.user_totp_enabled && (
+              <button
+                type="button"
+                className={`${styles.button} ${styles.resetButton}`}
+                onClick={handleResetTwoFactor}
+                disabled={isBusy}
+              >
+                <MdSecurity />
+                Réinitialiser la double authentification
+              </button>
+            )}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default EditUser;
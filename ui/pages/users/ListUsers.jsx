@@ -1,11 +1,182 @@
 'use client';
 
 import React from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import {
+  MdPeople,
+  MdChevronLeft,
+  MdChevronRight,
+  MdLockReset,
+  MdLock,
+  MdLogin,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/users/users.module.css';
+import UserSearch from '@/ui/components/dashboard/search/UserSearch';
+import { ROLE_LABELS } from '@/utils/permissions';
+import UserInvitations from './UserInvitations';
 
-const ListUsers = ({ users }) => {
-  console.log('List of users: ');
-  console.log(users);
-  return <div>ListUsers</div>;
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  }).format(new Date(dateString));
+};
+
+// Badge de double authentification : obligatoire mais non activée en évidence
+const TwoFactorBadge = ({ user }) => {
+  if (user.user_totp_enabled) {
+    return (
+      <span className={`${styles.statusBadge} ${styles.active}`}>Activée</span>
+    );
+  }
+
+  return user.user_two_factor_required ? (
+    <span
+      className={`${styles.statusBadge} ${styles.expired}`}
+      title="Obligatoire pour ce rôle"
+    >
+      À activer
+    </span>
+  ) : (
+    <span className={`${styles.statusBadge} ${styles.inactive}`}>
+      Désactivée
+    </span>
+  );
+};
+
+const ListUsers = ({ users = [], pagination, search = '', invitations }) => {
+  const router = useRouter();
+  const { page = 1, totalPages = 1, total = 0 } = pagination || {};
+
+  // La pagination et la recherche vivent dans l'URL pour rester partageables
+  const navigate = (nextPage, nextSearch) => {
+    const params = new URLSearchParams();
+    if (nextSearch) params.set('search', nextSearch);
+    if (nextPage > 1) params.set('page', String(nextPage));
+
+    const query = params.toString();
+    router.push(query ? `/dashboard/users?${query}` : '/dashboard/users');
+  };
+
+  const handleSearchChange = (term) => {
+    if (term === search) return;
+    navigate(1, term);
+  };
+
+  return (
+    <div className={styles.container}>
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdPeople className={styles.sectionIcon} />
+          <h2>Utilisateurs ({total})</h2>
+          <Link
+            href="/dashboard/users/login-activity"
+            className={styles.headerLink}
+          >
+            <MdLogin /> Activité de connexion
+          </Link>
+        </div>
+
+        <UserSearch
+          placeholder="Rechercher par nom ou email..."
+          currentSearch={search}
+          onSearchChange={handleSearchChange}
+        />
+
+        {users.length === 0 ? (
+          <p className={styles.empty}>
+            {search
+              ? `Aucun utilisateur ne correspond à « ${search} ».`
+              : 'Aucun utilisateur.'}
+          </p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Nom</td>
+                <td>Email</td>
+                <td>Rôle</td>
+                <td>Statut</td>
+                <td>2FA</td>
+                <td>Ajouté le</td>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => (
+                <tr key={user.user_id}>
+                  <td>
+                    <Link
+                      href={`/dashboard/users/${user.user_id}`}
+                      className={styles.userLink}
+                    >
+                      {user.user_name}
+                    </Link>
+                  </td>
+                  <td>{user.user_email}</td>
+                  <td>{ROLE_LABELS[user.user_role] || user.user_role}</td>
+                  <td>
+                    <span
+                      className={`${styles.statusBadge} ${
+                        user.user_is_active ? styles.active : styles.inactive
+                      }`}
+                    >
+                      {user.user_is_active ? 'Actif' : 'Désactivé'}
+                    </span>
+                    {user.user_must_reset_password && (
+                      <MdLockReset
+                        className={styles.resetFlag}
+                        title="Réinitialisation du mot de passe requise"
+                      />
+                    )}
+                    {user.user_locked_until &&
+                      new Date(user.user_locked_until) > new Date() && (
+                        <MdLock
+                          className={styles.lockFlag}
+                          title="Compte verrouillé après des échecs de connexion"
+                        />
+                      )}
+                  </td>
+                  <td>
+                    <TwoFactorBadge user={user} />
+                  </td>
+                  <td>{formatDate(user.user_added)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {totalPages > 1 && (
+          <div className={styles.pagination}>
+            <button
+              type="button"
+              className={styles.pageButton}
+              onClick={() => navigate(page - 1, search)}
+              disabled={page <= 1}
+            >
+              <MdChevronLeft /> Précédent
+            </button>
+            <span className={styles.pageInfo}>
+              Page {page} / {totalPages}
+            </span>
+            <button
+              type="button"
+              className={styles.pageButton}
+              onClick={() => navigate(page + 1, search)}
+              disabled={page >= totalPages}
+            >
+              Suivant <MdChevronRight />
+            </button>
+          </div>
+        )}
+      </section>
+
+      <UserInvitations data={invitations} />
+    </div>
+  );
 };
 
 export default ListUsers;
@@ -0,0 +1,319 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import {
+  MdLock,
+  MdLockOpen,
+  MdLogin,
+  MdArrowBack,
+  MdChevronLeft,
+  MdChevronRight,
+} from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/users/users.module.css';
+import { LOGIN_EVENT_REASONS } from '@/utils/loginSecurity';
+import { PERMISSIONS, ROLE_LABELS, hasPermission } from '@/utils/permissions';
+
+const LOGIN_ACTIVITY_PATH = '/dashboard/users/login-activity';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Intl.DateTimeFormat('fr-FR', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).format(new Date(dateString));
+};
+
+const LoginActivity = ({
+  lockedAccounts = [],
+  events = [],
+  pagination,
+  filters = {},
+}) => {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canManageUsers = hasPermission(
+    session?.user?.role,
+    PERMISSIONS.USERS_MANAGE,
+  );
+  const [pendingUserId, setPendingUserId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const { page = 1, totalPages = 1, total = 0 } = pagination || {};
+
+  // Les filtres et la pagination vivent dans l'URL pour rester partageables
+  const navigate = (nextPage, nextFilters) => {
+    const params = new URLSearchParams();
+    Object.entries(nextFilters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (nextPage > 1) params.set('page', String(nextPage));
+
+    const query = params.toString();
+    router.push(
+      query ? `${LOGIN_ACTIVITY_PATH}?${query}` : LOGIN_ACTIVITY_PATH,
+    );
+  };
+
+  const handleFilterChange = (key) => (event) => {
+    navigate(1, { ...filters, [key]: event.target.value });
+  };
+
+  const handleUnlock = async (account) => {
+    if (!confirm(`Déverrouiller le compte de ${account.user_name} ?`)) return;
+
+    setPendingUserId(account.user_id);
+    setMessage(null);
+
+    try {
+      const response = await fetch(
+        `/api/dashboard/users/${account.user_id}/unlock`,
+        { method: 'POST' },
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        setMessage({
+          type: 'error',
+          text: result.error || 'Erreur inattendue',
+        });
+        return;
+      }
+
+      setMessage({
+        type: 'success',
+        text: `Compte de ${account.user_name} déverrouillé`,
+      });
+      router.refresh();
+    } catch (error) {
+      console.error('Erreur déverrouillage:', error);
+      setMessage({ type: 'error', text: 'Erreur réseau, veuillez réessayer' });
+    } finally {
+      setPendingUserId(null);
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className={styles.container}>
+      <Link href="/dashboard/users" className={styles.backLink}>
+        <MdArrowBack /> Retour aux utilisateurs
+      </Link>
+
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdLock className={styles.sectionIcon} />
+          <h2>Comptes verrouillés ({lockedAccounts.length})</h2>
+        </div>
+
+        {message && (
+          <p
+            className={`${styles.message} ${
+              message.type === 'success'
+                ? styles.messageSuccess
+                : styles.messageError
+            }`}
+          >
+            {message.text}
+          </p>
+        )}
+
+        {lockedAccounts.length === 0 ? (
+          <p className={styles.empty}>Aucun compte verrouillé.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Nom</td>
+                <td>Email</td>
+                <td>Rôle</td>
+                <td>Verrouillé jusqu&apos;au</td>
+                <td>Verrouillages</td>
+                <td>Dernier échec</td>
+                {canManageUsers && <td></td>}
+              </tr>
+            </thead>
+            <tbody>
+              {lockedAccounts.map((account) => (
+                <tr key={account.user_id}>
+                  <td>
+                    <Link
+                      href={`/dashboard/users/${account.user_id}`}
+                      className={styles.userLink}
+                    >
+                      {account.user_name}
+                    </Link>
+                  </td>
+                  <td>{account.user_email}</td>
+                  <td>{ROLE_LABELS[account.user_role] || account.user_role}</td>
+                  <td>{formatDateTime(account.user_locked_until)}</td>
+                  <td>{account.user_lockout_count}</td>
+                  <td>{formatDateTime(account.user_last_failed_login_at)}</td>
+                  {canManageUsers && (
+                    <td>
+                      <button
+                        type="button"
+                        className={`${styles.button} ${styles.reactivateButton}`}
+                        onClick={() => handleUnlock(account)}
+                        disabled={pendingUserId !== null}
+                      >
+                        <MdLockOpen />
+                        {pendingUserId === account.user_id
+                          ? 'Déverrouillage...'
+                          : 'Déverrouiller'}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className={styles.section}>
+        <div className={styles.sectionHeader}>
+          <MdLogin className={styles.sectionIcon} />
+          <h2>Tentatives de connexion ({total})</h2>
+        </div>
+
+        <div className={styles.filters}>
+          <label className={styles.inviteField}>
+            Résultat
+            <select
+              className={styles.input}
+              value={filters.status || ''}
+              onChange={handleFilterChange('status')}
+            >
+              <option value="">Tous</option>
+              <option value="success">Réussies</option>
+              <option value="failure">Échouées</option>
+            </select>
+          </label>
+
+          <label className={styles.inviteField}>
+            Motif
+            <select
+              className={styles.input}
+              value={filters.reason || ''}
+              onChange={handleFilterChange('reason')}
+            >
+              <option value="">Tous</option>
+              {Object.entries(LOGIN_EVENT_REASONS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {hasFilters && (
+            <button
+              type="button"
+              className={`${styles.button} ${styles.resetButton}`}
+              onClick={() => navigate(1, {})}
+            >
+              Réinitialiser
+            </button>
+          )}
+        </div>
+
+        {events.length === 0 ? (
+          <p className={styles.empty}>
+            {hasFilters
+              ? 'Aucune tentative ne correspond à ces filtres.'
+              : 'Aucune tentative de connexion enregistrée.'}
+          </p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <td>Date</td>
+                <td>Compte</td>
+                <td>Résultat</td>
+                <td>Motif</td>
+                <td>IP</td>
+                <td>Navigateur</td>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((event) => (
+                <tr key={event.event_id}>
+                  <td className={styles.nowrap}>
+                    {formatDateTime(event.created_at)}
+                  </td>
+                  <td>
+                    {event.user_id ? (
+                      <button
+                        type="button"
+                        className={styles.linkButton}
+                        onClick={() =>
+                          navigate(1, { ...filters, user: event.user_id })
+                        }
+                        title="Filtrer sur ce compte"
+                      >
+                        {event.user_name || `#${event.user_id}`}
+                      </button>
+                    ) : (
+                      <span className={styles.muted}>Inconnu</span>
+                    )}
+                  </td>
+                  <td>
+                    <span
+                      className={`${styles.statusBadge} ${
+                        event.success ? styles.active : styles.inactive
+                      }`}
+                    >
+                      {event.success ? 'Réussie' : 'Échouée'}
+                    </span>
+                  </td>
+                  <td>
+                    {event.reason
+                      ? LOGIN_EVENT_REASONS[event.reason] || event.reason
+                      : '—'}
+                  </td>
+                  <td className={styles.mono}>{event.ip_address || '—'}</td>
+                  <td className={styles.userAgent} title={event.user_agent}>
+                    {event.user_agent || '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {totalPages > 1 && (
+          <div className={styles.pagination}>
+            <button
+              type="button"
+              className={styles.pageButton}
+              onClick={() => navigate(page - 1, filters)}
+              disabled={page <= 1}
+            >
+              <MdChevronLeft /> Précédent
+            </button>
+            <span className={styles.pageInfo}>
+              Page {page} / {totalPages}
+            </span>
+            <button
+              type="button"
+              className={styles.pageButton}
+              onClick={() => navigate(page + 1, filters)}
+              disabled={page >= totalPages}
+            >
+              Suivant <MdChevronRight />
+            </button>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default LoginActivity;
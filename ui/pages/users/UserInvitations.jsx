@@ -0,0 +1,267 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { MdAdd, MdBlock, MdContentCopy, MdMail } from 'react-icons/md';
+import styles from '@/ui/styling/dashboard/users/users.module.css';
+import {
+  PERMISSIONS,
+  ROLES,
+  ROLE_LABELS,
+  hasPermission,
+} from '@/utils/permissions';
+
+const STATUS_LABELS = {
+  pending: 'En attente',
+  used: 'Utilisée',
+  revoked: 'Révoquée',
+  expired: 'Expirée',
+};
+
+const UserInvitations = ({ data }) => {
+  const [invitations, setInvitations] = useState(data);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(ROLES.READ_ONLY);
+  const [errors, setErrors] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [invitationUrl, setInvitationUrl] = useState(null);
+
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canManageUsers = hasPermission(
+    session?.user?.role,
+    PERMISSIONS.USERS_MANAGE,
+  );
+
+  useEffect(() => {
+    setInvitations(data);
+  }, [data]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Intl.DateTimeFormat('fr-FR', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(new Date(dateString));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setErrors({});
+    setInvitationUrl(null);
+
+    try {
+      const response = await fetch('/api/dashboard/users/invitations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email, role }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setErrors(
+          result.errors || { submit: result.error || 'Invitation failed' },
+        );
+        return;
+      }
+
+      // Le lien contient le token brut : il n'est affiché qu'une seule fois
+      setInvitationUrl(
+        result.invitationUrl.startsWith('http')
+          ? result.invitationUrl
+          : `${window.location.origin}${result.invitationUrl}`,
+      );
+      setEmail('');
+      setRole(ROLES.READ_ONLY);
+      router.refresh();
+    } catch (error) {
+      console.error('Invitation error:', error);
+      setErrors({ submit: 'Failed to create invitation. Please try again.' });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!confirm('Are you sure you want to revoke this invitation?')) return;
+
+    setRevokingId(id);
+
+    try {
+      const response = await fetch(
+        `/api/dashboard/users/invitations/${id}/revoke`,
+        {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        },
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setInvitations((prev) =>
+        prev.map((invitation) =>
+          invitation.invitation_id === id
+            ? { ...invitation, status: 'revoked' }
+            : invitation,
+        ),
+      );
+      router.refresh();
+    } catch (error) {
+      console.error('Revoke error:', error);
+      alert('Failed to revoke invitation. Please try again.');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(invitationUrl);
+    } catch (error) {
+      console.error('Copy error:', error);
+    }
+  };
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.sectionHeader}>
+        <MdMail className={styles.sectionIcon} />
+        <h2>Invitations</h2>
+      </div>
+
+      {canManageUsers && (
+        <form onSubmit={handleCreate} className={styles.inviteForm}>
+          <div className={styles.inviteField}>
+            <input
+              type="email"
+              name="email"
+              placeholder="Email of the person to invite"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className={styles.input}
+              required
+            />
+            {errors.email && (
+              <span className={styles.error}>{errors.email}</span>
+            )}
+          </div>
+
+          <div className={styles.inviteField}>
+            <select
+              name="role"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className={styles.input}
+            >
+              {Object.values(ROLES).map((value) => (
+                <option key={value} value={value}>
+                  {ROLE_LABELS[value]}
+                </option>
+              ))}
+            </select>
+            {errors.role && <span className={styles.error}>{errors.role}</span>}
+          </div>
+
+          <button
+            type="submit"
+            className={styles.addButton}
+            disabled={isCreating || !email}
+          >
+            <MdAdd /> {isCreating ? 'Sending...' : 'Invite'}
+          </button>
+        </form>
+      )}
+
+      {errors.submit && <p className={styles.error}>{errors.submit}</p>}
+
+      {invitationUrl && (
+        <div className={styles.invitationLink}>
+          <p>
+            Share this single-use link with the invitee. It will not be shown
+            again.
+          </p>
+          <div className={styles.invitationLinkRow}>
+            <code>{invitationUrl}</code>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className={styles.copyButton}
+              title="Copy link"
+            >
+              <MdContentCopy />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {invitations.length === 0 ? (
+        <p className={styles.empty}>No invitations yet.</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <td>Email</td>
+              <td>Role</td>
+              <td>Status</td>
+              <td>Invited by</td>
+              <td>Expires</td>
+              {canManageUsers && <td>Action</td>}
+            </tr>
+          </thead>
+          <tbody>
+            {invitations.map((invitation) => (
+              <tr key={invitation.invitation_id}>
+                <td>{invitation.invitation_email}</td>
+                <td>
+                  {ROLE_LABELS[invitation.invitation_role] ||
+                    invitation.invitation_role}
+                </td>
+                <td>
+                  <span
+                    className={`${styles.statusBadge} ${styles[invitation.status]}`}
+                  >
+                    {STATUS_LABELS[invitation.status] || invitation.status}
+                  </span>
+                </td>
+                <td>{invitation.invited_by_name || 'N/A'}</td>
+                <td>{formatDate(invitation.expires_at)}</td>
+                {canManageUsers && (
+                  <td>
+                    {invitation.status === 'pending' && (
+                      <button
+                        type="button"
+                        className={`${styles.button} ${styles.revokeButton}`}
+                        onClick={() => handleRevoke(invitation.invitation_id)}
+                        disabled={revokingId === invitation.invitation_id}
+                      >
+                        <MdBlock />
+                        {revokingId === invitation.invitation_id
+                          ? 'Revoking...'
+                          : 'Revoke'}
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default UserInvitations;
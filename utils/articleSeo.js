@@ -0,0 +1,87 @@
+// utils/articleSeo.js
+// Référencement des articles : slug, balises meta et aperçus (client et serveur)
+import { extractPlainTextFromHTML } from '@/utils/sanitizers/sanitizeArticleInputs';
+
+// Longueurs en caractères : recommended correspond à l'affichage des moteurs de recherche
+export const SEO_LIMITS = {
+  slug: 120,
+  metaTitle: { recommended: 60, max: 70 },
+  metaDescription: { min: 70, recommended: 155, max: 160 },
+  keywords: 10,
+  keyword: 40,
+};
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Transforme un texte en slug : minuscules sans accents, mots séparés par des tirets
+ * @param {string} text - Texte source (titre de l'article)
+ * @param {Object} [options]
+ * @param {boolean} [options.typing] - Saisie en cours : un tiret final est conservé
+ * @returns {string} - Slug, vide si le texte ne contient ni lettre ni chiffre
+ */
+export function slugify(text, { typing = false } = {}) {
+  if (typeof text !== 'string') return '';
+
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, SEO_LIMITS.slug)
+    .replace(typing ? /^-+/ : /^-+|-+$/g, '');
+}
+
+/**
+ * Adresse publique d'un article (NEXT_PUBLIC_SITE_URL + /blog/<slug>)
+ * @param {string} slug - Slug de l'article
+ * @returns {string}
+ */
+export function getArticleUrl(slug) {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || '').replace(/\/+$/, '');
+  return `${siteUrl}/blog/${slug || ''}`;
+}
+
+/**
+ * Titre, description et image réellement publiés : à défaut de balises meta,
+ * le site public reprend le titre, le début du texte et l'image principale
+ * @param {Object} article - { title, text, imageUrl, metaTitle, metaDescription, ogImage }
+ * @returns {Object} - { title, description, image }
+ */
+export function resolveSeoFields({
+  title,
+  text,
+  imageUrl,
+  metaTitle,
+  metaDescription,
+  ogImage,
+}) {
+  const excerpt = extractPlainTextFromHTML(text || '');
+
+  return {
+    title: metaTitle?.trim() || title?.trim() || '',
+    description:
+      metaDescription?.trim() ||
+      (excerpt.length > SEO_LIMITS.metaDescription.max
+        ? `${excerpt.slice(0, SEO_LIMITS.metaDescription.max - 1).trimEnd()}…`
+        : excerpt),
+    image: ogImage || imageUrl || null,
+  };
+}
+
+/**
+ * Mots-clés saisis séparés par des virgules -> tableau envoyé à l'API
+ * @param {string} value - Saisie du champ
+ * @returns {Array<string>}
+ */
+export function parseKeywords(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+
+  return value
+    .split(',')
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,19 @@
+// utils/articleStatus.js
+// Cycle de publication des articles : brouillon, programmé, publié (client et serveur)
+
+export const ARTICLE_STATUSES = ['draft', 'scheduled', 'published'];
+
+export const ARTICLE_STATUS_LABELS = {
+  draft: 'Draft',
+  scheduled: 'Scheduled',
+  published: 'Published',
+};
+
+/**
+ * Un brouillon peut être incomplet : seules les autres étapes exigent un article valide
+ * @param {string} status - Statut de l'article
+ * @returns {boolean}
+ */
+export function requiresCompleteArticle(status) {
+  return status === 'scheduled' || status === 'published';
+}
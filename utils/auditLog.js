@@ -0,0 +1,21 @@
+// utils/auditLog.js
+// Libellés du journal d'audit : entités et actions journalisées (client et serveur)
+
+export const AUDIT_ENTITIES = {
+  template: 'Template',
+  application: 'Application',
+  article: 'Article',
+  platform: 'Plateforme',
+  order: 'Commande',
+  user: 'Utilisateur',
+  invitation: 'Invitation',
+  media: 'Média',
+};
+
+export const AUDIT_ACTIONS = {
+  create: 'Création',
+  update: 'Modification',
+  delete: 'Suppression',
+  restore: 'Restauration',
+  purge: 'Purge définitive',
+};
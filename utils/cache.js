@@ -1094,6 +1094,27 @@ export function invalidateDashboardCache(entityType, entityId = null) {
   return invalidatedCount;
 }
 
+// Cache et préfixe des listes paginées, par type d'entité
+const DASHBOARD_LIST_CACHES = {
+  blog: { cache: 'blogArticles', prefix: 'articles' },
+  template: { cache: 'templates', prefix: 'templates' },
+  application: { cache: 'applications', prefix: 'applications' },
+};
+
+/**
+ * Invalide toutes les variantes (page, tri, filtres) de la liste d'une entité
+ * @param {string} entityType - Type d'entité (blog, template, application)
+ * @returns {number} Nombre d'entrées invalidées
+ */
+export function invalidateDashboardLists(entityType) {
+  const list = DASHBOARD_LIST_CACHES[entityType];
+  if (!list) return 0;
+
+  return dashboardCache[list.cache].invalidatePattern(
+    `^dashboard:${list.prefix}_(list|filtered):`,
+  );
+}
+
 /**
  * Obtient les statistiques globales de tous les caches du dashboard
  * @returns {Object} Statistiques complètes
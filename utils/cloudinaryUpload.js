@@ -0,0 +1,107 @@
+// utils/cloudinaryUpload.js
+// Envoi signé d'une image vers Cloudinary depuis le navigateur, avec suivi de la
+// progression (éditeur d'articles). Les paramètres signés suivent UPLOAD_PROFILES
+import { UPLOAD_PROFILES, getUploadTags } from '@/utils/media';
+
+/**
+ * Vérifie un fichier contre le profil d'envoi avant de demander une signature
+ * @param {File} file - Fichier choisi
+ * @param {string} entity - Clé de UPLOAD_PROFILES
+ * @returns {string|null} - Message d'erreur, ou null si le fichier est accepté
+ */
+export function checkUploadFile(file, entity) {
+  const { allowedFormats, maxFileSize } = UPLOAD_PROFILES[entity];
+  const extension = file?.name?.split('.').pop()?.toLowerCase();
+
+  if (
+    !file?.type?.startsWith('image/') ||
+    !allowedFormats.includes(extension)
+  ) {
+    return `Allowed formats: ${allowedFormats.join(', ')}`;
+  }
+
+  if (file.size > maxFileSize) {
+    return `Image must not exceed ${Math.round(maxFileSize / 1000000)}MB`;
+  }
+
+  return null;
+}
+
+/**
+ * Envoie une image sur Cloudinary avec une signature de la route sign-image
+ * @param {File} file - Image à envoyer
+ * @param {Object} options
+ * @param {string} options.entity - Clé de UPLOAD_PROFILES
+ * @param {string} options.signatureEndpoint - Route sign-image de l'entité
+ * @param {string|number} options.userId - Utilisateur connecté (tags signés)
+ * @param {Function} [options.onProgress] - (percent) => void
+ * @returns {Promise<Object>} - Réponse Cloudinary { public_id, secure_url, width, height }
+ */
+export async function uploadSignedImage(
+  file,
+  { entity, signatureEndpoint, userId, onProgress },
+) {
+  const { folder, allowedFormats } = UPLOAD_PROFILES[entity];
+  const paramsToSign = {
+    timestamp: Math.round(Date.now() / 1000),
+    folder,
+    tags: getUploadTags(entity, userId).join(','),
+    allowed_formats: allowedFormats.join(','),
+  };
+
+  const signResponse = await fetch(signatureEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ paramsToSign }),
+  });
+  const signData = await signResponse.json();
+
+  if (!signResponse.ok || !signData.signature) {
+    throw new Error(
+      signData.message || signData.error || 'Upload signature refused',
+    );
+  }
+
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('api_key', process.env.NEXT_PUBLIC_CLOUDINARY_API_KEY);
+  formData.append('signature', signData.signature);
+  Object.entries(paramsToSign).forEach(([key, value]) =>
+    formData.append(key, value),
+  );
+
+  // XMLHttpRequest plutôt que fetch : seul il expose la progression de l'envoi
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(
+      'POST',
+      `https://api.cloudinary.com/v1_1/${process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME}/image/upload`,
+    );
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress?.(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // Réponse non JSON : traitée comme une erreur ci-dessous
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300 && data.secure_url) {
+        resolve(data);
+      } else {
+        reject(
+          new Error(data.error?.message || `Upload failed (${xhr.status})`),
+        );
+      }
+    };
+
+    xhr.onerror = () => reject(new Error('Network error during upload'));
+    xhr.send(formData);
+  });
+}
@@ -0,0 +1,130 @@
+// utils/htmlDiff.js
+// Différence mot à mot entre deux textes HTML de l'éditeur (révisions d'articles)
+
+// Balise, mot ou suite d'espaces
+const TOKEN_PATTERN = /<[^>]+>|[^<\s]+|\s+/g;
+
+const isTag = (token) => token.startsWith('<');
+
+/**
+ * Découpe un texte HTML en balises, mots et espaces
+ * @param {string} html - Texte HTML
+ * @returns {Array<string>}
+ */
+function tokenize(html) {
+  return (html || '').match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Opérations transformant oldTokens en newTokens (plus longue sous-suite commune)
+ * @param {Array<string>} oldTokens
+ * @param {Array<string>} newTokens
+ * @returns {Array<Object>} - [{ type: 'equal'|'insert'|'delete', token }]
+ */
+function diffTokens(oldTokens, newTokens) {
+  // Le préfixe et le suffixe communs sont retirés avant de remplir la table
+  let start = 0;
+  while (
+    start < oldTokens.length &&
+    start < newTokens.length &&
+    oldTokens[start] === newTokens[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldTokens.length;
+  let newEnd = newTokens.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldTokens[oldEnd - 1] === newTokens[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldTokens.slice(start, oldEnd);
+  const b = newTokens.slice(start, newEnd);
+  const width = b.length + 1;
+
+  // lengths[i * width + j] : longueur de la sous-suite commune de a[i..] et b[j..]
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = oldTokens
+    .slice(0, start)
+    .map((token) => ({ type: 'equal', token }));
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'equal', token: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'delete', token: a[i++] });
+    } else {
+      operations.push({ type: 'insert', token: b[j++] });
+    }
+  }
+  while (i < a.length) operations.push({ type: 'delete', token: a[i++] });
+  while (j < b.length) operations.push({ type: 'insert', token: b[j++] });
+
+  return operations.concat(
+    oldTokens.slice(oldEnd).map((token) => ({ type: 'equal', token })),
+  );
+}
+
+/**
+ * Construit un HTML où les passages supprimés sont entourés de <del> et les
+ * passages ajoutés de <ins>. Seul le texte est marqué : les balises ajoutées sont
+ * conservées et les balises supprimées retirées, pour garder un HTML bien formé.
+ * @param {string} oldHtml - Version de référence
+ * @param {string} newHtml - Version comparée
+ * @returns {Object} - { html, insertions, deletions }
+ */
+export function diffHtml(oldHtml, newHtml) {
+  const operations = diffTokens(tokenize(oldHtml), tokenize(newHtml));
+  let html = '';
+  let open = null;
+  let insertions = 0;
+  let deletions = 0;
+
+  const close = () => {
+    if (open) html += `</${open}>`;
+    open = null;
+  };
+
+  for (const { type, token } of operations) {
+    if (type === 'equal') {
+      close();
+      html += token;
+    } else if (isTag(token)) {
+      close();
+      if (type === 'insert') html += token;
+    } else {
+      const tag = type === 'insert' ? 'ins' : 'del';
+      if (open !== tag) {
+        close();
+        html += `<${tag}>`;
+        open = tag;
+      }
+      html += token;
+      if (token.trim()) {
+        if (type === 'insert') insertions++;
+        else deletions++;
+      }
+    }
+  }
+  close();
+
+  return { html, insertions, deletions };
+}
@@ -0,0 +1,25 @@
+// utils/loginSecurity.js
+// Verrouillage des comptes et journal des connexions : constantes partagées (client et serveur)
+
+/**
+ * Code d'erreur renvoyé par le provider credentials (result.error côté client).
+ * Renvoyé pour toute tentative sur un compte verrouillé, avant la vérification
+ * du mot de passe : il ne dit pas si le mot de passe essayé était correct.
+ */
+export const LOGIN_ERRORS = {
+  ACCOUNT_LOCKED: 'AccountLocked',
+};
+
+/**
+ * Motifs enregistrés dans admin.login_events et leurs libellés
+ */
+export const LOGIN_EVENT_REASONS = {
+  unknown_user: 'Compte inconnu',
+  invalid_password: 'Mot de passe incorrect',
+  invalid_second_factor: 'Code 2FA incorrect',
+  account_locked: 'Compte verrouillé',
+  account_deactivated: 'Compte désactivé',
+  password_reset_required: 'Réinitialisation exigée',
+  rate_limited: 'Limite de tentatives',
+  recovery_code: 'Code de secours',
+};
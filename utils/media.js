@@ -0,0 +1,85 @@
+// utils/media.js
+// Dossiers Cloudinary alimentés par les formulaires du dashboard (client et serveur)
+
+export const MEDIA_FOLDERS = {
+  blog_pictures: 'Articles',
+  templates: 'Templates',
+  applications: 'Applications',
+};
+
+// Nombre maximal d'images supprimées par requête
+export const MEDIA_DELETE_BATCH_SIZE = 100;
+
+/**
+ * Profils d'envoi par entité : seuls ces paramètres peuvent être signés.
+ * maxFileSize n'est pas un paramètre signé (l'API Upload n'en a pas) : il est
+ * appliqué par le widget via getUploadWidgetOptions.
+ * transformations / eager : chaînes de transformation autorisées (aucune par défaut)
+ */
+export const UPLOAD_PROFILES = {
+  article: {
+    folder: 'blog_pictures',
+    allowedFormats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+    maxFileSize: 10000000, // 10MB
+    transformations: [],
+    eager: [],
+  },
+  template: {
+    folder: 'templates',
+    allowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
+    maxFileSize: 5000000, // 5MB
+    transformations: [],
+    eager: [],
+  },
+  application: {
+    folder: 'applications',
+    allowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
+    maxFileSize: 5000000, // 5MB
+    transformations: [],
+    eager: [],
+  },
+};
+
+/**
+ * Tags posés sur chaque image envoyée depuis le dashboard
+ * @param {string} entity - Clé de UPLOAD_PROFILES
+ * @param {string|number} userId - Utilisateur à l'origine de l'envoi
+ * @returns {Array<string>}
+ */
+export function getUploadTags(entity, userId) {
+  return [`dashboard_${entity}`, `user_${userId}`];
+}
+
+/**
+ * Options du CldUploadWidget correspondant au profil signé par le serveur
+ * @param {string} entity - Clé de UPLOAD_PROFILES
+ * @param {string|number} userId - Utilisateur connecté
+ * @param {Object} [overrides] - Options propres au formulaire (multiple, sources...)
+ * @returns {Object}
+ */
+export function getUploadWidgetOptions(entity, userId, overrides = {}) {
+  const { folder, allowedFormats, maxFileSize } = UPLOAD_PROFILES[entity];
+
+  return {
+    folder,
+    tags: getUploadTags(entity, userId),
+    resourceType: 'image',
+    clientAllowedFormats: allowedFormats,
+    maxFileSize,
+    ...overrides,
+  };
+}
+
+// URL de livraison Cloudinary : /image/upload/[transformations/][v123/]<public_id>.<format>
+const CLOUDINARY_URL_PATTERN =
+  /res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:[^/"'\s]*,[^/"'\s]*\/|[a-z]_[^/"'\s]+\/)*(?:v\d+\/)?([^"'\s?#]+?)\.[a-z0-9]+(?=["'\s?#]|$)/gi;
+
+/**
+ * public_id des images Cloudinary insérées dans un contenu HTML (éditeur d'articles)
+ * @param {string} html - Contenu HTML
+ * @returns {Array<string>}
+ */
+export function extractCloudinaryImageIds(html) {
+  if (typeof html !== 'string') return [];
+  return [...html.matchAll(CLOUDINARY_URL_PATTERN)].map((match) => match[1]);
+}
@@ -0,0 +1,119 @@
+// utils/orderStatus.js
+// Cycle de vie des commandes : statuts de paiement et transitions autorisées (client et serveur)
+
+export const ORDER_STATUSES = [
+  'unpaid',
+  'paid',
+  'refunded',
+  'failed',
+  'cancelled',
+];
+
+export const ORDER_STATUS_LABELS = {
+  unpaid: 'En attente',
+  paid: 'Payée',
+  refunded: 'Remboursée',
+  failed: 'Échouée',
+  cancelled: 'Annulée',
+};
+
+/**
+ * Graphe des transitions : statut courant → statuts atteignables.
+ * Une commande remboursée ou annulée est dans un état final.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  unpaid: ['paid', 'failed', 'cancelled'],
+  failed: ['unpaid', 'paid', 'cancelled'],
+  paid: ['refunded', 'cancelled'],
+  refunded: [],
+  cancelled: [],
+};
+
+// Statuts qui exigent un motif à l'entrée
+const REASON_REQUIRED_STATUSES = ['refunded', 'cancelled'];
+
+export const ORDER_REASON_MAX_LENGTH = 500;
+
+/**
+ * Statuts atteignables depuis un statut donné
+ * @param {string} fromStatus - Statut courant
+ * @returns {string[]} - Statuts cibles autorisés
+ */
+export function getAllowedOrderTransitions(fromStatus) {
+  return ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+}
+
+/**
+ * Vérifie qu'une transition fait partie du graphe
+ * @param {string} fromStatus - Statut courant
+ * @param {string} toStatus - Statut demandé
+ * @returns {boolean}
+ */
+export function canTransitionOrder(fromStatus, toStatus) {
+  return getAllowedOrderTransitions(fromStatus).includes(toStatus);
+}
+
+/**
+ * Indique si une transition doit être justifiée par un motif
+ * @param {string} fromStatus - Statut courant
+ * @param {string} toStatus - Statut demandé
+ * @returns {boolean}
+ */
+export function transitionRequiresReason(fromStatus, toStatus) {
+  return fromStatus !== toStatus && REASON_REQUIRED_STATUSES.includes(toStatus);
+}
+
+/**
+ * Montant encore remboursable d'une commande (prix moins remboursements partiels)
+ * @param {Object} order - { order_price, order_refunded_amount }
+ * @returns {number}
+ */
+export function getRefundableAmount(order) {
+  const cents =
+    Math.round(Number(order.order_price || 0) * 100) -
+    Math.round(Number(order.order_refunded_amount || 0) * 100);
+  return Math.max(cents, 0) / 100;
+}
+
+/**
+ * Valide le montant d'un remboursement partiel
+ * @param {number|string|null} amount - Montant demandé (vide = tout le montant restant)
+ * @param {number} refundableAmount - Montant encore remboursable
+ * @returns {string|null} - Message d'erreur ou null si le montant est valide
+ */
+export function validateRefundAmount(amount, refundableAmount) {
+  if (amount === null || amount === undefined || amount === '') return null;
+
+  const value = Number(amount);
+
+  if (!Number.isFinite(value) || value <= 0) {
+    return 'Le montant remboursé doit être un nombre positif';
+  }
+  if (!/^\d+(\.\d{1,2})?$/.test(String(amount).trim())) {
+    return 'Le montant remboursé ne peut pas avoir plus de deux décimales';
+  }
+  if (value > Number(refundableAmount)) {
+    return 'Le montant remboursé ne peut pas dépasser le montant restant à rembourser';
+  }
+
+  return null;
+}
+
+/**
+ * Valide une transition et son motif
+ * @param {string} fromStatus - Statut courant
+ * @param {string} toStatus - Statut demandé
+ * @param {string|null} reason - Motif déjà nettoyé
+ * @returns {string|null} - Message d'erreur ou null si la transition est valide
+ */
+export function validateOrderTransition(fromStatus, toStatus, reason) {
+  if (!canTransitionOrder(fromStatus, toStatus)) {
+    return `Transition impossible : ${ORDER_STATUS_LABELS[fromStatus] || fromStatus} → ${ORDER_STATUS_LABELS[toStatus] || toStatus}`;
+  }
+
+  if (transitionRequiresReason(fromStatus, toStatus) && !reason) {
+    return 'Un motif est obligatoire pour cette transition';
+  }
+
+  return null;
+}
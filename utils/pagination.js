@@ -0,0 +1,139 @@
+// utils/pagination.js
+// Pagination et tri côté serveur des listes du dashboard (paramètres portés par l'URL)
+
+/**
+ * Tailles de page proposées et taille par défaut
+ */
+export const PAGE_SIZE_OPTIONS = [10, 20, 50];
+export const DEFAULT_PAGE_SIZE = 20;
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Colonnes triables par liste. La clé courte est exposée dans l'URL,
+ * la colonne SQL n'est jamais lue depuis la requête du client.
+ * tieBreaker garantit un ordre stable entre deux pages.
+ */
+export const LIST_SORTS = {
+  orders: {
+    defaultSort: 'created',
+    defaultOrder: 'desc',
+    tieBreaker: 'admin.orders.order_id',
+    columns: {
+      created: { label: 'Date', column: 'admin.orders.order_created' },
+      price: { label: 'Montant', column: 'admin.orders.order_price' },
+      status: {
+        label: 'Statut',
+        column: 'admin.orders.order_payment_status',
+      },
+      application: {
+        label: 'Application',
+        column: 'catalog.applications.application_name',
+      },
+    },
+  },
+  templates: {
+    defaultSort: 'added',
+    defaultOrder: 'desc',
+    tieBreaker: 'template_id',
+    columns: {
+      added: { label: "Date d'ajout", column: 'template_added' },
+      name: { label: 'Nom', column: 'template_name' },
+      sales: { label: 'Ventes', column: 'sales_count' },
+      updated: { label: 'Mise à jour', column: 'updated_at' },
+    },
+  },
+  articles: {
+    defaultSort: 'created',
+    defaultOrder: 'desc',
+    tieBreaker: 'article_id',
+    columns: {
+      created: { label: 'Date de création', column: 'article_created' },
+      title: { label: 'Titre', column: 'article_title' },
+      updated: { label: 'Mise à jour', column: 'article_updated' },
+    },
+  },
+  applications: {
+    defaultSort: 'created',
+    defaultOrder: 'desc',
+    tieBreaker: 'application_id',
+    columns: {
+      created: { label: "Date d'ajout", column: 'created_at' },
+      name: { label: 'Nom', column: 'application_name' },
+      sales: { label: 'Ventes', column: 'sales_count' },
+      fee: { label: 'Prix', column: 'application_fee' },
+    },
+  },
+};
+
+/**
+ * Normalise les paramètres de pagination et de tri issus de l'URL ou d'une Server Action
+ * @param {string} listName - Clé de LIST_SORTS
+ * @param {Object} params - Paramètres bruts { page, limit, sort, order }
+ * @returns {Object} - { page, limit, offset, sort, order }
+ */
+export function parseListParams(listName, params = {}) {
+  const config = LIST_SORTS[listName];
+  const page = Math.max(parseInt(params.page, 10) || 1, 1);
+  const requestedLimit = parseInt(params.limit, 10);
+  const limit = PAGE_SIZE_OPTIONS.includes(requestedLimit)
+    ? requestedLimit
+    : DEFAULT_PAGE_SIZE;
+  const sort = Object.hasOwn(config.columns, params.sort)
+    ? params.sort
+    : config.defaultSort;
+  const order = SORT_ORDERS.includes(params.order)
+    ? params.order
+    : config.defaultOrder;
+
+  return { page, limit, offset: (page - 1) * limit, sort, order };
+}
+
+/**
+ * Construit la clause ORDER BY à partir de paramètres déjà normalisés
+ * @param {string} listName - Clé de LIST_SORTS
+ * @param {Object} listParams - Paramètres issus de parseListParams
+ * @returns {string} - Clause ORDER BY
+ */
+export function buildOrderByClause(listName, { sort, order }) {
+  const config = LIST_SORTS[listName];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const { column } = config.columns[sort] || config.columns[config.defaultSort];
+
+  return `ORDER BY ${column} ${direction} NULLS LAST, ${config.tieBreaker} ${direction}`;
+}
+
+/**
+ * Construit les métadonnées de pagination renvoyées aux Client Components
+ * @param {number} total - Nombre total de lignes
+ * @param {Object} listParams - Paramètres issus de parseListParams
+ * @returns {Object} - { page, limit, total, totalPages, sort, order }
+ */
+export function buildPagination(total, { page, limit, sort, order }) {
+  return {
+    page,
+    limit,
+    total,
+    totalPages: Math.max(Math.ceil(total / limit), 1),
+    sort,
+    order,
+  };
+}
+
+/**
+ * Sérialise les paramètres de liste pour l'URL en omettant les valeurs par défaut
+ * @param {string} listName - Clé de LIST_SORTS
+ * @param {Object} listParams - { page, limit, sort, order }
+ * @returns {string} - Query string sans le "?"
+ */
+export function toListSearchParams(listName, { page, limit, sort, order }) {
+  const config = LIST_SORTS[listName];
+  const params = new URLSearchParams();
+
+  if (page > 1) params.set('page', String(page));
+  if (limit !== DEFAULT_PAGE_SIZE) params.set('limit', String(limit));
+  if (sort !== config.defaultSort) params.set('sort', sort);
+  if (order !== config.defaultOrder) params.set('order', order);
+
+  return params.toString();
+}
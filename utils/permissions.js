@@ -0,0 +1,202 @@
+// utils/permissions.js
+// Définition centralisée des rôles et permissions du dashboard admin
+// Module sans dépendance serveur : utilisable par le middleware, les routes API,
+// les Server Actions et les composants client (sidebar)
+
+/**
+ * Rôles disponibles pour les utilisateurs du dashboard (colonne admin.users.user_role)
+ * @enum {string}
+ */
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  ORDER_MANAGER: 'order-manager',
+  READ_ONLY: 'read-only',
+};
+
+/**
+ * Libellés affichables pour chaque rôle
+ */
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.EDITOR]: 'Editor',
+  [ROLES.ORDER_MANAGER]: 'Order manager',
+  [ROLES.READ_ONLY]: 'Read-only',
+};
+
+/**
+ * Permissions unitaires vérifiées par les routes et les Server Actions
+ * @enum {string}
+ */
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard:view',
+
+  TEMPLATES_VIEW: 'templates:view',
+  TEMPLATES_CREATE: 'templates:create',
+  TEMPLATES_UPDATE: 'templates:update',
+  TEMPLATES_DELETE: 'templates:delete',
+
+  APPLICATIONS_VIEW: 'applications:view',
+  APPLICATIONS_CREATE: 'applications:create',
+  APPLICATIONS_UPDATE: 'applications:update',
+  APPLICATIONS_DELETE: 'applications:delete',
+
+  ARTICLES_VIEW: 'articles:view',
+  ARTICLES_CREATE: 'articles:create',
+  ARTICLES_UPDATE: 'articles:update',
+  ARTICLES_DELETE: 'articles:delete',
+
+  PLATFORMS_VIEW: 'platforms:view',
+  PLATFORMS_CREATE: 'platforms:create',
+  PLATFORMS_UPDATE: 'platforms:update',
+  PLATFORMS_DELETE: 'platforms:delete',
+
+  ORDERS_VIEW: 'orders:view',
+  ORDERS_UPDATE: 'orders:update',
+
+  USERS_VIEW: 'users:view',
+  USERS_MANAGE: 'users:manage',
+
+  AUDIT_VIEW: 'audit:view',
+
+  TRASH_VIEW: 'trash:view',
+
+  MEDIA_MANAGE: 'media:manage',
+
+  ACCOUNT_MANAGE: 'account:manage',
+};
+
+// Permissions de lecture communes à tous les rôles, plus la gestion de son propre compte
+const VIEW_PERMISSIONS = [
+  PERMISSIONS.DASHBOARD_VIEW,
+  PERMISSIONS.ACCOUNT_MANAGE,
+  PERMISSIONS.TEMPLATES_VIEW,
+  PERMISSIONS.APPLICATIONS_VIEW,
+  PERMISSIONS.ARTICLES_VIEW,
+  PERMISSIONS.PLATFORMS_VIEW,
+  PERMISSIONS.ORDERS_VIEW,
+];
+
+// Matrice rôle -> permissions
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+
+  [ROLES.EDITOR]: [
+    ...VIEW_PERMISSIONS,
+    PERMISSIONS.TEMPLATES_CREATE,
+    PERMISSIONS.TEMPLATES_UPDATE,
+    PERMISSIONS.TEMPLATES_DELETE,
+    PERMISSIONS.APPLICATIONS_CREATE,
+    PERMISSIONS.APPLICATIONS_UPDATE,
+    PERMISSIONS.APPLICATIONS_DELETE,
+    PERMISSIONS.ARTICLES_CREATE,
+    PERMISSIONS.ARTICLES_UPDATE,
+    PERMISSIONS.ARTICLES_DELETE,
+    PERMISSIONS.TRASH_VIEW,
+  ],
+
+  [ROLES.ORDER_MANAGER]: [...VIEW_PERMISSIONS, PERMISSIONS.ORDERS_UPDATE],
+
+  [ROLES.READ_ONLY]: VIEW_PERMISSIONS,
+};
+
+// Permission requise par page du dashboard (la première règle qui correspond s'applique)
+const ROUTE_PERMISSIONS = [
+  {
+    pattern: /^\/dashboard\/templates\/add/,
+    permission: PERMISSIONS.TEMPLATES_CREATE,
+  },
+  {
+    pattern: /^\/dashboard\/templates\/[^/]+/,
+    permission: PERMISSIONS.TEMPLATES_UPDATE,
+  },
+  {
+    pattern: /^\/dashboard\/templates/,
+    permission: PERMISSIONS.TEMPLATES_VIEW,
+  },
+  {
+    pattern: /^\/dashboard\/applications\/add/,
+    permission: PERMISSIONS.APPLICATIONS_CREATE,
+  },
+  {
+    pattern: /^\/dashboard\/applications\/[^/]+\/edit/,
+    permission: PERMISSIONS.APPLICATIONS_UPDATE,
+  },
+  {
+    pattern: /^\/dashboard\/applications/,
+    permission: PERMISSIONS.APPLICATIONS_VIEW,
+  },
+  {
+    pattern: /^\/dashboard\/blog\/add/,
+    permission: PERMISSIONS.ARTICLES_CREATE,
+  },
+  {
+    pattern: /^\/dashboard\/blog\/[^/]+\/edit/,
+    permission: PERMISSIONS.ARTICLES_UPDATE,
+  },
+  { pattern: /^\/dashboard\/blog/, permission: PERMISSIONS.ARTICLES_VIEW },
+  {
+    pattern: /^\/dashboard\/platforms\/add/,
+    permission: PERMISSIONS.PLATFORMS_CREATE,
+  },
+  {
+    pattern: /^\/dashboard\/platforms\/edit/,
+    permission: PERMISSIONS.PLATFORMS_UPDATE,
+  },
+  {
+    pattern: /^\/dashboard\/platforms/,
+    permission: PERMISSIONS.PLATFORMS_VIEW,
+  },
+  { pattern: /^\/dashboard\/orders/, permission: PERMISSIONS.ORDERS_VIEW },
+  { pattern: /^\/dashboard\/users/, permission: PERMISSIONS.USERS_VIEW },
+  { pattern: /^\/dashboard\/audit/, permission: PERMISSIONS.AUDIT_VIEW },
+  { pattern: /^\/dashboard\/trash/, permission: PERMISSIONS.TRASH_VIEW },
+  { pattern: /^\/dashboard\/media/, permission: PERMISSIONS.MEDIA_MANAGE },
+  {
+    pattern: /^\/dashboard\/account/,
+    permission: PERMISSIONS.ACCOUNT_MANAGE,
+  },
+  { pattern: /^\/dashboard/, permission: PERMISSIONS.DASHBOARD_VIEW },
+];
+
+/**
+ * Normalise un rôle inconnu ou absent (anciens tokens JWT) vers le rôle le plus restrictif
+ * @param {string} role - Rôle brut issu de la session
+ * @returns {string} - Rôle valide
+ */
+export function normalizeRole(role) {
+  return Object.values(ROLES).includes(role) ? role : ROLES.READ_ONLY;
+}
+
+/**
+ * Vérifie si un rôle dispose d'une permission
+ * @param {string} role - Rôle de l'utilisateur
+ * @param {string} permission - Permission requise
+ * @returns {boolean} - True si la permission est accordée
+ */
+export function hasPermission(role, permission) {
+  if (!permission) return true;
+  return ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+}
+
+/**
+ * Retourne la permission requise pour accéder à une page du dashboard
+ * @param {string} pathname - Chemin de la page
+ * @returns {string|null} - Permission requise ou null si la page n'est pas protégée
+ */
+export function getRequiredPermission(pathname) {
+  if (!pathname) return null;
+
+  const rule = ROUTE_PERMISSIONS.find(({ pattern }) => pattern.test(pathname));
+  return rule ? rule.permission : null;
+}
+
+/**
+ * Vérifie si un rôle peut accéder à une page du dashboard
+ * @param {string} role - Rôle de l'utilisateur
+ * @param {string} pathname - Chemin de la page
+ * @returns {boolean} - True si l'accès est autorisé
+ */
+export function canAccessPath(role, pathname) {
+  return hasPermission(role, getRequiredPermission(pathname));
+}
@@ -1,5 +1,214 @@
 // ===== FICHIER: utils/sanitizers/sanitizeArticleInputs.js =====
 
+// Liste blanche des balises produites par l'éditeur d'articles (Tiptap) et des
+// attributs autorisés pour chacune : tout le reste est retiré à l'enregistrement
+const TABLE_CELL_ATTRIBUTES = ['colspan', 'rowspan', 'colwidth', 'style'];
+
+const ALLOWED_TAGS = {
+  p: ['style'],
+  br: [],
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  span: ['style'],
+  h1: ['style'],
+  h2: ['style'],
+  h3: ['style'],
+  h4: ['style'],
+  ul: [],
+  ol: ['start', 'type'],
+  li: [],
+  blockquote: [],
+  hr: [],
+  pre: [],
+  code: ['class'],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'title', 'width', 'height', 'class'],
+  table: ['style'],
+  colgroup: [],
+  col: ['style'],
+  tbody: [],
+  tr: [],
+  th: TABLE_CELL_ATTRIBUTES,
+  td: TABLE_CELL_ATTRIBUTES,
+  // Vidéo YouTube : <div data-youtube-video><iframe src="https://www.youtube.com/embed/..."></div>
+  div: ['data-youtube-video'],
+  iframe: ['src', 'width', 'height', 'allowfullscreen', 'allow', 'start'],
+};
+
+// Éléments supprimés avec leur contenu (les autres balises inconnues gardent leur texte)
+const DROPPED_ELEMENTS =
+  /<(script|style|noscript|template|object|embed|form|textarea|select|button|svg|math)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+const YOUTUBE_EMBED_URL =
+  /^https:\/\/www\.youtube(?:-nocookie)?\.com\/embed\/[\w-]+(?:\?[\w=&%.-]*)?$/;
+
+// Iframes dont la source n'est pas une vidéo YouTube intégrée
+const FOREIGN_IFRAMES =
+  /<iframe\b(?![^>]*\bsrc\s*=\s*["']https:\/\/www\.youtube(?:-nocookie)?\.com\/embed\/)[^>]*>[\s\S]*?<\/iframe\s*>/gi;
+
+// Déclarations CSS produites par l'éditeur : alignement, taille de police, largeur des tableaux
+const ALLOWED_STYLE =
+  /^(text-align:\s*(left|center|right|justify)|font-size:\s*\d{1,2}px|(min-)?width:\s*\d{1,4}px)$/i;
+
+const isNumber = (value) => /^\d{1,5}$/.test(value);
+
+/**
+ * Vérifie qu'une URL de lien est autorisée dans un article :
+ * http(s), mailto, chemin relatif au site ou ancre
+ * @param {string} url - URL à vérifier
+ * @returns {boolean}
+ */
+export const isAllowedLinkUrl = (url) => {
+  if (typeof url !== 'string') return false;
+  const value = url.trim();
+
+  if (/^(\/(?!\/)[^\s"'<>]*|#[\w-]*)$/.test(value)) return true;
+  if (/^mailto:[^\s"'<>@]+@[^\s"'<>@]+$/i.test(value)) return true;
+  if (!/^https?:\/\/[^\s"'<>]+$/i.test(value)) return false;
+
+  try {
+    return Boolean(new URL(value).hostname);
+  } catch {
+    return false;
+  }
+};
+
+const styleDeclarations = (value) =>
+  value
+    .split(';')
+    .map((declaration) => declaration.trim())
+    .filter(Boolean);
+
+// Valeurs acceptées pour chaque attribut autorisé
+const ATTRIBUTE_VALIDATORS = {
+  href: isAllowedLinkUrl,
+  target: (value) => value === '_blank',
+  rel: (value) => /^[a-z\s]+$/i.test(value),
+  // Les images base64 passent le filtre pour être refusées par articleSchema
+  // avec un message explicite plutôt que supprimées sans prévenir
+  src: (value, tag) =>
+    tag === 'iframe'
+      ? YOUTUBE_EMBED_URL.test(value)
+      : /^(https:\/\/[^\s"'<>]+|data:image\/)/i.test(value),
+  alt: () => true,
+  title: () => true,
+  width: isNumber,
+  height: isNumber,
+  colspan: isNumber,
+  rowspan: isNumber,
+  start: isNumber,
+  colwidth: (value) => /^\d{1,4}(,\d{1,4})*$/.test(value),
+  type: (value) => /^[1aAiI]$/.test(value),
+  class: (value, tag) =>
+    tag === 'code'
+      ? /^language-[\w+#-]+$/.test(value)
+      : /^[\w-]+( [\w-]+)*$/.test(value),
+  allowfullscreen: (value) => ['', 'true', 'allowfullscreen'].includes(value),
+  allow: (value) => /^[a-z-]+(;\s*[a-z-]+)*;?$/i.test(value),
+  'data-youtube-video': (value) => value === '',
+};
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+const ATTRIBUTE_PATTERN =
+  /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Attributs d'une balise, nom en minuscules
+ * @param {string} source - Partie de la balise qui suit son nom
+ * @returns {Array<Array<string>>} - [[nom, valeur]]
+ */
+const parseAttributes = (source) =>
+  [...source.matchAll(ATTRIBUTE_PATTERN)].map(
+    ([, name, doubleQuoted, singleQuoted, unquoted]) => [
+      name.toLowerCase(),
+      (doubleQuoted ?? singleQuoted ?? unquoted ?? '').trim(),
+    ],
+  );
+
+/**
+ * Valeur nettoyée d'un attribut autorisé, ou null s'il doit être retiré
+ * @param {string} tag - Balise
+ * @param {string} name - Attribut
+ * @param {string} value - Valeur brute
+ * @returns {string|null}
+ */
+const cleanAttributeValue = (tag, name, value) => {
+  if (!ALLOWED_TAGS[tag].includes(name)) return null;
+
+  if (name === 'style') {
+    const declarations = styleDeclarations(value).filter((declaration) =>
+      ALLOWED_STYLE.test(declaration),
+    );
+    return declarations.length > 0 ? `${declarations.join('; ')};` : null;
+  }
+
+  return ATTRIBUTE_VALIDATORS[name](value, tag) ? value : null;
+};
+
+/**
+ * Ne garde que les balises et attributs de la liste blanche de l'éditeur
+ * @param {string} html - Contenu HTML
+ * @returns {string}
+ */
+const filterAllowedTags = (html) =>
+  html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(DROPPED_ELEMENTS, '')
+    .replace(FOREIGN_IFRAMES, '')
+    .replace(TAG_PATTERN, (match, closing, rawName, rawAttributes) => {
+      const tag = rawName.toLowerCase();
+      if (!Object.hasOwn(ALLOWED_TAGS, tag)) return '';
+      if (closing) return `</${tag}>`;
+
+      const attributes = parseAttributes(rawAttributes)
+        .map(([name, value]) => [name, cleanAttributeValue(tag, name, value)])
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) =>
+          value === ''
+            ? ` ${name}`
+            : ` ${name}="${value.replace(/"/g, '&quot;')}"`,
+        );
+
+      // Image ou vidéo sans source valide : rien à afficher
+      if (
+        (tag === 'img' || tag === 'iframe') &&
+        !attributes.some((attribute) => attribute.startsWith(' src='))
+      ) {
+        return '';
+      }
+
+      return `<${tag}${attributes.join('')}>`;
+    });
+
+/**
+ * Réduit les espaces multiples, sauf dans les blocs de code dont la mise en forme compte
+ * @param {string} html - Contenu HTML
+ * @returns {string}
+ */
+const collapseWhitespace = (html) =>
+  html
+    .split(/(<pre\b[^>]*>[\s\S]*?<\/pre>)/i)
+    .map((part) => (/^<pre\b/i.test(part) ? part : part.replace(/\s+/g, ' ')))
+    .join('');
+
+/**
+ * Supprime les caractères de contrôle (C0, DEL et C1). Les tabulations et retours
+ * à la ligne sont conservés par défaut, pour les blocs de code
+ * @param {string} text - Texte à nettoyer
+ * @param {boolean} [keepLineBreaks] - Conserver tabulations et retours à la ligne
+ * @returns {string}
+ */
+const stripControlCharacters = (text, keepLineBreaks = true) =>
+  Array.from(text)
+    .filter((char) => {
+      const code = char.charCodeAt(0);
+      if (keepLineBreaks && (code === 0x09 || code === 0x0a)) return true;
+      return code > 0x1f && (code < 0x7f || code > 0x9f);
+    })
+    .join('');
+
 /**
  * Sanitize les données du formulaire d'ajout d'article
  * @param {Object} formData - Les données du formulaire à sanitizer
@@ -11,9 +220,8 @@ export const sanitizeArticleInputs = (formData) => {
     if (typeof title !== 'string') return title;
 
     return (
-      title
-        // Supprime les caractères de contrôle et les caractères non imprimables
-        .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
+      // Supprime les caractères de contrôle et les caractères non imprimables
+      stripControlCharacters(title, false)
         // Supprime les espaces multiples
         .replace(/\s+/g, ' ')
         // Supprime les caractères suspects
@@ -26,17 +234,10 @@ export const sanitizeArticleInputs = (formData) => {
   const sanitizeContent = (content) => {
     if (typeof content !== 'string') return content;
 
-    return (
-      content
-        // Supprime complètement les balises script
-        .replace(/<script[^>]*>.*?<\/script>/gis, '')
-        // Supprime les balises potentiellement dangereuses
-        .replace(
-          /<(iframe|object|embed|form|input|button|select|textarea)[^>]*>.*?<\/\1>/gis,
-          '',
-        )
-        // Supprime les attributs d'événements JavaScript
-        .replace(/\s*on\w+\s*=\s*["'][^"']*["']/gi, '')
+    return stripControlCharacters(
+      // Balises et attributs hors de la liste blanche de l'éditeur
+      // (scripts, attributs d'événements, iframes autres que YouTube...)
+      collapseWhitespace(filterAllowedTags(content))
         // Supprime les protocoles JavaScript
         .replace(/javascript\s*:/gi, '')
         .replace(/vbscript\s*:/gi, '')
@@ -44,19 +245,9 @@ export const sanitizeArticleInputs = (formData) => {
         .replace(/expression\s*\(/gi, '')
         .replace(/behavior\s*:/gi, '')
         .replace(/binding\s*:/gi, '')
-        // Nettoie les attributs style suspects
-        .replace(
-          /style\s*=\s*["'][^"']*(?:javascript|expression|behavior|binding)[^"']*["']/gi,
-          '',
-        )
-        // Supprime les espaces multiples
-        .replace(/\s+/g, ' ')
         // Supprime les paragraphes vides
-        .replace(/<p(\s[^>]*)?>(\s|&nbsp;)*<\/p>/gi, '')
-        // Supprime les caractères de contrôle
-        .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
-        .trim()
-    );
+        .replace(/<p(\s[^>]*)?>(\s|&nbsp;)*<\/p>/gi, ''),
+    ).trim();
   };
 
   // Fonction pour sanitizer l'ID d'image Cloudinary
@@ -84,11 +275,26 @@ export const sanitizeArticleInputs = (formData) => {
     sanitizedData.isActive = Boolean(formData.isActive);
   }
 
+  // Champs de publication, si présents
+  if (typeof formData.status === 'string') {
+    sanitizedData.status = formData.status.trim().toLowerCase();
+  }
+
+  if (Object.prototype.hasOwnProperty.call(formData, 'publishAt')) {
+    sanitizedData.publishAt =
+      typeof formData.publishAt === 'string' && formData.publishAt.trim()
+        ? formData.publishAt.trim()
+        : null;
+  }
+
   // Logs pour le debugging (à supprimer en production)
   if (process.env.NODE_ENV === 'development') {
     const changedFields = [];
     Object.keys(sanitizedData).forEach((key) => {
-      if (formData[key] !== sanitizedData[key] && key !== 'isActive') {
+      if (
+        formData[key] !== sanitizedData[key] &&
+        !['isActive', 'status', 'publishAt'].includes(key)
+      ) {
         changedFields.push(key);
       }
     });
@@ -197,6 +403,17 @@ export const sanitizeArticleInputsStrict = (formData) => {
   return strictSanitized;
 };
 
+/**
+ * Détecte les images intégrées en base64 (src="data:...") dans un contenu HTML.
+ * Les images de l'éditeur sont envoyées sur Cloudinary : un article qui en
+ * contient est refusé à l'enregistrement
+ * @param {string} htmlContent - Le contenu HTML à vérifier
+ * @returns {boolean} - True si au moins une image base64 est présente
+ */
+export const containsBase64Images = (htmlContent) =>
+  typeof htmlContent === 'string' &&
+  /<img\b[^>]*\bsrc\s*=\s*["']?\s*data:/i.test(htmlContent);
+
 /**
  * Fonction utilitaire pour nettoyer le texte brut d'un article (sans HTML)
  * @param {string} htmlContent - Le contenu HTML à convertir en texte
@@ -231,24 +448,43 @@ export const isHTMLContentSafe = (htmlContent) => {
   if (typeof htmlContent !== 'string') return false;
 
   const dangerous = [
-    /<script/gi,
+    /<!--/g,
     /javascript:/gi,
     /vbscript:/gi,
-    /on\w+\s*=/gi,
     /data:text\/html/gi,
     /eval\s*\(/gi,
     /expression\s*\(/gi,
-    /<iframe/gi,
-    /<object/gi,
-    /<embed/gi,
-    /<form/gi,
   ];
 
-  return !dangerous.some((pattern) => pattern.test(htmlContent));
+  if (
+    dangerous.some((pattern) => pattern.test(htmlContent)) ||
+    containsBase64Images(htmlContent)
+  ) {
+    return false;
+  }
+
+  // Chaque balise et chaque attribut doivent appartenir à la liste blanche de l'éditeur
+  return [...htmlContent.matchAll(TAG_PATTERN)].every(
+    ([, closing, rawName, rawAttributes]) => {
+      const tag = rawName.toLowerCase();
+      if (!Object.hasOwn(ALLOWED_TAGS, tag)) return false;
+      if (closing) return true;
+
+      return parseAttributes(rawAttributes).every(([name, value]) =>
+        name === 'style'
+          ? ALLOWED_TAGS[tag].includes(name) &&
+            styleDeclarations(value).every((declaration) =>
+              ALLOWED_STYLE.test(declaration),
+            )
+          : cleanAttributeValue(tag, name, value) !== null,
+      );
+    },
+  );
 };
 
 /**
- * Fonction utilitaire pour nettoyer les métadonnées d'article
+ * Fonction utilitaire pour nettoyer les métadonnées d'article.
+ * Seules les clés fournies sont renvoyées ; une chaîne vide efface la valeur
  * @param {Object} metadata - Les métadonnées à nettoyer
  * @returns {Object} - Les métadonnées nettoyées
  */
@@ -257,21 +493,60 @@ export const sanitizeArticleMetadata = (metadata) => {
 
   const sanitized = {};
 
+  // Slug - caractères d'URL uniquement, le format est vérifié par articleSchema
+  if (typeof metadata.slug === 'string') {
+    sanitized.slug = metadata.slug
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9-]/g, '')
+      .slice(0, 120);
+  }
+
+  // Titre pour les moteurs de recherche - même règle que le titre de l'article
+  if (typeof metadata.metaTitle === 'string') {
+    sanitized.metaTitle = metadata.metaTitle
+      .replace(/<[^>]*>/g, '')
+      .replace(/[<>'"&]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 70);
+  }
+
   // Description/excerpt - supprime le HTML
-  if (metadata.description) {
+  if (typeof metadata.description === 'string') {
     sanitized.description = metadata.description
       .replace(/<[^>]*>/g, '') // Supprime HTML
       .replace(/[<>'"&]/g, '') // Supprime caractères suspects
+      .replace(/\s+/g, ' ')
+      .trim()
       .slice(0, 300);
   }
 
-  // Tags - même logique que templateName
+  // Tags - lettres (accentuées comprises), chiffres, espaces et tirets
   if (Array.isArray(metadata.tags)) {
-    sanitized.tags = metadata.tags
-      .filter((tag) => typeof tag === 'string')
-      .map((tag) => tag.replace(/[^a-zA-Z0-9\s-]/g, '').trim())
-      .filter((tag) => tag.length > 0)
-      .slice(0, 10);
+    sanitized.tags = [
+      ...new Set(
+        metadata.tags
+          .filter((tag) => typeof tag === 'string')
+          .map((tag) =>
+            tag
+              .replace(/[^\p{L}\p{N}\s-]/gu, '')
+              .replace(/\s+/g, ' ')
+              .trim()
+              .toLowerCase()
+              .slice(0, 40),
+          )
+          .filter((tag) => tag.length > 0),
+      ),
+    ].slice(0, 10);
+  }
+
+  // Image de partage - public_id Cloudinary
+  if (typeof metadata.ogImage === 'string') {
+    sanitized.ogImage = metadata.ogImage
+      .replace(/[^a-zA-Z0-9._/-]/g, '')
+      .trim()
+      .slice(0, 200);
   }
 
   // Catégorie
@@ -293,6 +568,30 @@ export const sanitizeArticleMetadata = (metadata) => {
   return sanitized;
 };
 
+/**
+ * Champs de référencement du formulaire d'article (ajout et édition), nettoyés
+ * par sanitizeArticleMetadata. Les champs absents du body restent undefined
+ * @param {Object} body - Body de la requête
+ * @returns {Object} - { slug, metaTitle, metaDescription, keywords, ogImage }
+ */
+export const sanitizeArticleSeoInputs = (body) => {
+  const metadata = sanitizeArticleMetadata({
+    slug: body.slug,
+    metaTitle: body.metaTitle,
+    description: body.metaDescription,
+    tags: body.keywords,
+    ogImage: body.ogImage === null ? '' : body.ogImage,
+  });
+
+  return {
+    slug: metadata.slug,
+    metaTitle: metadata.metaTitle,
+    metaDescription: metadata.description,
+    keywords: metadata.tags,
+    ogImage: metadata.ogImage,
+  };
+};
+
 // Export par défaut pour faciliter l'import
 export default {
   sanitizeArticleInputs,
@@ -301,5 +600,7 @@ export default {
   sanitizeArticleInputsStrict,
   extractPlainTextFromHTML,
   isHTMLContentSafe,
+  isAllowedLinkUrl,
   sanitizeArticleMetadata,
+  sanitizeArticleSeoInputs,
 };
@@ -98,37 +98,3 @@ export const sanitizeLoginInputsStrict = (formData) => {
 
   return strictSanitized;
 };
-
-/**
- * Fonction utilitaire pour détecter les tentatives de brute force
- * @param {string} email - L'email de l'utilisateur
- * @param {Object} options - Options de configuration
- * @returns {boolean} - True si l'activité semble suspecte
- */
-export const detectSuspiciousLoginActivity = (email, options = {}) => {
-  const {
-    maxAttempts = 5,
-    timeWindow = 15 * 60 * 1000, // 15 minutes en millisecondes
-    storage = new Map(), // En production, utilisez Redis ou une base de données
-  } = options;
-
-  const now = Date.now();
-  const key = `login_attempts_${email}`;
-
-  // Récupère les tentatives précédentes
-  const attempts = storage.get(key) || [];
-
-  // Filtre les tentatives dans la fenêtre de temps
-  const recentAttempts = attempts.filter(
-    (timestamp) => now - timestamp < timeWindow,
-  );
-
-  // Ajoute la tentative actuelle
-  recentAttempts.push(now);
-
-  // Met à jour le stockage
-  storage.set(key, recentAttempts);
-
-  // Retourne true si trop de tentatives
-  return recentAttempts.length > maxAttempts;
-};
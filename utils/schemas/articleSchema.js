@@ -1,15 +1,86 @@
 // ===== FICHIER: utils/schemas/articleSchema.js =====
 
 import * as yup from 'yup';
+import {
+  ARTICLE_STATUSES,
+  requiresCompleteArticle,
+} from '@/utils/articleStatus';
+import { containsBase64Images } from '@/utils/sanitizers/sanitizeArticleInputs';
+import { SEO_LIMITS, SLUG_PATTERN } from '@/utils/articleSeo';
+
+const BASE64_IMAGE_MESSAGE =
+  'Images must be uploaded from the editor, base64 images are not allowed';
+
+// Champs de référencement : facultatifs quel que soit le statut.
+// Sans slug, le serveur le génère à partir du titre
+const seoFields = {
+  slug: yup
+    .string()
+    .max(SEO_LIMITS.slug, `Slug must not exceed ${SEO_LIMITS.slug} characters`)
+    .matches(SLUG_PATTERN, {
+      message:
+        'Slug can only contain lowercase letters, numbers and single hyphens',
+      excludeEmptyString: true,
+    }),
+
+  metaTitle: yup
+    .string()
+    .nullable()
+    .max(
+      SEO_LIMITS.metaTitle.max,
+      `Meta title must not exceed ${SEO_LIMITS.metaTitle.max} characters`,
+    ),
+
+  metaDescription: yup
+    .string()
+    .nullable()
+    .max(
+      SEO_LIMITS.metaDescription.max,
+      `Meta description must not exceed ${SEO_LIMITS.metaDescription.max} characters`,
+    ),
+
+  keywords: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .max(
+          SEO_LIMITS.keyword,
+          `Each keyword must not exceed ${SEO_LIMITS.keyword} characters`,
+        ),
+    )
+    .max(
+      SEO_LIMITS.keywords,
+      `No more than ${SEO_LIMITS.keywords} keywords are allowed`,
+    ),
+
+  ogImage: yup
+    .string()
+    .nullable()
+    .max(200, 'Social image ID is too long')
+    .matches(/^[a-zA-Z0-9._/-]+$/, {
+      message: 'Invalid social image format',
+      excludeEmptyString: true,
+    }),
+};
+
+// Le brouillon accepte un contenu incomplet ; programmer ou publier exige un article complet
+const whenComplete = (then) => ({ is: requiresCompleteArticle, then });
 
 /**
- * Schema de validation pour l'ajout d'un article
+ * Schema de validation d'un article selon son statut.
+ * Utilisé à l'ajout et, à l'édition, sur l'état complet de l'article après modification.
+ * Contexte optionnel { storedPublishAt } : une date déjà enregistrée n'est pas revérifiée
  */
 export const addArticleSchema = yup.object().shape({
+  status: yup
+    .string()
+    .oneOf(ARTICLE_STATUSES, 'Invalid article status')
+    .default('draft'),
+
   title: yup
     .string()
     .required('Title is required')
-    .min(10, 'Title must be longer than 10 characters')
     .max(200, 'Title must not exceed 200 characters')
     .test(
       'no-only-spaces',
@@ -21,47 +92,92 @@ export const addArticleSchema = yup.object().shape({
       'Title cannot contain multiple consecutive spaces',
       (value) => !value || !/\s{2,}/.test(value),
     )
+    .when(
+      'status',
+      whenComplete((schema) =>
+        schema.min(10, 'Title must be longer than 10 characters'),
+      ),
+    )
     .transform((value) => value?.trim()),
 
   text: yup
     .string()
-    .required('Text is required')
-    .min(500, 'Text must be longer than 500 characters')
     .max(10000, 'Text must not exceed 10000 characters')
     .test(
-      'no-only-spaces',
-      'Text cannot contain only spaces',
-      (value) => value && value.trim().length > 0,
+      'no-base64-images',
+      BASE64_IMAGE_MESSAGE,
+      (value) => !containsBase64Images(value),
+    )
+    .when(
+      'status',
+      whenComplete((schema) =>
+        schema
+          .required('Text is required')
+          .min(500, 'Text must be longer than 500 characters')
+          .test(
+            'no-only-spaces',
+            'Text cannot contain only spaces',
+            (value) => value && value.trim().length > 0,
+          ),
+      ),
     )
     .transform((value) => value?.trim()),
 
   imageUrl: yup
     .string()
-    .required('Article image is required')
-    .min(1, 'Invalid article image')
+    .nullable()
     .max(200, 'Article image ID is too long')
-    .matches(/^[a-zA-Z0-9._/-]+$/, 'Invalid article image format')
+    .matches(/^[a-zA-Z0-9._/-]+$/, {
+      message: 'Invalid article image format',
+      excludeEmptyString: true,
+    })
     .test(
       'valid-cloudinary-id',
       'Invalid Cloudinary image ID format',
-      (value) => {
-        if (!value) return false;
-        // Vérifier que ce n'est pas juste des caractères spéciaux
-        return /[a-zA-Z0-9]/.test(value);
-      },
+      // Vérifier que ce n'est pas juste des caractères spéciaux
+      (value) => !value || /[a-zA-Z0-9]/.test(value),
+    )
+    .when(
+      'status',
+      whenComplete((schema) => schema.required('Article image is required')),
     )
     .transform((value) => value?.trim()),
+
+  publishAt: yup
+    .date()
+    .nullable()
+    .typeError('Invalid publication date')
+    .when('status', {
+      is: 'scheduled',
+      then: (schema) =>
+        schema
+          .required('Publication date is required')
+          .test(
+            'in-future',
+            'Publication date must be in the future',
+            (value, context) => {
+              const stored = context.options.context?.storedPublishAt;
+              if (stored && value?.getTime() === new Date(stored).getTime()) {
+                return true;
+              }
+              return !value || value > new Date();
+            },
+          ),
+    }),
+
+  ...seoFields,
 });
 
 /**
- * Schema de validation pour la mise à jour d'un article
+ * Schema de validation pour la mise à jour d'un article (champs fournis uniquement).
+ * Les longueurs minimales dépendent du statut : elles sont vérifiées par
+ * addArticleSchema sur l'article complet après modification
  */
 export const updateArticleSchema = yup
   .object()
   .shape({
     title: yup
       .string()
-      .min(10, 'Title must be longer than 10 characters')
       .max(200, 'Title must not exceed 200 characters')
       .test(
         'no-only-spaces',
@@ -77,8 +193,12 @@ export const updateArticleSchema = yup
 
     text: yup
       .string()
-      .min(500, 'Text must be longer than 500 characters')
       .max(10000, 'Text must not exceed 10000 characters')
+      .test(
+        'no-base64-images',
+        BASE64_IMAGE_MESSAGE,
+        (value) => !containsBase64Images(value),
+      )
       .test(
         'no-only-spaces',
         'Text cannot contain only spaces',
@@ -109,6 +229,10 @@ export const updateArticleSchema = yup
         otherwise: (schema) => schema,
       }),
 
+    status: yup.string().oneOf(ARTICLE_STATUSES, 'Invalid article status'),
+
+    publishAt: yup.date().nullable().typeError('Invalid publication date'),
+
     isActive: yup
       .boolean()
       .typeError('Article status must be a boolean value')
@@ -116,6 +240,8 @@ export const updateArticleSchema = yup
         // Accepter undefined (optionnel) ou boolean
         return value === undefined || typeof value === 'boolean';
       }),
+
+    ...seoFields,
   })
   .test(
     'at-least-one-field',
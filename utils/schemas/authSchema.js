@@ -1,4 +1,10 @@
 import * as yup from 'yup';
+import { ROLES } from '@/utils/permissions';
+import {
+  RECOVERY_CODE_PATTERN,
+  TOTP_CODE_PATTERN,
+  normalizeSecondFactorCode,
+} from '@/utils/twoFactor';
 
 // Valide les numéros de téléphone internationaux
 const PHONE = /^[+]?[(]?[0-9]{1,4}[)]?[-\s.]?[0-9]{1,4}[-\s.]?[0-9]{1,9}$/;
@@ -14,6 +20,35 @@ const noCommonWords = (value) => {
   return !commonWords.some((word) => value.toLowerCase().includes(word));
 };
 
+// Règles communes à tous les mots de passe (inscription, connexion, réinitialisation)
+const passwordField = () =>
+  yup
+    .string()
+    .required('Password is required')
+    .min(8, 'Password must be at least 8 characters')
+    .max(128, 'Password must not exceed 128 characters')
+    .test('has-number', 'Password must contain at least one number', hasNumber)
+    .test(
+      'has-uppercase',
+      'Password must contain at least one uppercase letter',
+      hasUpperCase,
+    )
+    .test(
+      'has-lowercase',
+      'Password must contain at least one lowercase letter',
+      hasLowerCase,
+    )
+    .test(
+      'has-special-char',
+      'Password must contain at least one special character',
+      hasSpecialChar,
+    )
+    .test(
+      'no-common-words',
+      'Password contains common words that are not allowed',
+      noCommonWords,
+    );
+
 export const registrationSchema = yup.object().shape({
   username: yup
     .string()
@@ -72,38 +107,12 @@ export const registrationSchema = yup.object().shape({
         value.replace(/\D/g, '').length <= 15,
     ),
 
-  password: yup
-    .string()
-    .required('Password is required')
-    .min(8, 'Password must be at least 8 characters')
-    .max(128, 'Password must not exceed 128 characters')
-    .test('has-number', 'Password must contain at least one number', hasNumber)
-    .test(
-      'has-uppercase',
-      'Password must contain at least one uppercase letter',
-      hasUpperCase,
-    )
-    .test(
-      'has-lowercase',
-      'Password must contain at least one lowercase letter',
-      hasLowerCase,
-    )
-    .test(
-      'has-special-char',
-      'Password must contain at least one special character',
-      hasSpecialChar,
-    )
-    .test(
-      'no-common-words',
-      'Password contains common words that are not allowed',
-      noCommonWords,
-    )
-    .test(
-      'username-in-password',
-      'Password cannot contain your username',
-      (value, context) =>
-        !value?.toLowerCase().includes(context.parent.username?.toLowerCase()),
-    ),
+  password: passwordField().test(
+    'username-in-password',
+    'Password cannot contain your username',
+    (value, context) =>
+      !value?.toLowerCase().includes(context.parent.username?.toLowerCase()),
+  ),
 
   confirmPassword: yup
     .string()
@@ -145,30 +154,88 @@ export const loginSchema = yup.object().shape({
     })
     .transform((value) => value?.toLowerCase().trim()),
 
-  password: yup
+  password: passwordField(),
+});
+
+// Format des tokens d'invitation (32 octets aléatoires en hexadécimal)
+export const invitationTokenSchema = yup
+  .string()
+  .required('Invitation token is required')
+  .matches(/^[a-f0-9]{64}$/, 'Invalid invitation token');
+
+// Format des tokens de réinitialisation de mot de passe (même format que les invitations)
+export const passwordResetTokenSchema = yup
+  .string()
+  .required('Reset token is required')
+  .matches(/^[a-f0-9]{64}$/, 'Invalid reset token');
+
+export const passwordResetRequestSchema = yup.object().shape({
+  email: yup
     .string()
-    .required('Password is required')
-    .min(8, 'Password must be at least 8 characters')
-    .max(128, 'Password must not exceed 128 characters')
-    .test('has-number', 'Password must contain at least one number', hasNumber)
-    .test(
-      'has-uppercase',
-      'Password must contain at least one uppercase letter',
-      hasUpperCase,
-    )
-    .test(
-      'has-lowercase',
-      'Password must contain at least one lowercase letter',
-      hasLowerCase,
-    )
-    .test(
-      'has-special-char',
-      'Password must contain at least one special character',
-      hasSpecialChar,
-    )
+    .required('Email is required')
+    .email('Invalid email format')
+    .max(255, 'Email must not exceed 255 characters')
+    .transform((value) => value?.toLowerCase().trim()),
+});
+
+export const passwordResetSchema = yup.object().shape({
+  password: passwordField(),
+
+  confirmPassword: yup
+    .string()
+    .required('Please confirm your password')
+    .oneOf([yup.ref('password')], 'Passwords must match'),
+});
+
+// Code de double authentification : TOTP ou code de secours
+export const twoFactorCodeSchema = yup.object().shape({
+  code: yup
+    .string()
+    .transform((value) => normalizeSecondFactorCode(value))
+    .required('Authentication code is required')
     .test(
-      'no-common-words',
-      'Password contains common words that are not allowed',
-      noCommonWords,
+      'code-format',
+      'Enter the 6-digit code from your app or a recovery code',
+      (value) =>
+        !value ||
+        TOTP_CODE_PATTERN.test(value) ||
+        RECOVERY_CODE_PATTERN.test(value),
     ),
 });
+
+// Activation : seul un code TOTP prouve que l'application est configurée
+export const twoFactorSetupSchema = yup.object().shape({
+  code: yup
+    .string()
+    .transform((value) => normalizeSecondFactorCode(value))
+    .required('Authentication code is required')
+    .matches(TOTP_CODE_PATTERN, 'Enter the 6-digit code from your app'),
+});
+
+export const invitationSchema = yup.object().shape({
+  email: yup
+    .string()
+    .required('Email is required')
+    .email('Invalid email format')
+    .max(255, 'Email must not exceed 255 characters')
+    .transform((value) => value?.toLowerCase().trim()),
+
+  role: yup
+    .string()
+    .required('Role is required')
+    .oneOf(Object.values(ROLES), 'Invalid role'),
+});
+
+export const invitationIdSchema = yup.object().shape({
+  id: yup
+    .string()
+    .required('Invitation ID is required')
+    .matches(/^[1-9][0-9]*$/, 'Invalid invitation ID format'),
+});
+
+export const sessionIdSchema = yup.object().shape({
+  id: yup
+    .string()
+    .required('Session ID is required')
+    .matches(/^[1-9][0-9]*$/, 'Invalid session ID format'),
+});
@@ -0,0 +1,34 @@
+// ===== FICHIER: utils/schemas/mediaSchema.js =====
+
+import * as yup from 'yup';
+import { MEDIA_FOLDERS, MEDIA_DELETE_BATCH_SIZE } from '@/utils/media';
+
+// public_id Cloudinary d'un des dossiers du dashboard (ex: blog_pictures/abc123)
+const MEDIA_PUBLIC_ID = new RegExp(
+  `^(${Object.keys(MEDIA_FOLDERS).join('|')})/[A-Za-z0-9_.-]+$`,
+);
+
+/**
+ * Schema de validation pour la suppression d'images orphelines
+ */
+export const orphanDeletionSchema = yup.object().shape({
+  publicIds: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .matches(MEDIA_PUBLIC_ID, 'Invalid Cloudinary public ID')
+        .max(200, 'Cloudinary public ID is too long'),
+    )
+    .required('At least one image is required')
+    .min(1, 'At least one image is required')
+    .max(
+      MEDIA_DELETE_BATCH_SIZE,
+      `No more than ${MEDIA_DELETE_BATCH_SIZE} images per request`,
+    ),
+  dryRun: yup.boolean(),
+});
+
+export default {
+  orphanDeletionSchema,
+};
@@ -324,6 +324,19 @@ export const detectPlatformNumberType = (platformNumber) => {
   return 'invalid';
 };
 
+// Fonction pour nettoyer l'UUID (version et variant RFC 4122 exigés)
+export const cleanUUID = (uuid) => {
+  if (!uuid || typeof uuid !== 'string') {
+    return null;
+  }
+
+  const cleaned = uuid.toLowerCase().trim();
+  const uuidRegex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+  return uuidRegex.test(cleaned) ? cleaned : null;
+};
+
 // Export par défaut pour faciliter l'import
 export default {
   platformAddingSchema,
@@ -335,4 +348,5 @@ export default {
   isValidPlatformCode,
   cleanPlatformNumber,
   detectPlatformNumberType,
+  cleanUUID,
 };
@@ -0,0 +1,67 @@
+// ===== FICHIER: utils/schemas/userSchema.js =====
+
+import * as yup from 'yup';
+import { ROLES } from '@/utils/permissions';
+
+// Valide les numéros de téléphone internationaux (identique à authSchema)
+const PHONE = /^[+]?[(]?[0-9]{1,4}[)]?[-\s.]?[0-9]{1,4}[-\s.]?[0-9]{1,9}$/;
+
+/**
+ * Schema de validation pour l'identifiant d'un utilisateur (admin.users.user_id)
+ */
+export const userIdSchema = yup.object().shape({
+  id: yup
+    .string()
+    .required('User ID is required')
+    .matches(/^[1-9][0-9]*$/, 'Invalid user ID format'),
+});
+
+/**
+ * Schema de validation pour la modification du profil d'un utilisateur
+ * par un administrateur (l'email et le mot de passe ne sont pas modifiables ici)
+ */
+export const userUpdateSchema = yup.object().shape({
+  username: yup
+    .string()
+    .required('Username is required')
+    .min(3, 'Username must be at least 3 characters')
+    .max(50, 'Username must not exceed 50 characters')
+    .matches(
+      /^[a-zA-Z0-9._\s-]+$/,
+      'Username can only contain letters, numbers, spaces, and ._-',
+    )
+    .matches(/^[a-zA-Z]/, 'Username must start with a letter'),
+
+  phone: yup
+    .string()
+    .trim()
+    .nullable()
+    .test(
+      'is-valid-phone',
+      'Invalid phone number format',
+      (value) =>
+        !value ||
+        (PHONE.test(value) &&
+          value.replace(/\D/g, '').length >= 6 &&
+          value.replace(/\D/g, '').length <= 15),
+    ),
+
+  dateOfBirth: yup
+    .date()
+    .nullable()
+    .transform((value, originalValue) => (originalValue ? value : null))
+    .max(new Date(), 'Date of birth cannot be in the future')
+    .min(new Date(1900, 0, 1), 'Invalid date of birth'),
+
+  role: yup
+    .string()
+    .required('Role is required')
+    .oneOf(Object.values(ROLES), 'Invalid role'),
+});
+
+/**
+ * Schema de validation pour l'activation / désactivation d'un compte
+ */
+export const userStatusSchema = yup.object().shape({
+  active: yup.boolean().strict().required('Active status is required'),
+});
@@ -0,0 +1,18 @@
+// utils/trash.js
+// Entités disposant d'une corbeille (client et serveur)
+import { PERMISSIONS } from '@/utils/permissions';
+
+export const TRASH_ENTITIES = {
+  template: 'Templates',
+  application: 'Applications',
+  article: 'Articles',
+  platform: 'Plateformes',
+};
+
+// Restaurer ou purger un élément exige la permission de suppression de son entité
+export const TRASH_PERMISSIONS = {
+  template: PERMISSIONS.TEMPLATES_DELETE,
+  application: PERMISSIONS.APPLICATIONS_DELETE,
+  article: PERMISSIONS.ARTICLES_DELETE,
+  platform: PERMISSIONS.PLATFORMS_DELETE,
+};
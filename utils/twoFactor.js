@@ -0,0 +1,28 @@
+// utils/twoFactor.js
+// Constantes de la double authentification partagées par le serveur et la page de connexion
+
+/**
+ * Codes d'erreur renvoyés par le provider credentials (result.error côté client)
+ */
+export const TWO_FACTOR_ERRORS = {
+  REQUIRED: 'TwoFactorRequired',
+  INVALID: 'TwoFactorInvalid',
+};
+
+/**
+ * Nombre de chiffres d'un code TOTP
+ */
+export const TOTP_DIGITS = 6;
+
+// Code TOTP (6 chiffres) ou code de secours (10 caractères, tiret facultatif)
+export const TOTP_CODE_PATTERN = /^\d{6}$/;
+export const RECOVERY_CODE_PATTERN = /^[a-z0-9]{5}-?[a-z0-9]{5}$/;
+
+/**
+ * Normalise un code saisi : espaces retirés, minuscules
+ * @param {string} code - Code brut
+ * @returns {string}
+ */
+export function normalizeSecondFactorCode(code) {
+  return typeof code === 'string' ? code.replace(/\s/g, '').toLowerCase() : '';
+}
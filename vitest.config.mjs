@@ -0,0 +1,31 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+const resolve = (dir) => path.join(root, dir);
+
+// Mêmes alias que jsconfig.json
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@app': resolve('app'),
+      '@api': resolve('app/api'),
+      '@dashboard': resolve('app/dashboard'),
+      '@backend': resolve('backend'),
+      '@ui': resolve('ui'),
+      '@components': resolve('ui/components/dashboard'),
+      '@pages': resolve('ui/pages'),
+      '@styling': resolve('ui/styling'),
+      '@utils': resolve('utils'),
+      '@providers': resolve('providers'),
+      '@monitoring': resolve('monitoring'),
+      '@': root,
+    },
+  },
+  test: {
+    environment: 'node',
+    include: ['**/__tests__/**/*.test.js'],
+    exclude: ['node_modules/**', '.next/**'],
+  },
+});